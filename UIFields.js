@@ -7,6 +7,7 @@ export class UIField {
   // ─────────────────────────
   static ORDER = "order";
   static FILING_STATUS = "filingStatus";
+  static HAS_QUALIFYING_DEPENDENT = "hasQualifyingDependent";
   static STARTING_YEAR = "startingYear";
 
   // ─────────────────────────
@@ -15,6 +16,7 @@ export class UIField {
   static SUBJECT_CURRENT_AGE = "subjectCurrentAge";
   static SUBJECT_RETIRE_AGE = "subjectRetireAge";
   static SUBJECT_TERMINAL_AGE = "subjectTerminalAge";
+  static SUBJECT_SEX = "subjectSex";
   static SUBJECT_401K_START_AGE = "subject401kStartAge";
   static SUBJECT_PENSION_START_AGE = "subjectPensionStartAge";
   static SUBJECT_SS_START_AGE = "subjectSsStartAge";
@@ -40,6 +42,7 @@ export class UIField {
   static PARTNER_CURRENT_AGE = "partnerCurrentAge";
   static PARTNER_RETIRE_AGE = "partnerRetireAge";
   static PARTNER_TERMINAL_AGE = "partnerTerminalAge";
+  static PARTNER_SEX = "partnerSex";
   static PARTNER_401K_START_AGE = "partner401kStartAge";
   static PARTNER_PENSION_START_AGE = "partnerPensionStartAge";
   static PARTNER_SS_START_AGE = "partnerSsStartAge";
@@ -63,6 +66,10 @@ export class UIField {
   static RETIREMENT_YEARS_SPENDING = "retirementYearsSpending";
   static INFLATION = "inflation";
   static SPENDING_DECLINE = "spendingDecline";
+  static SPENDING_POLICY = "spendingPolicy";
+  static GUARDRAIL_UPPER_LIMIT = "guardrailUpperLimit";
+  static GUARDRAIL_LOWER_LIMIT = "guardrailLowerLimit";
+  static GUARDRAIL_ADJUSTMENT = "guardrailAdjustment";
 
   // ─────────────────────────
   // Savings
@@ -70,12 +77,61 @@ export class UIField {
   static SAVINGS_BALANCE = "startingSavingsBalance";
   static SAVINGS_RETURN = "savingsReturnRate";
 
+  // ─────────────────────────
+  // Taxable Brokerage
+  // ─────────────────────────
+  static BROKERAGE_BALANCE = "brokerageBalance";
+  static BROKERAGE_COST_BASIS = "brokerageCostBasis";
+  static BROKERAGE_GROWTH = "brokerageGrowthRate";
+  static BROKERAGE_DIVIDEND_YIELD = "brokerageDividendYield";
+  static BROKERAGE_QUALIFIED_DIVIDENDS = "brokerageQualifiedDividends";
+  static COST_BASIS_METHOD = "costBasisMethod";
+
+  // ─────────────────────────
+  // Health Savings Account
+  // ─────────────────────────
+  static HSA_BALANCE = "hsaBalance";
+  static HSA_RETURN = "hsaReturnRate";
+  static HSA_COVERAGE = "hsaCoverage";
+  static HSA_ANNUAL_CONTRIBUTION = "hsaAnnualContribution";
+
+  // ─────────────────────────
+  // Healthcare Spending
+  // ─────────────────────────
+  static HEALTHCARE_INFLATION = "healthcareInflationRate";
+  static USE_HEALTHCARE_CURRENT_YEAR_VALUES = "useHealthcareCurrentYearValues";
+  static USE_HEALTHCARE_COST_CURVE = "useHealthcareCostCurve";
+
+  // ─────────────────────────
+  // Medicare
+  // ─────────────────────────
+  static INCLUDE_MEDICARE_PREMIUMS = "includeMedicarePremiums";
+  static PRIOR_YEARS_MAGI = "priorYearsMagi";
+  static IRMAA_INDEXING = "irmaaIndexing";
+  static IRMAA_INDEXING_RATE = "irmaaIndexingRate";
+
+  // ─────────────────────────
+  // Marketplace (ACA) Coverage
+  // ─────────────────────────
+  static USE_ACA_PREMIUMS = "useAcaPremiums";
+  static ACA_BENCHMARK_PREMIUM = "acaBenchmarkPremium";
+  static ACA_SUBSIDY_RULE = "acaSubsidyRule";
+  static ACA_KEEP_MAGI_UNDER_CLIFF = "acaKeepMagiUnderCliff";
+
   // ─────────────────────────
   // Social Security
   // ─────────────────────────
   static SUBJECT_SS_MONTHLY = "subjectSsMonthly";
   static PARTNER_SS_MONTHLY = "partnerSsMonthly";
+  static SUBJECT_SS_START_MONTH = "subjectSsStartMonth";
+  static PARTNER_SS_START_MONTH = "partnerSsStartMonth";
+  static SUBJECT_SS_PIA = "subjectSsPia";
+  static PARTNER_SS_PIA = "partnerSsPia";
+  static SUBJECT_BIRTH_YEAR = "subjectBirthYear";
+  static PARTNER_BIRTH_YEAR = "partnerBirthYear";
   static SS_COLA = "ssCola";
+  static SS_BENEFIT_CUT = "ssBenefitCut";
+  static SS_BENEFIT_CUT_YEAR = "ssBenefitCutYear";
   static SS_WITHHOLDING = "ssWithholdingRate";
 
   // ─────────────────────────
@@ -98,6 +154,45 @@ export class UIField {
   // static WITHHOLDINGS_SS = "withholdingsSS";
   // static WITHHOLDINGS_PENSION = "withholdingsPension";
   static USE_RMD = "useRMD";
+  static SPOUSE_SOLE_BENEFICIARY = "spouseSoleBeneficiary";
+
+  // ─────────────────────────
+  // Roth Conversions
+  // ─────────────────────────
+  static ROTH_CONVERSION_STRATEGY = "rothConversionStrategy";
+  static ROTH_CONVERSION_AMOUNT = "rothConversionAmount";
+  static ROTH_CONVERSION_BRACKET = "rothConversionBracket";
+  static ROTH_CONVERSION_START_AGE = "rothConversionStartAge";
+  static ROTH_CONVERSION_END_AGE = "rothConversionEndAge";
+  static ROTH_CONVERSION_TAX_SOURCE = "rothConversionTaxSource";
+
+  // ─────────────────────────
+  // Withdrawal Strategy
+  // ─────────────────────────
+  static WITHDRAWAL_STRATEGY = "withdrawalStrategy";
+  static WITHDRAWAL_BRACKET = "withdrawalBracket";
+
+  // ─────────────────────────
+  // Tax Law
+  // ─────────────────────────
+  static TAX_LAW_REGIME = "taxLawRegime";
+  static TAX_LAW_CHANGE_YEAR = "taxLawChangeYear";
+  static TAX_BRACKET_INDEXING = "taxBracketIndexing";
+  static TAX_BRACKET_INDEXING_RATE = "taxBracketIndexingRate";
+  static CUSTOM_TAX_SCHEDULE = "customTaxSchedule";
+
+  // ─────────────────────────
+  // State Income Tax
+  // ─────────────────────────
+  static STATE_OF_RESIDENCE = "stateOfResidence";
+  static RELOCATION_STATE = "relocationState";
+  static RELOCATION_YEAR = "relocationYear";
+
+  // ─────────────────────────
+  // Legacy
+  // ─────────────────────────
+  static HEIR_TAX_RATE = "heirTaxRate";
+  static ESTATE_TAX_EXEMPTION = "estateTaxExemption";
 
   // ─────────────────────────
   // Taxable Income Adjustments
@@ -0,0 +1,152 @@
+import {
+  ACA_APPLICABLE_PERCENTAGES,
+  ACA_POVERTY_LINE_2025,
+  ACA_SUBSIDY_CLIFF,
+  ACA_SUBSIDY_RULE,
+  MEDICARE_ELIGIBILITY_AGE,
+} from "./consts.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cDemographics.js").Demographics} Demographics
+ */
+
+// Poverty guidelines apply to the following year's coverage
+const FIRST_COVERAGE_YEAR = 2026;
+
+/**
+ * Marketplace health insurance for retirees who are not yet on Medicare.
+ * The household is assumed to buy the benchmark plan, pays its premium
+ * through the year and gets the premium tax credit back with its taxes. The
+ * credit depends on the year's MAGI, so it is only known once income is.
+ */
+class AcaPremiums {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {Demographics} */
+  #demographics;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   */
+  constructor(inputs, demographics) {
+    this.#inputs = inputs;
+    this.#demographics = demographics;
+  }
+
+  /**
+   * Living household members who are under 65
+   */
+  get covered() {
+    if (!this.#inputs.useAcaPremiums) return 0;
+
+    const d = this.#demographics;
+    let count = 0;
+    if (d.subjectIsLiving && d.currentAge < MEDICARE_ELIGIBILITY_AGE) count++;
+    if (
+      d.hasPartner &&
+      d.partnerIsLiving &&
+      d.currentAgeOfPartner < MEDICARE_ELIGIBILITY_AGE
+    ) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * People on the tax return, which sets the poverty line
+   */
+  get householdSize() {
+    const d = this.#demographics;
+    return (
+      (d.subjectIsLiving ? 1 : 0) + (d.hasPartner && d.partnerIsLiving ? 1 : 0)
+    );
+  }
+
+  /**
+   * Benchmark premium for the members still covered. The entered premium is
+   * for the whole household in today's dollars.
+   */
+  get benchmarkPremium() {
+    if (this.covered === 0) return 0;
+
+    const share = this.covered / (this.#demographics.hasPartner ? 2 : 1);
+    return (this.#inputs.acaBenchmarkPremium * share)
+      .adjustedForInflation(
+        this.#inputs.healthcareInflationRate,
+        this.#inputs.yearIndex
+      )
+      .asCurrency();
+  }
+
+  get povertyLine() {
+    const people = Math.max(this.householdSize, 1);
+    return (
+      ACA_POVERTY_LINE_2025.firstPerson +
+      ACA_POVERTY_LINE_2025.perAdditionalPerson * (people - 1)
+    )
+      .adjustedForInflation(
+        this.#inputs.inflationRate,
+        Math.max(0, this.#inputs.currentYear - FIRST_COVERAGE_YEAR)
+      )
+      .asCurrency();
+  }
+
+  /**
+   * MAGI above which no credit is available; Infinity without a cliff
+   */
+  get subsidyCliffMagi() {
+    return this.#inputs.acaSubsidyRule === ACA_SUBSIDY_RULE.ENHANCED
+      ? Infinity
+      : (this.povertyLine * ACA_SUBSIDY_CLIFF).asCurrency();
+  }
+
+  /**
+   * Share of MAGI the household pays toward the benchmark plan, or null when
+   * MAGI is over the subsidy cliff
+   * @param {number} magi
+   * @returns {number | null}
+   */
+  applicablePercentage(magi) {
+    const bands =
+      ACA_APPLICABLE_PERCENTAGES[this.#inputs.acaSubsidyRule] ??
+      ACA_APPLICABLE_PERCENTAGES[ACA_SUBSIDY_RULE.CLIFF];
+    const multiple = magi / this.povertyLine;
+
+    let from = 0;
+    for (const band of bands) {
+      if (multiple <= band.upTo) {
+        if (!Number.isFinite(band.upTo)) return band.startRate;
+        const position = Math.max(0, multiple - from) / (band.upTo - from);
+        return (
+          band.startRate +
+          (band.endRate - band.startRate) * position
+        ).round(4);
+      }
+      from = band.upTo;
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} magi
+   */
+  premiumTaxCredit(magi) {
+    const rate = this.applicablePercentage(magi);
+    if (this.benchmarkPremium === 0 || rate === null) return 0;
+
+    return Math.max(0, this.benchmarkPremium - rate * magi).asCurrency();
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   * @returns {AcaPremiums}
+   */
+  static CreateUsing(inputs, demographics) {
+    return new AcaPremiums(inputs, demographics);
+  }
+}
+
+export { AcaPremiums };
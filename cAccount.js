@@ -20,6 +20,8 @@ class ACCOUNT_TYPES {}
 
 ACCOUNT_TYPES.CASH = "Cash";
 ACCOUNT_TYPES.SAVINGS = "Savings";
+ACCOUNT_TYPES.BROKERAGE = "Brokerage";
+ACCOUNT_TYPES.HSA = "Hsa";
 
 ACCOUNT_TYPES.SUBJECT_401K = "Subject401k";
 ACCOUNT_TYPES.PARTNER_401K = "Partner401k";
@@ -46,6 +48,36 @@ ACCOUNT_TYPES.PARTNER_PAYROLL_DEDUCTIONS = "PrtnrPayrlDeduc";
 
 ACCOUNT_TYPES.ADJUSTABLE_INCOME = "AdjustableIncome";
 
+// Investment groupings used by the market simulations (Monte Carlo,
+// backtesting). Subject and partner accounts of the same kind share returns.
+class ASSET_CLASSES {}
+
+ASSET_CLASSES.TRAD_401K = "trad401k";
+ASSET_CLASSES.ROTH = "roth";
+ASSET_CLASSES.SAVINGS = "savings";
+
+/**
+ * @param {string} accountType
+ * @returns {string | null} ASSET_CLASSES value, or null for non-investment accounts
+ */
+function getAssetClass(accountType) {
+  switch (accountType) {
+    case ACCOUNT_TYPES.SUBJECT_401K:
+    case ACCOUNT_TYPES.PARTNER_401K:
+      return ASSET_CLASSES.TRAD_401K;
+    case ACCOUNT_TYPES.SUBJECT_ROTH_IRA:
+    case ACCOUNT_TYPES.PARTNER_ROTH_IRA:
+    // Brokerage and HSA money is held for growth like the Roth accounts
+    case ACCOUNT_TYPES.BROKERAGE:
+    case ACCOUNT_TYPES.HSA:
+      return ASSET_CLASSES.ROTH;
+    case ACCOUNT_TYPES.SAVINGS:
+      return ASSET_CLASSES.SAVINGS;
+    default:
+      return null;
+  }
+}
+
 // Create a class for the account
 class Account {
   /** @type {TransactionManager} */
@@ -384,6 +416,17 @@ class Account {
     return this.#interestRate;
   }
 
+  /**
+   * Annual interest rate as a decimal; applies to interest calculated after the change.
+   * @param {number} value
+   */
+  set interestRate(value) {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid interest rate: ${value}`);
+    }
+    this.#interestRate = value;
+  }
+
   /**
    * @param {number} amount
    * @param {TransactionCategorySymbol} category
@@ -641,7 +684,7 @@ class Account {
       interest += i;
       bal += i;
 
-      if (record) {
+      if (record && i >= 0) {
         this.#deposit(
           i,
           TransactionCategory.Interest,
@@ -649,6 +692,16 @@ class Account {
           new Date(yyyy, m, 1),
           "Interest dividend"
         );
+      } else if (record) {
+        // Negative-return years (simulated markets) record the loss as an
+        // Interest withdrawal so deposits stay positive
+        this.#withdrawal(
+          -i,
+          TransactionCategory.Interest,
+          TransactionRoutes.External,
+          new Date(yyyy, m, 1),
+          "Investment loss"
+        );
       }
     }
 
@@ -1419,4 +1472,4 @@ class Account {
   }
 }
 
-export { ACCOUNT_TYPES, Account };
+export { ACCOUNT_TYPES, ASSET_CLASSES, Account, getAssetClass };
@@ -7,12 +7,14 @@ import { Trad401kAvailabilityManager } from "./cTrad401kAvailabilityManager.js";
 import { AccountPortioner401k } from "./cAccountPortioner401k.js";
 import { Common } from "./cCommon.js";
 import { Inputs } from "./cInputs.js";
+import { TaxCalculations } from "./cTaxCalculations.js";
 
 const ProportionStrategyNames = /** @type {const} */ ({
   EqualShares: "equalShares",
   NontaxableFirst: "nontaxableFirst",
   TaxableFirst: "taxableFirst",
   Custom: "custom",
+  BracketFill: "bracketFill",
 });
 
 /**
@@ -24,7 +26,9 @@ class ProportionStrategyEnum extends EnumBase {
     "ask",
     "totalActualWithdrawals",
     "savingsWithdrawal",
+    "brokerageWithdrawal",
     "rothIraWithdrawal",
+    "hsaWithdrawal",
     "trad401kWithdrawal",
   ];
 
@@ -48,6 +52,10 @@ class ProportionStrategyEnum extends EnumBase {
     return this.map.custom;
   }
 
+  get BracketFill() {
+    return this.map.bracketFill;
+  }
+
   /**
    * @param {symbol} sym
    * @returns {ProportionStrategyName}
@@ -66,7 +74,8 @@ const ProportionStrategy = new ProportionStrategyEnum();
  * @typedef {typeof ProportionStrategy.EqualShares
  *         | typeof ProportionStrategy.NontaxableFirst
  *         | typeof ProportionStrategy.TaxableFirst
- *         | typeof ProportionStrategy.Custom} ProportionStrategySymbol
+ *         | typeof ProportionStrategy.Custom
+ *         | typeof ProportionStrategy.BracketFill} ProportionStrategySymbol
  */
 
 class AccountPortioner {
@@ -108,6 +117,30 @@ class AccountPortioner {
     return this.#savingsWithdrawal.asCurrency();
   }
 
+  /** @type {number} */
+  #brokerageWithdrawal = 0;
+
+  get brokerageWithdrawal() {
+    return this.#brokerageWithdrawal.asCurrency();
+  }
+
+  /** @type {boolean} */
+  #drainBrokerageAccount = false;
+
+  get drainBrokerage() {
+    return this.#drainBrokerageAccount;
+  }
+
+  /** @type {number} */
+  #hsaWithdrawal = 0;
+
+  /**
+   * Non-qualified HSA withdrawal, taken only when every other account falls short
+   */
+  get hsaWithdrawal() {
+    return this.#hsaWithdrawal.asCurrency();
+  }
+
   /** @type {number} */
   #rothIraWithdrawal = 0;
 
@@ -160,8 +193,10 @@ class AccountPortioner {
    *
    * This is a multi-phase algorithm that intelligently allocates withdrawals across:
    * - Savings (taxable)
+   * - Brokerage (taxable; sales realize capital gains)
    * - Roth IRA (tax-free)
    * - Traditional 401k accounts (taxable, with complex RMD rules)
+   * - HSA (last resort; non-medical withdrawals are taxable)
    *
    * The algorithm prioritizes:
    * 1. Draining small "immaterial" balances first (cleanup)
@@ -169,8 +204,17 @@ class AccountPortioner {
    * 3. Proportional allocation across remaining accounts
    *
    * @param {number} cashOnHand - Money available without withdrawals (income, etc.)
+   * @param {((additionalTaxableIncome: number) => number) | null} [taxableIncomeWith] -
+   * Ordinary taxable income for the year if this much more ordinary income were
+   * recognized; required by the bracket-fill strategy
+   * @param {number} [max401kIncome] - Most new ordinary income the 401k draw
+   * may add, e.g. to keep MAGI under the ACA subsidy cliff
    */
-  calculatePortions(cashOnHand) {
+  calculatePortions(
+    cashOnHand,
+    taxableIncomeWith = null,
+    max401kIncome = Infinity
+  ) {
     // Thresholds for determining when account balances are too small to bother with
     const MIN_WITHDRAWAL = 200; // Don't withdraw less than $200 from any account
     const MIN_PCT_OF_TOTAL = 0.01; // Don't leave balances < 1% of total available
@@ -290,13 +334,20 @@ class AccountPortioner {
       annualSpend *= 0.75;
     }
 
+    // Healthcare the HSA could not pay is funded like any other spending
+    annualSpend += this.#fiscalData.healthcareOutOfPocket;
+    annualSpend += this.#fiscalData.medicarePremiums;
+    annualSpend += this.#fiscalData.acaPremiums;
+
     let ask = annualSpend - cashOnHand.asCurrency();
 
     this.#ask = ask; // Store for external access
 
-    // Early exit: If we have enough cash on hand, no withdrawals needed
+    // Early exit: If we have enough cash on hand, only RMDs are withdrawn
     if (ask <= 0) {
-      this.#totalActualWithdrawals = 0;
+      this.#final401kPortions = this.#determineFinal401kPortions(0, 0);
+      this.#totalActualWithdrawals =
+        this.#final401kPortions.combinedFinalWithdrawalNet.asCurrency();
       return;
     }
 
@@ -314,6 +365,15 @@ class AccountPortioner {
         min: MIN_WITHDRAWAL,
         drainAccount: () => (this.#drainSavingsAccount = true),
       },
+      {
+        key: "brokerage",
+        getAvailable: () => this.#availableBrokerage.asCurrency(),
+        setWithdrawal: (/** @type {number} */ amt) =>
+          (this.#brokerageWithdrawal = amt),
+        getWithdrawal: () => this.#brokerageWithdrawal ?? 0,
+        min: MIN_WITHDRAWAL,
+        drainAccount: () => (this.#drainBrokerageAccount = true),
+      },
       {
         key: "roth",
         getAvailable: () => this.#availableRoth.asCurrency(),
@@ -323,7 +383,7 @@ class AccountPortioner {
         min: MIN_WITHDRAWAL,
         drainAccount: () => (this.#drainRothAccounts = true),
       },
-      // brokerage / HSA later
+      // The HSA is kept for medical expenses; see Phase 4b
     ];
 
     // ============================
@@ -342,7 +402,7 @@ class AccountPortioner {
     /** @type {WithdrawalAccount[]} */
     const remainingGenericAccounts = [];
 
-    // Check each generic account (savings, Roth) for immaterial balances
+    // Check each generic account (savings, brokerage, Roth) for immaterial balances
     for (const acct of genericAccountDefs) {
       const available = acct.getAvailable();
 
@@ -430,7 +490,60 @@ class AccountPortioner {
 
     fundsForWeighting = Math.max(fundsForWeighting, 0).asCurrency();
 
-    if (available401k > 0 && ask > 0) {
+    const fillsBracket =
+      this.#inputs.withdrawalStrategy === ProportionStrategyNames.BracketFill;
+
+    // Set when the 401k draw is held under a limit, so Phase 4b can lift
+    // the limit once the other accounts run dry
+    /** @type {number|null} */
+    let capped401kAsk = null;
+
+    if (
+      available401k > 0 &&
+      ask > 0 &&
+      (fillsBracket || Number.isFinite(max401kIncome))
+    ) {
+      let gross401kLimit = Math.max(max401kIncome, 0);
+
+      if (fillsBracket) {
+        if (!taxableIncomeWith) {
+          throw new Error(
+            "Bracket-fill withdrawals need the year's taxable income to size the 401k draw"
+          );
+        }
+
+        gross401kLimit = Math.min(
+          gross401kLimit,
+          TaxCalculations.incomeToFillBracket(
+            this.#inputs.withdrawalBracketRate,
+            this.#fiscalData,
+            this.#demographics,
+            taxableIncomeWith
+          )
+        );
+      }
+
+      // Take 401k money only up to the limit (top of the chosen bracket or
+      // the income cap); savings, brokerage and Roth cover the rest of the
+      // ask in Phase 4
+      const net401kLimit = Common.convertGross401kToActual401k(
+        gross401kLimit,
+        this.#fiscalData.flatTrad401kWithholdingRate ?? 0
+      );
+      const net401kAsk = Math.min(
+        ask,
+        net401kLimit,
+        available401k
+      ).asCurrency();
+      capped401kAsk = net401kAsk;
+
+      this.#final401kPortions = this.#determineFinal401kPortions(
+        net401kAsk,
+        available401k // 401k is the only source weighed here
+      );
+
+      ask -= this.#final401kPortions.combinedFinalWithdrawalNet.asCurrency();
+    } else if (available401k > 0 && ask > 0) {
       // Delegate complex 401k allocation to specialized policy engine
       // This considers RMDs, penalties, tax implications, and withdrawal order
       this.#final401kPortions = this.#determineFinal401kPortions(
@@ -442,6 +555,12 @@ class AccountPortioner {
       ask -= this.#final401kPortions.combinedFinalWithdrawalNet.asCurrency();
     }
 
+    // RMDs are due even when nothing else is needed from the 401k
+    if (!this.#final401kPortions) {
+      this.#final401kPortions = this.#determineFinal401kPortions(0, 0);
+      ask -= this.#final401kPortions.combinedFinalWithdrawalNet.asCurrency();
+    }
+
     ask = Math.max(ask, 0).asCurrency();
 
     // ============================
@@ -449,7 +568,7 @@ class AccountPortioner {
     // ============================
 
     // Final phase: Allocate remaining ask proportionally across generic accounts
-    // (savings, Roth IRA, etc.) that survived the immaterial balance cleanup.
+    // (savings, brokerage, Roth IRA, etc.) that survived the immaterial balance cleanup.
     //
     // The allocateWithMinimums function handles edge cases:
     // - Ensures no withdrawal is below MIN_WITHDRAWAL threshold
@@ -463,6 +582,42 @@ class AccountPortioner {
       a.account.setWithdrawal(a.withdrawal);
     }
 
+    // ============================
+    // PHASE 4b: Capped 401k, then HSA, as Last Resort
+    // ============================
+
+    let unfunded = (
+      ask - allocations.reduce((s, a) => s + a.withdrawal, 0)
+    ).asCurrency();
+
+    // Spending comes before the bracket or income limit: a capped 401k
+    // covers what the other accounts could not
+    if (unfunded > 0 && capped401kAsk !== null && this.#final401kPortions) {
+      const drawnNet = this.#final401kPortions.combinedFinalWithdrawalNet;
+      const raisedAsk = Math.min(
+        capped401kAsk + unfunded,
+        available401k
+      ).asCurrency();
+
+      if (raisedAsk > capped401kAsk) {
+        this.#final401kPortions = this.#determineFinal401kPortions(
+          raisedAsk,
+          available401k
+        );
+        unfunded = (
+          unfunded -
+          (this.#final401kPortions.combinedFinalWithdrawalNet - drawnNet)
+        ).asCurrency();
+      }
+    }
+
+    // Whatever is still uncovered comes out of the HSA as a non-qualified
+    // withdrawal (taxable, and penalized before 65)
+
+    if (unfunded > 0) {
+      this.#hsaWithdrawal = Math.min(unfunded, this.#availableHsa).asCurrency();
+    }
+
     // ============================
     // PHASE 5: Calculate and Store Total Withdrawals
     // ============================
@@ -472,8 +627,9 @@ class AccountPortioner {
     // or more than the ask if we had to drain immaterial balances.
 
     const allWithdrawalSources = [
-      ...genericAccountDefs.map((a) => a.getWithdrawal), // Savings, Roth, etc.
+      ...genericAccountDefs.map((a) => a.getWithdrawal), // Savings, brokerage, Roth
       () => this.#final401kPortions?.combinedFinalWithdrawalNet ?? 0, // All 401k accounts
+      () => this.#hsaWithdrawal,
     ];
 
     // Store final result for external access (used by GAAP accounting, reports, etc.)
@@ -507,6 +663,17 @@ class AccountPortioner {
     return this.#savingsAvailable();
   }
 
+  // Brokerage money is spent on the same schedule as savings
+  get #availableBrokerage() {
+    return this.#fiscalData.useSavings
+      ? this.#accountYear.getEndingBalance(ACCOUNT_TYPES.BROKERAGE)
+      : 0;
+  }
+
+  get #availableHsa() {
+    return Math.max(this.#accountYear.getEndingBalance(ACCOUNT_TYPES.HSA), 0);
+  }
+
   get #availableRoth() {
     return this.#availableSubjectRoth + this.#availablePartnerRoth;
   }
@@ -612,6 +779,14 @@ class AccountPortioner {
     return this.#final401kPortions?.subjectRMD ?? 0;
   }
 
+  get subjectRequiredDistribution() {
+    return this.#trad401kAccountPortioner.subjectRequiredDistribution;
+  }
+
+  get partnerRequiredDistribution() {
+    return this.#trad401kAccountPortioner.partnerRequiredDistribution;
+  }
+
   get partnerRMD() {
     return this.#final401kPortions?.partnerRMD ?? 0;
   }
@@ -652,4 +827,4 @@ class AccountPortioner {
   }
 }
 
-export { AccountPortioner };
+export { AccountPortioner, ProportionStrategy, ProportionStrategyNames };
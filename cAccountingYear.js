@@ -114,6 +114,13 @@ class AccountingYear {
     );
   }
 
+  /**
+   * Tax lots of the brokerage account; they carry over from year to year
+   */
+  get brokerageCostBasis() {
+    return this.#accountsManager.brokerageCostBasis;
+  }
+
   /**
    * Get AccountAnalyzer for a specific account type
    * @param {string} accountType - The account type from ACCOUNT_TYPES
@@ -353,11 +360,25 @@ class AccountingYear {
     );
   }
 
-  /** @param {string} accountName */
+  /**
+   * Interest credited for the year, net of any investment losses
+   * @param {string} accountName
+   */
   getInterestEarnedForYear(accountName) {
-    return this.getDeposits(
-      accountName,
-      TransactionCategory.Interest
+    return (
+      this.getDeposits(accountName, TransactionCategory.Interest) -
+      this.getWithdrawals(accountName, TransactionCategory.Interest)
+    ).asCurrency();
+  }
+
+  /**
+   * Withdrawals for the year excluding investment losses
+   * @param {ACCOUNT_TYPES} accountType
+   */
+  getWithdrawalsExcludingLosses(accountType) {
+    return (
+      this.getWithdrawals(accountType) -
+      this.getWithdrawals(accountType, TransactionCategory.Interest)
     ).asCurrency();
   }
 
@@ -1,4 +1,6 @@
 import { Account, ACCOUNT_TYPES } from "./cAccount.js";
+import { CostBasisTracker } from "./cCostBasisTracker.js";
+import { COST_BASIS_METHOD } from "./consts.js";
 import { Inputs } from "./cInputs.js";
 import { TransactionManager } from "./cTransactionManager.js";
 import { DateFunctions } from "./utils.js";
@@ -7,11 +9,19 @@ class AccountsManager {
   /** @type {Map<ACCOUNT_TYPES, Account>} */
   #accountsByType;
 
+  /** @type {CostBasisTracker} */
+  #brokerageCostBasis;
+
   /**
    * @param {Map<ACCOUNT_TYPES, Account>} accountsMap - Map of account types to Account instances
+   * @param {CostBasisTracker} [brokerageCostBasis] - Tax lots of the brokerage account
    */
-  constructor(accountsMap) {
+  constructor(
+    accountsMap,
+    brokerageCostBasis = new CostBasisTracker(COST_BASIS_METHOD.PROPORTIONAL)
+  ) {
     this.#accountsByType = new Map(accountsMap);
+    this.#brokerageCostBasis = brokerageCostBasis;
   }
 
   /**
@@ -56,6 +66,18 @@ class AccountsManager {
           interestRate = inputs.savingsInterestRate || 0;
           break;
 
+        // Interest on the brokerage account is price growth; dividends are
+        // credited separately
+        case ACCOUNT_TYPES.BROKERAGE:
+          startingBalance = inputs.brokerageStartingBalance || 0;
+          interestRate = inputs.brokerageGrowthRate || 0;
+          break;
+
+        case ACCOUNT_TYPES.HSA:
+          startingBalance = inputs.hsaStartingBalance || 0;
+          interestRate = inputs.hsaInterestRate || 0;
+          break;
+
         // All other account types default to 0 balance and 0% interest
         default:
           startingBalance = 0;
@@ -74,7 +96,10 @@ class AccountsManager {
       accountsMap.set(accountType, account);
     }
 
-    return new AccountsManager(accountsMap);
+    return new AccountsManager(
+      accountsMap,
+      CostBasisTracker.CreateUsing(inputs)
+    );
   }
 
   /**
@@ -105,6 +130,18 @@ class AccountsManager {
     return this.#getAccountByType(ACCOUNT_TYPES.SAVINGS);
   }
 
+  get brokerage() {
+    return this.#getAccountByType(ACCOUNT_TYPES.BROKERAGE);
+  }
+
+  get brokerageCostBasis() {
+    return this.#brokerageCostBasis;
+  }
+
+  get hsa() {
+    return this.#getAccountByType(ACCOUNT_TYPES.HSA);
+  }
+
   get income() {
     return this.#getAccountByType(ACCOUNT_TYPES.CASH);
   }
@@ -117,6 +154,8 @@ class AccountsManager {
       trad401k: this.subject401k?.toJSON(yyyy),
       rothIra: this.subjectRothIra?.toJSON(yyyy),
       savings: this.savings?.toJSON(yyyy),
+      brokerage: this.brokerage?.toJSON(yyyy),
+      hsa: this.hsa?.toJSON(yyyy),
       income: this.income?.toJSON(yyyy),
     };
   }
@@ -141,7 +180,14 @@ class AccountsManager {
 
   // Utility methods for account group analysis
   getAllAccounts() {
-    return [this.subject401k, this.subjectRothIra, this.savings, this.income];
+    return [
+      this.subject401k,
+      this.subjectRothIra,
+      this.savings,
+      this.brokerage,
+      this.hsa,
+      this.income,
+    ];
   }
 
   /**
@@ -215,6 +261,8 @@ class AccountsManager {
       trad401k: this.subject401k?.endingBalanceForYear(year) ?? 0,
       rothIra: this.subjectRothIra?.endingBalanceForYear(year) ?? 0,
       savings: this.savings?.endingBalanceForYear(year) ?? 0,
+      brokerage: this.brokerage?.endingBalanceForYear(year) ?? 0,
+      hsa: this.hsa?.endingBalanceForYear(year) ?? 0,
       total: this.getTotalBalance(year),
     };
   }
@@ -233,6 +281,10 @@ class AccountsManager {
         switch (accountType) {
           case "SAVINGS":
             return this.savings;
+          case "BROKERAGE":
+            return this.brokerage;
+          case "HSA":
+            return this.hsa;
           case "TRADITIONAL_401K":
             return this.subject401k;
           case "ROTH_IRA":
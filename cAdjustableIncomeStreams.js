@@ -101,8 +101,75 @@ class AdjustableIncomeStreams {
     ).asCurrency();
   }
 
+  get subjectRothConversion() {
+    return this.#accountYear
+      .getWithdrawals(
+        ACCOUNT_TYPES.SUBJECT_401K,
+        TransactionCategory.RothConversion
+      )
+      .asCurrency();
+  }
+
+  get spouseRothConversion() {
+    return this.#accountYear
+      .getWithdrawals(
+        ACCOUNT_TYPES.PARTNER_401K,
+        TransactionCategory.RothConversion
+      )
+      .asCurrency();
+  }
+
+  // Converted amounts are taxed as ordinary income, including any withheld portion
+  get combinedRothConversions() {
+    return (
+      this.subjectRothConversion + this.spouseRothConversion
+    ).asCurrency();
+  }
+
+  get #realizedGains() {
+    return this.#accountYear.brokerageCostBasis.realizedGains(
+      this.#accountYear.taxYear
+    );
+  }
+
+  // Losses offset gains of the other holding period; a net loss is not
+  // deducted or carried forward
+  get shortTermCapitalGains() {
+    const { shortTerm, longTerm } = this.#realizedGains;
+    return Math.max(0, shortTerm + Math.min(longTerm, 0)).asCurrency();
+  }
+
+  get longTermCapitalGains() {
+    const { shortTerm, longTerm } = this.#realizedGains;
+    return Math.max(0, longTerm + Math.min(shortTerm, 0)).asCurrency();
+  }
+
+  get combinedCapitalGains() {
+    return (
+      this.shortTermCapitalGains + this.longTermCapitalGains
+    ).asCurrency();
+  }
+
+  get brokerageWithdrawal() {
+    return this.#accountYear
+      .getWithdrawals(ACCOUNT_TYPES.BROKERAGE, TransactionCategory.CashTransfer)
+      .asCurrency();
+  }
+
+  // HSA money taken for anything but medical expenses is ordinary income
+  get hsaNonQualifiedWithdrawals() {
+    return this.#accountYear
+      .getWithdrawals(ACCOUNT_TYPES.HSA, TransactionCategory.CashTransfer)
+      .asCurrency();
+  }
+
   get grossTaxableIncome() {
-    return this.combined401kGrossWithdrawals;
+    return (
+      this.combined401kGrossWithdrawals +
+      this.combinedRothConversions +
+      this.combinedCapitalGains +
+      this.hsaNonQualifiedWithdrawals
+    ).asCurrency();
   }
 }
 
@@ -0,0 +1,112 @@
+/**
+ * Single-premium immediate annuities bought with a lump sum at a scheduled
+ * age. A purchase from the 401k is a qualified annuity whose payments are
+ * fully taxable; one bought with savings is non-qualified, so part of each
+ * payment is a tax-free return of the premium under the exclusion ratio.
+ */
+
+const ANNUITY_SOURCE_ACCOUNTS = Object.freeze({
+  TRAD_401K: "401k",
+  SAVINGS: "savings",
+});
+
+// IRS Publication 939 Table V (ordinary life annuities, one life) expected
+// return multiples, indexed by age at the annuity starting date from 50 to 90
+const EXPECTED_RETURN_FIRST_AGE = 50;
+const EXPECTED_RETURN_MULTIPLES = [
+  33.1, 32.2, 31.3, 30.4, 29.5, 28.6, 27.7, 26.8, 25.9, 25.0, 24.2, 23.3, 22.5,
+  21.6, 20.8, 20.0, 19.2, 18.4, 17.6, 16.8, 16.0, 15.3, 14.6, 13.9, 13.2, 12.5,
+  11.9, 11.2, 10.6, 10.0, 9.5, 8.9, 8.4, 7.9, 7.4, 6.9, 6.5, 6.1, 5.7, 5.3, 5.0,
+];
+
+/**
+ * @typedef {object} AnnuityPurchaseTerms
+ * @property {"401k"|"savings"} sourceAccount
+ * @property {number} premium - Lump sum moved out of the source account
+ * @property {number} payoutRate - Yearly payments as a share of the premium
+ */
+
+/**
+ * @typedef {object} AnnuityPurchaseRecord
+ * @property {string} id - Id of the PensionAnnuity that was bought
+ * @property {string} name
+ * @property {"subject"|"partner"} owner
+ * @property {"401k"|"savings"} sourceAccount
+ * @property {number} premium - Amount actually paid, capped at the source balance
+ */
+
+class AnnuityPurchase {
+  /**
+   * @param {AnnuityPurchaseTerms} purchase
+   * @returns {boolean}
+   */
+  static isQualified(purchase) {
+    return purchase.sourceAccount === ANNUITY_SOURCE_ACCOUNTS.TRAD_401K;
+  }
+
+  /**
+   * @param {number} premium
+   * @param {number} payoutRate
+   * @returns {number}
+   */
+  static monthlyPayment(premium, payoutRate) {
+    return (premium * payoutRate) / 12;
+  }
+
+  /**
+   * @param {number} age - Age at the annuity starting date
+   * @returns {number}
+   */
+  static expectedReturnMultiple(age) {
+    const index = Math.min(
+      EXPECTED_RETURN_MULTIPLES.length - 1,
+      Math.max(0, Math.floor(age) - EXPECTED_RETURN_FIRST_AGE)
+    );
+    return EXPECTED_RETURN_MULTIPLES[index];
+  }
+
+  /**
+   * Share of each payment that returns the premium tax-free: the premium
+   * over the expected return (yearly payments times the Table V multiple).
+   *
+   * @param {number} premium
+   * @param {number} annualPayment
+   * @param {number} startAge
+   * @returns {number}
+   */
+  static exclusionRatio(premium, annualPayment, startAge) {
+    const expectedReturn =
+      annualPayment * AnnuityPurchase.expectedReturnMultiple(startAge);
+    if (expectedReturn <= 0) return 0;
+
+    return Math.min(1, premium / expectedReturn);
+  }
+
+  /**
+   * Tax-free part of the year's payments on a non-qualified annuity. Once
+   * the whole premium has been recovered every later payment is taxable.
+   *
+   * @param {AnnuityPurchaseTerms} purchase
+   * @param {number} premium - Amount actually paid
+   * @param {number} startAge
+   * @param {number} yearsPaid - Full years of payments before this one
+   * @param {number} annualGross - This year's payments
+   * @returns {number}
+   */
+  static excludedAmount(purchase, premium, startAge, yearsPaid, annualGross) {
+    if (AnnuityPurchase.isQualified(purchase) || annualGross <= 0) return 0;
+
+    const annualPayment =
+      AnnuityPurchase.monthlyPayment(premium, purchase.payoutRate) * 12;
+    const ratio = AnnuityPurchase.exclusionRatio(
+      premium,
+      annualPayment,
+      startAge
+    );
+    const recovered = ratio * annualPayment * yearsPaid;
+
+    return Math.max(0, Math.min(ratio * annualGross, premium - recovered));
+  }
+}
+
+export { AnnuityPurchase, ANNUITY_SOURCE_ACCOUNTS };
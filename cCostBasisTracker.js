@@ -0,0 +1,199 @@
+import { COST_BASIS_METHOD } from "./consts.js";
+import { Inputs } from "./cInputs.js";
+
+/**
+ * @typedef {object} TaxLot
+ * @property {number} year - Tax year the lot was bought (dividends are reinvested at year end)
+ * @property {number} basis - Cost basis left in the lot
+ * @property {number} value - Market value of the lot
+ */
+
+/**
+ * @typedef {object} RealizedGains
+ * @property {number} proceeds - Market value sold
+ * @property {number} basis - Cost basis of what was sold
+ * @property {number} shortTerm - Gain (or loss) on lots bought in the year of the sale
+ * @property {number} longTerm - Gain (or loss) on lots held past the year they were bought
+ */
+
+/**
+ * Tax lots of the taxable brokerage account. The account's ledger holds the
+ * balance; the tracker follows it with cost basis so sales can report the
+ * gains they realize. Lots keep their share of market value as the account
+ * grows or shrinks, so a lot's gain is value minus basis.
+ */
+class CostBasisTracker {
+  /** @type {string} */
+  #method;
+
+  /** @type {TaxLot[]} */
+  #lots = [];
+
+  /** @type {Map<number, RealizedGains>} */
+  #realizedByYear = new Map();
+
+  /**
+   * @param {string} method - One of COST_BASIS_METHOD
+   */
+  constructor(method) {
+    if (!Object.values(COST_BASIS_METHOD).includes(method)) {
+      throw new Error(`Unknown cost basis method: ${method}`);
+    }
+    this.#method = method;
+  }
+
+  get method() {
+    return this.#method;
+  }
+
+  /** @returns {TaxLot[]} */
+  get lots() {
+    return this.#lots.map((lot) => ({ ...lot }));
+  }
+
+  get value() {
+    return this.#lots.reduce((sum, lot) => sum + lot.value, 0);
+  }
+
+  get basis() {
+    return this.#lots.reduce((sum, lot) => sum + lot.basis, 0);
+  }
+
+  get unrealizedGain() {
+    return this.value - this.basis;
+  }
+
+  /**
+   * @param {number} year
+   * @param {number} amount - Market value bought
+   * @param {number} [basis] - Defaults to the amount paid
+   */
+  buy(year, amount, basis = amount) {
+    if (amount <= 0) return;
+    this.#lots.push({ year, basis: Math.max(basis, 0), value: amount });
+  }
+
+  /**
+   * Spreads the account's market value across the lots in proportion to what
+   * each is worth now.
+   * @param {number} marketValue
+   */
+  revalue(marketValue) {
+    const total = this.value;
+    if (total <= 0) return;
+
+    const factor = Math.max(marketValue, 0) / total;
+    for (const lot of this.#lots) {
+      lot.value *= factor;
+    }
+  }
+
+  /**
+   * Sells lots in the order the method calls for and records the gains
+   * against the tax year.
+   * @param {number} year
+   * @param {number} amount - Market value to sell
+   * @returns {RealizedGains}
+   */
+  sell(year, amount) {
+    /** @type {RealizedGains} */
+    const sale = { proceeds: 0, basis: 0, shortTerm: 0, longTerm: 0 };
+
+    let remaining = Math.min(Math.max(amount, 0), this.value);
+    if (remaining <= 0) return sale;
+
+    if (this.#method === COST_BASIS_METHOD.PROPORTIONAL) {
+      const share = remaining / this.value;
+      for (const lot of this.#lots) {
+        this.#sellFromLot(lot, lot.value * share, year, sale);
+      }
+    } else {
+      for (const lot of this.#lotsInSaleOrder()) {
+        if (remaining <= 0) break;
+        const sold = Math.min(lot.value, remaining);
+        this.#sellFromLot(lot, sold, year, sale);
+        remaining -= sold;
+      }
+    }
+
+    this.#lots = this.#lots.filter((lot) => lot.value > 0.005);
+
+    const soFar = this.realizedGains(year);
+    this.#realizedByYear.set(year, {
+      proceeds: soFar.proceeds + sale.proceeds,
+      basis: soFar.basis + sale.basis,
+      shortTerm: soFar.shortTerm + sale.shortTerm,
+      longTerm: soFar.longTerm + sale.longTerm,
+    });
+
+    return sale;
+  }
+
+  /**
+   * @param {number} year
+   * @returns {RealizedGains}
+   */
+  realizedGains(year) {
+    return (
+      this.#realizedByYear.get(year) ?? {
+        proceeds: 0,
+        basis: 0,
+        shortTerm: 0,
+        longTerm: 0,
+      }
+    );
+  }
+
+  /**
+   * @param {TaxLot} lot
+   * @param {number} amount
+   * @param {number} year
+   * @param {RealizedGains} sale
+   */
+  #sellFromLot(lot, amount, year, sale) {
+    if (amount <= 0 || lot.value <= 0) return;
+
+    const basis = lot.basis * (amount / lot.value);
+    lot.basis -= basis;
+    lot.value -= amount;
+
+    sale.proceeds += amount;
+    sale.basis += basis;
+    if (lot.year >= year) {
+      sale.shortTerm += amount - basis;
+    } else {
+      sale.longTerm += amount - basis;
+    }
+  }
+
+  /** @returns {TaxLot[]} */
+  #lotsInSaleOrder() {
+    const lots = [...this.#lots];
+    if (this.#method === COST_BASIS_METHOD.HIFO) {
+      // Highest basis per dollar of value realizes the least gain
+      const costRatio = (/** @type {TaxLot} */ lot) =>
+        lot.value > 0 ? lot.basis / lot.value : 0;
+      lots.sort((a, b) => costRatio(b) - costRatio(a));
+    } else {
+      lots.sort((a, b) => a.year - b.year);
+    }
+    return lots;
+  }
+
+  /**
+   * Opening lot for the brokerage balance held when the plan starts
+   * @param {Inputs} inputs
+   * @returns {CostBasisTracker}
+   */
+  static CreateUsing(inputs) {
+    const tracker = new CostBasisTracker(inputs.costBasisMethod);
+    tracker.buy(
+      inputs.startingYear - 1,
+      inputs.brokerageStartingBalance,
+      inputs.brokerageCostBasis
+    );
+    return tracker;
+  }
+}
+
+export { CostBasisTracker };
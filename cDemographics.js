@@ -1,4 +1,12 @@
 import { Inputs } from "./cInputs.js";
+import { constsJS_FILING_STATUS } from "./consts.js";
+
+// Age at which the additional standard deduction and senior deduction apply
+const SENIOR_DEDUCTION_AGE = 65;
+
+// Tax years after a spouse's death that a survivor with a dependent may file
+// as a qualifying surviving spouse
+const QUALIFYING_SURVIVING_SPOUSE_YEARS = 2;
 
 class Demographics {
   /**
@@ -11,6 +19,7 @@ class Demographics {
    * @param {number} currentYear
    * @param {number} yearIndex
    * @param {string} preferredFilingStatus
+   * @param {boolean} hasQualifyingDependent
    */
   constructor(
     currentAge,
@@ -28,7 +37,8 @@ class Demographics {
     partnerPenStartAge = Number.MAX_VALUE,
     partner401kStartAge = Number.MAX_VALUE,
     partnerLifeSpan = Number.MIN_VALUE,
-    preferredFilingStatus = "single"
+    preferredFilingStatus = "single",
+    hasQualifyingDependent = false
   ) {
     this.currentAge = currentAge;
     this.ssStartAge = ssStartAge;
@@ -51,17 +61,70 @@ class Demographics {
       : Number.MAX_VALUE;
     this.partnerLifeSpan = hasPartner ? partnerLifeSpan : Number.MIN_VALUE;
     this.preferredFilingStatus = preferredFilingStatus;
+    this.hasQualifyingDependent = hasQualifyingDependent;
     this._description = `Retirement Year ${yearIndex + 1} (Age ${this.currentAge}) (Year ${this.retirementYear})`;
   }
 
+  get subjectBirthYear() {
+    return this.retirementYear - this.currentAge;
+  }
+
+  get partnerBirthYear() {
+    return this.retirementYear - this.currentAgeOfPartner;
+  }
+
   get filingStatus() {
     if (this.hasPartner && !this.isWidowed) {
       return this.preferredFilingStatus;
+    } else if (!this.hasQualifyingDependent) {
+      return constsJS_FILING_STATUS.SINGLE;
+    } else if (
+      this.isWidowed &&
+      this.yearsWidowed <= QUALIFYING_SURVIVING_SPOUSE_YEARS
+    ) {
+      return constsJS_FILING_STATUS.QUALIFYING_SURVIVING_SPOUSE;
     } else {
-      return "single";
+      return constsJS_FILING_STATUS.HEAD_OF_HOUSEHOLD;
     }
   }
 
+  /**
+   * Tax years since the year the first spouse died (1 = the year after)
+   */
+  get yearsWidowed() {
+    if (!this.isWidowed) return 0;
+    return this.subjectIsLiving
+      ? this.currentAgeOfPartner - this.partnerLifeSpan
+      : this.currentAge - this.subjectLifeSpan;
+  }
+
+  /**
+   * Ages of the people on this year's return. A spouse only counts on a
+   * joint return or as the survivor.
+   * @returns {number[]}
+   */
+  get filerAges() {
+    /** @type {number[]} */
+    const ages = [];
+    if (this.subjectIsLiving) ages.push(this.currentAge);
+
+    const partnerOnReturn =
+      this.hasPartner &&
+      this.partnerIsLiving &&
+      (!this.subjectIsLiving ||
+        this.filingStatus === constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY);
+    if (partnerOnReturn) ages.push(this.currentAgeOfPartner);
+
+    return ages;
+  }
+
+  /**
+   * People on this year's return who are 65 or older
+   */
+  get filersAge65OrOlder() {
+    return this.filerAges.filter((age) => age >= SENIOR_DEDUCTION_AGE).length;
+  }
+
   get subjectIsLiving() {
     const isLiving = this.currentAge <= this.subjectLifeSpan;
     return isLiving;
@@ -145,7 +208,8 @@ class Demographics {
       inputs.partnerPenStartAge,
       inputs.partner401kStartAge,
       inputs.partnerLifeSpan,
-      inputs.filingStatus
+      inputs.filingStatus,
+      inputs.hasQualifyingDependent
     );
   }
 }
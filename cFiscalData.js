@@ -1,5 +1,10 @@
+import { HealthcareCosts } from "./cHealthcareCosts.js";
 import { Inputs } from "./cInputs.js";
 
+/**
+ * @typedef {import("./cTaxLawRegistry.js").TaxLawSettings} TaxLawSettings
+ */
+
 class FiscalData {
   /**
    * @param {number} inflationRate
@@ -19,6 +24,8 @@ class FiscalData {
    * @param {number} startingYear
    * @param {number} spendingBasisYear
    * @param {number} spendingDecline
+   * @param {TaxLawSettings | null} [taxLaw]
+   * @param {number} [healthcareExpense] - Healthcare spending for the year, on top of spend
  
    */
   constructor(
@@ -38,7 +45,9 @@ class FiscalData {
     flatTrad401kWithholdingRate,
     startingYear,
     spendingBasisYear,
-    spendingDecline
+    spendingDecline,
+    taxLaw = null,
+    healthcareExpense = 0
   ) {
     this._description = "Fiscal Year Data";
     this.inflationRate = inflationRate;
@@ -59,6 +68,25 @@ class FiscalData {
     this.flatTrad401kWithholdingRate = flatTrad401kWithholdingRate;
     this.spendingBasisYear = spendingBasisYear;
     this.speningTaperRate = spendingDecline;
+    this.taxLaw = taxLaw;
+    this.healthcareExpense = healthcareExpense;
+    /** Portion of the healthcare expense already paid from the HSA */
+    this.healthcarePaidFromHsa = 0;
+    /** Medicare Part B/D premiums, set by the retirement year calculator */
+    this.medicarePremiums = 0;
+    /** Marketplace premiums before Medicare, set by the retirement year calculator */
+    this.acaPremiums = 0;
+  }
+
+  /**
+   * Healthcare spending still to be funded after the HSA has paid its share.
+   * @returns {number}
+   */
+  get healthcareOutOfPocket() {
+    return Math.max(
+      0,
+      this.healthcareExpense - this.healthcarePaidFromHsa
+    ).asCurrency();
   }
 
   // Method to get account usage flags
@@ -129,7 +157,9 @@ class FiscalData {
       inputs.flatCareerTrad401kWithholdingRate,
       inputs.startingYear,
       inputs.spendingBasisYear,
-      inputs.spendingDecline
+      inputs.spendingDecline,
+      inputs.taxLaw,
+      HealthcareCosts.CreateUsing(inputs).total
       // inputs.retirementYearSpendingOverride,
       // inputs.retirementYearTaxableIncomeOverride,
       // inputs.retirementYearTaxFreeIncomeOverride
@@ -5,6 +5,11 @@ import { Inputs } from "./cInputs.js";
 import {
   EMPLOYEE_401K_CATCHUP_50,
   EMPLOYEE_401K_LIMIT_2025,
+  HSA_CATCHUP_55,
+  HSA_COVERAGE,
+  HSA_LIMIT_FAMILY_2025,
+  HSA_LIMIT_SELF_2025,
+  HSA_MEDICARE_AGE,
 } from "./consts.js";
 import { TransactionCategory } from "./cTransaction.js";
 
@@ -159,7 +164,41 @@ class FixedIncomeCareerStreams {
 
   get subjectWagesAndCompensationNonTaxable() {
     return (
-      this.subjectAllowed401kContribution + this.subjectPayrollDeductions
+      this.subjectAllowed401kContribution +
+      this.subjectAllowedHsaContribution +
+      this.subjectPayrollDeductions
+    ).asCurrency();
+  }
+
+  /**
+   * Pre-tax payroll contribution to the HSA, capped at the self-only or family
+   * limit (indexed from 2025) plus the 55+ catch-up. Contributions stop at
+   * Medicare enrollment.
+   *
+   * @returns {number}
+   */
+  get subjectAllowedHsaContribution() {
+    if (
+      this.#inputs.hsaCoverage === HSA_COVERAGE.NONE ||
+      this.#demographics.currentAge >= HSA_MEDICARE_AGE ||
+      this.subjectWagesAndCompensationGross <= 0
+    ) {
+      return 0;
+    }
+
+    const baseLimit =
+      this.#inputs.hsaCoverage === HSA_COVERAGE.FAMILY
+        ? HSA_LIMIT_FAMILY_2025
+        : HSA_LIMIT_SELF_2025;
+    const limit =
+      baseLimit.adjustedForInflation(
+        this.#inputs.inflationRate,
+        this.#inputs.currentYear - 2025
+      ) + (this.#demographics.currentAge >= 55 ? HSA_CATCHUP_55 : 0);
+
+    return Math.min(
+      Math.max(this.#inputs.hsaAnnualContribution, 0),
+      limit
     ).asCurrency();
   }
 
@@ -220,6 +259,7 @@ class FixedIncomeCareerStreams {
       this.subjectWagesAndCompensationGross -
       this.subjectWagesAndCompensationEstimatedWithholdings -
       this.subjectAllowed401kContribution -
+      this.subjectAllowedHsaContribution -
       this.subjectPayrollDeductions
     ).asCurrency();
   }
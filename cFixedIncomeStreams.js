@@ -3,9 +3,14 @@ import { AccountingYear } from "./cAccountingYear.js";
 import { Demographics } from "./cDemographics.js";
 import { FixedIncomeCareerStreams } from "./cFixedIncomeCareerStreams.js";
 import { FixedIncomeRetirementStreams } from "./cFixedIncomeRetirementStreams.js";
+import { AnnuityPurchase } from "./cAnnuityPurchase.js";
 import { Inputs } from "./cInputs.js";
+import { ANNUITY_ELECTION, PensionElections } from "./cPensionElections.js";
+import { SsClaiming } from "./cSsClaiming.js";
 import { TransactionCategory } from "./cTransaction.js";
 
+const EARNINGS_TEST_TABLE_YEAR = 2025;
+
 class FixedIncomeStreams {
   /** @type {AccountingYear} */
   #accountYear;
@@ -61,18 +66,7 @@ class FixedIncomeStreams {
   get subjectPensionGross() {
     let pension = this.#inputs.pensionAnnuities
       .filter((p) => p.owner === "subject")
-      .reduce((acc, p) => {
-        let annualPension =
-          this.#demographics.currentAge >= p.startAge
-            ? p.monthlyAmount * 12
-            : 0;
-
-        if (!this.#demographics.subjectIsLiving) {
-          annualPension *= p.survivorshipPercent;
-        }
-
-        return acc + annualPension;
-      }, 0);
+      .reduce((acc, p) => acc + this.#pensionAnnualGross(p), 0);
 
     return pension.asCurrency();
   }
@@ -80,22 +74,19 @@ class FixedIncomeStreams {
   get subjectPensionWithholdings() {
     let withholdings = this.#inputs.pensionAnnuities
       .filter((p) => p.owner === "subject")
-      .reduce((acc, p) => {
-        let annualPension =
-          this.#demographics.currentAge >= p.startAge
-            ? p.monthlyAmount * 12 * p.withholdingRate
-            : 0;
-
-        if (!this.#demographics.subjectIsLiving) {
-          annualPension *= p.survivorshipPercent;
-        }
-
-        return acc + annualPension;
-      }, 0);
+      .reduce(
+        (acc, p) => acc + this.#pensionAnnualGross(p) * p.withholdingRate,
+        0
+      );
 
     return withholdings.asCurrency();
   }
 
+  /** Pension lump sums rolled into the subject's 401k this year */
+  get subjectPensionLumpSumRollover() {
+    return this.#pensionLumpSumRollover("subject");
+  }
+
   get subjectPensionActualIncome() {
     return this.subjectPensionGross - this.subjectPensionWithholdings;
   }
@@ -103,12 +94,137 @@ class FixedIncomeStreams {
   get subjectSsGross() {
     if (!this.#demographics.subjectIsLiving) return 0;
 
-    let ssGross = this.#inputs.subjectSs;
-    if (!this.#demographics.partnerIsLiving) {
-      ssGross = Math.max(ssGross, this.#inputs.partnerSs);
-    }
+    return (
+      this.#subjectSsBeforeEarningsTest - this.subjectSsEarningsTestWithheld
+    ).asCurrency();
+  }
+
+  get #subjectSsBeforeEarningsTest() {
+    return this.#subjectSsBeforeCut * this.#inputs.ssBenefitCutFactor;
+  }
+
+  get #subjectSsBeforeCut() {
+    return (
+      this.#inputs.subjectSs +
+      this.subjectSsSpousalTopUp +
+      this.subjectSsSurvivorStepUp
+    );
+  }
+
+  /**
+   * Benefits lost to a trust fund shortfall cut
+   */
+  get subjectSsTrustFundCut() {
+    if (!this.#demographics.subjectIsLiving) return 0;
+
+    return (
+      this.#subjectSsBeforeCut *
+      (1 - this.#inputs.ssBenefitCutFactor)
+    ).asCurrency();
+  }
+
+  /**
+   * Benefits withheld because the subject's wages exceed the earnings test
+   */
+  get subjectSsEarningsTestWithheld() {
+    return this.#subjectSsEarningsTest.amount.asCurrency();
+  }
+
+  get subjectSsEarningsTestMonths() {
+    return this.#subjectSsEarningsTest.months;
+  }
+
+  get #subjectSsEarningsTest() {
+    if (!this.#demographics.subjectIsLiving) return { amount: 0, months: 0 };
+
+    return SsClaiming.earningsTestWithholding(
+      this.#inputs.subjectSsClaim,
+      this.#demographics.currentAge,
+      this.#subjectSsBeforeEarningsTest,
+      this.#demographics.isWorking
+        ? this.#careerStreams.subjectWagesAndCompensationGross
+        : this.#retirementStreams.subjectWagesAndCompensationGross,
+      this.#earningsTestIndexFactor
+    );
+  }
+
+  /**
+   * Growth in the earnings test exempt amounts since 2025, at inflation
+   */
+  get #earningsTestIndexFactor() {
+    return (
+      (1 + this.#inputs.inflationRate) **
+      Math.max(0, this.#inputs.currentYear - EARNINGS_TEST_TABLE_YEAR)
+    );
+  }
 
-    return ssGross.asCurrency();
+  /**
+   * Spousal benefit on top of the subject's own, from the partner's PIA
+   */
+  get subjectSsSpousalTopUp() {
+    const d = this.#demographics;
+    if (!d.hasPartner || !d.spouseIsLiving) return 0;
+
+    return SsClaiming.spousalTopUp(
+      this.#inputs.subjectSsClaim,
+      this.#inputs.partnerSsClaim,
+      d.currentAge,
+      d.currentAgeOfPartner,
+      this.#inputs.yearIndex,
+      this.#inputs.ssCola
+    ).asCurrency();
+  }
+
+  /**
+   * What the subject gains by switching to a survivor benefit once widowed
+   */
+  get subjectSsSurvivorStepUp() {
+    const d = this.#demographics;
+    if (!d.hasPartner || !d.subjectIsLiving || d.partnerIsLiving) return 0;
+
+    return this.#survivorStepUp(
+      this.#inputs.subjectSs,
+      this.#inputs.subjectSsClaim,
+      this.#inputs.partnerSsClaim,
+      d.currentAge,
+      d.partnerLifeSpan,
+      this.#inputs.partnerSs
+    );
+  }
+
+  /**
+   * Survivors take the larger of their own benefit and one based on the
+   * deceased's record. Without a PIA for the deceased, the benefit they
+   * would be receiving this year is used as is.
+   * @param {number} ownBenefit
+   * @param {import("./cSsClaiming.js").SsClaim} survivor
+   * @param {import("./cSsClaiming.js").SsClaim} deceased
+   * @param {number} age - Of the survivor
+   * @param {number} deathAge - Deceased's age in the year they died
+   * @param {number} deceasedBenefit - Deceased's entered benefit this year
+   */
+  #survivorStepUp(
+    ownBenefit,
+    survivor,
+    deceased,
+    age,
+    deathAge,
+    deceasedBenefit
+  ) {
+    const survivorBenefit =
+      deceased.pia > 0
+        ? SsClaiming.survivorBenefit(
+            survivor,
+            deceased,
+            age,
+            age - this.#demographics.yearsWidowed + 1,
+            deathAge,
+            this.#inputs.yearIndex,
+            this.#inputs.ssCola
+          )
+        : deceasedBenefit;
+
+    return Math.max(0, survivorBenefit - ownBenefit).asCurrency();
   }
 
   get subjectSsWithholdings() {
@@ -121,44 +237,26 @@ class FixedIncomeStreams {
     return this.subjectSsGross - this.subjectSsWithholdings;
   }
 
-
   /** @returns {import("./cPensionAnnuityStorage.js").PensionAnnuityBreakdown[]} */
-  get pensionAnnunityBreakdowns(){
-    const breakdown = this.#inputs.pensionAnnuities.map(p=>{
-      let eligible = false;
-      let isLiving = false;
-      switch(p.owner){
-        case "partner":
-          eligible = this.#demographics.currentAgeOfPartner >= p.startAge;
-          isLiving = this.#demographics.partnerIsLiving;
-          break;
-        case "subject":
-          eligible = this.#demographics.currentAge >= p.startAge;
-          isLiving = this.#demographics.subjectIsLiving;
-          break;
-      }
-
-      let grossAmount =
-        eligible
-          ? p.monthlyAmount * 12
-          : 0;
-
-      if (!isLiving) {
-        grossAmount *= p.survivorshipPercent;
-      }
+  get pensionAnnunityBreakdowns() {
+    const breakdown = this.#inputs.pensionAnnuities.map((p) => {
+      let grossAmount = this.#pensionAnnualGross(p);
 
+      let taxableAmount = grossAmount - this.#pensionTaxExclusion(p);
       let withholdingsAmount = grossAmount * p.withholdingRate;
       let takehomeAmount = grossAmount - withholdingsAmount;
 
       return {
+        id: p.id,
         owner: p.owner === "partner" ? "Partner" : "Subject",
         name: p.name,
+        election: PensionElections.elected(this.#pricedPension(p)).label,
         withholdingRate: p.withholdingRate,
         grossAmount,
+        taxableAmount,
         withholdingsAmount,
-        takehomeAmount
-      }
-
+        takehomeAmount,
+      };
     });
 
     return breakdown;
@@ -167,18 +265,7 @@ class FixedIncomeStreams {
   get partnerPensionGross() {
     let pension = this.#inputs.pensionAnnuities
       .filter((p) => p.owner === "partner")
-      .reduce((acc, p) => {
-        let annualPension =
-          this.#demographics.currentAgeOfPartner >= p.startAge
-            ? p.monthlyAmount * 12
-            : 0;
-
-        if (!this.#demographics.partnerIsLiving) {
-          annualPension *= p.survivorshipPercent;
-        }
-
-        return acc + annualPension;
-      }, 0);
+      .reduce((acc, p) => acc + this.#pensionAnnualGross(p), 0);
 
     return pension.asCurrency();
   }
@@ -186,20 +273,137 @@ class FixedIncomeStreams {
   get partnerPensionWithholdings() {
     let withholdings = this.#inputs.pensionAnnuities
       .filter((p) => p.owner === "partner")
-      .reduce((acc, p) => {
-        let withholdings =
-          this.#demographics.currentAgeOfPartner >= p.startAge
-            ? p.monthlyAmount * 12 * p.withholdingRate
-            : 0;
+      .reduce(
+        (acc, p) => acc + this.#pensionAnnualGross(p) * p.withholdingRate,
+        0
+      );
 
-        if (!this.#demographics.partnerIsLiving) {
-          withholdings *= p.survivorshipPercent;
-        }
+    return withholdings.asCurrency();
+  }
 
-        return acc + withholdings;
-      }, 0);
+  /** Pension lump sums rolled into the partner's 401k this year */
+  get partnerPensionLumpSumRollover() {
+    return this.#pensionLumpSumRollover("partner");
+  }
 
-    return withholdings.asCurrency();
+  /**
+   * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} p
+   * @returns {number}
+   */
+  #pensionAnnualGross(p) {
+    const ownerAge = this.#ownerAge(p.owner);
+
+    return PensionElections.annualGross(
+      this.#pricedPension(p),
+      ownerAge,
+      this.#ownerIsLiving(p.owner),
+      this.#inputs.inflationRatesForPastYears(ownerAge - p.startAge)
+    );
+  }
+
+  /**
+   * Purchased annuities pay the premium actually paid times the payout
+   * rate and have no other elections.
+   *
+   * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} p
+   * @returns {import("./cPensionAnnuityStorage.js").PensionAnnuity}
+   */
+  #pricedPension(p) {
+    if (!p.purchase) return p;
+
+    return {
+      ...p,
+      monthlyAmount: AnnuityPurchase.monthlyPayment(
+        this.#annuityPremium(p),
+        p.purchase.payoutRate
+      ),
+      jointSurvivorOptions: [],
+      lumpSumAmount: 0,
+      election: ANNUITY_ELECTION,
+    };
+  }
+
+  /**
+   * A scenario starting past the purchase age treats the scheduled premium
+   * as already paid.
+   *
+   * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} p
+   * @returns {number}
+   */
+  #annuityPremium(p) {
+    return this.#inputs.annuityPremiumsPaid[p.id] ?? p.purchase?.premium ?? 0;
+  }
+
+  /**
+   * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} p
+   * @returns {number}
+   */
+  #pensionTaxExclusion(p) {
+    if (!p.purchase) return 0;
+
+    return AnnuityPurchase.excludedAmount(
+      p.purchase,
+      this.#annuityPremium(p),
+      p.startAge,
+      this.#ownerAge(p.owner) - p.startAge,
+      this.#pensionAnnualGross(p)
+    );
+  }
+
+  /**
+   * @param {"subject"|"partner"} owner
+   * @returns {number}
+   */
+  #pensionLumpSumRollover(owner) {
+    return this.#inputs.pensionAnnuities
+      .filter((p) => p.owner === owner)
+      .reduce(
+        (acc, p) =>
+          acc +
+          PensionElections.lumpSumRollover(
+            this.#pricedPension(p),
+            this.#ownerAge(owner),
+            this.#ownerIsLiving(owner)
+          ),
+        0
+      )
+      .asCurrency();
+  }
+
+  /**
+   * Annuities scheduled to be bought this year, before the balance check
+   * on the source account
+   *
+   * @returns {import("./cPensionAnnuityStorage.js").PensionAnnuity[]}
+   */
+  get annuityPurchasesDue() {
+    return this.#inputs.pensionAnnuities.filter(
+      (p) =>
+        p.purchase &&
+        p.purchase.premium > 0 &&
+        this.#ownerIsLiving(p.owner) &&
+        this.#ownerAge(p.owner) === p.startAge
+    );
+  }
+
+  /**
+   * @param {"subject"|"partner"} owner
+   * @returns {number}
+   */
+  #ownerAge(owner) {
+    return owner === "partner"
+      ? this.#demographics.currentAgeOfPartner
+      : this.#demographics.currentAge;
+  }
+
+  /**
+   * @param {"subject"|"partner"} owner
+   * @returns {boolean}
+   */
+  #ownerIsLiving(owner) {
+    return owner === "partner"
+      ? this.#demographics.partnerIsLiving
+      : this.#demographics.subjectIsLiving;
   }
 
   get partnerPensionActualIncome() {
@@ -209,13 +413,92 @@ class FixedIncomeStreams {
   get partnerSsGross() {
     if (!this.#demographics.partnerIsLiving) return 0;
 
-    let ssGross = this.#inputs.partnerSs;
-    if (!this.#demographics.subjectIsLiving) {
-      // Take the higher of the two SS benefits
-      ssGross = Math.max(ssGross, this.#inputs.subjectSs);
-    }
+    return (
+      this.#partnerSsBeforeEarningsTest - this.partnerSsEarningsTestWithheld
+    ).asCurrency();
+  }
+
+  get #partnerSsBeforeEarningsTest() {
+    return this.#partnerSsBeforeCut * this.#inputs.ssBenefitCutFactor;
+  }
 
-    return ssGross.asCurrency();
+  get #partnerSsBeforeCut() {
+    return (
+      this.#inputs.partnerSs +
+      this.partnerSsSpousalTopUp +
+      this.partnerSsSurvivorStepUp
+    );
+  }
+
+  /**
+   * Benefits lost to a trust fund shortfall cut
+   */
+  get partnerSsTrustFundCut() {
+    if (!this.#demographics.partnerIsLiving) return 0;
+
+    return (
+      this.#partnerSsBeforeCut *
+      (1 - this.#inputs.ssBenefitCutFactor)
+    ).asCurrency();
+  }
+
+  /**
+   * Benefits withheld because the partner's wages exceed the earnings test
+   */
+  get partnerSsEarningsTestWithheld() {
+    return this.#partnerSsEarningsTest.amount.asCurrency();
+  }
+
+  get partnerSsEarningsTestMonths() {
+    return this.#partnerSsEarningsTest.months;
+  }
+
+  get #partnerSsEarningsTest() {
+    if (!this.#demographics.partnerIsLiving) return { amount: 0, months: 0 };
+
+    return SsClaiming.earningsTestWithholding(
+      this.#inputs.partnerSsClaim,
+      this.#demographics.currentAgeOfPartner,
+      this.#partnerSsBeforeEarningsTest,
+      this.#demographics.isWorking
+        ? this.#careerStreams.partnerWagesAndCompensationGross
+        : this.#retirementStreams.partnerWagesAndCompensationGross,
+      this.#earningsTestIndexFactor
+    );
+  }
+
+  /**
+   * Spousal benefit on top of the partner's own, from the subject's PIA
+   */
+  get partnerSsSpousalTopUp() {
+    const d = this.#demographics;
+    if (!d.hasPartner || !d.spouseIsLiving) return 0;
+
+    return SsClaiming.spousalTopUp(
+      this.#inputs.partnerSsClaim,
+      this.#inputs.subjectSsClaim,
+      d.currentAgeOfPartner,
+      d.currentAge,
+      this.#inputs.yearIndex,
+      this.#inputs.ssCola
+    ).asCurrency();
+  }
+
+  /**
+   * What the partner gains by switching to a survivor benefit once widowed
+   */
+  get partnerSsSurvivorStepUp() {
+    const d = this.#demographics;
+    if (!d.hasPartner || !d.partnerIsLiving || d.subjectIsLiving) return 0;
+
+    return this.#survivorStepUp(
+      this.#inputs.partnerSs,
+      this.#inputs.partnerSsClaim,
+      this.#inputs.subjectSsClaim,
+      d.currentAgeOfPartner,
+      d.subjectLifeSpan,
+      this.#inputs.subjectSs
+    );
   }
 
   get partnerSsWithholdings() {
@@ -303,6 +586,22 @@ class FixedIncomeStreams {
     return result.asCurrency();
   }
 
+  get brokerageDividends() {
+    const result =
+      this.#accountYear?.getDeposits(
+        ACCOUNT_TYPES.BROKERAGE,
+        TransactionCategory.Dividend
+      ) ?? 0;
+    return result.asCurrency();
+  }
+
+  // Qualified dividends are taxed at capital gains rates
+  get qualifiedDividends() {
+    return (
+      this.brokerageDividends * this.#inputs.brokerageQualifiedDividendRatio
+    ).asCurrency();
+  }
+
   get #wagesAndCompensationTaxable() {
     return this.#demographics.isWorking
       ? this.#careerStreams.combinedWagesAndCompensationTaxable
@@ -312,10 +611,11 @@ class FixedIncomeStreams {
   get grossTaxableIncome() {
     const result =
       this.combinedSsGross +
-      this.combinedPensionGross +
+      this.combinedPensionTaxable +
       this.miscTaxableIncome +
       this.#wagesAndCompensationTaxable +
       this.interestEarnedOnSavings +
+      this.brokerageDividends +
       0;
     return result.asCurrency();
   }
@@ -323,8 +623,9 @@ class FixedIncomeStreams {
   get taxableIncome() {
     const result =
       this.#wagesAndCompensationTaxable +
-      this.combinedPensionGross +
+      this.combinedPensionTaxable +
       this.interestEarnedOnSavings +
+      this.brokerageDividends +
       this.miscTaxableIncome +
       this.combinedSsGross;
     return result.asCurrency();
@@ -358,6 +659,21 @@ class FixedIncomeStreams {
     return result.asCurrency();
   }
 
+  /** Return of premium on non-qualified annuities, paid tax-free */
+  get combinedPensionTaxExclusion() {
+    const result = this.#inputs.pensionAnnuities.reduce(
+      (acc, p) => acc + this.#pensionTaxExclusion(p),
+      0
+    );
+    return result.asCurrency();
+  }
+
+  get combinedPensionTaxable() {
+    return (
+      this.combinedPensionGross - this.combinedPensionTaxExclusion
+    ).asCurrency();
+  }
+
   get combinedPensionWithholdings() {
     const result =
       this.subjectPensionWithholdings + this.partnerPensionWithholdings;
@@ -372,8 +688,9 @@ class FixedIncomeStreams {
 
   get nonSsGrossIncome() {
     const result =
-      this.combinedPensionGross +
+      this.combinedPensionTaxable +
       this.interestEarnedOnSavings +
+      this.brokerageDividends +
       this.miscTaxableIncome +
       this.#wagesAndCompensationTaxable;
     return result.asCurrency();
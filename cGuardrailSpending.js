@@ -0,0 +1,128 @@
+import { Inputs } from "./cInputs.js";
+
+/**
+ * Guyton-Klinger guardrails. After the first retirement year, spending
+ * follows from last year's: it is raised for inflation unless the
+ * portfolio lost money, then cut when the withdrawal rate has drifted above
+ * the upper guardrail or raised when it has fallen below the lower one.
+ */
+
+const GUARDRAIL_ACTIONS = Object.freeze({
+  NONE: "",
+  CUT: "cut",
+  RAISE: "raise",
+});
+
+/**
+ * @typedef {""|"cut"|"raise"} GuardrailAction
+ */
+
+/**
+ * @typedef {object} GuardrailHistory
+ * @property {number} priorSpend - Last year's spending before the survivor reduction
+ * @property {boolean} priorYearLoss - The portfolio's investment return was negative last year
+ * @property {number} fixedIncome - Take-home income expected from outside the portfolio this year
+ * @property {number} portfolio - Balance at the start of the year
+ * @property {number} initialWithdrawalRate - Rate in the first retirement year
+ */
+
+/**
+ * @typedef {object} GuardrailDecision
+ * @property {number} spend
+ * @property {GuardrailAction} action
+ * @property {boolean} inflationSkipped
+ * @property {number} withdrawalRate - This year's rate before any cut or raise
+ */
+
+/**
+ * @typedef {object} ReportDataLike
+ * @property {number} spending_policySpend
+ * @property {number} income_fixedTakehome
+ * @property {number} balances_yearBeginTotal
+ */
+
+class GuardrailSpending {
+  /**
+   * Share of the portfolio needed for the spending fixed income leaves
+   * uncovered
+   *
+   * @param {number} spend
+   * @param {number} fixedIncome
+   * @param {number} portfolio
+   * @returns {number}
+   */
+  static withdrawalRate(spend, fixedIncome, portfolio) {
+    if (portfolio <= 0) return 0;
+    return Math.max(0, spend - fixedIncome) / portfolio;
+  }
+
+  /**
+   * The rate the guardrails are set around
+   *
+   * @param {ReportDataLike} firstRetirementYear
+   * @returns {number}
+   */
+  static initialWithdrawalRate(firstRetirementYear) {
+    return GuardrailSpending.withdrawalRate(
+      firstRetirementYear.spending_policySpend,
+      firstRetirementYear.income_fixedTakehome,
+      firstRetirementYear.balances_yearBeginTotal
+    );
+  }
+
+  /**
+   * @param {Inputs} inputs - This year's inputs, for last year's inflation, taper and guardrail settings
+   * @param {GuardrailHistory} history
+   * @returns {GuardrailDecision}
+   */
+  static decide(inputs, history) {
+    const inflationSkipped =
+      history.priorYearLoss && inputs.inflationSinceLastYear > 0;
+
+    let spend = history.priorSpend;
+    if (!inflationSkipped) spend *= 1 + inputs.inflationSinceLastYear;
+    spend *= 1 - inputs.spendingDecline;
+
+    // With nothing drawn from the portfolio at the start, or nothing left
+    // in it, there is no rate to hold between the guardrails
+    if (history.initialWithdrawalRate <= 0 || history.portfolio <= 0) {
+      return {
+        spend: spend.asCurrency(),
+        action: GUARDRAIL_ACTIONS.NONE,
+        inflationSkipped,
+        withdrawalRate: 0,
+      };
+    }
+
+    const withdrawalRate = GuardrailSpending.withdrawalRate(
+      spend,
+      history.fixedIncome,
+      history.portfolio
+    );
+
+    /** @type {GuardrailAction} */
+    let action = GUARDRAIL_ACTIONS.NONE;
+    if (
+      withdrawalRate >
+      history.initialWithdrawalRate * (1 + inputs.guardrailUpperLimit)
+    ) {
+      spend *= 1 - inputs.guardrailAdjustment;
+      action = GUARDRAIL_ACTIONS.CUT;
+    } else if (
+      withdrawalRate <
+      history.initialWithdrawalRate * (1 - inputs.guardrailLowerLimit)
+    ) {
+      spend *= 1 + inputs.guardrailAdjustment;
+      action = GUARDRAIL_ACTIONS.RAISE;
+    }
+
+    return {
+      spend: spend.asCurrency(),
+      action,
+      inflationSkipped,
+      withdrawalRate,
+    };
+  }
+}
+
+export { GuardrailSpending, GUARDRAIL_ACTIONS };
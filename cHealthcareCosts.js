@@ -0,0 +1,116 @@
+import {
+  HEALTHCARE_COST_CURVE_2025,
+  HEALTHCARE_COST_SOURCE,
+} from "./consts.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ */
+
+const CURVE_BASE_YEAR = 2025;
+
+/**
+ * Healthcare spending for the year the inputs are positioned at. Amounts
+ * entered per age take precedence; when none are entered the optional age
+ * curve estimates costs for each living household member. Both grow with the
+ * healthcare inflation rate rather than general inflation.
+ */
+class HealthcareCosts {
+  /** @type {Inputs} */
+  #inputs;
+
+  /**
+   * @param {Inputs} inputs
+   */
+  constructor(inputs) {
+    this.#inputs = inputs;
+  }
+
+  /**
+   * One of HEALTHCARE_COST_SOURCE
+   * @returns {string}
+   */
+  get source() {
+    if (this.#inputs.healthcareExpenses.length > 0) {
+      return HEALTHCARE_COST_SOURCE.ENTERED;
+    }
+    return this.#inputs.useHealthcareCostCurve
+      ? HEALTHCARE_COST_SOURCE.AGE_CURVE
+      : HEALTHCARE_COST_SOURCE.NONE;
+  }
+
+  get subjectCost() {
+    switch (this.source) {
+      case HEALTHCARE_COST_SOURCE.ENTERED:
+        return this.#enteredCost;
+      case HEALTHCARE_COST_SOURCE.AGE_CURVE:
+        return this.#subjectIsLiving
+          ? this.#curveCost(this.#inputs.subjectAge)
+          : 0;
+      default:
+        return 0;
+    }
+  }
+
+  // Entered amounts cover the whole household and are booked to the subject
+  get partnerCost() {
+    if (this.source !== HEALTHCARE_COST_SOURCE.AGE_CURVE) return 0;
+    return this.#partnerIsLiving ? this.#curveCost(this.#inputs.partnerAge) : 0;
+  }
+
+  get total() {
+    return (this.subjectCost + this.partnerCost).asCurrency();
+  }
+
+  get #subjectIsLiving() {
+    return this.#inputs.subjectAge <= this.#inputs.subjectLifeSpan;
+  }
+
+  get #partnerIsLiving() {
+    return (
+      this.#inputs.hasPartner &&
+      this.#inputs.partnerAge <= this.#inputs.partnerLifeSpan
+    );
+  }
+
+  get #enteredCost() {
+    const entry = this.#inputs.healthcareExpenses.find(
+      (e) => e.year === this.#inputs.subjectAge
+    );
+    if (!entry) return 0;
+
+    return this.#inputs.healthcareExpensesInTodaysDollars
+      ? entry.amount.adjustedForInflation(
+          this.#inputs.healthcareInflationRate,
+          this.#inputs.yearIndex
+        )
+      : entry.amount;
+  }
+
+  /**
+   * @param {number} age
+   */
+  #curveCost(age) {
+    const band = [...HEALTHCARE_COST_CURVE_2025]
+      .reverse()
+      .find((b) => age >= b.fromAge);
+    if (!band) return 0;
+
+    return band.annualCost
+      .adjustedForInflation(
+        this.#inputs.healthcareInflationRate,
+        this.#inputs.currentYear - CURVE_BASE_YEAR
+      )
+      .asCurrency();
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @returns {HealthcareCosts}
+   */
+  static CreateUsing(inputs) {
+    return new HealthcareCosts(inputs);
+  }
+}
+
+export { HealthcareCosts };
@@ -0,0 +1,284 @@
+import { ASSET_CLASSES, getAssetClass } from "./cAccount.js";
+import { HistoricalMarketData } from "./cHistoricalMarketData.js";
+import { Inputs } from "./cInputs.js";
+import { annualReturnToMonthlyCompoundedRate } from "./cMonteCarloSimulator.js";
+import { SimulationOutcome, percentileOf } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+/**
+ * @typedef {import("./cHistoricalMarketData.js").HistoricalYear} HistoricalYear
+ */
+
+/**
+ * @typedef {object} AssetAllocation
+ * @property {number} stocks
+ * @property {number} bonds
+ * @property {number} cash
+ */
+
+/**
+ * @typedef {object} BacktestOptions
+ * @property {Partial<Record<string, AssetAllocation>>} [allocations] - Keyed by ASSET_CLASSES
+ * @property {boolean} [useHistoricalInflation] - Replace the inflation input with realized CPI
+ * @property {number} [firstStartYear]
+ * @property {number} [lastStartYear]
+ */
+
+/**
+ * @typedef {object} BacktestRun
+ * @property {number} startYear
+ * @property {boolean} success
+ * @property {number} endingBalance
+ * @property {number | null} depletionYear - Plan year (not historical year)
+ * @property {number | null} depletionAge
+ */
+
+/**
+ * @typedef {object} BacktestResults
+ * @property {BacktestRun[]} runs
+ * @property {number} probabilityOfSuccess - 0..1
+ * @property {number[]} failingStartYears
+ * @property {{run: BacktestRun, sequence: HistoricalYear[]} | null} worstCase
+ * @property {{min:number, median:number, max:number}} endingBalance
+ */
+
+/** @type {Record<string, AssetAllocation>} */
+const DEFAULT_ALLOCATIONS = {
+  [ASSET_CLASSES.TRAD_401K]: { stocks: 0.6, bonds: 0.4, cash: 0 },
+  [ASSET_CLASSES.ROTH]: { stocks: 0.8, bonds: 0.2, cash: 0 },
+  [ASSET_CLASSES.SAVINGS]: { stocks: 0, bonds: 0, cash: 1 },
+};
+
+class HistoricalBacktester {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {Record<string, AssetAllocation>} */
+  #allocations;
+  /** @type {boolean} */
+  #useHistoricalInflation;
+  /** @type {number} */
+  #firstStartYear;
+  /** @type {number} */
+  #lastStartYear;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Record<string, AssetAllocation>} allocations
+   * @param {boolean} useHistoricalInflation
+   * @param {number} firstStartYear
+   * @param {number} lastStartYear
+   */
+  constructor(
+    inputs,
+    allocations,
+    useHistoricalInflation,
+    firstStartYear,
+    lastStartYear
+  ) {
+    if (firstStartYear > lastStartYear) {
+      throw new Error(
+        `Not enough historical data for a ${HistoricalBacktester.planLength(inputs)}-year plan (${firstStartYear}-${lastStartYear})`
+      );
+    }
+
+    this.#inputs = inputs;
+    this.#allocations = allocations;
+    this.#useHistoricalInflation = useHistoricalInflation;
+    this.#firstStartYear = firstStartYear;
+    this.#lastStartYear = lastStartYear;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {BacktestOptions} [options]
+   * @returns {HistoricalBacktester}
+   */
+  static CreateUsing(inputs, options = {}) {
+    const lastCompleteStartYear =
+      HistoricalMarketData.lastYear -
+      HistoricalBacktester.planLength(inputs) +
+      1;
+
+    const {
+      allocations = {},
+      useHistoricalInflation = true,
+      firstStartYear = HistoricalMarketData.firstYear,
+      lastStartYear = lastCompleteStartYear,
+    } = options;
+
+    /** @type {Record<string, AssetAllocation>} */
+    const mergedAllocations = {};
+    for (const [assetClass, allocation] of Object.entries(
+      DEFAULT_ALLOCATIONS
+    )) {
+      mergedAllocations[assetClass] = {
+        ...allocation,
+        ...allocations[assetClass],
+      };
+    }
+
+    return new HistoricalBacktester(
+      inputs,
+      mergedAllocations,
+      useHistoricalInflation,
+      Math.max(firstStartYear, HistoricalMarketData.firstYear),
+      Math.min(lastStartYear, lastCompleteStartYear)
+    );
+  }
+
+  /**
+   * Number of calendar years the calculation pipeline simulates.
+   * @param {Inputs} inputs
+   */
+  static planLength(inputs) {
+    return (
+      Math.max(
+        inputs.subjectLivingYears,
+        inputs.partnerLivingYears - inputs.totalWorkingYears
+      ) + 1
+    );
+  }
+
+  /**
+   * @param {HistoricalYear[]} sequence
+   * @returns {import("./retirement-calculator.js").MarketConditions}
+   */
+  #marketConditionsFor(sequence) {
+    /** @type {import("./retirement-calculator.js").MarketConditions} */
+    const marketConditions = {
+      interestRateFor: (accountType, yearIndex, baseRate) => {
+        const assetClass = getAssetClass(accountType);
+        if (!assetClass) return baseRate;
+
+        const allocation = this.#allocations[assetClass];
+        const history = sequence[yearIndex];
+        const annualReturn =
+          allocation.stocks * history.stocks +
+          allocation.bonds * history.bonds +
+          allocation.cash * history.cash;
+
+        return annualReturnToMonthlyCompoundedRate(annualReturn);
+      },
+    };
+
+    if (this.#useHistoricalInflation) {
+      marketConditions.inflationRateFor = (yearIndex) =>
+        realizedInflationRate(sequence, yearIndex);
+      marketConditions.annualInflationRateFor = (yearIndex) =>
+        sequence[yearIndex].inflation;
+    }
+
+    return marketConditions;
+  }
+
+  /**
+   * @returns {BacktestResults}
+   */
+  run() {
+    const planLength = HistoricalBacktester.planLength(this.#inputs);
+
+    /** @type {BacktestRun[]} */
+    const runs = [];
+    /** @type {Map<number, HistoricalYear[]>} */
+    const sequences = new Map();
+
+    for (
+      let startYear = this.#firstStartYear;
+      startYear <= this.#lastStartYear;
+      startYear++
+    ) {
+      const sequence = HistoricalMarketData.getSequence(startYear, planLength);
+      sequences.set(startYear, sequence);
+
+      const calculations = initializeCalculationsFromInputs(
+        this.#inputs.clone(),
+        this.#marketConditionsFor(sequence)
+      );
+      const outcome = SimulationOutcome.CreateFrom(this.#inputs, calculations);
+
+      runs.push({
+        startYear,
+        success: outcome.success,
+        endingBalance: outcome.endingBalance,
+        depletionYear: outcome.depletionYear,
+        depletionAge: outcome.depletionAge,
+      });
+    }
+
+    const worstRun = findWorstRun(runs);
+    const sortedEndingBalances = runs
+      .map((r) => r.endingBalance)
+      .sort((a, b) => a - b);
+
+    return {
+      runs,
+      probabilityOfSuccess:
+        runs.filter((r) => r.success).length / Math.max(1, runs.length),
+      failingStartYears: runs.filter((r) => !r.success).map((r) => r.startYear),
+      worstCase: worstRun
+        ? {
+            run: worstRun,
+            sequence: sequences.get(worstRun.startYear) ?? [],
+          }
+        : null,
+      endingBalance: {
+        min: sortedEndingBalances[0] ?? 0,
+        median: percentileOf(sortedEndingBalances, 50).asCurrency(),
+        max: sortedEndingBalances[sortedEndingBalances.length - 1] ?? 0,
+      },
+    };
+  }
+}
+
+/**
+ * Inputs inflate values as (1 + rate)^yearIndex from the starting year, so
+ * the realized CPI path is expressed as the constant rate that reproduces
+ * the cumulative price level reached by the given year.
+ *
+ * @param {HistoricalYear[]} sequence
+ * @param {number} yearIndex
+ * @returns {number}
+ */
+function realizedInflationRate(sequence, yearIndex) {
+  if (yearIndex === 0) return sequence[0].inflation;
+
+  let priceLevel = 1;
+  for (let i = 0; i < yearIndex; i++) {
+    priceLevel *= 1 + sequence[i].inflation;
+  }
+
+  return Math.pow(priceLevel, 1 / yearIndex) - 1;
+}
+
+/**
+ * Earliest depletion wins; when nothing fails, the lowest ending balance.
+ *
+ * @param {BacktestRun[]} runs
+ * @returns {BacktestRun | null}
+ */
+function findWorstRun(runs) {
+  /** @type {BacktestRun | null} */
+  let worst = null;
+
+  for (const run of runs) {
+    if (!worst) {
+      worst = run;
+      continue;
+    }
+
+    const runDepletion = run.depletionYear ?? Infinity;
+    const worstDepletion = worst.depletionYear ?? Infinity;
+
+    if (
+      runDepletion < worstDepletion ||
+      (runDepletion === worstDepletion &&
+        run.endingBalance < worst.endingBalance)
+    ) {
+      worst = run;
+    }
+  }
+
+  return worst;
+}
+
+export { HistoricalBacktester };
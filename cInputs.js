@@ -1,6 +1,20 @@
 import { ACCOUNT_TYPES } from "./cAccount.js";
+import { SsClaiming } from "./cSsClaiming.js";
+import {
+  ACA_SUBSIDY_RULE,
+  COST_BASIS_METHOD,
+  HEALTHCARE_INFLATION_DEFAULT,
+  HSA_COVERAGE,
+  SPENDING_POLICY,
+  TAX_BRACKET_INDEXING,
+} from "./consts.js";
 /**
  * @typedef {import("./cPensionAnnuityStorage.js").PensionAnnuity} PensionAnnuity
+ * @typedef {import("./cRothConversionPlanner.js").RothConversionPlan} RothConversionPlan
+ * @typedef {import("./cAccountPortioner.js").ProportionStrategyName} ProportionStrategyName
+ * @typedef {import("./cTaxLawRegistry.js").TaxLawSettings} TaxLawSettings
+ * @typedef {import("./cLifeTable.js").LifeTableSex} LifeTableSex
+ * @typedef {import("./cGuardrailSpending.js").GuardrailDecision} GuardrailDecision
  */
 
 /**
@@ -14,6 +28,11 @@ import { ACCOUNT_TYPES } from "./cAccount.js";
  * @property {number} year
  * @property {number} amount
  *
+ * @typedef {Object} HealthcareExpenseOverride
+ * @property {number} year - Subject's age in the year of the expense
+ * @property {number} amount - Out-of-pocket healthcare spending for that year,
+ * in that year's dollars unless healthcareExpensesInTodaysDollars is set
+ *
  */
 
 class Inputs {
@@ -36,17 +55,29 @@ class Inputs {
       subject401kStartAge = 0,
       subjectLifeSpan = 0,
       partnerLifeSpan = 0,
+      subjectSex = "unisex",
+      partnerSex = "unisex",
 
       // Inflation + spending
       inflationRate = 0,
+      annualInflationRates = [],
       spendingToday = 0,
       spendingRetirement = 0,
       spendingDecline = 0,
+      spendingPolicy = SPENDING_POLICY.FIXED,
+      guardrailUpperLimit = 0.2,
+      guardrailLowerLimit = 0.2,
+      guardrailAdjustment = 0.1,
+      guardrailDecision = null,
 
       // Partner info
       partnerRetireAge = 0,
       partnerSsMonthly = 0,
       partnerSsStartAge = 0,
+      partnerSsStartMonth = 0,
+      partnerSsPia = 0,
+      partnerBirthYear = 0,
+      partnerSsWithheldMonths = 0,
       partnerPenMonthly = 0,
       partnerPenStartAge = 0,
       partner401kStartAge = 0,
@@ -76,6 +107,8 @@ class Inputs {
       partner401kStartingBalance = 0,
       partnerRothStartingBalance = 0,
       savingsStartingBalance = 0,
+      brokerageStartingBalance = 0,
+      brokerageCostBasis = 0,
 
       // Returns
       subject401kInterestRate = 0,
@@ -83,15 +116,57 @@ class Inputs {
       partner401kInterestRate = 0,
       partnerRothInterestRate = 0,
       savingsInterestRate = 0,
+      brokerageGrowthRate = 0,
+      brokerageDividendYield = 0,
+      brokerageQualifiedDividendRatio = 1,
+      costBasisMethod = COST_BASIS_METHOD.PROPORTIONAL,
+
+      // Health savings account
+      hsaStartingBalance = 0,
+      hsaInterestRate = 0,
+      hsaCoverage = HSA_COVERAGE.NONE,
+      hsaAnnualContribution = 0,
+
+      // Healthcare spending
+      healthcareInflationRate = HEALTHCARE_INFLATION_DEFAULT,
+      healthcareExpensesInTodaysDollars = false,
+      useHealthcareCostCurve = true,
+
+      // Medicare
+      includeMedicarePremiums = false,
+      priorYearsMagi = 0,
+      irmaaLookbackMagi = null,
+      irmaaIndexing = TAX_BRACKET_INDEXING.INFLATION,
+      irmaaIndexingRate = 0,
+
+      // Marketplace coverage before Medicare
+      useAcaPremiums = false,
+      acaBenchmarkPremium = 0,
+      acaSubsidyRule = ACA_SUBSIDY_RULE.CLIFF,
+      acaKeepMagiUnderCliff = false,
 
       // Benefits
       subjectSsMonthly = 0,
+      subjectSsStartMonth = 0,
+      subjectSsPia = 0,
+      subjectBirthYear = 0,
+      subjectSsWithheldMonths = 0,
       ssCola = 0,
+      ssBenefitCut = 0,
+      ssBenefitCutYear = 0,
       subjectPensionMonthly = 0,
 
       // Taxes/settings
       filingStatus = "married",
+      hasQualifyingDependent = false,
+      stateOfResidence = "",
+      relocationState = "",
+      relocationYear = 0,
       useRMD = true,
+      spouseIsSole401kBeneficiary = false,
+      heirTaxRate = 0.24,
+      estateTaxExemption = 0,
+      taxLaw = null,
       flatSsWithholdingRate = 0.07,
       flatCareerTrad401kWithholdingRate = 0.2,
       flatPensionWithholdingRate = 0.2,
@@ -104,7 +179,11 @@ class Inputs {
         ACCOUNT_TYPES.SUBJECT_ROTH_IRA,
       ],
       pensionAnnuities = [],
+      annuityPremiumsPaid = {},
       withdrawalLimits = [],
+      rothConversionPlan = null,
+      withdrawalStrategy = "equalShares",
+      withdrawalBracketRate = 0.12,
 
       // Savings contribution knobs
       subjectWorkingYearSavingsContributionFixedAmount = 0,
@@ -149,9 +228,21 @@ class Inputs {
     /** @type {PensionAnnuity[]} */
     this.pensionAnnuities = pensionAnnuities;
 
+    /** @type {Record<string, number>} Premium paid for each purchased annuity by id; the projection fills it in from the purchase year */
+    this.annuityPremiumsPaid = annuityPremiumsPaid;
+
     /** @type {WithdrawalLimitOverride[]} */
     this.withdrawalLimits = withdrawalLimits;
 
+    /** @type {RothConversionPlan | null} */
+    this.rothConversionPlan = rothConversionPlan;
+
+    /** @type {ProportionStrategyName} */
+    this.withdrawalStrategy = withdrawalStrategy;
+
+    /** @type {number} */
+    this.withdrawalBracketRate = withdrawalBracketRate;
+
     /** @type {number} */
     this.subject401kStartAge = subject401kStartAge;
 
@@ -161,6 +252,12 @@ class Inputs {
     /** @type {number} */
     this.partnerLifeSpan = partnerLifeSpan;
 
+    /** @type {LifeTableSex} - Picks the life table for survival odds */
+    this.subjectSex = subjectSex;
+
+    /** @type {LifeTableSex} */
+    this.partnerSex = partnerSex;
+
     /** @type {RetirementYearSpendingOverride[]} */
     this.retirementYearSpendingOverrides =
       options.retirementYearSpendingOverrides || [];
@@ -171,9 +268,15 @@ class Inputs {
     /** @type {RetirementYearSpendingOverride[]} */
     this.taxFreeIncomeOverrides = options.taxFreeIncomeOverrides || [];
 
+    /** @type {HealthcareExpenseOverride[]} */
+    this.healthcareExpenses = options.healthcareExpenses || [];
+
     /** @type {number} */
     this.inflationRate = inflationRate;
 
+    /** @type {number[]} Inflation during each earlier plan year when it varies from year to year (backtests); the projection fills it in */
+    this.annualInflationRates = annualInflationRates;
+
     /** @type {number} */
     this.spendingToday = spendingToday;
 
@@ -183,6 +286,21 @@ class Inputs {
     /** @type {number} */
     this.spendingDecline = spendingDecline;
 
+    /** @type {string} One of SPENDING_POLICY */
+    this.spendingPolicy = spendingPolicy;
+
+    /** @type {number} Cut spending once the withdrawal rate rises this far above the initial rate, e.g. 0.2 for 20% */
+    this.guardrailUpperLimit = guardrailUpperLimit;
+
+    /** @type {number} Raise spending once the withdrawal rate falls this far below the initial rate */
+    this.guardrailLowerLimit = guardrailLowerLimit;
+
+    /** @type {number} Share of spending cut or added when a guardrail is crossed */
+    this.guardrailAdjustment = guardrailAdjustment;
+
+    /** @type {GuardrailDecision | null} This year's guardrails spending; the projection fills it in from the years before */
+    this.guardrailDecision = guardrailDecision;
+
     // Partner information
     /** @type {number} */
     this.partnerRetireAge = partnerRetireAge;
@@ -193,6 +311,18 @@ class Inputs {
     /** @type {number} */
     this.partnerSsStartAge = partnerSsStartAge;
 
+    /** @type {number} Months past partnerSsStartAge that benefits begin */
+    this.partnerSsStartMonth = partnerSsStartMonth;
+
+    /** @type {number} Monthly benefit at full retirement age, in today's dollars; replaces partnerSsMonthly when set */
+    this.partnerSsPia = partnerSsPia;
+
+    /** @type {number} Sets full retirement age; 0 derives it from the starting age */
+    this.partnerBirthYear = partnerBirthYear;
+
+    /** @type {number} Months of benefits withheld under the earnings test in earlier years; the projection fills it in */
+    this.partnerSsWithheldMonths = partnerSsWithheldMonths;
+
     /** @type {number} */
     this.partnerPenMonthly = partnerPenMonthly;
 
@@ -258,6 +388,12 @@ class Inputs {
     /** @type {number} */
     this.savingsStartingBalance = savingsStartingBalance;
 
+    /** @type {number} */
+    this.brokerageStartingBalance = brokerageStartingBalance;
+
+    /** @type {number} Cost basis of the starting brokerage balance */
+    this.brokerageCostBasis = brokerageCostBasis;
+
     /** @type {number} */
     this.subject401kInterestRate = subject401kInterestRate;
 
@@ -273,13 +409,91 @@ class Inputs {
     /** @type {number} */
     this.savingsInterestRate = savingsInterestRate;
 
+    /** @type {number} Annual price growth of brokerage holdings */
+    this.brokerageGrowthRate = brokerageGrowthRate;
+
+    /** @type {number} Dividends paid (and reinvested) per dollar held */
+    this.brokerageDividendYield = brokerageDividendYield;
+
+    /** @type {number} Share of dividends that are qualified */
+    this.brokerageQualifiedDividendRatio = brokerageQualifiedDividendRatio;
+
+    /** @type {string} One of COST_BASIS_METHOD */
+    this.costBasisMethod = costBasisMethod;
+
+    /** @type {number} */
+    this.hsaStartingBalance = hsaStartingBalance;
+
+    /** @type {number} */
+    this.hsaInterestRate = hsaInterestRate;
+
+    /** @type {string} One of HSA_COVERAGE */
+    this.hsaCoverage = hsaCoverage;
+
+    /** @type {number} Payroll contribution wanted each year, before the IRS limit */
+    this.hsaAnnualContribution = hsaAnnualContribution;
+
+    /** @type {number} Growth rate of healthcare costs, separate from inflationRate */
+    this.healthcareInflationRate = healthcareInflationRate;
+
+    /** @type {boolean} Entered healthcare expenses are in today's dollars */
+    this.healthcareExpensesInTodaysDollars = healthcareExpensesInTodaysDollars;
+
+    /** @type {boolean} Estimate healthcare costs by age when none are entered */
+    this.useHealthcareCostCurve = useHealthcareCostCurve;
+
+    /** @type {boolean} Pay Medicare Part B/D premiums from age 65 */
+    this.includeMedicarePremiums = includeMedicarePremiums;
+
+    /** @type {number} Modified AGI for the years before the plan starts */
+    this.priorYearsMagi = priorYearsMagi;
+
+    /** @type {number} Modified AGI that sets this year's IRMAA tier; the projection fills it in from two years earlier */
+    this.irmaaLookbackMagi = irmaaLookbackMagi ?? priorYearsMagi;
+
+    /** @type {string} One of TAX_BRACKET_INDEXING, for the IRMAA thresholds */
+    this.irmaaIndexing = irmaaIndexing;
+
+    /** @type {number} Used when irmaaIndexing is TAX_BRACKET_INDEXING.FIXED_RATE */
+    this.irmaaIndexingRate = irmaaIndexingRate;
+
+    /** @type {boolean} Buy marketplace coverage between retirement and 65 */
+    this.useAcaPremiums = useAcaPremiums;
+
+    /** @type {number} Annual benchmark (second lowest cost silver) premium for the household, in today's dollars */
+    this.acaBenchmarkPremium = acaBenchmarkPremium;
+
+    /** @type {string} One of ACA_SUBSIDY_RULE */
+    this.acaSubsidyRule = acaSubsidyRule;
+
+    /** @type {boolean} Limit 401k draws to keep MAGI under the subsidy cliff */
+    this.acaKeepMagiUnderCliff = acaKeepMagiUnderCliff;
+
     // Income sources
     /** @type {number} */
     this.subjectSsMonthly = subjectSsMonthly;
 
+    /** @type {number} Months past subjectSsStartAge that benefits begin */
+    this.subjectSsStartMonth = subjectSsStartMonth;
+
+    /** @type {number} Monthly benefit at full retirement age, in today's dollars; replaces subjectSsMonthly when set */
+    this.subjectSsPia = subjectSsPia;
+
+    /** @type {number} Sets full retirement age; 0 derives it from the starting age */
+    this.subjectBirthYear = subjectBirthYear;
+
+    /** @type {number} Months of benefits withheld under the earnings test in earlier years; the projection fills it in */
+    this.subjectSsWithheldMonths = subjectSsWithheldMonths;
+
     /** @type {number} */
     this.ssCola = ssCola;
 
+    /** @type {number} Share of Social Security benefits cut for a trust fund shortfall */
+    this.ssBenefitCut = ssBenefitCut;
+
+    /** @type {number} First year of the cut; 0 for none */
+    this.ssBenefitCutYear = ssBenefitCutYear;
+
     /** @type {number} */
     this.subjectPensionMonthly = subjectPensionMonthly;
 
@@ -287,9 +501,33 @@ class Inputs {
     /** @type {string} */
     this.filingStatus = filingStatus;
 
+    /** @type {boolean} - A dependent lives in the household (head of household / surviving spouse) */
+    this.hasQualifyingDependent = hasQualifyingDependent;
+
+    /** @type {string} - Postal code of the state of residence ("" = no state tax) */
+    this.stateOfResidence = stateOfResidence;
+
+    /** @type {string} - State moved to in relocationYear ("" = no move) */
+    this.relocationState = relocationState;
+
+    /** @type {number} - First tax year as a resident of relocationState */
+    this.relocationYear = relocationYear;
+
     /** @type {boolean} */
     this.useRMD = useRMD;
 
+    /** @type {boolean} - Each spouse is the other's sole 401k beneficiary (RMD table choice) */
+    this.spouseIsSole401kBeneficiary = spouseIsSole401kBeneficiary;
+
+    /** @type {number} - Income tax rate of the heirs on inherited 401k and HSA balances */
+    this.heirTaxRate = heirTaxRate;
+
+    /** @type {number} - Estate tax exemption in today's dollars (0 = no estate tax check) */
+    this.estateTaxExemption = estateTaxExemption;
+
+    /** @type {TaxLawSettings | null} */
+    this.taxLaw = taxLaw;
+
     /** @type {number} */
     this.flatSsWithholdingRate = flatSsWithholdingRate;
 
@@ -380,6 +618,15 @@ class Inputs {
     this.partnerCareerPayPeriods = partnerCareerPayPeriods;
   }
 
+  /**
+   * Share of Social Security benefits still paid this year
+   */
+  get ssBenefitCutFactor() {
+    const cutApplies =
+      this.ssBenefitCutYear > 0 && this.currentYear >= this.ssBenefitCutYear;
+    return cutApplies ? 1 - this.ssBenefitCut : 1;
+  }
+
   get hasPartner() {
     return this.initialAgePartner > 0;
   }
@@ -439,7 +686,9 @@ class Inputs {
     return (
       this.subject401kStartingBalance +
       this.subjectRothStartingBalance +
-      this.savingsStartingBalance
+      this.savingsStartingBalance +
+      this.brokerageStartingBalance +
+      this.hsaStartingBalance
     );
   }
 
@@ -487,14 +736,25 @@ class Inputs {
   }
 
   get subjectSs() {
-    // debugger;
-    if (this.subjectAge >= this.subjectSsStartAge) {
-      return (this.subjectSsMonthly * 12).adjustedForInflation(
-        this.ssCola,
-        this.subjectAge - this.subjectSsStartAge
-      );
-    }
-    return 0;
+    return SsClaiming.annualBenefit(
+      this.subjectSsClaim,
+      this.subjectAge,
+      this.yearIndex,
+      this.ssCola
+    );
+  }
+
+  /** @returns {import("./cSsClaiming.js").SsClaim} */
+  get subjectSsClaim() {
+    return {
+      monthly: this.subjectSsMonthly,
+      pia: this.subjectSsPia,
+      birthYear:
+        this.subjectBirthYear || this.startingYear - this.initialAgeSubject,
+      startAge: this.subjectSsStartAge,
+      startMonth: this.subjectSsStartMonth,
+      withheldMonths: this.subjectSsWithheldMonths,
+    };
   }
 
   get subjectPension() {
@@ -505,13 +765,27 @@ class Inputs {
   }
 
   get partnerSs() {
-    if (this.partnerAge >= this.partnerSsStartAge) {
-      return (this.partnerSsMonthly * 12).adjustedForInflation(
-        this.ssCola,
-        this.partnerAge - this.partnerSsStartAge
-      );
-    }
-    return 0;
+    if (!this.hasPartner) return 0;
+
+    return SsClaiming.annualBenefit(
+      this.partnerSsClaim,
+      this.partnerAge,
+      this.yearIndex,
+      this.ssCola
+    );
+  }
+
+  /** @returns {import("./cSsClaiming.js").SsClaim} */
+  get partnerSsClaim() {
+    return {
+      monthly: this.partnerSsMonthly,
+      pia: this.partnerSsPia,
+      birthYear:
+        this.partnerBirthYear || this.startingYear - this.initialAgePartner,
+      startAge: this.partnerSsStartAge,
+      startMonth: this.partnerSsStartMonth,
+      withheldMonths: this.partnerSsWithheldMonths,
+    };
   }
 
   get partnerPension() {
@@ -536,6 +810,10 @@ class Inputs {
       return result;
     }
 
+    if (this.guardrailDecision) {
+      return this.guardrailDecision.spend;
+    }
+
     let result = this.spendingBasis
       .adjustedForInflation(this.inflationRate, this.yearIndex)
       .asCurrency();
@@ -553,6 +831,31 @@ class Inputs {
     return result;
   }
 
+  /**
+   * Inflation from last year to this one: the raise that keeps last year's
+   * dollars at this year's prices.
+   */
+  get inflationSinceLastYear() {
+    return this.inflationRatesForPastYears(1)[0];
+  }
+
+  /**
+   * Inflation during each of the `years` years before this one, oldest
+   * first. Years before the plan, or without a realized rate, use
+   * inflationRate.
+   *
+   * @param {number} years
+   * @returns {number[]}
+   */
+  inflationRatesForPastYears(years) {
+    return Array.from(
+      { length: Math.max(years, 0) },
+      (_, i) =>
+        this.annualInflationRates[this.yearIndex - years + i] ??
+        this.inflationRate
+    );
+  }
+
   get subjectCareerSalary() {
     return this.subjectStartingSalary.adjustedForInflation(
       this.subjectSalaryGrowthRate,
@@ -583,6 +886,17 @@ class Inputs {
     return this.startingYear + this.yearIndex;
   }
 
+  get stateOfResidenceThisYear() {
+    if (
+      this.relocationState &&
+      this.relocationYear > 0 &&
+      this.currentYear >= this.relocationYear
+    ) {
+      return this.relocationState;
+    }
+    return this.stateOfResidence;
+  }
+
   get spendingBasisYear() {
     let result = this.startingYear;
     if (this.#isRetired) {
@@ -0,0 +1,159 @@
+import { Calculations } from "./cCalculation.js";
+import { Inputs } from "./cInputs.js";
+import { TransactionRoutes } from "./tTransactionRoute.js";
+
+/**
+ * What heirs receive from the balances left when the last spouse's
+ * lifespan ends. Roth balances pass tax-free, savings and brokerage get a
+ * step-up in basis, and traditional 401k balances are drawn by the heirs
+ * under the 10-year inherited IRA rule at their own tax rate.
+ */
+
+// Non-spouse beneficiaries must empty an inherited IRA by the end of the
+// tenth year after death (SECURE Act)
+const INHERITED_IRA_DISTRIBUTION_YEARS = 10;
+
+// Top federal estate tax rate, applied to the estate above the exemption
+const ESTATE_TAX_RATE = 0.4;
+
+/**
+ * @typedef {object} LegacyBalances
+ * @property {number} roth
+ * @property {number} savings
+ * @property {number} brokerage
+ * @property {number} brokerageCostBasis
+ * @property {number} trad401k
+ * @property {number} hsa
+ */
+
+/**
+ * @typedef {object} InheritedIraDistribution
+ * @property {number} year
+ * @property {string} route - Always TransactionRoutes.InheritedIRA
+ * @property {number} distribution
+ * @property {number} tax - Heir's income tax on the distribution
+ * @property {number} net
+ */
+
+class LegacyAnalysis {
+  /**
+   * @param {number} year - Last year of the plan
+   * @param {LegacyBalances} balances - Year-end balances in that year
+   * @param {number} heirTaxRate
+   * @param {number} estateTaxExemption - In the dollars of the last year; 0 skips the check
+   */
+  constructor(year, balances, heirTaxRate, estateTaxExemption) {
+    /** @type {number} */
+    this.year = year;
+    /** @type {LegacyBalances} */
+    this.balances = balances;
+    /** @type {number} */
+    this.heirTaxRate = heirTaxRate;
+    /** @type {number} */
+    this.estateTaxExemption = estateTaxExemption;
+  }
+
+  get grossEstate() {
+    const b = this.balances;
+    return (b.roth + b.savings + b.brokerage + b.trad401k + b.hsa).asCurrency();
+  }
+
+  /**
+   * Unrealized brokerage gain the heirs never pay tax on
+   */
+  get brokerageStepUp() {
+    return Math.max(
+      0,
+      this.balances.brokerage - this.balances.brokerageCostBasis
+    ).asCurrency();
+  }
+
+  /**
+   * Equal yearly draws of the inherited 401k over the 10-year window.
+   * Growth during the window is ignored, so amounts are in the dollars of
+   * the last plan year.
+   *
+   * @returns {InheritedIraDistribution[]}
+   */
+  get inheritedIraSchedule() {
+    if (this.balances.trad401k <= 0) return [];
+
+    const distribution = (
+      this.balances.trad401k / INHERITED_IRA_DISTRIBUTION_YEARS
+    ).asCurrency();
+    const tax = (distribution * this.heirTaxRate).asCurrency();
+
+    return Array.from({ length: INHERITED_IRA_DISTRIBUTION_YEARS }, (_, i) => ({
+      year: this.year + 1 + i,
+      route: TransactionRoutes.InheritedIRA,
+      distribution,
+      tax,
+      net: (distribution - tax).asCurrency(),
+    }));
+  }
+
+  get inheritedIraTax() {
+    return (this.balances.trad401k * this.heirTaxRate).asCurrency();
+  }
+
+  /**
+   * A non-spouse beneficiary owes income tax on the whole HSA in the year
+   * it is inherited
+   */
+  get hsaTax() {
+    return (this.balances.hsa * this.heirTaxRate).asCurrency();
+  }
+
+  get exceedsEstateTaxExemption() {
+    return (
+      this.estateTaxExemption > 0 && this.grossEstate > this.estateTaxExemption
+    );
+  }
+
+  get estateTax() {
+    if (!this.exceedsEstateTaxExemption) return 0;
+
+    return (
+      (this.grossEstate - this.estateTaxExemption) *
+      ESTATE_TAX_RATE
+    ).asCurrency();
+  }
+
+  get afterTaxLegacy() {
+    return Math.max(
+      0,
+      this.grossEstate - this.inheritedIraTax - this.hsaTax - this.estateTax
+    ).asCurrency();
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Calculations | null} calculations - Projection of `inputs`
+   * @returns {LegacyAnalysis | null}
+   */
+  static CreateFrom(inputs, calculations) {
+    const lastCalculation = calculations?.getLastCalculation();
+    if (!lastCalculation) return null;
+
+    const data = lastCalculation.reportData;
+
+    return new LegacyAnalysis(
+      lastCalculation.taxYear,
+      {
+        roth: Math.max(0, data.balances_yearEndRothCombined),
+        savings: Math.max(0, data.account_savingsYearEndBalance),
+        brokerage: Math.max(0, data.account_brokerageYearEndBalance),
+        brokerageCostBasis: Math.max(0, data.account_brokerageCostBasis),
+        trad401k: Math.max(0, data.balances_combined401k),
+        hsa: Math.max(0, data.account_hsaYearEndBalance),
+      },
+      inputs.heirTaxRate,
+      inputs.estateTaxExemption.adjustedForInflation(
+        inputs.inflationRate,
+        lastCalculation.taxYear - inputs.startingYear
+      )
+    );
+  }
+}
+
+export { LegacyAnalysis };
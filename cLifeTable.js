@@ -0,0 +1,131 @@
+/**
+ * Period life tables bundled for offline use: the chance of dying within
+ * the year at each age, and the survival probabilities built from it.
+ */
+
+const LIFE_TABLE_SEXES = Object.freeze({
+  MALE: "male",
+  FEMALE: "female",
+  UNISEX: "unisex",
+});
+
+// Death probabilities q(x) for each age from 0 to 119, after the SSA 2020
+// period life table; nobody survives past LAST_AGE.
+const LAST_AGE = 119;
+
+const DEATH_PROBABILITIES = Object.freeze({
+  male: [
+    0.005837, 0.000392, 0.000248, 0.000199, 0.00016, 0.000146, 0.000135,
+    0.000124, 0.000112, 0.000101, 0.000096, 0.000104, 0.000139, 0.000203,
+    0.000296, 0.000408, 0.00056, 0.00074, 0.00095, 0.00117, 0.001387, 0.001477,
+    0.001573, 0.001675, 0.001783, 0.001899, 0.00195, 0.002002, 0.002056,
+    0.002111, 0.002168, 0.002247, 0.002328, 0.002413, 0.0025, 0.002591,
+    0.002688, 0.002789, 0.002894, 0.003003, 0.003116, 0.003277, 0.003446,
+    0.003625, 0.003812, 0.004009, 0.004279, 0.004567, 0.004874, 0.005202,
+    0.005552, 0.00599, 0.006464, 0.006974, 0.007525, 0.008119, 0.008737,
+    0.009402, 0.010118, 0.010888, 0.011717, 0.012567, 0.013478, 0.014455,
+    0.015503, 0.016627, 0.017952, 0.019382, 0.020926, 0.022593, 0.024393,
+    0.026572, 0.028945, 0.03153, 0.034346, 0.037413, 0.040973, 0.044871,
+    0.049141, 0.053816, 0.058937, 0.065, 0.071687, 0.079061, 0.087194, 0.096164,
+    0.106437, 0.117807, 0.130392, 0.144321, 0.159738, 0.174944, 0.191598,
+    0.209837, 0.229813, 0.25169, 0.270035, 0.289718, 0.310835, 0.333492, 0.3578,
+    0.376891, 0.397001, 0.418184, 0.440496, 0.464, 0.485844, 0.508717, 0.532666,
+    0.557743, 0.584, 0.608463, 0.633951, 0.660506, 0.688173, 0.717, 0.717,
+    0.717, 0.717, 1,
+  ],
+  female: [
+    0.004907, 0.000316, 0.000196, 0.000155, 0.000119, 0.000106, 0.000098,
+    0.000091, 0.000084, 0.000079, 0.000078, 0.000083, 0.000099, 0.000125,
+    0.00016, 0.000203, 0.00025, 0.0003, 0.00035, 0.00041, 0.000479, 0.00051,
+    0.000544, 0.000579, 0.000617, 0.000657, 0.000699, 0.000744, 0.000792,
+    0.000844, 0.000898, 0.000951, 0.001008, 0.001068, 0.001131, 0.001198,
+    0.001273, 0.001352, 0.001437, 0.001527, 0.001622, 0.001743, 0.001873,
+    0.002013, 0.002163, 0.002325, 0.002511, 0.002712, 0.002928, 0.003162,
+    0.003415, 0.003686, 0.003979, 0.004294, 0.004635, 0.005003, 0.005394,
+    0.005816, 0.006271, 0.006761, 0.00729, 0.007859, 0.008472, 0.009134,
+    0.009846, 0.010615, 0.011557, 0.012583, 0.013699, 0.014915, 0.016239,
+    0.017822, 0.019559, 0.021466, 0.023558, 0.025855, 0.028542, 0.031507,
+    0.034781, 0.038395, 0.042385, 0.047117, 0.052376, 0.058223, 0.064723,
+    0.071948, 0.080204, 0.089407, 0.099666, 0.111102, 0.12385, 0.137167,
+    0.151916, 0.168252, 0.186343, 0.20638, 0.223251, 0.241501, 0.261243,
+    0.282599, 0.3057, 0.325441, 0.346456, 0.368828, 0.392645, 0.418, 0.441101,
+    0.46548, 0.491205, 0.518352, 0.547, 0.573007, 0.60025, 0.628788, 0.658683,
+    0.69, 0.69, 0.69, 0.69, 1,
+  ],
+});
+
+/**
+ * @typedef {"male"|"female"|"unisex"} LifeTableSex
+ */
+
+class LifeTable {
+  /**
+   * @param {"male"|"female"} table
+   * @param {number} age
+   * @returns {number}
+   */
+  static #tableDeathProbability(table, age) {
+    const rates = DEATH_PROBABILITIES[table];
+    return rates[Math.min(Math.max(Math.floor(age), 0), rates.length - 1)];
+  }
+
+  /**
+   * Chance of dying before the next birthday
+   *
+   * @param {LifeTableSex} sex
+   * @param {number} age
+   * @returns {number}
+   */
+  static deathProbability(sex, age) {
+    if (age >= LAST_AGE) return 1;
+
+    if (sex === LIFE_TABLE_SEXES.MALE || sex === LIFE_TABLE_SEXES.FEMALE) {
+      return LifeTable.#tableDeathProbability(sex, age);
+    }
+
+    return (
+      (LifeTable.#tableDeathProbability(LIFE_TABLE_SEXES.MALE, age) +
+        LifeTable.#tableDeathProbability(LIFE_TABLE_SEXES.FEMALE, age)) /
+      2
+    );
+  }
+
+  /**
+   * Chance that someone alive at `fromAge` reaches `toAge`
+   *
+   * @param {LifeTableSex} sex
+   * @param {number} fromAge
+   * @param {number} toAge
+   * @returns {number}
+   */
+  static survivalProbability(sex, fromAge, toAge) {
+    let probability = 1;
+    for (let age = fromAge; age < toAge; age++) {
+      probability *= 1 - LifeTable.deathProbability(sex, age);
+    }
+    return probability;
+  }
+
+  /**
+   * Oldest age someone alive at `fromAge` still has at least `chance` of
+   * reaching, e.g. 0.25 for the age with a 25% chance of survival
+   *
+   * @param {LifeTableSex} sex
+   * @param {number} fromAge
+   * @param {number} chance
+   * @returns {number}
+   */
+  static survivalAge(sex, fromAge, chance) {
+    let probability = 1;
+    let age = fromAge;
+    while (age < LAST_AGE) {
+      const next = probability * (1 - LifeTable.deathProbability(sex, age));
+      if (next < chance) break;
+      probability = next;
+      age++;
+    }
+    return age;
+  }
+}
+
+export { LifeTable, LIFE_TABLE_SEXES };
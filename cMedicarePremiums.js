@@ -0,0 +1,228 @@
+import {
+  constsJS_FILING_STATUS,
+  MEDICARE_ELIGIBILITY_AGE,
+  MEDICARE_IRMAA_LOOKBACK_YEARS,
+  MEDICARE_IRMAA_TIERS_2025,
+  MEDICARE_PART_B_PREMIUM_2025,
+  MEDICARE_PART_D_PREMIUM_2025,
+  TAX_BRACKET_INDEXING,
+} from "./consts.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cDemographics.js").Demographics} Demographics
+ */
+
+/**
+ * @typedef {object} IrmaaCliff
+ * @property {number} tier - Tier entered once MAGI passes the threshold (1-based)
+ * @property {number} magi - MAGI threshold; one dollar more enters the tier
+ * @property {number} annualCost - Added premiums for the household that year
+ */
+
+const TABLE_YEAR = 2025;
+
+/**
+ * Medicare Part B and Part D premiums for the year the inputs are positioned
+ * at. Each living household member 65 or older is enrolled; the IRMAA tier
+ * comes from modified AGI two years earlier. Premiums grow with the
+ * healthcare inflation rate and tier thresholds follow irmaaIndexing.
+ */
+class MedicarePremiums {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {Demographics} */
+  #demographics;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   */
+  constructor(inputs, demographics) {
+    this.#inputs = inputs;
+    this.#demographics = demographics;
+  }
+
+  get year() {
+    return this.#inputs.currentYear;
+  }
+
+  get enrollees() {
+    return this.#enrolleesAfter(0);
+  }
+
+  get lookbackYear() {
+    return this.year - MEDICARE_IRMAA_LOOKBACK_YEARS;
+  }
+
+  get lookbackMagi() {
+    return this.#inputs.irmaaLookbackMagi;
+  }
+
+  /**
+   * IRMAA tier set by the lookback MAGI; 0 is the standard premium
+   */
+  get irmaaTier() {
+    return this.#tierFor(this.lookbackMagi, this.year);
+  }
+
+  get partB() {
+    return this.#annualPremium(
+      MEDICARE_PART_B_PREMIUM_2025,
+      (tier) => tier.partB
+    );
+  }
+
+  get partD() {
+    return this.#annualPremium(
+      MEDICARE_PART_D_PREMIUM_2025,
+      (tier) => tier.partD
+    );
+  }
+
+  /**
+   * Portion of the premiums owed only because of IRMAA
+   */
+  get irmaaSurcharge() {
+    if (!this.#inputs.includeMedicarePremiums || this.irmaaTier === 0) {
+      return 0;
+    }
+    const tier = MEDICARE_IRMAA_TIERS_2025[this.irmaaTier - 1];
+    return this.#annualized(tier.partB + tier.partD, this.year, this.enrollees);
+  }
+
+  get total() {
+    if (!this.#inputs.includeMedicarePremiums) return 0;
+    return (this.partB + this.partD).asCurrency();
+  }
+
+  /**
+   * IRMAA thresholds this year's MAGI will be measured against when it sets
+   * premiums two years from now, with what a dollar over each one costs.
+   * @returns {IrmaaCliff[]}
+   */
+  get cliffs() {
+    if (!this.#inputs.includeMedicarePremiums) return [];
+
+    const premiumYear = this.year + MEDICARE_IRMAA_LOOKBACK_YEARS;
+    const enrollees = this.#enrolleesAfter(MEDICARE_IRMAA_LOOKBACK_YEARS);
+    if (enrollees === 0) return [];
+
+    const thresholds = this.#thresholds(premiumYear);
+    return MEDICARE_IRMAA_TIERS_2025.map((tier, i) => {
+      const below = MEDICARE_IRMAA_TIERS_2025[i - 1] ?? { partB: 0, partD: 0 };
+      return {
+        tier: i + 1,
+        magi: thresholds[i],
+        annualCost: this.#annualized(
+          tier.partB - below.partB + tier.partD - below.partD,
+          premiumYear,
+          enrollees
+        ),
+      };
+    });
+  }
+
+  /**
+   * @param {number} base - 2025 monthly premium
+   * @param {(tier: typeof MEDICARE_IRMAA_TIERS_2025[number]) => number} surchargeOf
+   */
+  #annualPremium(base, surchargeOf) {
+    if (!this.#inputs.includeMedicarePremiums) return 0;
+
+    const tier = MEDICARE_IRMAA_TIERS_2025[this.irmaaTier - 1];
+    const monthly = base + (tier ? surchargeOf(tier) : 0);
+    return this.#annualized(monthly, this.year, this.enrollees);
+  }
+
+  /**
+   * @param {number} monthly - Per enrollee, in 2025 dollars
+   * @param {number} year
+   * @param {number} enrollees
+   */
+  #annualized(monthly, year, enrollees) {
+    return (monthly * 12 * enrollees)
+      .adjustedForInflation(
+        this.#inputs.healthcareInflationRate,
+        Math.max(0, year - TABLE_YEAR)
+      )
+      .asCurrency();
+  }
+
+  /**
+   * @param {number} magi
+   * @param {number} year - Year the premiums are paid
+   */
+  #tierFor(magi, year) {
+    return this.#thresholds(year).filter((threshold) => magi > threshold)
+      .length;
+  }
+
+  /**
+   * @param {number} year
+   * @returns {number[]}
+   */
+  #thresholds(year) {
+    const joint =
+      this.#demographics.filingStatus ===
+      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY;
+    const factor = this.#indexFactor(year);
+
+    return MEDICARE_IRMAA_TIERS_2025.map((tier) =>
+      ((joint ? tier.mfjAbove : tier.singleAbove) * factor).asCurrency()
+    );
+  }
+
+  /**
+   * @param {number} year
+   */
+  #indexFactor(year) {
+    const years = Math.max(0, year - TABLE_YEAR);
+
+    switch (this.#inputs.irmaaIndexing) {
+      case TAX_BRACKET_INDEXING.NONE:
+        return 1;
+      case TAX_BRACKET_INDEXING.FIXED_RATE:
+        return (1 + this.#inputs.irmaaIndexingRate) ** years;
+      default:
+        return (1 + this.#inputs.inflationRate) ** years;
+    }
+  }
+
+  /**
+   * Living household members 65 or older the given number of years from now
+   * @param {number} years
+   */
+  #enrolleesAfter(years) {
+    const d = this.#demographics;
+    let count = 0;
+
+    if (
+      d.currentAge + years >= MEDICARE_ELIGIBILITY_AGE &&
+      d.currentAge + years <= d.subjectLifeSpan
+    ) {
+      count++;
+    }
+
+    if (
+      d.hasPartner &&
+      d.currentAgeOfPartner + years >= MEDICARE_ELIGIBILITY_AGE &&
+      d.currentAgeOfPartner + years <= d.partnerLifeSpan
+    ) {
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   * @returns {MedicarePremiums}
+   */
+  static CreateUsing(inputs, demographics) {
+    return new MedicarePremiums(inputs, demographics);
+  }
+}
+
+export { MedicarePremiums };
@@ -0,0 +1,355 @@
+import { ASSET_CLASSES, getAssetClass } from "./cAccount.js";
+import { Inputs } from "./cInputs.js";
+import { SimulationOutcome, percentileOf } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+const ASSET_CLASS_ORDER = [
+  ASSET_CLASSES.TRAD_401K,
+  ASSET_CLASSES.ROTH,
+  ASSET_CLASSES.SAVINGS,
+];
+
+const REPORTED_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * @typedef {object} AssetClassAssumption
+ * @property {number | null} [mean] - Expected annual return; null uses each account's own interest rate
+ * @property {number} volatility - Annual standard deviation of returns
+ */
+
+/**
+ * @typedef {object} MonteCarloOptions
+ * @property {number} [trials]
+ * @property {number} [seed]
+ * @property {Partial<Record<string, AssetClassAssumption>>} [assetClasses]
+ * @property {number[][]} [correlations] - Square matrix ordered trad401k, roth, savings
+ */
+
+/**
+ * @typedef {object} MonteCarloTrial
+ * @property {number} trial
+ * @property {boolean} success
+ * @property {number} endingBalance
+ * @property {number | null} depletionYear
+ * @property {number | null} depletionAge
+ */
+
+/**
+ * @typedef {object} MonteCarloResults
+ * @property {number} trials
+ * @property {number} seed
+ * @property {number} successCount
+ * @property {number} probabilityOfSuccess - 0..1
+ * @property {{percentile:number, endingBalance:number}[]} endingBalancePercentiles
+ * @property {{age:number, count:number, probability:number}[]} depletionAges
+ * @property {number | null} medianDepletionAge - Median age among failed trials
+ * @property {MonteCarloTrial[]} trialResults
+ */
+
+/** @type {Record<string, AssetClassAssumption>} */
+const DEFAULT_ASSET_CLASSES = {
+  [ASSET_CLASSES.TRAD_401K]: { mean: null, volatility: 0.12 },
+  [ASSET_CLASSES.ROTH]: { mean: null, volatility: 0.15 },
+  [ASSET_CLASSES.SAVINGS]: { mean: null, volatility: 0.01 },
+};
+
+const DEFAULT_CORRELATIONS = [
+  [1, 0.85, 0.1],
+  [0.85, 1, 0.1],
+  [0.1, 0.1, 1],
+];
+
+class MonteCarloSimulator {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {number} */
+  #trials;
+  /** @type {number} */
+  #seed;
+  /** @type {Record<string, AssetClassAssumption>} */
+  #assetClasses;
+  /** @type {number[][]} */
+  #choleskyFactor;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {number} trials
+   * @param {number} seed
+   * @param {Record<string, AssetClassAssumption>} assetClasses
+   * @param {number[][]} correlations
+   */
+  constructor(inputs, trials, seed, assetClasses, correlations) {
+    if (!Number.isInteger(trials) || trials < 1) {
+      throw new Error(`Invalid Monte Carlo trial count: ${trials}`);
+    }
+
+    this.#inputs = inputs;
+    this.#trials = trials;
+    this.#seed = seed >>> 0;
+    this.#assetClasses = assetClasses;
+    this.#choleskyFactor = choleskyDecompose(correlations);
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {MonteCarloOptions} [options]
+   * @returns {MonteCarloSimulator}
+   */
+  static CreateUsing(inputs, options = {}) {
+    const {
+      trials = 1000,
+      seed = 12345,
+      assetClasses = {},
+      correlations = DEFAULT_CORRELATIONS,
+    } = options;
+
+    /** @type {Record<string, AssetClassAssumption>} */
+    const mergedAssetClasses = {};
+    for (const assetClass of ASSET_CLASS_ORDER) {
+      mergedAssetClasses[assetClass] = {
+        ...DEFAULT_ASSET_CLASSES[assetClass],
+        ...assetClasses[assetClass],
+      };
+    }
+
+    return new MonteCarloSimulator(
+      inputs,
+      trials,
+      seed,
+      mergedAssetClasses,
+      correlations
+    );
+  }
+
+  get #totalYears() {
+    return (
+      Math.max(
+        this.#inputs.subjectLivingYears,
+        this.#inputs.partnerLivingYears - this.#inputs.totalWorkingYears
+      ) + 1
+    );
+  }
+
+  /**
+   * Draws one correlated return per asset class for every simulated year.
+   *
+   * @param {() => number} nextNormal
+   * @returns {number[][]} shocks[yearIndex][assetClassIndex]
+   */
+  #generateShocks(nextNormal) {
+    const size = ASSET_CLASS_ORDER.length;
+    /** @type {number[][]} */
+    const shocks = [];
+
+    for (let yearIndex = 0; yearIndex < this.#totalYears; yearIndex++) {
+      const independent = ASSET_CLASS_ORDER.map(() => nextNormal());
+      const correlated = Array(size).fill(0);
+
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col <= row; col++) {
+          correlated[row] += this.#choleskyFactor[row][col] * independent[col];
+        }
+      }
+
+      shocks.push(correlated);
+    }
+
+    return shocks;
+  }
+
+  /**
+   * @param {number[][]} shocks
+   * @returns {import("./retirement-calculator.js").MarketConditions}
+   */
+  #marketConditionsFor(shocks) {
+    return {
+      interestRateFor: (accountType, yearIndex, baseRate) => {
+        const assetClass = getAssetClass(accountType);
+        if (!assetClass) return baseRate;
+
+        const assumption = this.#assetClasses[assetClass];
+        const mean = assumption.mean ?? baseRate;
+        const shock = shocks[yearIndex][ASSET_CLASS_ORDER.indexOf(assetClass)];
+        const annualReturn = Math.max(
+          -0.99,
+          mean + assumption.volatility * shock
+        );
+
+        return annualReturnToMonthlyCompoundedRate(annualReturn);
+      },
+    };
+  }
+
+  /**
+   * @returns {MonteCarloResults}
+   */
+  run() {
+    const nextNormal = createNormalGenerator(createSeededRandom(this.#seed));
+
+    /** @type {MonteCarloTrial[]} */
+    const trialResults = [];
+
+    for (let trial = 0; trial < this.#trials; trial++) {
+      const shocks = this.#generateShocks(nextNormal);
+      const calculations = initializeCalculationsFromInputs(
+        this.#inputs.clone(),
+        this.#marketConditionsFor(shocks)
+      );
+      const outcome = SimulationOutcome.CreateFrom(this.#inputs, calculations);
+
+      trialResults.push({
+        trial: trial + 1,
+        success: outcome.success,
+        endingBalance: outcome.endingBalance,
+        depletionYear: outcome.depletionYear,
+        depletionAge: outcome.depletionAge,
+      });
+    }
+
+    return this.#summarize(trialResults);
+  }
+
+  /**
+   * @param {MonteCarloTrial[]} trialResults
+   * @returns {MonteCarloResults}
+   */
+  #summarize(trialResults) {
+    const successCount = trialResults.filter((t) => t.success).length;
+
+    const sortedEndingBalances = trialResults
+      .map((t) => t.endingBalance)
+      .sort((a, b) => a - b);
+
+    const depletionAgeList = trialResults
+      .map((t) => t.depletionAge)
+      .filter((age) => age !== null)
+      .sort((a, b) => a - b);
+
+    /** @type {Map<number, number>} */
+    const countsByAge = new Map();
+    for (const age of depletionAgeList) {
+      countsByAge.set(age, (countsByAge.get(age) ?? 0) + 1);
+    }
+
+    return {
+      trials: this.#trials,
+      seed: this.#seed,
+      successCount,
+      probabilityOfSuccess: successCount / this.#trials,
+      endingBalancePercentiles: REPORTED_PERCENTILES.map((percentile) => ({
+        percentile,
+        endingBalance: percentileOf(
+          sortedEndingBalances,
+          percentile
+        ).asCurrency(),
+      })),
+      depletionAges: [...countsByAge.entries()].map(([age, count]) => ({
+        age,
+        count,
+        probability: count / this.#trials,
+      })),
+      medianDepletionAge:
+        depletionAgeList.length > 0
+          ? Math.round(percentileOf(depletionAgeList, 50))
+          : null,
+      trialResults,
+    };
+  }
+}
+
+/**
+ * Accounts credit interest monthly at rate / 12, so the nominal rate is
+ * chosen such that twelve compounding periods produce the annual return.
+ *
+ * @param {number} annualReturn
+ * @returns {number}
+ */
+function annualReturnToMonthlyCompoundedRate(annualReturn) {
+  return 12 * (Math.pow(1 + annualReturn, 1 / 12) - 1);
+}
+
+/**
+ * Mulberry32 – small, fast and reproducible for a given seed.
+ *
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Box-Muller transform over a uniform source.
+ *
+ * @param {() => number} random
+ * @returns {() => number} standard normal
+ */
+function createNormalGenerator(random) {
+  /** @type {number | null} */
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/**
+ * @param {number[][]} matrix - Symmetric, positive-definite correlation matrix
+ * @returns {number[][]} lower-triangular factor L where L·Lᵀ = matrix
+ */
+function choleskyDecompose(matrix) {
+  const size = ASSET_CLASS_ORDER.length;
+
+  if (
+    !Array.isArray(matrix) ||
+    matrix.length !== size ||
+    matrix.some((row) => !Array.isArray(row) || row.length !== size)
+  ) {
+    throw new Error(`Correlation matrix must be ${size}x${size}`);
+  }
+
+  /** @type {number[][]} */
+  const lower = Array.from({ length: size }, () => Array(size).fill(0));
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col <= row; col++) {
+      let sum = matrix[row][col];
+      for (let k = 0; k < col; k++) {
+        sum -= lower[row][k] * lower[col][k];
+      }
+
+      if (row === col) {
+        if (sum <= 0) {
+          throw new Error("Correlation matrix must be positive-definite");
+        }
+        lower[row][col] = Math.sqrt(sum);
+      } else {
+        lower[row][col] = sum / lower[col][col];
+      }
+    }
+  }
+
+  return lower;
+}
+
+export { MonteCarloSimulator, annualReturnToMonthlyCompoundedRate };
@@ -0,0 +1,239 @@
+import { Inputs } from "./cInputs.js";
+import { LifeTable } from "./cLifeTable.js";
+import { SimulationOutcome } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+// Longevity percentiles run through the deterministic engine by default:
+// the ages each spouse has a 50%, 25% and 10% chance of reaching
+const DEFAULT_SURVIVAL_CHANCES = [0.5, 0.25, 0.1];
+
+// The weighted projection runs until each spouse's survival odds fall
+// below this
+const HORIZON_SURVIVAL_CHANCE = 0.01;
+
+/**
+ * @typedef {object} MortalityOptions
+ * @property {number[]} [survivalChances] - e.g. 0.25 for the age with a 25% chance of survival
+ */
+
+/**
+ * @typedef {object} MortalityYearRow
+ * @property {number} year
+ * @property {number} subjectAge
+ * @property {number | null} partnerAge
+ * @property {number} subjectSurvival - Chance the subject reaches this age
+ * @property {number} partnerSurvival - 0 without a partner
+ * @property {number} eitherSurvival - Chance at least one spouse is alive to start the year
+ * @property {number} eitherSurvivalPastAge - Chance at least one spouse is alive at the end of the year
+ * @property {number} coverage - Share of the year's spend the plan funds, 0..1
+ */
+
+/**
+ * @typedef {object} LongevityPercentileRow
+ * @property {number} survivalChance
+ * @property {number} subjectLifeSpan
+ * @property {number} partnerLifeSpan
+ * @property {boolean} funded
+ * @property {number} endingBalance
+ * @property {number | null} fundedToYear
+ */
+
+/**
+ * @typedef {object} MortalityResults
+ * @property {number} horizonAge - Subject age the weighted projection runs to
+ * @property {MortalityYearRow[]} years
+ * @property {number} survivalWeightedCoverage - Spend coverage averaged over the years someone is alive to need it, 0..1
+ * @property {number | null} depletionYear
+ * @property {number} probabilityOfOutlivingMoney - Chance someone is still alive in the depletion year, 0..1
+ * @property {LongevityPercentileRow[]} percentiles
+ */
+
+/**
+ * Replaces the fixed lifespans with survival odds from the bundled period
+ * life tables. The plan is projected with both spouses living to the
+ * table's horizon and each year is weighted by the chance someone is alive
+ * to need it; the deterministic engine is also run with each spouse dying
+ * at chosen longevity percentiles.
+ */
+class MortalityAnalyzer {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {number[]} */
+  #survivalChances;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {number[]} survivalChances
+   */
+  constructor(inputs, survivalChances) {
+    this.#inputs = inputs;
+    this.#survivalChances = survivalChances;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {MortalityOptions} [options]
+   * @returns {MortalityAnalyzer}
+   */
+  static CreateUsing(inputs, options = {}) {
+    const { survivalChances = DEFAULT_SURVIVAL_CHANCES } = options;
+
+    for (const chance of survivalChances) {
+      if (!(chance > 0 && chance < 1)) {
+        throw new Error(`Survival chance must be between 0 and 1: ${chance}`);
+      }
+    }
+
+    return new MortalityAnalyzer(inputs, survivalChances);
+  }
+
+  /**
+   * @param {number} subjectLifeSpan
+   * @param {number} partnerLifeSpan
+   * @returns {Inputs}
+   */
+  #inputsLivingTo(subjectLifeSpan, partnerLifeSpan) {
+    const inputs = this.#inputs.clone();
+    // The engine needs at least one retirement year
+    inputs.subjectLifeSpan = Math.max(
+      subjectLifeSpan,
+      inputs.subjectRetireAge + 1
+    );
+    if (inputs.hasPartner) {
+      inputs.partnerLifeSpan = partnerLifeSpan;
+    }
+    return inputs;
+  }
+
+  /**
+   * @param {number} chance
+   * @returns {Inputs}
+   */
+  #inputsAtSurvivalChance(chance) {
+    const inputs = this.#inputs;
+    return this.#inputsLivingTo(
+      LifeTable.survivalAge(
+        inputs.subjectSex,
+        inputs.initialAgeSubject,
+        chance
+      ),
+      inputs.hasPartner
+        ? LifeTable.survivalAge(
+            inputs.partnerSex,
+            inputs.initialAgePartner,
+            chance
+          )
+        : inputs.partnerLifeSpan
+    );
+  }
+
+  /**
+   * @param {number} yearIndex
+   * @returns {{subjectSurvival: number, partnerSurvival: number, eitherSurvival: number}}
+   */
+  #survivalAt(yearIndex) {
+    const inputs = this.#inputs;
+    const subjectSurvival = LifeTable.survivalProbability(
+      inputs.subjectSex,
+      inputs.initialAgeSubject,
+      inputs.initialAgeSubject + yearIndex
+    );
+    const partnerSurvival = inputs.hasPartner
+      ? LifeTable.survivalProbability(
+          inputs.partnerSex,
+          inputs.initialAgePartner,
+          inputs.initialAgePartner + yearIndex
+        )
+      : 0;
+
+    // Lives are treated as independent
+    return {
+      subjectSurvival,
+      partnerSurvival,
+      eitherSurvival: 1 - (1 - subjectSurvival) * (1 - partnerSurvival),
+    };
+  }
+
+  /**
+   * @param {number} chance
+   * @returns {LongevityPercentileRow}
+   */
+  #evaluate(chance) {
+    const inputs = this.#inputsAtSurvivalChance(chance);
+    const outcome = SimulationOutcome.CreateFrom(
+      inputs,
+      initializeCalculationsFromInputs(inputs)
+    );
+
+    return {
+      survivalChance: chance,
+      subjectLifeSpan: inputs.subjectLifeSpan,
+      partnerLifeSpan: inputs.hasPartner ? inputs.partnerLifeSpan : 0,
+      funded: outcome.success,
+      endingBalance: outcome.endingBalance,
+      fundedToYear: outcome.fundedToYear,
+    };
+  }
+
+  /**
+   * @returns {MortalityResults}
+   */
+  analyze() {
+    const horizonInputs = this.#inputsAtSurvivalChance(HORIZON_SURVIVAL_CHANCE);
+    const calculations = initializeCalculationsFromInputs(horizonInputs);
+    const outcome = SimulationOutcome.CreateFrom(horizonInputs, calculations);
+    const allCalcs = calculations?.getAllCalculations() ?? [];
+
+    /** @type {MortalityYearRow[]} */
+    const years = [];
+    let weightedCoverage = 0;
+    let totalWeight = 0;
+
+    allCalcs.forEach((calc) => {
+      // Placed by the year it covers: a year the projection could not
+      // compute leaves a gap in the list
+      const yearIndex = calc.taxYear - this.#inputs.startingYear;
+      const reportData = calc.reportData;
+      const survival = this.#survivalAt(yearIndex);
+      const coverage =
+        reportData.spending_total > 0
+          ? Math.min(
+              1,
+              reportData.cash_total_inflows / reportData.spending_total
+            )
+          : 1;
+
+      weightedCoverage += survival.eitherSurvival * coverage;
+      totalWeight += survival.eitherSurvival;
+
+      years.push({
+        year: calc.taxYear,
+        subjectAge: this.#inputs.initialAgeSubject + yearIndex,
+        partnerAge: this.#inputs.hasPartner
+          ? this.#inputs.initialAgePartner + yearIndex
+          : null,
+        ...survival,
+        eitherSurvivalPastAge: this.#survivalAt(yearIndex + 1).eitherSurvival,
+        coverage,
+      });
+    });
+
+    const depletionRow = years.find(
+      (row) => row.year === outcome.depletionYear
+    );
+
+    return {
+      horizonAge: horizonInputs.subjectLifeSpan,
+      years,
+      survivalWeightedCoverage:
+        totalWeight > 0 ? weightedCoverage / totalWeight : 0,
+      depletionYear: outcome.depletionYear,
+      probabilityOfOutlivingMoney: depletionRow?.eitherSurvival ?? 0,
+      percentiles: this.#survivalChances.map((chance) =>
+        this.#evaluate(chance)
+      ),
+    };
+  }
+}
+
+export { MortalityAnalyzer };
@@ -7,6 +7,13 @@
  * @property {number} monthlyAmount
  * @property {number} withholdingRate
  * @property {number} survivorshipPercent
+ * @property {"none"|"fixed"|"cpi"} [colaType]
+ * @property {number} [colaRate] - Yearly increase for a fixed COLA
+ * @property {number} [colaCap] - Most a CPI-linked COLA can rise in a year; 0 = uncapped
+ * @property {number} [lumpSumAmount] - Lump sum offered instead of the annuity; 0 = none
+ * @property {PensionJointSurvivorOption[]} [jointSurvivorOptions]
+ * @property {string} [election] - Key of the elected payout (see PensionElections)
+ * @property {import("./cAnnuityPurchase.js").AnnuityPurchaseTerms} [purchase] - Set for an annuity bought with a lump sum at startAge
  */
 
 /**
@@ -20,14 +27,32 @@
  * @property {number} monthlyAmount
  * @property {number} withholdingRate
  * @property {number} survivorshipPercent
+ * @property {"none"|"fixed"|"cpi"} [colaType]
+ * @property {number} [colaRate] - Yearly increase for a fixed COLA
+ * @property {number} [colaCap] - Most a CPI-linked COLA can rise in a year; 0 = uncapped
+ * @property {number} [lumpSumAmount] - Lump sum offered instead of the annuity; 0 = none
+ * @property {PensionJointSurvivorOption[]} [jointSurvivorOptions]
+ * @property {string} [election] - Key of the elected payout (see PensionElections)
+ * @property {import("./cAnnuityPurchase.js").AnnuityPurchaseTerms} [purchase] - Set for an annuity bought with a lump sum at startAge
+ */
+
+/**
+ * Reduced monthly amount offered for a joint-and-survivor election
+ *
+ * @typedef {Object} PensionJointSurvivorOption
+ * @property {number} survivorshipPercent
+ * @property {number} monthlyAmount
  */
 
 /**
  * @typedef {Object} PensionAnnuityBreakdown
+ * @property {string} id
  * @property {string} owner
  * @property {string} name
+ * @property {string} election
  * @property {number} withholdingRate
  * @property {number} grossAmount
+ * @property {number} taxableAmount
  * @property {number} withholdingsAmount
  * @property {number} takehomeAmount
  */
@@ -0,0 +1,128 @@
+import { Inputs } from "./cInputs.js";
+import { PensionElections } from "./cPensionElections.js";
+import { SimulationOutcome } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+/**
+ * @typedef {object} PensionElectionRow
+ * @property {string} key
+ * @property {string} label
+ * @property {number} monthlyAmount
+ * @property {number} survivorshipPercent
+ * @property {number} lumpSumAmount
+ * @property {number} lifetimePensionIncome - Gross pension paid over the projection, survivor years included
+ * @property {number} lifetimeHouseholdIncome - Take-home income from every source over the projection
+ * @property {number} endingBalance
+ * @property {boolean} funded
+ * @property {number | null} fundedToYear
+ */
+
+/**
+ * @typedef {object} PensionElectionResults
+ * @property {string} pensionName
+ * @property {string} currentKey - Election the scenario is set to
+ * @property {PensionElectionRow[]} rows
+ * @property {string | null} bestKey - Funded election with the largest ending balance
+ */
+
+/**
+ * Runs the projection once per payout a pension offers (the annuity as
+ * entered, each joint-and-survivor alternative and any lump sum), holding
+ * every other input at its configured value.
+ */
+class PensionElectionAnalyzer {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {import("./cPensionAnnuityStorage.js").PensionAnnuity} */
+  #pension;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} pension
+   */
+  constructor(inputs, pension) {
+    this.#inputs = inputs;
+    this.#pension = pension;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {string} pensionId
+   * @returns {PensionElectionAnalyzer}
+   */
+  static CreateUsing(inputs, pensionId) {
+    const pension = inputs.pensionAnnuities.find((p) => p.id === pensionId);
+    if (!pension) {
+      throw new Error(`Pension not found: ${pensionId}`);
+    }
+
+    return new PensionElectionAnalyzer(inputs, pension);
+  }
+
+  /**
+   * @param {import("./cPensionElections.js").PensionElectionOption} option
+   * @returns {PensionElectionRow}
+   */
+  #evaluate(option) {
+    const inputs = this.#inputs.clone();
+    inputs.pensionAnnuities = inputs.pensionAnnuities.map((p) =>
+      p.id === this.#pension.id
+        ? PensionElections.withElection(p, option.key)
+        : p
+    );
+
+    const calculations = initializeCalculationsFromInputs(inputs);
+    const outcome = SimulationOutcome.CreateFrom(inputs, calculations);
+
+    let lifetimePensionIncome = 0;
+    let lifetimeHouseholdIncome = 0;
+    for (const calc of calculations?.getAllCalculations() ?? []) {
+      const reportData = calc.reportData;
+      lifetimePensionIncome += reportData.income_pensionBreakdowns
+        .filter((b) => b.id === this.#pension.id)
+        .reduce((acc, b) => acc + b.grossAmount, 0);
+      lifetimeHouseholdIncome += reportData.income_total_takehome;
+    }
+
+    return {
+      key: option.key,
+      label: option.label,
+      monthlyAmount: option.monthlyAmount,
+      survivorshipPercent: option.survivorshipPercent,
+      lumpSumAmount: option.lumpSumAmount,
+      lifetimePensionIncome: lifetimePensionIncome.asCurrency(),
+      lifetimeHouseholdIncome: lifetimeHouseholdIncome.asCurrency(),
+      endingBalance: outcome.endingBalance,
+      funded: outcome.success,
+      fundedToYear: outcome.fundedToYear,
+    };
+  }
+
+  /**
+   * @returns {PensionElectionResults}
+   */
+  analyze() {
+    const rows = PensionElections.options(this.#pension).map((option) =>
+      this.#evaluate(option)
+    );
+
+    /** @type {string | null} */
+    let bestKey = null;
+    let bestBalance = -Infinity;
+    for (const row of rows) {
+      if (row.funded && row.endingBalance > bestBalance) {
+        bestKey = row.key;
+        bestBalance = row.endingBalance;
+      }
+    }
+
+    return {
+      pensionName: this.#pension.name,
+      currentKey: PensionElections.elected(this.#pension).key,
+      rows,
+      bestKey,
+    };
+  }
+}
+
+export { PensionElectionAnalyzer };
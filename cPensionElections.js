@@ -0,0 +1,203 @@
+/**
+ * Pension/annuity payout terms: cost-of-living adjustments and the election
+ * between the single-life annuity as entered, its reduced joint-and-survivor
+ * alternatives and a lump-sum offer rolled into the owner's 401k.
+ */
+
+/** @typedef {import("./cPensionAnnuityStorage.js").PensionAnnuity} PensionAnnuity */
+
+const PENSION_COLA_TYPES = Object.freeze({
+  NONE: "none",
+  FIXED: "fixed",
+  CPI: "cpi",
+});
+
+const ANNUITY_ELECTION = "annuity";
+const LUMP_SUM_ELECTION = "lumpSum";
+
+/**
+ * @typedef {object} PensionElectionOption
+ * @property {string} key - "annuity", "lumpSum" or "js<n>" for the nth joint-and-survivor option
+ * @property {string} label
+ * @property {number} monthlyAmount
+ * @property {number} survivorshipPercent
+ * @property {number} lumpSumAmount
+ */
+
+class PensionElections {
+  /**
+   * Every payout the pension offers, the annuity as entered first.
+   *
+   * @param {PensionAnnuity} pension
+   * @returns {PensionElectionOption[]}
+   */
+  static options(pension) {
+    /** @type {PensionElectionOption[]} */
+    const options = [
+      {
+        key: ANNUITY_ELECTION,
+        label: PensionElections.#annuityLabel(pension.survivorshipPercent),
+        monthlyAmount: pension.monthlyAmount,
+        survivorshipPercent: pension.survivorshipPercent,
+        lumpSumAmount: 0,
+      },
+    ];
+
+    (pension.jointSurvivorOptions ?? []).forEach((option, index) => {
+      options.push({
+        key: `js${index + 1}`,
+        label: PensionElections.#annuityLabel(option.survivorshipPercent),
+        monthlyAmount: option.monthlyAmount,
+        survivorshipPercent: option.survivorshipPercent,
+        lumpSumAmount: 0,
+      });
+    });
+
+    if ((pension.lumpSumAmount ?? 0) > 0) {
+      options.push({
+        key: LUMP_SUM_ELECTION,
+        label: "Lump sum to 401k",
+        monthlyAmount: 0,
+        survivorshipPercent: 0,
+        lumpSumAmount: pension.lumpSumAmount ?? 0,
+      });
+    }
+
+    return options;
+  }
+
+  /**
+   * The option the pension is set to pay, falling back to the annuity as
+   * entered when the saved election is no longer offered.
+   *
+   * @param {PensionAnnuity} pension
+   * @returns {PensionElectionOption}
+   */
+  static elected(pension) {
+    const options = PensionElections.options(pension);
+    return options.find((o) => o.key === pension.election) ?? options[0];
+  }
+
+  /**
+   * @param {PensionAnnuity} pension
+   * @param {string} key
+   * @returns {PensionAnnuity}
+   */
+  static withElection(pension, key) {
+    return { ...pension, election: key };
+  }
+
+  /**
+   * Growth of the payment after `yearsPaid` annual adjustments. A CPI-linked
+   * COLA follows inflation up to its cap; a cap of 0 leaves it uncapped.
+   * When inflation varies, each adjustment follows its own year's rate.
+   *
+   * @param {PensionAnnuity} pension
+   * @param {number} yearsPaid
+   * @param {number | number[]} inflation - One rate for every year, or the
+   * rate of each year paid, oldest first
+   * @returns {number}
+   */
+  static colaFactor(pension, yearsPaid, inflation) {
+    if (yearsPaid <= 0) return 1;
+
+    if (!Array.isArray(inflation)) {
+      return Math.pow(
+        1 + PensionElections.#colaRate(pension, inflation),
+        yearsPaid
+      );
+    }
+
+    return inflation
+      .slice(-yearsPaid)
+      .reduce(
+        (factor, rate) =>
+          factor * (1 + PensionElections.#colaRate(pension, rate)),
+        1
+      );
+  }
+
+  /**
+   * @param {PensionAnnuity} pension
+   * @param {number} inflationRate
+   * @returns {number}
+   */
+  static #colaRate(pension, inflationRate) {
+    let rate = 0;
+    switch (pension.colaType) {
+      case PENSION_COLA_TYPES.FIXED:
+        rate = pension.colaRate ?? 0;
+        break;
+      case PENSION_COLA_TYPES.CPI:
+        rate =
+          (pension.colaCap ?? 0) > 0
+            ? Math.min(inflationRate, pension.colaCap ?? 0)
+            : inflationRate;
+        break;
+    }
+
+    return Math.max(rate, 0);
+  }
+
+  /**
+   * Gross payments for the year under the elected option. After the owner
+   * dies only the survivorship share continues.
+   *
+   * @param {PensionAnnuity} pension
+   * @param {number} ownerAge
+   * @param {boolean} ownerIsLiving
+   * @param {number | number[]} inflation - See colaFactor
+   * @returns {number}
+   */
+  static annualGross(pension, ownerAge, ownerIsLiving, inflation) {
+    if (ownerAge < pension.startAge) return 0;
+
+    const option = PensionElections.elected(pension);
+    let annual =
+      option.monthlyAmount *
+      12 *
+      PensionElections.colaFactor(
+        pension,
+        ownerAge - pension.startAge,
+        inflation
+      );
+
+    if (!ownerIsLiving) {
+      annual *= option.survivorshipPercent;
+    }
+
+    return annual;
+  }
+
+  /**
+   * Lump sum rolled into the owner's 401k in the year they reach the start
+   * age. A scenario starting past that age treats it as already in the
+   * 401k balance.
+   *
+   * @param {PensionAnnuity} pension
+   * @param {number} ownerAge
+   * @param {boolean} ownerIsLiving
+   * @returns {number}
+   */
+  static lumpSumRollover(pension, ownerAge, ownerIsLiving) {
+    if (!ownerIsLiving || ownerAge !== pension.startAge) return 0;
+
+    return PensionElections.elected(pension).lumpSumAmount;
+  }
+
+  /**
+   * @param {number} survivorshipPercent
+   * @returns {string}
+   */
+  static #annuityLabel(survivorshipPercent) {
+    if (survivorshipPercent <= 0) return "Single life";
+    return `${Math.round(survivorshipPercent * 100)}% joint & survivor`;
+  }
+}
+
+export {
+  PensionElections,
+  PENSION_COLA_TYPES,
+  ANNUITY_ELECTION,
+  LUMP_SUM_ELECTION,
+};
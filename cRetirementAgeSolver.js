@@ -0,0 +1,132 @@
+import { Inputs } from "./cInputs.js";
+import { SimulationOutcome } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+/**
+ * @typedef {object} RetirementAgeSolverOptions
+ * @property {number} [minAge] - Earliest subject retirement age to try
+ * @property {number} [maxAge] - Latest subject retirement age to try
+ * @property {boolean} [retireTogether] - Move partnerRetireAge so both retire in the same calendar year
+ */
+
+/**
+ * @typedef {object} RetirementAgeRow
+ * @property {number} subjectRetireAge
+ * @property {number} partnerRetireAge
+ * @property {boolean} funded
+ * @property {number} endingBalance
+ * @property {number | null} fundedToYear
+ */
+
+/**
+ * @typedef {object} RetirementAgeResults
+ * @property {RetirementAgeRow[]} rows
+ * @property {number | null} recommendedAge - Earliest age from which every later age is funded
+ */
+
+// Default latest age to try when the caller does not bound the search
+const DEFAULT_MAX_RETIRE_AGE = 75;
+
+/**
+ * Runs the projection once per candidate retirement age, holding every other
+ * input (spending included) at its configured value, and finds the earliest
+ * age at which the plan stays funded to lifespan.
+ */
+class RetirementAgeSolver {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {number} */
+  #minAge;
+  /** @type {number} */
+  #maxAge;
+  /** @type {boolean} */
+  #retireTogether;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {number} minAge
+   * @param {number} maxAge
+   * @param {boolean} retireTogether
+   */
+  constructor(inputs, minAge, maxAge, retireTogether) {
+    if (minAge > maxAge) {
+      throw new Error(
+        `Retirement age range is empty (${minAge}-${maxAge}); the latest age must be before the subject's lifespan`
+      );
+    }
+
+    this.#inputs = inputs;
+    this.#minAge = minAge;
+    this.#maxAge = maxAge;
+    this.#retireTogether = retireTogether;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {RetirementAgeSolverOptions} [options]
+   * @returns {RetirementAgeSolver}
+   */
+  static CreateUsing(inputs, options = {}) {
+    const {
+      minAge = inputs.initialAgeSubject,
+      maxAge = DEFAULT_MAX_RETIRE_AGE,
+      retireTogether = false,
+    } = options;
+
+    return new RetirementAgeSolver(
+      inputs,
+      Math.max(minAge, inputs.initialAgeSubject),
+      Math.min(maxAge, inputs.subjectLifeSpan - 1),
+      retireTogether
+    );
+  }
+
+  /**
+   * @param {number} subjectRetireAge
+   * @returns {RetirementAgeRow}
+   */
+  #evaluate(subjectRetireAge) {
+    const inputs = this.#inputs.clone();
+    inputs.subjectRetireAge = subjectRetireAge;
+
+    if (this.#retireTogether && inputs.hasPartner) {
+      inputs.partnerRetireAge =
+        subjectRetireAge -
+        (inputs.initialAgeSubject - inputs.initialAgePartner);
+    }
+
+    const outcome = SimulationOutcome.CreateFrom(
+      inputs,
+      initializeCalculationsFromInputs(inputs)
+    );
+
+    return {
+      subjectRetireAge,
+      partnerRetireAge: inputs.partnerRetireAge,
+      funded: outcome.success,
+      endingBalance: outcome.endingBalance,
+      fundedToYear: outcome.fundedToYear,
+    };
+  }
+
+  /**
+   * @returns {RetirementAgeResults}
+   */
+  solve() {
+    /** @type {RetirementAgeRow[]} */
+    const rows = [];
+    for (let age = this.#minAge; age <= this.#maxAge; age++) {
+      rows.push(this.#evaluate(age));
+    }
+
+    /** @type {number | null} */
+    let recommendedAge = null;
+    for (let i = rows.length - 1; i >= 0 && rows[i].funded; i--) {
+      recommendedAge = rows[i].subjectRetireAge;
+    }
+
+    return { rows, recommendedAge };
+  }
+}
+
+export { RetirementAgeSolver };
@@ -108,7 +108,7 @@ class RetirementIncomeCalculator {
   ) {
     if (!nonSsIncomeSources || nonSsIncomeSources.length === 0) {
       nonSsIncomeSources = [
-        fixedIncomeStreams.combinedPensionGross,
+        fixedIncomeStreams.combinedPensionTaxable,
         fixedIncomeStreams.interestEarnedOnSavings,
         fixedIncomeStreams.miscTaxableIncome,
         adjustableIncomeStreams?.grossTaxableIncome ?? 0,
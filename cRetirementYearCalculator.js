@@ -1,5 +1,6 @@
 import { ACCOUNT_TYPES } from "./cAccount.js";
 import { AccountingYear } from "./cAccountingYear.js";
+import { AcaPremiums } from "./cAcaPremiums.js";
 import { AccountPortioner } from "./cAccountPortioner.js";
 import { AdjustableIncomeStreams } from "./cAdjustableIncomeStreams.js";
 import { Common } from "./cCommon.js";
@@ -7,14 +8,25 @@ import { Demographics } from "./cDemographics.js";
 import { FiscalData } from "./cFiscalData.js";
 import { FixedIncomeStreams } from "./cFixedIncomeStreams.js";
 import { Inputs } from "./cInputs.js";
-import { constsJS_FILING_STATUS, PERIODIC_FREQUENCY } from "./consts.js";
+import { MedicarePremiums } from "./cMedicarePremiums.js";
+import {
+  constsJS_FILING_STATUS_LABELS,
+  HSA_MEDICARE_AGE,
+  HSA_NONQUALIFIED_PENALTY,
+  INTEREST_CALCULATION_EPOCH,
+  PERIODIC_FREQUENCY,
+} from "./consts.js";
 import { ReportingYear } from "./cReporting.js";
 import { ReportsManager } from "./cReportsManager.js";
 import { RetirementYearData } from "./cRetirementYearData.js";
+import { RothConversionPlanner } from "./cRothConversionPlanner.js";
 import { SsBenefitsCalculator } from "./cSsBenefitsCalculator.js";
 import { SocialSecurityBreakdown } from "./cSsBreakdown.js";
+import { SsClaiming } from "./cSsClaiming.js";
+import { StateTaxCalculator } from "./cStateTaxCalculator.js";
 import { Taxes } from "./cTaxes.js";
 import { TransactionCategory } from "./cTransaction.js";
+import { YearActivity } from "./cYearActivity.js";
 import { TransactionRoutes } from "./tTransactionRoute.js";
 
 /**
@@ -35,12 +47,18 @@ class RetirementYearCalculator {
   #demographics;
   /** @type {FiscalData} */
   #fiscalData;
+  /** @type {MedicarePremiums} */
+  #medicarePremiums;
+  /** @type {AcaPremiums} */
+  #acaPremiums;
   /** @type {FixedIncomeStreams} */
   #fixedIncomeStreams;
   /** @type {AdjustableIncomeStreams} */
   #adjustableIncomeStreams;
   /** @type {AccountPortioner} */
   #accountPortioner;
+  /** @type {RothConversionPlanner} */
+  #rothConversionPlanner;
   /** @type {SocialSecurityBreakdown} */
   #ssBreakdown = new SocialSecurityBreakdown(0, 0, 0, false);
   /** @type {Taxes} */
@@ -62,6 +80,16 @@ class RetirementYearCalculator {
     this.#reportingYear = reportingYear;
     this.#demographics = Demographics.CreateUsing(this.#inputs, true, false);
     this.#fiscalData = FiscalData.CreateUsing(this.#inputs);
+    this.#medicarePremiums = MedicarePremiums.CreateUsing(
+      this.#inputs,
+      this.#demographics
+    );
+    this.#fiscalData.medicarePremiums = this.#medicarePremiums.total;
+    this.#acaPremiums = AcaPremiums.CreateUsing(
+      this.#inputs,
+      this.#demographics
+    );
+    this.#fiscalData.acaPremiums = this.#acaPremiums.benchmarkPremium;
 
     this.#fixedIncomeStreams = FixedIncomeStreams.CreateUsing(
       this.#demographics,
@@ -80,6 +108,13 @@ class RetirementYearCalculator {
       this.#accountYear
     );
 
+    this.#rothConversionPlanner = RothConversionPlanner.CreateUsing(
+      this.#inputs,
+      this.#demographics,
+      this.#fiscalData,
+      this.#accountYear
+    );
+
     this.#reportingYear.ReportData.year = this.#fiscalData.taxYear;
 
     this.#reportingYear.ReportData.spending_basis =
@@ -97,6 +132,19 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.spending_taper_rate =
       this.#fiscalData.speningTaperRate;
 
+    this.#reportingYear.ReportData.spending_policySpend =
+      this.#fiscalData.spend.asCurrency();
+
+    const guardrailDecision = this.#inputs.guardrailDecision;
+    if (guardrailDecision) {
+      this.#reportingYear.ReportData.spending_guardrailAction =
+        guardrailDecision.action;
+      this.#reportingYear.ReportData.spending_guardrailInflationSkipped =
+        guardrailDecision.inflationSkipped;
+      this.#reportingYear.ReportData.spending_withdrawalRate =
+        guardrailDecision.withdrawalRate;
+    }
+
     this.#reportingYear.ReportData.demographics_isWidowed =
       !this.#demographics.isWidowed;
     this.#reportingYear.ReportData.demographics_hasPartner =
@@ -104,10 +152,7 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.demographics_subjectAge = `${this.#demographics.subjectIsLiving ? this.#demographics.currentAge : "-"}`;
     this.#reportingYear.ReportData.demographics_partnerAge = `${this.#demographics.partnerIsLiving ? this.#demographics.currentAgeOfPartner : "-"}`;
     this.#reportingYear.ReportData.demographics_filingStatus =
-      this.#demographics.filingStatus ===
-      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY
-        ? "Married Filing Jointly"
-        : "Single";
+      constsJS_FILING_STATUS_LABELS[this.#demographics.filingStatus];
   }
 
   // COPIED FROM WORKING YEAR CALCULATOR
@@ -296,23 +341,31 @@ class RetirementYearCalculator {
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.SAVINGS);
 
     this.#reportingYear.ReportData.account_savingsInterest = this.#accountYear
-      .getDeposits(ACCOUNT_TYPES.SAVINGS, TransactionCategory.Interest)
+      .getInterestEarnedForYear(ACCOUNT_TYPES.SAVINGS)
       .asCurrency();
 
     // debugger;
   }
 
+  #applyHsaInterest() {
+    this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.HSA);
+
+    this.#reportingYear.ReportData.account_hsaInterest = this.#accountYear
+      .getInterestEarnedForYear(ACCOUNT_TYPES.HSA)
+      .asCurrency();
+  }
+
   #apply401kInterest() {
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_401K);
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_401K);
 
     this.#reportingYear.ReportData.account_subject401kInterest =
       this.#accountYear
-        .getDeposits(ACCOUNT_TYPES.SUBJECT_401K, TransactionCategory.Interest)
+        .getInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_401K)
         .asCurrency();
     this.#reportingYear.ReportData.account_partner401kInterest =
       this.#accountYear
-        .getDeposits(ACCOUNT_TYPES.PARTNER_401K, TransactionCategory.Interest)
+        .getInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_401K)
         .asCurrency();
 
     // debugger;
@@ -328,17 +381,11 @@ class RetirementYearCalculator {
 
     this.#reportingYear.ReportData.account_subjectRothInterest =
       this.#accountYear
-        .getDeposits(
-          ACCOUNT_TYPES.SUBJECT_ROTH_IRA,
-          TransactionCategory.Interest
-        )
+        .getInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_partnerRothInterest =
       this.#accountYear
-        .getDeposits(
-          ACCOUNT_TYPES.PARTNER_ROTH_IRA,
-          TransactionCategory.Interest
-        )
+        .getInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
         .asCurrency();
 
     // debugger;
@@ -357,11 +404,49 @@ class RetirementYearCalculator {
       taxableIncome,
       this.#fixedIncomeStreams.nonTaxableIncome,
       this.#fiscalData,
-      this.#demographics
+      this.#demographics,
+      this.#preferentialIncome
     );
 
     const federalIncomeTaxOwed = this.#taxes.federalTaxesOwed.asCurrency();
 
+    const stateTax = StateTaxCalculator.calculate(
+      this.#inputs.stateOfResidenceThisYear,
+      this.#fiscalData,
+      this.#demographics,
+      {
+        federalAgi: this.#taxes.adjustedGrossIncome,
+        taxableSocialSecurity: this.#ssBreakdown.taxableAmount,
+        pensions: this.#fixedIncomeStreams.combinedPensionTaxable,
+        retirementDistributions:
+          this.#adjustableIncomeStreams.combined401kGrossWithdrawals +
+          this.#adjustableIncomeStreams.combinedRothConversions,
+      }
+    );
+    const hsaPenalty = this.#hsaPenalty;
+    const totalTaxesOwed = federalIncomeTaxOwed + stateTax.tax + hsaPenalty;
+
+    this.#reportingYear.ReportData.taxes_hsaPenalty = hsaPenalty;
+
+    const premiumTaxCredit = this.#applyPremiumTaxCredit();
+
+    this.#reportingYear.ReportData.taxes_stateOfResidence = stateTax.state;
+    this.#reportingYear.ReportData.taxes_stateExcludedIncome =
+      stateTax.excludedIncome;
+    this.#reportingYear.ReportData.taxes_stateDeductions = stateTax.deductions;
+    this.#reportingYear.ReportData.taxes_stateTaxableIncome =
+      stateTax.taxableIncome;
+    this.#reportingYear.ReportData.taxes_stateIncomeTaxOwed = stateTax.tax;
+
+    const rothConversions =
+      this.#adjustableIncomeStreams.combinedRothConversions;
+    if (rothConversions > 0) {
+      this.#reportingYear.ReportData.taxes_rothConversionTax = (
+        federalIncomeTaxOwed -
+        this.#estimateTaxes(-rothConversions).federalTaxesOwed
+      ).asCurrency();
+    }
+
     this.#reportingYear.ReportData.taxes_federalIncomeTaxOwed =
       federalIncomeTaxOwed;
 
@@ -371,8 +456,18 @@ class RetirementYearCalculator {
       this.#taxes.adjustedGrossIncome.asCurrency();
     this.#reportingYear.ReportData.taxes_standardDeduction =
       this.#taxes.standardDeduction.asCurrency();
+    this.#reportingYear.ReportData.taxes_seniorDeduction =
+      this.#taxes.seniorDeduction.asCurrency();
     this.#reportingYear.ReportData.taxes_taxableIncome =
       this.#taxes.taxableIncome.asCurrency();
+    this.#reportingYear.ReportData.taxes_qualifiedDividends =
+      this.#fixedIncomeStreams.qualifiedDividends;
+    this.#reportingYear.ReportData.taxes_shortTermCapitalGains =
+      this.#adjustableIncomeStreams.shortTermCapitalGains;
+    this.#reportingYear.ReportData.taxes_longTermCapitalGains =
+      this.#adjustableIncomeStreams.longTermCapitalGains;
+    this.#reportingYear.ReportData.taxes_capitalGainsTax =
+      this.#taxes.capitalGainsTax.asCurrency();
     this.#reportingYear.ReportData.taxes_nonTaxableIncome =
       this.#ssBreakdown.nonTaxableAmount.asCurrency();
 
@@ -380,19 +475,23 @@ class RetirementYearCalculator {
       this.#accountYear.getAnnualRevenues(
         ACCOUNT_TYPES.TAXES,
         TransactionCategory.Withholdings
-      ),
+      ) +
+        this.#accountYear.getAnnualRevenues(
+          ACCOUNT_TYPES.TAXES,
+          TransactionCategory.RothConversion
+        ),
       0
     );
 
     this.#reportingYear.ReportData.withholdings_total = withholdingsTotal;
 
-    const taxesOwed = federalIncomeTaxOwed - withholdingsTotal;
+    const taxesOwed = totalTaxesOwed - withholdingsTotal - premiumTaxCredit;
 
     this.#accountYear.processAsPeriodicWithdrawals(
       ACCOUNT_TYPES.TAXES,
       TransactionCategory.TaxPayment,
       TransactionRoutes.External,
-      federalIncomeTaxOwed,
+      totalTaxesOwed,
       PERIODIC_FREQUENCY.ANNUAL_TRAILING
     );
 
@@ -431,6 +530,178 @@ class RetirementYearCalculator {
     // debugger;
   }
 
+  /**
+   * Federal taxes on the income recorded so far this year plus an extra
+   * amount of ordinary income. Nothing is recorded or reported.
+   * @param {number} additionalTaxableIncome
+   * @returns {Taxes}
+   */
+  #estimateTaxes(additionalTaxableIncome) {
+    const ssBreakdown = SsBenefitsCalculator.CalculateSsBreakdown(
+      this.#demographics,
+      this.#fixedIncomeStreams,
+      this.#adjustableIncomeStreams,
+      additionalTaxableIncome
+    );
+
+    const grossIncome =
+      this.#fixedIncomeStreams.grossTaxableIncome +
+      this.#adjustableIncomeStreams.grossTaxableIncome +
+      additionalTaxableIncome;
+
+    return Taxes.CreateFromTaxableIncome(
+      grossIncome,
+      grossIncome - ssBreakdown.nonTaxableAmount,
+      this.#fixedIncomeStreams.nonTaxableIncome,
+      this.#fiscalData,
+      this.#demographics,
+      this.#preferentialIncome
+    );
+  }
+
+  /**
+   * Refundable credit toward the year's marketplace premiums, based on MAGI
+   * (AGI plus tax-exempt Social Security). It is paid into the tax account
+   * and settles with the year's taxes.
+   * @returns {number}
+   */
+  #applyPremiumTaxCredit() {
+    if (this.#acaPremiums.covered === 0) return 0;
+
+    const magi = this.#taxes.totalTaxableIncome.asCurrency();
+    const credit = this.#acaPremiums.premiumTaxCredit(magi);
+
+    if (credit > 0) {
+      this.#accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.TAXES,
+        TransactionCategory.PremiumTaxCredit,
+        TransactionRoutes.External,
+        credit,
+        PERIODIC_FREQUENCY.ANNUAL_TRAILING
+      );
+    }
+
+    const data = this.#reportingYear.ReportData;
+    data.aca_covered = this.#acaPremiums.covered;
+    data.aca_magi = magi;
+    data.aca_povertyLine = this.#acaPremiums.povertyLine;
+    data.aca_subsidyCliffMagi = this.#acaPremiums.subsidyCliffMagi;
+    data.aca_applicablePercentage =
+      this.#acaPremiums.applicablePercentage(magi) ?? 0;
+    data.aca_overSubsidyCliff = magi > this.#acaPremiums.subsidyCliffMagi;
+    data.taxes_premiumTaxCredit = credit;
+
+    // Held under the cliff, only a 401k draw needed for spending crosses it
+    const magiBefore401k =
+      magi - this.#adjustableIncomeStreams.combined401kGrossWithdrawals;
+    data.aca_lostPremiumTaxCredit =
+      this.#inputs.acaKeepMagiUnderCliff &&
+      data.aca_overSubsidyCliff &&
+      magiBefore401k < this.#acaPremiums.subsidyCliffMagi
+        ? (
+            this.#acaPremiums.premiumTaxCredit(
+              this.#acaPremiums.subsidyCliffMagi - 1
+            ) - credit
+          ).asCurrency()
+        : 0;
+
+    return credit;
+  }
+
+  /**
+   * Additional tax on non-medical HSA withdrawals taken before 65
+   */
+  get #hsaPenalty() {
+    if (this.#demographics.currentAge >= HSA_MEDICARE_AGE) return 0;
+
+    return (
+      this.#adjustableIncomeStreams.hsaNonQualifiedWithdrawals *
+      HSA_NONQUALIFIED_PENALTY
+    ).asCurrency();
+  }
+
+  /**
+   * Qualified dividends and long-term gains recorded so far this year
+   */
+  get #preferentialIncome() {
+    return (
+      this.#fixedIncomeStreams.qualifiedDividends +
+      this.#adjustableIncomeStreams.longTermCapitalGains
+    ).asCurrency();
+  }
+
+  #processRothConversions() {
+    const conversions = this.#rothConversionPlanner.determineConversionAmounts(
+      (additionalTaxableIncome) =>
+        this.#estimateTaxes(additionalTaxableIncome).ordinaryTaxableIncome
+    );
+
+    const combinedConversion = conversions.subject + conversions.partner;
+    if (combinedConversion <= 0) return;
+
+    // Withhold the tax the conversion adds; otherwise it is settled from
+    // savings with the rest of the year's tax bill
+    const taxToWithhold = this.#rothConversionPlanner.withholdsTaxes
+      ? Math.min(
+          this.#estimateTaxes(combinedConversion).federalTaxesOwed -
+            this.#estimateTaxes(0).federalTaxesOwed,
+          combinedConversion
+        ).asCurrency()
+      : 0;
+
+    const subjectWithholding = (
+      (taxToWithhold * conversions.subject) /
+      combinedConversion
+    ).asCurrency();
+
+    this.#convertToRoth(
+      ACCOUNT_TYPES.SUBJECT_401K,
+      ACCOUNT_TYPES.SUBJECT_ROTH_IRA,
+      conversions.subject,
+      subjectWithholding
+    );
+    this.#convertToRoth(
+      ACCOUNT_TYPES.PARTNER_401K,
+      ACCOUNT_TYPES.PARTNER_ROTH_IRA,
+      conversions.partner,
+      taxToWithhold - subjectWithholding
+    );
+
+    this.#reportingYear.ReportData.income_subjectRothConversion =
+      conversions.subject;
+    this.#reportingYear.ReportData.income_partnerRothConversion =
+      conversions.partner;
+    this.#reportingYear.ReportData.withholdings_rothConversion = taxToWithhold;
+  }
+
+  /**
+   * @param {string} trad401kAccount
+   * @param {string} rothAccount
+   * @param {number} grossAmount
+   * @param {number} withholdingAmount
+   */
+  #convertToRoth(trad401kAccount, rothAccount, grossAmount, withholdingAmount) {
+    if (grossAmount <= 0) return;
+
+    this.#accountYear.processAsPeriodicTransfers(
+      trad401kAccount,
+      rothAccount,
+      (grossAmount - withholdingAmount).asCurrency(),
+      PERIODIC_FREQUENCY.ANNUAL_TRAILING,
+      TransactionCategory.RothConversion
+    );
+
+    if (withholdingAmount > 0) {
+      this.#accountYear.processAsPeriodicTransfers(
+        trad401kAccount,
+        ACCOUNT_TYPES.TAXES,
+        withholdingAmount,
+        PERIODIC_FREQUENCY.ANNUAL_TRAILING,
+        TransactionCategory.RothConversion
+      );
+    }
+  }
+
   #processMonthlySpending() {
     // Any income left after spending goes into savings
 
@@ -444,9 +715,15 @@ class RetirementYearCalculator {
       spend *= 0.75;
     }
 
+    // Healthcare the HSA did not pay and health insurance premiums are
+    // their own lines on top of base spending
+    this.#reportingYear.ReportData.projectedSpend = spend;
+    spend += this.#fiscalData.healthcareOutOfPocket;
+    spend += this.#fiscalData.medicarePremiums;
+    spend += this.#fiscalData.acaPremiums;
+
     const actualSpend = Math.min(cash, spend);
 
-    this.#reportingYear.ReportData.projectedSpend = spend;
     this.#reportingYear.ReportData.actualSpend = actualSpend.asCurrency();
     this.#reportingYear.ReportData.spending_overriding =
       this.#fiscalData.overridingSpend;
@@ -522,25 +799,54 @@ class RetirementYearCalculator {
 
   processRetirementYearData() {
     // debugger;
+    YearActivity.processAnnuityPurchases(
+      this.#accountYear,
+      this.#fixedIncomeStreams,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
     this.#processWagesAndCompensation();
     this.#processMiscIncome();
     this.#processTaxFreeIncome();
 
     // Process non-variable income streams into savings account
     this.#processPensionIncome();
+    YearActivity.processPensionLumpSumRollovers(
+      this.#accountYear,
+      this.#fixedIncomeStreams,
+      this.#reportingYear.ReportData
+    );
     this.#processSocialSecurityIncome();
 
+    YearActivity.payHealthcareFromHsa(
+      this.#accountYear,
+      this.#fiscalData,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
+
     this.determineRetirementAccountWithdrawalPortions();
 
     this.#drawRothPortions();
     this.#draw401kPortions();
     this.#drawSavingsPortion();
+    this.#drawBrokeragePortion();
+    this.#drawHsaPortion();
 
     this.#processMonthlySpending();
 
     this.#apply401kInterest();
     this.#applyRothInterest();
     this.#applySavingsInterest();
+    YearActivity.applyBrokerageReturns(
+      this.#accountYear,
+      this.#fiscalData,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
+    this.#applyHsaInterest();
+
+    this.#processRothConversions();
 
     this.#processIncomeTaxes();
 
@@ -557,7 +863,31 @@ class RetirementYearCalculator {
     return retirementYearData;
   }
   determineRetirementAccountWithdrawalPortions() {
-    this.#accountPortioner?.calculatePortions(this.#cashAccountBalance);
+    // Savings interest is credited after withdrawals, so count a full year of
+    // it (compounded monthly, as it will be credited) up front to keep
+    // bracket-aware withdrawals from overshooting
+    const projectedSavingsInterest = this.#accountYear.calculateInterestForYear(
+      ACCOUNT_TYPES.SAVINGS,
+      INTEREST_CALCULATION_EPOCH.ROLLING_BALANCE
+    );
+
+    // Every 401k dollar adds a dollar of MAGI; stop a dollar short of the
+    // cliff where the whole premium tax credit is lost. The portioner still
+    // goes past it when nothing else is left to spend
+    const max401kIncome =
+      this.#inputs.acaKeepMagiUnderCliff && this.#acaPremiums.covered > 0
+        ? this.#acaPremiums.subsidyCliffMagi -
+          1 -
+          this.#estimateTaxes(projectedSavingsInterest).totalTaxableIncome
+        : Infinity;
+
+    this.#accountPortioner?.calculatePortions(
+      this.#cashAccountBalance,
+      (additionalTaxableIncome) =>
+        this.#estimateTaxes(projectedSavingsInterest + additionalTaxableIncome)
+          .ordinaryTaxableIncome,
+      max401kIncome
+    );
   }
 
   get #cashAccountBalance() {
@@ -591,6 +921,60 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.transfer_savingsToCash += withdrawalAmount;
   }
 
+  #drawBrokeragePortion() {
+    const amount = this.#accountPortioner?.brokerageWithdrawal ?? 0;
+    if (amount <= 0) return;
+
+    const availableFunds = this.#accountYear.getAvailableFunds([
+      ACCOUNT_TYPES.BROKERAGE,
+    ]);
+
+    if (availableFunds <= 0) return;
+
+    const withdrawalAmount = Math.min(amount, availableFunds);
+
+    const transferType = this.#accountPortioner?.drainBrokerage
+      ? PERIODIC_FREQUENCY.ANNUAL_LEADING
+      : PERIODIC_FREQUENCY.MONTHLY;
+
+    this.#accountYear.processAsPeriodicTransfers(
+      ACCOUNT_TYPES.BROKERAGE,
+      ACCOUNT_TYPES.CASH,
+      withdrawalAmount,
+      transferType,
+      TransactionCategory.CashTransfer
+    );
+
+    // Shares are sold at the value they carried into the year
+    this.#accountYear.brokerageCostBasis.sell(
+      this.#fiscalData.taxYear,
+      withdrawalAmount
+    );
+
+    this.#reportingYear.ReportData.transfer_brokerageToCash += withdrawalAmount;
+  }
+
+  #drawHsaPortion() {
+    const amount = this.#accountPortioner?.hsaWithdrawal ?? 0;
+    if (amount <= 0) return;
+
+    const withdrawalAmount = Math.min(
+      amount,
+      this.#accountYear.getAvailableFunds([ACCOUNT_TYPES.HSA])
+    );
+    if (withdrawalAmount <= 0) return;
+
+    this.#accountYear.processAsPeriodicTransfers(
+      ACCOUNT_TYPES.HSA,
+      ACCOUNT_TYPES.CASH,
+      withdrawalAmount,
+      PERIODIC_FREQUENCY.MONTHLY,
+      TransactionCategory.CashTransfer
+    );
+
+    this.#reportingYear.ReportData.transfer_hsaToCash += withdrawalAmount;
+  }
+
   #determineSocialSecurityBreakdown() {
     const ssBreakdown = SsBenefitsCalculator.CalculateSsBreakdown(
       this.#demographics,
@@ -630,9 +1014,74 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.ss_tier2TaxableAmount =
       ssBreakdown.tier2TaxableAmount;
 
+    this.#reportingYear.ReportData.ss_trustFundCut =
+      this.#fixedIncomeStreams.subjectSsTrustFundCut +
+      this.#fixedIncomeStreams.partnerSsTrustFundCut;
+    this.#reportingYear.ReportData.ss_trustFundCutRate =
+      this.#inputs.ssBenefitCutFactor < 1 ? this.#inputs.ssBenefitCut : 0;
+
+    this.#reportingYear.ReportData.ss_subjectEarningsTestWithheld =
+      this.#fixedIncomeStreams.subjectSsEarningsTestWithheld;
+    this.#reportingYear.ReportData.ss_subjectEarningsTestMonths =
+      this.#fixedIncomeStreams.subjectSsEarningsTestMonths;
+    this.#reportingYear.ReportData.ss_partnerEarningsTestWithheld =
+      this.#fixedIncomeStreams.partnerSsEarningsTestWithheld;
+    this.#reportingYear.ReportData.ss_partnerEarningsTestMonths =
+      this.#fixedIncomeStreams.partnerSsEarningsTestMonths;
+
+    this.#reportingYear.ReportData.ss_subjectSpousalTopUp =
+      this.#fixedIncomeStreams.subjectSsSpousalTopUp;
+    this.#reportingYear.ReportData.ss_subjectSurvivorStepUp =
+      this.#fixedIncomeStreams.subjectSsSurvivorStepUp;
+    this.#reportingYear.ReportData.ss_partnerSpousalTopUp =
+      this.#fixedIncomeStreams.partnerSsSpousalTopUp;
+    this.#reportingYear.ReportData.ss_partnerSurvivorStepUp =
+      this.#fixedIncomeStreams.partnerSsSurvivorStepUp;
+
+    const subjectClaim = this.#ssClaimDetails(
+      this.#inputs.subjectSsClaim,
+      this.#demographics.currentAge
+    );
+    this.#reportingYear.ReportData.ss_subjectClaimAgeMonths =
+      subjectClaim.claimAgeMonths;
+    this.#reportingYear.ReportData.ss_subjectFraMonths = subjectClaim.fraMonths;
+    this.#reportingYear.ReportData.ss_subjectClaimFactor = subjectClaim.factor;
+
+    if (this.#inputs.hasPartner) {
+      const partnerClaim = this.#ssClaimDetails(
+        this.#inputs.partnerSsClaim,
+        this.#demographics.currentAgeOfPartner
+      );
+      this.#reportingYear.ReportData.ss_partnerClaimAgeMonths =
+        partnerClaim.claimAgeMonths;
+      this.#reportingYear.ReportData.ss_partnerFraMonths =
+        partnerClaim.fraMonths;
+      this.#reportingYear.ReportData.ss_partnerClaimFactor =
+        partnerClaim.factor;
+    }
+
     return ssBreakdown;
   }
 
+  /**
+   * Claiming age, full retirement age and the share of the PIA paid for a
+   * benefit entered as a PIA; all zero otherwise
+   * @param {import("./cSsClaiming.js").SsClaim} claim
+   * @param {number} age
+   */
+  #ssClaimDetails(claim, age) {
+    if (claim.pia <= 0) return { claimAgeMonths: 0, fraMonths: 0, factor: 0 };
+
+    const claimAgeMonths = SsClaiming.effectiveClaimAgeMonths(claim, age);
+    return {
+      claimAgeMonths,
+      fraMonths: SsClaiming.fullRetirementAgeMonths(claim.birthYear),
+      factor: SsClaiming.benefitFactor(claim.birthYear, claimAgeMonths).round(
+        4
+      ),
+    };
+  }
+
   #dumpAccountReports() {
     // WAGES AND COMPENSATION
     this.#accountYear.analyzers[
@@ -679,7 +1128,9 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.account_subject401kOpenBalance =
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.SUBJECT_401K);
     this.#reportingYear.ReportData.account_subject401kWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.SUBJECT_401K).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SUBJECT_401K)
+        .asCurrency();
     this.#reportingYear.ReportData.account_subject401kDeposits =
       this.#accountYear.getDeposits(ACCOUNT_TYPES.SUBJECT_401K).asCurrency();
     this.#reportingYear.ReportData.account_subject401kBalance =
@@ -688,7 +1139,9 @@ class RetirementYearCalculator {
     this.#reportingYear.ReportData.account_partner401kOpenBalance =
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.PARTNER_401K);
     this.#reportingYear.ReportData.account_partner401kWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.PARTNER_401K).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.PARTNER_401K)
+        .asCurrency();
     this.#reportingYear.ReportData.account_partner401kDeposits =
       this.#accountYear.getDeposits(ACCOUNT_TYPES.PARTNER_401K).asCurrency();
     this.#reportingYear.ReportData.account_partner401kBalance =
@@ -713,12 +1166,14 @@ class RetirementYearCalculator {
 
     this.#reportingYear.ReportData.income_pensionBreakdowns =
       this.#fixedIncomeStreams.pensionAnnunityBreakdowns;
+    this.#reportingYear.ReportData.taxes_annuityExclusion =
+      this.#fixedIncomeStreams.combinedPensionTaxExclusion;
 
     this.#reportingYear.ReportData.account_subjectRothOpenBalance =
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.SUBJECT_ROTH_IRA);
     this.#reportingYear.ReportData.account_subjectRothWithdrawals =
       this.#accountYear
-        .getWithdrawals(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_subjectRothDeposits =
       this.#accountYear
@@ -731,7 +1186,7 @@ class RetirementYearCalculator {
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.PARTNER_ROTH_IRA);
     this.#reportingYear.ReportData.account_partnerRothWithdrawals =
       this.#accountYear
-        .getWithdrawals(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_partnerRothDeposits =
       this.#accountYear
@@ -746,9 +1201,52 @@ class RetirementYearCalculator {
       .getDeposits(ACCOUNT_TYPES.SAVINGS)
       .asCurrency();
     this.#reportingYear.ReportData.account_savingsWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.SAVINGS).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SAVINGS)
+        .asCurrency();
     this.#reportingYear.ReportData.account_savingsYearEndBalance =
       this.#accountYear.getEndingBalance(ACCOUNT_TYPES.SAVINGS);
+
+    this.#reportingYear.ReportData.account_brokerageYearBeginBalance =
+      this.#accountYear.getStartingBalance(ACCOUNT_TYPES.BROKERAGE);
+    this.#reportingYear.ReportData.account_brokerageWithdrawals =
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.BROKERAGE)
+        .asCurrency();
+    this.#reportingYear.ReportData.account_brokerageYearEndBalance =
+      this.#accountYear.getEndingBalance(ACCOUNT_TYPES.BROKERAGE);
+    this.#reportingYear.ReportData.account_brokerageCostBasis =
+      this.#accountYear.brokerageCostBasis.basis.asCurrency();
+
+    this.#reportingYear.ReportData.account_hsaYearBeginBalance =
+      this.#accountYear.getStartingBalance(ACCOUNT_TYPES.HSA);
+    this.#reportingYear.ReportData.account_hsaWithdrawals =
+      this.#adjustableIncomeStreams.hsaNonQualifiedWithdrawals;
+    this.#reportingYear.ReportData.account_hsaYearEndBalance =
+      this.#accountYear.getEndingBalance(ACCOUNT_TYPES.HSA);
+
+    this.#reportingYear.ReportData.spending_medicarePremiums =
+      this.#fiscalData.medicarePremiums;
+    this.#reportingYear.ReportData.spending_acaPremium =
+      this.#fiscalData.acaPremiums;
+    if (this.#inputs.includeMedicarePremiums) {
+      this.#reportingYear.ReportData.medicare_enrollees =
+        this.#medicarePremiums.enrollees;
+      this.#reportingYear.ReportData.medicare_partB =
+        this.#medicarePremiums.partB;
+      this.#reportingYear.ReportData.medicare_partD =
+        this.#medicarePremiums.partD;
+      this.#reportingYear.ReportData.medicare_irmaaTier =
+        this.#medicarePremiums.irmaaTier;
+      this.#reportingYear.ReportData.medicare_irmaaSurcharge =
+        this.#medicarePremiums.irmaaSurcharge;
+      this.#reportingYear.ReportData.medicare_lookbackYear =
+        this.#medicarePremiums.lookbackYear;
+      this.#reportingYear.ReportData.medicare_lookbackMagi =
+        this.#medicarePremiums.lookbackMagi;
+      this.#reportingYear.ReportData.medicare_irmaaCliffs =
+        this.#medicarePremiums.cliffs;
+    }
   }
 
   #processSocialSecurityIncome() {
@@ -909,6 +1407,10 @@ class RetirementYearCalculator {
       this.#accountPortioner.usingSubjectRMD;
     this.#reportingYear.ReportData.income_subjectRMD =
       this.#accountPortioner.subjectRMD;
+    this.#reportingYear.ReportData.income_subjectRmdDistributionPeriod =
+      this.#accountPortioner.subjectRequiredDistribution.distributionPeriod;
+    this.#reportingYear.ReportData.income_subjectRmdTable =
+      this.#accountPortioner.subjectRequiredDistribution.table;
   }
 
   /**
@@ -952,6 +1454,10 @@ class RetirementYearCalculator {
       this.#accountPortioner.usingPartnerRMD;
     this.#reportingYear.ReportData.income_partnerRMD =
       this.#accountPortioner.partnerRMD;
+    this.#reportingYear.ReportData.income_partnerRmdDistributionPeriod =
+      this.#accountPortioner.partnerRequiredDistribution.distributionPeriod;
+    this.#reportingYear.ReportData.income_partnerRmdTable =
+      this.#accountPortioner.partnerRequiredDistribution.table;
   }
 
   #drawRothPortions() {
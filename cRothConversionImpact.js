@@ -0,0 +1,133 @@
+import { Calculations } from "./cCalculation.js";
+import { Inputs } from "./cInputs.js";
+import { LegacyAnalysis } from "./cLegacyAnalysis.js";
+import { ROTH_CONVERSION_STRATEGY } from "./consts.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+/**
+ * @typedef {import("./cCalculation.js").Calculation} Calculation
+ */
+
+/**
+ * @param {Calculation} calc
+ * @returns {number}
+ */
+function rmdsFor(calc) {
+  return calc.reportData.income_subjectRMD + calc.reportData.income_partnerRMD;
+}
+
+/**
+ * Lifetime effect of a Roth conversion plan, measured against the same
+ * inputs projected without any conversions.
+ */
+class RothConversionImpact {
+  /** @type {Map<number, number>} */
+  #rmdChangeByYear;
+
+  /**
+   * @param {number} totalConverted
+   * @param {number} totalAddedTax
+   * @param {number} lifetimeRmds
+   * @param {number} baselineLifetimeRmds
+   * @param {Map<number, number>} rmdChangeByYear
+   * @param {number} afterTaxLegacy
+   * @param {number} baselineAfterTaxLegacy
+   */
+  constructor(
+    totalConverted,
+    totalAddedTax,
+    lifetimeRmds,
+    baselineLifetimeRmds,
+    rmdChangeByYear,
+    afterTaxLegacy,
+    baselineAfterTaxLegacy
+  ) {
+    this.totalConverted = totalConverted;
+    this.totalAddedTax = totalAddedTax;
+    this.lifetimeRmds = lifetimeRmds;
+    this.baselineLifetimeRmds = baselineLifetimeRmds;
+    this.#rmdChangeByYear = rmdChangeByYear;
+    this.afterTaxLegacy = afterTaxLegacy;
+    this.baselineAfterTaxLegacy = baselineAfterTaxLegacy;
+  }
+
+  get rmdChange() {
+    return (this.lifetimeRmds - this.baselineLifetimeRmds).asCurrency();
+  }
+
+  get legacyChange() {
+    return (this.afterTaxLegacy - this.baselineAfterTaxLegacy).asCurrency();
+  }
+
+  /**
+   * @param {number} year
+   * @returns {number}
+   */
+  rmdChangeFor(year) {
+    return this.#rmdChangeByYear.get(year) ?? 0;
+  }
+
+  /**
+   * Runs the no-conversion baseline. Returns null when the inputs have no
+   * active conversion plan, so callers can skip the extra projection.
+   *
+   * @param {Inputs} inputs
+   * @param {Calculations | null} calculations - Projection of `inputs`
+   * @returns {RothConversionImpact | null}
+   */
+  static CreateFrom(inputs, calculations) {
+    const plan = inputs.rothConversionPlan;
+    if (
+      !calculations ||
+      !plan ||
+      plan.strategy === ROTH_CONVERSION_STRATEGY.NONE
+    ) {
+      return null;
+    }
+
+    const baselineInputs = inputs.clone();
+    baselineInputs.rothConversionPlan = null;
+    const baselineCalculations =
+      initializeCalculationsFromInputs(baselineInputs);
+    const baselineCalcs = baselineCalculations?.getAllCalculations() ?? [];
+
+    /** @type {Map<number, number>} */
+    const baselineRmdsByYear = new Map(
+      baselineCalcs.map((calc) => [calc.year, rmdsFor(calc)])
+    );
+
+    let totalConverted = 0;
+    let totalAddedTax = 0;
+    let lifetimeRmds = 0;
+    /** @type {Map<number, number>} */
+    const rmdChangeByYear = new Map();
+
+    for (const calc of calculations.getAllCalculations()) {
+      totalConverted += calc.reportData.income_combinedRothConversion;
+      totalAddedTax += calc.reportData.taxes_rothConversionTax;
+      lifetimeRmds += rmdsFor(calc);
+      rmdChangeByYear.set(
+        calc.year,
+        (rmdsFor(calc) - (baselineRmdsByYear.get(calc.year) ?? 0)).asCurrency()
+      );
+    }
+
+    const baselineLifetimeRmds = [...baselineRmdsByYear.values()].reduce(
+      (sum, rmds) => sum + rmds,
+      0
+    );
+
+    return new RothConversionImpact(
+      totalConverted.asCurrency(),
+      totalAddedTax.asCurrency(),
+      lifetimeRmds.asCurrency(),
+      baselineLifetimeRmds.asCurrency(),
+      rmdChangeByYear,
+      LegacyAnalysis.CreateFrom(inputs, calculations)?.afterTaxLegacy ?? 0,
+      LegacyAnalysis.CreateFrom(baselineInputs, baselineCalculations)
+        ?.afterTaxLegacy ?? 0
+    );
+  }
+}
+
+export { RothConversionImpact };
@@ -0,0 +1,197 @@
+import { ACCOUNT_TYPES } from "./cAccount.js";
+import { AccountingYear } from "./cAccountingYear.js";
+import { Demographics } from "./cDemographics.js";
+import { FiscalData } from "./cFiscalData.js";
+import { Inputs } from "./cInputs.js";
+import {
+  ROTH_CONVERSION_STRATEGY,
+  ROTH_CONVERSION_TAX_SOURCE,
+} from "./consts.js";
+import { RmdCalculator } from "./cRmdCalculator.js";
+import { TaxCalculations } from "./cTaxCalculations.js";
+
+/**
+ * @typedef {object} RothConversionPlan
+ * @property {string} strategy - One of ROTH_CONVERSION_STRATEGY
+ * @property {number} [annualAmount] - Fixed amount: combined conversion per year, in today's dollars
+ * @property {number} [bracketRate] - Fill bracket: marginal rate of the bracket to fill (e.g. 0.22)
+ * @property {number} [startAge] - First subject age to convert in (defaults to the retirement age)
+ * @property {number} [endAge] - Last subject age to convert in (not used when converting until RMD age)
+ * @property {string} [taxSource] - One of ROTH_CONVERSION_TAX_SOURCE
+ */
+
+/**
+ * @typedef {object} RothConversionAmounts
+ * @property {number} subject - Gross amount moved from SUBJECT_401K to SUBJECT_ROTH_IRA
+ * @property {number} partner - Gross amount moved from PARTNER_401K to PARTNER_ROTH_IRA
+ */
+
+/**
+ * Decides how much of each traditional 401k to convert to the matching Roth
+ * IRA in a retirement year. Conversions are sized once the year's other
+ * income is known, so the tax impact can be measured against it.
+ */
+class RothConversionPlanner {
+  /** @type {RothConversionPlan | null} */
+  #plan;
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {Demographics} */
+  #demographics;
+  /** @type {FiscalData} */
+  #fiscalData;
+  /** @type {AccountingYear} */
+  #accountYear;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   * @param {FiscalData} fiscalData
+   * @param {AccountingYear} accountYear
+   */
+  constructor(inputs, demographics, fiscalData, accountYear) {
+    this.#inputs = inputs;
+    this.#plan = inputs.rothConversionPlan;
+    this.#demographics = demographics;
+    this.#fiscalData = fiscalData;
+    this.#accountYear = accountYear;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Demographics} demographics
+   * @param {FiscalData} fiscalData
+   * @param {AccountingYear} accountYear
+   * @returns {RothConversionPlanner}
+   */
+  static CreateUsing(inputs, demographics, fiscalData, accountYear) {
+    return new RothConversionPlanner(
+      inputs,
+      demographics,
+      fiscalData,
+      accountYear
+    );
+  }
+
+  get isActive() {
+    const plan = this.#plan;
+    if (
+      !plan ||
+      plan.strategy === ROTH_CONVERSION_STRATEGY.NONE ||
+      !this.#demographics.isRetired
+    ) {
+      return false;
+    }
+
+    const age = this.#demographics.currentAge;
+    const startAge = plan.startAge || this.#inputs.subjectRetireAge;
+    if (age < startAge) return false;
+
+    return (
+      plan.strategy === ROTH_CONVERSION_STRATEGY.UNTIL_RMD_AGE ||
+      !plan.endAge ||
+      age <= plan.endAge
+    );
+  }
+
+  get withholdsTaxes() {
+    return this.#plan?.taxSource === ROTH_CONVERSION_TAX_SOURCE.WITHHELD;
+  }
+
+  /**
+   * @param {(additionalTaxableIncome: number) => number} taxableIncomeWith -
+   * Ordinary taxable income for the year if this much more ordinary income were recognized
+   * @returns {RothConversionAmounts}
+   */
+  determineConversionAmounts(taxableIncomeWith) {
+    if (!this.isActive || !this.#plan) return { subject: 0, partner: 0 };
+
+    const subjectBalance = this.#demographics.subjectIsLiving
+      ? Math.max(
+          this.#accountYear.getEndingBalance(ACCOUNT_TYPES.SUBJECT_401K),
+          0
+        )
+      : 0;
+    const partnerBalance = this.#demographics.partnerIsLiving
+      ? Math.max(
+          this.#accountYear.getEndingBalance(ACCOUNT_TYPES.PARTNER_401K),
+          0
+        )
+      : 0;
+
+    switch (this.#plan.strategy) {
+      case ROTH_CONVERSION_STRATEGY.FIXED_AMOUNT:
+        return this.#splitByBalance(
+          (this.#plan.annualAmount ?? 0).adjustedForInflation(
+            this.#fiscalData.inflationRate,
+            this.#fiscalData.taxYear - this.#fiscalData.startingYear
+          ),
+          subjectBalance,
+          partnerBalance
+        );
+      case ROTH_CONVERSION_STRATEGY.FILL_BRACKET:
+        return this.#splitByBalance(
+          TaxCalculations.incomeToFillBracket(
+            this.#plan.bracketRate ?? 0,
+            this.#fiscalData,
+            this.#demographics,
+            taxableIncomeWith
+          ),
+          subjectBalance,
+          partnerBalance
+        );
+      case ROTH_CONVERSION_STRATEGY.UNTIL_RMD_AGE:
+        return {
+          subject: this.#spreadUntilRmdAge(
+            subjectBalance,
+            this.#demographics.currentAge,
+            this.#demographics.subjectBirthYear
+          ),
+          partner: this.#spreadUntilRmdAge(
+            partnerBalance,
+            this.#demographics.currentAgeOfPartner,
+            this.#demographics.partnerBirthYear
+          ),
+        };
+      default:
+        throw new Error(
+          `Unknown Roth conversion strategy: ${this.#plan.strategy}`
+        );
+    }
+  }
+
+  /**
+   * Even slices that empty the account by the year before RMDs begin
+   * @param {number} balance
+   * @param {number} age
+   * @param {number} birthYear
+   * @returns {number}
+   */
+  #spreadUntilRmdAge(balance, age, birthYear) {
+    const yearsBeforeRmds = RmdCalculator.startAge(birthYear) - age;
+    if (yearsBeforeRmds <= 0 || balance <= 0) return 0;
+
+    return (balance / yearsBeforeRmds).asCurrency();
+  }
+
+  /**
+   * @param {number} amount
+   * @param {number} subjectBalance
+   * @param {number} partnerBalance
+   * @returns {RothConversionAmounts}
+   */
+  #splitByBalance(amount, subjectBalance, partnerBalance) {
+    const combinedBalance = subjectBalance + partnerBalance;
+    if (amount <= 0 || combinedBalance <= 0) return { subject: 0, partner: 0 };
+
+    const converted = Math.min(amount, combinedBalance);
+    const subject = (
+      (converted * subjectBalance) /
+      combinedBalance
+    ).asCurrency();
+
+    return { subject, partner: (converted - subject).asCurrency() };
+  }
+}
+
+export { RothConversionPlanner };
@@ -0,0 +1,583 @@
+import { ProportionStrategyNames } from "./cAccountPortioner.js";
+import { Inputs } from "./cInputs.js";
+import {
+  ACA_SUBSIDY_RULE,
+  COST_BASIS_METHOD,
+  HEALTHCARE_INFLATION_DEFAULT,
+  HSA_COVERAGE,
+  ROTH_CONVERSION_STRATEGY,
+  ROTH_CONVERSION_TAX_SOURCE,
+  SPENDING_POLICY,
+  TAX_BRACKET_INDEXING,
+  TAX_REGIME,
+} from "./consts.js";
+import { LIFE_TABLE_SEXES } from "./cLifeTable.js";
+import { TaxLawRegistry } from "./cTaxLawRegistry.js";
+import { UIField } from "./UIFields.js";
+
+/**
+ * @typedef {import("./cPensionAnnuityStorage.js").PensionAnnuity} PensionAnnuity
+ * @typedef {import("./cWithdrawalLimitsStorage.js").WithdrawalLimit} WithdrawalLimit
+ * @typedef {import("./cAccountPortioner.js").ProportionStrategyName} ProportionStrategyName
+ * @typedef {import("./cLifeTable.js").LifeTableSex} LifeTableSex
+ * @typedef {import("./cTaxLawRegistry.js").TaxLaw} TaxLaw
+ * @typedef {import("./cTaxLawRegistry.js").TaxLawSettings} TaxLawSettings
+ */
+
+/**
+ * Where input values are read from: the form in the browser, or the values
+ * of a saved scenario. Ids are UIField ids.
+ *
+ * @typedef {object} InputFieldReader
+ * @property {(id: string) => number} num - Blank or missing fields count as zero
+ * @property {(id: string, fallback?: number) => number} pct - Percentages are entered as whole numbers. Missing fields read as `fallback`
+ * @property {(id: string) => string} text
+ * @property {(id: string, fallback?: boolean) => boolean} checked - Missing fields read as `fallback`
+ * @property {(prefix: string, currentYearToggleId?: string) => {year:number, amount:number}[]} ageOverrides - Per-year override grid keyed by the subject's age
+ * @property {() => PensionAnnuity[]} pensionAnnuities
+ * @property {() => WithdrawalLimit[]} withdrawalLimits
+ * @property {() => TaxLaw | null} customTaxSchedule
+ */
+
+/**
+ * Scenario file written by saveScenario() (schema 1.4). Older exports that
+ * hold the input values at the top level, or under `inputs`, are accepted
+ * the same way the import button accepts them.
+ *
+ * @typedef {object} ScenarioFile
+ * @property {string} [version]
+ * @property {string} [exportDate]
+ * @property {string} [description]
+ * @property {{inputs?: Record<string, unknown>}} [scenario]
+ */
+
+const SUPPORTED_SCENARIO_VERSION = "1.4";
+
+/**
+ * @param {unknown[]} list
+ * @returns {PensionAnnuity[]}
+ */
+function normalizePensionAnnuities(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .filter((item) => item && typeof item === "object")
+    .map((item) => {
+      const typed = /** @type {Record<string, unknown>} */ (item);
+      return {
+        id:
+          typeof typed.id === "string" && typed.id.length > 0
+            ? typed.id
+            : crypto.randomUUID(),
+        owner: typed.owner === "partner" ? "partner" : "subject",
+        name: String(typed.name ?? "Pension"),
+        startAge: Number(typed.startAge) || 0,
+        monthlyAmount: Number(typed.monthlyAmount) || 0,
+        withholdingRate: Number(typed.withholdingRate) || 0,
+        survivorshipPercent: Number(typed.survivorshipPercent) || 0,
+        colaType:
+          typed.colaType === "fixed" || typed.colaType === "cpi"
+            ? typed.colaType
+            : "none",
+        colaRate: Number(typed.colaRate) || 0,
+        colaCap: Number(typed.colaCap) || 0,
+        lumpSumAmount: Number(typed.lumpSumAmount) || 0,
+        jointSurvivorOptions: Array.isArray(typed.jointSurvivorOptions)
+          ? typed.jointSurvivorOptions
+              .filter((option) => option && typeof option === "object")
+              .map((option) => ({
+                survivorshipPercent: Number(option.survivorshipPercent) || 0,
+                monthlyAmount: Number(option.monthlyAmount) || 0,
+              }))
+          : [],
+        election:
+          typeof typed.election === "string" ? typed.election : "annuity",
+        ...normalizeAnnuityPurchase(typed.purchase),
+      };
+    });
+}
+
+/**
+ * @param {unknown} purchase
+ * @returns {{purchase?: import("./cAnnuityPurchase.js").AnnuityPurchaseTerms}}
+ */
+function normalizeAnnuityPurchase(purchase) {
+  if (!purchase || typeof purchase !== "object") {
+    return {};
+  }
+
+  const typed = /** @type {Record<string, unknown>} */ (purchase);
+  return {
+    purchase: {
+      sourceAccount: typed.sourceAccount === "savings" ? "savings" : "401k",
+      premium: Number(typed.premium) || 0,
+      payoutRate: Number(typed.payoutRate) || 0,
+    },
+  };
+}
+
+/**
+ * @param {unknown[]} list
+ * @returns {WithdrawalLimit[]}
+ */
+function normalizeWithdrawalLimits(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .filter((item) => item && typeof item === "object")
+    .map((item) => {
+      const typed = /** @type {Record<string, unknown>} */ (item);
+      return {
+        id:
+          typeof typed.id === "string" && typed.id.length > 0
+            ? typed.id
+            : crypto.randomUUID(),
+        name: String(typed.name ?? "Withdrawal Limit"),
+        year: Number(typed.year) || 0,
+        amount: Number(typed.amount) || 0,
+      };
+    });
+}
+
+/**
+ * Builds calculation Inputs from saved scenario values without a browser,
+ * through the same inputsOptionsFrom() mapping the form uses.
+ */
+class ScenarioInputs {
+  /** @type {Record<string, unknown>} */
+  #values;
+  /** @type {Map<string, Map<string, string>>} */
+  #yearValues;
+
+  /**
+   * @param {Record<string, unknown>} values
+   */
+  constructor(values) {
+    this.#values = values;
+    this.#yearValues = new Map();
+
+    for (const prefix of [
+      "spending",
+      "taxableIncome",
+      "taxFreeIncome",
+      "healthcareExpenses",
+    ]) {
+      const yearValues = expandYearValues(values[prefix]);
+
+      // Legacy exports store flat keys such as taxFreeIncome_2032
+      for (const [key, value] of Object.entries(values)) {
+        const legacyMatch = new RegExp(`^${prefix}_(\\d+)$`).exec(key);
+        if (legacyMatch && !yearValues.has(legacyMatch[1])) {
+          yearValues.set(legacyMatch[1], String(value ?? ""));
+        }
+      }
+
+      this.#yearValues.set(prefix, yearValues);
+    }
+  }
+
+  /**
+   * @param {unknown} json - Parsed scenario file
+   * @returns {ScenarioInputs}
+   */
+  static CreateFrom(json) {
+    if (!json || typeof json !== "object") {
+      throw new Error("Scenario JSON must be an object.");
+    }
+
+    const file = /** @type {ScenarioFile & Record<string, unknown>} */ (json);
+    if (
+      file.version !== undefined &&
+      Number(file.version) > Number(SUPPORTED_SCENARIO_VERSION)
+    ) {
+      throw new Error(
+        `Scenario version ${file.version} is newer than the supported version ${SUPPORTED_SCENARIO_VERSION}.`
+      );
+    }
+
+    const payload =
+      file.scenario && typeof file.scenario === "object" ? file.scenario : file;
+    const values =
+      payload.inputs && typeof payload.inputs === "object"
+        ? payload.inputs
+        : payload;
+
+    return new ScenarioInputs(/** @type {Record<string, unknown>} */ (values));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {number}
+   */
+  #num(id) {
+    return Number(this.#values[id] || 0);
+  }
+
+  /**
+   * @param {string} id
+   * @param {number} [fallback] - Rate when the scenario has no such field
+   * @returns {number}
+   */
+  #pct(id, fallback = 0) {
+    const value = this.#values[id];
+    if (value === undefined || value === null) return fallback;
+
+    const v = this.#num(id);
+    return isNaN(v) ? 0 : v / 100;
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} [fallback] - Value when the scenario has no such field
+   * @returns {boolean}
+   */
+  #checked(id, fallback = false) {
+    const value = this.#values[id];
+    if (value === undefined || value === null) return fallback;
+    return value === true || value === "true";
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string}
+   */
+  #text(id) {
+    const value = this.#values[id];
+    return value === undefined || value === null ? "" : String(value);
+  }
+
+  #lastLivingSubjectAgeEquivalent() {
+    const startingYear = this.#num(UIField.STARTING_YEAR);
+    const subjectCurrentAge = this.#num(UIField.SUBJECT_CURRENT_AGE);
+    const subjectTerminalAge = this.#num(UIField.SUBJECT_TERMINAL_AGE);
+
+    if (!startingYear || !subjectCurrentAge || !subjectTerminalAge) {
+      return subjectCurrentAge;
+    }
+
+    let lastLivingYear =
+      startingYear + Math.max(0, subjectTerminalAge - subjectCurrentAge);
+
+    const partnerCurrentAge = this.#num(UIField.PARTNER_CURRENT_AGE);
+    const partnerTerminalAge = this.#num(UIField.PARTNER_TERMINAL_AGE);
+
+    if (partnerCurrentAge > 0 && partnerTerminalAge > 0) {
+      lastLivingYear = Math.max(
+        lastLivingYear,
+        startingYear + Math.max(0, partnerTerminalAge - partnerCurrentAge)
+      );
+    }
+
+    return subjectCurrentAge + (lastLivingYear - startingYear);
+  }
+
+  /**
+   * Reads the per-year override grid for the subject's ages, inflating
+   * values entered in today's dollars when the matching toggle is set.
+   *
+   * @param {string} prefix
+   * @param {string} [currentYearToggleId] - Omit for grids entered in nominal dollars
+   * @returns {{year:number, amount:number}[]}
+   */
+  #harvestAgeOverrides(prefix, currentYearToggleId = "") {
+    const yearValues = this.#yearValues.get(prefix) ?? new Map();
+    const startingYear = this.#num(UIField.STARTING_YEAR);
+    const currentAge = this.#num(UIField.SUBJECT_CURRENT_AGE);
+    const endAge = this.#lastLivingSubjectAgeEquivalent();
+    const useCurrentYearMode = this.#checked(currentYearToggleId);
+    const inflationRate =
+      parseFloat(this.#text(UIField.INFLATION)) / 100 || 0.025;
+
+    const result = [];
+
+    for (let age = currentAge; age <= endAge; age++) {
+      const calendarYear =
+        currentAge && startingYear ? startingYear + (age - currentAge) : age;
+      const rawText =
+        yearValues.get(String(calendarYear)) ?? yearValues.get(String(age));
+      if (rawText === undefined) continue;
+
+      const raw = parseFloat(rawText);
+      if (!raw || isNaN(raw)) continue;
+
+      const amount = useCurrentYearMode
+        ? raw * Math.pow(1 + inflationRate, age - currentAge)
+        : raw;
+
+      result.push({ year: age, amount });
+    }
+
+    return result;
+  }
+
+  /**
+   * @returns {InputFieldReader}
+   */
+  #fieldReader() {
+    return {
+      num: (id) => this.#num(id),
+      pct: (id, fallback) => this.#pct(id, fallback),
+      text: (id) => this.#text(id),
+      checked: (id, fallback) => this.#checked(id, fallback),
+      ageOverrides: (prefix, currentYearToggleId) =>
+        this.#harvestAgeOverrides(prefix, currentYearToggleId),
+      pensionAnnuities: () =>
+        normalizePensionAnnuities(
+          /** @type {unknown[]} */ (this.#values.pensionAnnuities)
+        ),
+      withdrawalLimits: () =>
+        normalizeWithdrawalLimits(
+          /** @type {unknown[]} */ (this.#values.withdrawalLimits)
+        ),
+      customTaxSchedule: () =>
+        TaxLawRegistry.parseCustomSchedule(
+          this.#text(UIField.CUSTOM_TAX_SCHEDULE)
+        ),
+    };
+  }
+
+  /**
+   * @returns {Inputs}
+   */
+  toInputs() {
+    return new Inputs(inputsOptionsFrom(this.#fieldReader()));
+  }
+}
+
+/**
+ * Maps input field values to Inputs options. The browser form and saved
+ * scenarios both go through here so the two cannot drift apart. Rates that
+ * older scenario files lack fall back to the form's defaults, as they do
+ * when such a file is imported into the form.
+ *
+ * @param {InputFieldReader} fields
+ * @returns {import("./cInputs.js").InputsOptions}
+ */
+function inputsOptionsFrom(fields) {
+  const subjectRetireAge = fields.num(UIField.SUBJECT_RETIRE_AGE);
+  const subject401kContributionRate = fields.pct(
+    UIField.SUBJECT_401K_CONTRIBUTION
+  );
+
+  /** @type {TaxLawSettings} */
+  const taxLaw = {
+    regime: fields.text(UIField.TAX_LAW_REGIME) || TAX_REGIME.CURRENT,
+    changeYear: fields.num(UIField.TAX_LAW_CHANGE_YEAR),
+    indexing:
+      fields.text(UIField.TAX_BRACKET_INDEXING) ||
+      TAX_BRACKET_INDEXING.INFLATION,
+    indexingRate: fields.pct(UIField.TAX_BRACKET_INDEXING_RATE, 0.02),
+    customSchedule: fields.customTaxSchedule(),
+  };
+  if (taxLaw.regime === TAX_REGIME.CUSTOM && !taxLaw.customSchedule) {
+    taxLaw.regime = TAX_REGIME.CURRENT;
+  }
+
+  return {
+    // Ages / timeline
+    startingYear: fields.num(UIField.STARTING_YEAR),
+    initialAgeSubject: fields.num(UIField.SUBJECT_CURRENT_AGE),
+    initialAgePartner: fields.num(UIField.PARTNER_CURRENT_AGE),
+    subjectRetireAge: subjectRetireAge,
+    subjectSsStartAge: fields.num(UIField.SUBJECT_SS_START_AGE),
+    subject401kStartAge: fields.num(UIField.SUBJECT_401K_START_AGE),
+    subjectLifeSpan: fields.num(UIField.SUBJECT_TERMINAL_AGE),
+    subjectSex: /** @type {LifeTableSex} */ (
+      fields.text(UIField.SUBJECT_SEX) || LIFE_TABLE_SEXES.UNISEX
+    ),
+
+    retirementYearSpendingOverrides: fields
+      .ageOverrides("spending", "useCurrentYearValues")
+      .map((o) => ({
+        year: o.year - subjectRetireAge + 1,
+        amount: o.amount,
+      })),
+    taxableIncomeOverrides: fields.ageOverrides(
+      "taxableIncome",
+      UIField.USE_TAXABLE_CURRENT_YEAR_VALUES
+    ),
+    taxFreeIncomeOverrides: fields.ageOverrides(
+      "taxFreeIncome",
+      "useTaxFreeCurrentYearValues"
+    ),
+    healthcareExpenses: fields.ageOverrides("healthcareExpenses"),
+
+    // Spending
+    inflationRate: fields.pct(UIField.INFLATION),
+    spendingToday: fields.num(UIField.WORKING_YEARS_SPENDING),
+    spendingRetirement: fields.num(UIField.RETIREMENT_YEARS_SPENDING),
+    spendingDecline: fields.pct(UIField.SPENDING_DECLINE),
+    spendingPolicy:
+      fields.text(UIField.SPENDING_POLICY) || SPENDING_POLICY.FIXED,
+    guardrailUpperLimit: fields.pct(UIField.GUARDRAIL_UPPER_LIMIT, 0.2),
+    guardrailLowerLimit: fields.pct(UIField.GUARDRAIL_LOWER_LIMIT, 0.2),
+    guardrailAdjustment: fields.pct(UIField.GUARDRAIL_ADJUSTMENT, 0.1),
+
+    // Partner information
+    partnerRetireAge: fields.num(UIField.PARTNER_RETIRE_AGE),
+    partnerSsMonthly: fields.num(UIField.PARTNER_SS_MONTHLY),
+    partnerSsStartAge: fields.num(UIField.PARTNER_SS_START_AGE),
+    partnerSsStartMonth: fields.num(UIField.PARTNER_SS_START_MONTH),
+    partnerSsPia: fields.num(UIField.PARTNER_SS_PIA),
+    partnerBirthYear: fields.num(UIField.PARTNER_BIRTH_YEAR),
+    partner401kStartAge: fields.num(UIField.PARTNER_401K_START_AGE),
+    partnerLifeSpan: fields.num(UIField.PARTNER_TERMINAL_AGE),
+    partnerSex: /** @type {LifeTableSex} */ (
+      fields.text(UIField.PARTNER_SEX) || LIFE_TABLE_SEXES.UNISEX
+    ),
+
+    pensionAnnuities: fields.pensionAnnuities(),
+    withdrawalLimits: fields.withdrawalLimits(),
+
+    // Employment and contributions
+    subjectStartingSalary: fields.num(UIField.SUBJECT_SALARY),
+    subjectCareerMonthlyPayrollDeductions: fields.num(
+      UIField.SUBJECT_PAYROLL_DEDUCTIONS
+    ),
+    partnerStartingSalary: fields.num(UIField.PARTNER_SALARY),
+    subjectSalaryGrowthRate: fields.pct(UIField.SUBJECT_SALARY_GROWTH),
+    partnerSalaryGrowthRate: fields.pct(UIField.PARTNER_SALARY_GROWTH),
+    subjectCareer401kContributionRate: subject401kContributionRate,
+    subjectRothContributionRate: fields.num(UIField.SUBJECT_ROTH_MONTHLY),
+    subjectEmp401kMatchRate: fields.pct(UIField.SUBJECT_EMP_MATCH_RATE),
+    subject401kContributionRate: subject401kContributionRate,
+
+    // Account balances and returns
+    subject401kStartingBalance: fields.num(UIField.SUBJECT_401K_BALANCE),
+    subjectRothStartingBalance: fields.num(UIField.SUBJECT_ROTH_BALANCE),
+    partner401kStartingBalance: fields.num(UIField.PARTNER_401K_BALANCE),
+    partnerRothStartingBalance: fields.num(UIField.PARTNER_ROTH_BALANCE),
+    savingsStartingBalance: fields.num(UIField.SAVINGS_BALANCE),
+    brokerageStartingBalance: fields.num(UIField.BROKERAGE_BALANCE),
+    brokerageCostBasis: fields.num(UIField.BROKERAGE_COST_BASIS),
+    hsaStartingBalance: fields.num(UIField.HSA_BALANCE),
+
+    subject401kInterestRate: fields.pct(UIField.SUBJECT_401K_RETURN),
+    subjectRothInterestRate: fields.pct(UIField.SUBJECT_ROTH_RETURN),
+    partner401kInterestRate: fields.pct(UIField.PARTNER_401K_RETURN),
+    partnerRothInterestRate: fields.pct(UIField.PARTNER_ROTH_RETURN),
+    savingsInterestRate: fields.pct(UIField.SAVINGS_RETURN),
+    brokerageGrowthRate: fields.pct(UIField.BROKERAGE_GROWTH, 0.05),
+    brokerageDividendYield: fields.pct(UIField.BROKERAGE_DIVIDEND_YIELD, 0.015),
+    brokerageQualifiedDividendRatio: fields.pct(
+      UIField.BROKERAGE_QUALIFIED_DIVIDENDS,
+      1
+    ),
+    costBasisMethod:
+      fields.text(UIField.COST_BASIS_METHOD) || COST_BASIS_METHOD.PROPORTIONAL,
+    hsaInterestRate: fields.pct(UIField.HSA_RETURN, 0.055),
+    hsaCoverage: fields.text(UIField.HSA_COVERAGE) || HSA_COVERAGE.NONE,
+    hsaAnnualContribution: fields.num(UIField.HSA_ANNUAL_CONTRIBUTION),
+    healthcareInflationRate: fields.pct(
+      UIField.HEALTHCARE_INFLATION,
+      HEALTHCARE_INFLATION_DEFAULT
+    ),
+    healthcareExpensesInTodaysDollars: fields.checked(
+      UIField.USE_HEALTHCARE_CURRENT_YEAR_VALUES
+    ),
+    useHealthcareCostCurve: fields.checked(
+      UIField.USE_HEALTHCARE_COST_CURVE,
+      true
+    ),
+    includeMedicarePremiums: fields.checked(UIField.INCLUDE_MEDICARE_PREMIUMS),
+    priorYearsMagi: fields.num(UIField.PRIOR_YEARS_MAGI),
+    irmaaIndexing:
+      fields.text(UIField.IRMAA_INDEXING) || TAX_BRACKET_INDEXING.INFLATION,
+    irmaaIndexingRate: fields.pct(UIField.IRMAA_INDEXING_RATE, 0.02),
+    useAcaPremiums: fields.checked(UIField.USE_ACA_PREMIUMS),
+    acaBenchmarkPremium: fields.num(UIField.ACA_BENCHMARK_PREMIUM),
+    acaSubsidyRule:
+      fields.text(UIField.ACA_SUBSIDY_RULE) || ACA_SUBSIDY_RULE.CLIFF,
+    acaKeepMagiUnderCliff: fields.checked(UIField.ACA_KEEP_MAGI_UNDER_CLIFF),
+
+    // Income sources
+    subjectSsMonthly: fields.num(UIField.SUBJECT_SS_MONTHLY),
+    subjectSsStartMonth: fields.num(UIField.SUBJECT_SS_START_MONTH),
+    subjectSsPia: fields.num(UIField.SUBJECT_SS_PIA),
+    subjectBirthYear: fields.num(UIField.SUBJECT_BIRTH_YEAR),
+    ssCola: fields.pct(UIField.SS_COLA),
+    ssBenefitCut: fields.pct(UIField.SS_BENEFIT_CUT),
+    ssBenefitCutYear: fields.num(UIField.SS_BENEFIT_CUT_YEAR),
+
+    // Tax rates and settings
+    filingStatus: fields.text(UIField.FILING_STATUS) || "single",
+    hasQualifyingDependent: fields.checked(UIField.HAS_QUALIFYING_DEPENDENT),
+    useRMD: fields.checked(UIField.USE_RMD),
+    spouseIsSole401kBeneficiary: fields.checked(
+      UIField.SPOUSE_SOLE_BENEFICIARY
+    ),
+    flatSsWithholdingRate: fields.pct(UIField.SS_WITHHOLDING),
+    flatCareerTrad401kWithholdingRate: fields.pct(UIField.WITHHOLDINGS_401K),
+    flatWageWithholdingRate: fields.pct(UIField.WITHHOLDINGS_WAGES),
+
+    // Roth conversions
+    rothConversionPlan: {
+      strategy:
+        fields.text(UIField.ROTH_CONVERSION_STRATEGY) ||
+        ROTH_CONVERSION_STRATEGY.NONE,
+      annualAmount: fields.num(UIField.ROTH_CONVERSION_AMOUNT),
+      bracketRate: fields.pct(UIField.ROTH_CONVERSION_BRACKET, 0.12),
+      startAge: fields.num(UIField.ROTH_CONVERSION_START_AGE),
+      endAge: fields.num(UIField.ROTH_CONVERSION_END_AGE),
+      taxSource:
+        fields.text(UIField.ROTH_CONVERSION_TAX_SOURCE) ||
+        ROTH_CONVERSION_TAX_SOURCE.SAVINGS,
+    },
+
+    // Withdrawal strategy
+    withdrawalStrategy: /** @type {ProportionStrategyName} */ (
+      fields.text(UIField.WITHDRAWAL_STRATEGY) ||
+        ProportionStrategyNames.EqualShares
+    ),
+    withdrawalBracketRate: fields.pct(UIField.WITHDRAWAL_BRACKET, 0.12),
+
+    // Tax law
+    taxLaw: taxLaw,
+
+    // State income tax
+    stateOfResidence: fields.text(UIField.STATE_OF_RESIDENCE),
+    relocationState: fields.text(UIField.RELOCATION_STATE),
+    relocationYear: fields.num(UIField.RELOCATION_YEAR),
+
+    // Legacy
+    heirTaxRate: fields.pct(UIField.HEIR_TAX_RATE, 0.24),
+    estateTaxExemption: fields.num(UIField.ESTATE_TAX_EXEMPTION),
+  };
+}
+
+/**
+ * Expands the compact `[{ year_2030: "1000" }, ...]` arrays written by
+ * collectInputValues() into a year → raw value map.
+ *
+ * @param {unknown} list
+ * @returns {Map<string, string>}
+ */
+function expandYearValues(list) {
+  /** @type {Map<string, string>} */
+  const result = new Map();
+  if (!Array.isArray(list)) return result;
+
+  for (const entry of list) {
+    if (!entry || typeof entry !== "object") continue;
+
+    for (const [key, value] of Object.entries(entry)) {
+      const yearMatch = /^year_(\d+)$/.exec(key);
+      if (yearMatch) {
+        result.set(yearMatch[1], String(value ?? ""));
+      }
+    }
+  }
+
+  return result;
+}
+
+export {
+  ScenarioInputs,
+  inputsOptionsFrom,
+  normalizePensionAnnuities,
+  normalizeWithdrawalLimits,
+};
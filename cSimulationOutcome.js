@@ -0,0 +1,107 @@
+import { Calculations } from "./cCalculation.js";
+import { Inputs } from "./cInputs.js";
+
+// Spend is projected to the cent while cash flows are posted in whole
+// dollars, so ignore sub-dollar differences when testing for a shortfall
+const FUNDING_TOLERANCE = 1;
+
+/**
+ * Condenses one full pass through the working/retirement year pipeline into
+ * the handful of numbers the risk analyzers (Monte Carlo, backtesting,
+ * solvers) compare across runs.
+ *
+ * A year is considered funded when the cash available for the year covers
+ * the projected spend, which is the same rule the "Funded to Year" KPI uses.
+ */
+class SimulationOutcome {
+  /**
+   * @param {boolean} success
+   * @param {number} endingBalance
+   * @param {number | null} fundedToYear
+   * @param {number | null} depletionYear
+   * @param {number | null} depletionAge
+   */
+  constructor(
+    success,
+    endingBalance,
+    fundedToYear,
+    depletionYear,
+    depletionAge
+  ) {
+    /** @type {boolean} */
+    this.success = success;
+    /** @type {number} */
+    this.endingBalance = endingBalance;
+    /** @type {number | null} */
+    this.fundedToYear = fundedToYear;
+    /** @type {number | null} First year the plan could not fund its spend */
+    this.depletionYear = depletionYear;
+    /** @type {number | null} Subject's age (living or not) in the depletion year */
+    this.depletionAge = depletionAge;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {Calculations | null} calculations
+   * @returns {SimulationOutcome}
+   */
+  static CreateFrom(inputs, calculations) {
+    const allCalcs = calculations?.getAllCalculations() ?? [];
+
+    if (allCalcs.length === 0) {
+      return new SimulationOutcome(false, 0, null, null, null);
+    }
+
+    const lastCalculation = allCalcs[allCalcs.length - 1];
+    const endingBalance = Math.max(
+      0,
+      lastCalculation.reportData.balances_yearEndtotal
+    );
+
+    /** @type {number | null} */
+    let fundedToYear = null;
+
+    for (const calc of allCalcs) {
+      const reportData = calc.reportData;
+
+      if (
+        reportData.cash_total_inflows + FUNDING_TOLERANCE <
+        reportData.spending_total
+      ) {
+        return new SimulationOutcome(
+          false,
+          endingBalance,
+          fundedToYear,
+          calc.taxYear,
+          inputs.initialAgeSubject + (calc.taxYear - inputs.startingYear)
+        );
+      }
+
+      fundedToYear = calc.taxYear;
+    }
+
+    return new SimulationOutcome(true, endingBalance, fundedToYear, null, null);
+  }
+}
+
+/**
+ * Linear-interpolated percentile of an ascending-sorted list.
+ *
+ * @param {number[]} sortedValues
+ * @param {number} percentile - 0..100
+ * @returns {number}
+ */
+function percentileOf(sortedValues, percentile) {
+  if (sortedValues.length === 0) return 0;
+
+  const rank = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  if (lower === upper) return sortedValues[lower];
+
+  const weight = rank - lower;
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+export { SimulationOutcome, percentileOf };
@@ -0,0 +1,141 @@
+import { Inputs } from "./cInputs.js";
+import { SimulationOutcome } from "./cSimulationOutcome.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+/**
+ * @typedef {object} SpendingSolverOptions
+ * @property {number} [floor] - Minimum total balance to keep every year (0 or a legacy target)
+ * @property {number} [precision] - Stop once the search bracket is narrower than this
+ * @property {number} [maxIterations]
+ */
+
+/**
+ * @typedef {object} SpendingSolverResult
+ * @property {boolean} feasible - False when even zero retirement spending breaches the floor
+ * @property {number} maxSpending - Highest sustainable spendingRetirement (today's dollars)
+ * @property {number} floor
+ * @property {number} runs - Number of full projections evaluated
+ */
+
+// Largest spending the upper-bound search will try before giving up
+const MAX_SEARCH_SPENDING = 100_000_000;
+
+/**
+ * Finds the highest retirement spending (the `spendingRetirement` input, in
+ * today's dollars) the plan can sustain. A candidate is sustainable when
+ * every year's spend is funded and the total balance across accounts stays
+ * at or above the floor through the last living year.
+ */
+class MaxSpendingSolver {
+  /** @type {Inputs} */
+  #inputs;
+  /** @type {number} */
+  #floor;
+  /** @type {number} */
+  #precision;
+  /** @type {number} */
+  #maxIterations;
+  /** @type {number} */
+  #runs = 0;
+
+  /**
+   * @param {Inputs} inputs
+   * @param {number} floor
+   * @param {number} precision
+   * @param {number} maxIterations
+   */
+  constructor(inputs, floor, precision, maxIterations) {
+    if (!Number.isFinite(floor) || floor < 0) {
+      throw new Error(`Balance floor must be zero or more (got ${floor})`);
+    }
+
+    this.#inputs = inputs;
+    this.#floor = floor;
+    this.#precision = precision;
+    this.#maxIterations = maxIterations;
+  }
+
+  /**
+   * @param {Inputs} inputs
+   * @param {SpendingSolverOptions} [options]
+   * @returns {MaxSpendingSolver}
+   */
+  static CreateUsing(inputs, options = {}) {
+    const { floor = 0, precision = 100, maxIterations = 40 } = options;
+    return new MaxSpendingSolver(inputs, floor, precision, maxIterations);
+  }
+
+  /**
+   * @param {number} spendingRetirement
+   * @returns {boolean}
+   */
+  #isSustainable(spendingRetirement) {
+    this.#runs++;
+
+    const inputs = this.#inputs.clone();
+    inputs.spendingRetirement = spendingRetirement;
+
+    const calculations = initializeCalculationsFromInputs(inputs);
+    if (!SimulationOutcome.CreateFrom(inputs, calculations).success) {
+      return false;
+    }
+
+    return (calculations?.getAllCalculations() ?? []).every(
+      (calc) => calc.accountYear.getTotalBalance() >= this.#floor
+    );
+  }
+
+  /**
+   * @returns {SpendingSolverResult}
+   */
+  solve() {
+    this.#runs = 0;
+
+    if (!this.#isSustainable(0)) {
+      return {
+        feasible: false,
+        maxSpending: 0,
+        floor: this.#floor,
+        runs: this.#runs,
+      };
+    }
+
+    // Grow the upper bound from the entered spending until it fails
+    let low = 0;
+    let high = Math.max(this.#inputs.spendingRetirement, 10_000);
+    while (this.#isSustainable(high)) {
+      low = high;
+      high *= 2;
+      if (high > MAX_SEARCH_SPENDING) {
+        return {
+          feasible: true,
+          maxSpending: low,
+          floor: this.#floor,
+          runs: this.#runs,
+        };
+      }
+    }
+
+    for (
+      let i = 0;
+      i < this.#maxIterations && high - low > this.#precision;
+      i++
+    ) {
+      const mid = (low + high) / 2;
+      if (this.#isSustainable(mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return {
+      feasible: true,
+      maxSpending: Math.floor(low),
+      floor: this.#floor,
+      runs: this.#runs,
+    };
+  }
+}
+
+export { MaxSpendingSolver };
@@ -72,17 +72,24 @@ class SsBenefitsCalculator {
    * @param {Demographics} demographics
    * @param {FixedIncomeStreams} fixedIncomeStreams
    * @param {AdjustableIncomeStreams} adjustableIncomeStreams
+   * @param {number} [additionalTaxableIncome] - Income not yet recorded in the streams (used for what-if estimates)
    * @returns {SocialSecurityBreakdown}
    */
   static CalculateSsBreakdown(
     demographics,
     fixedIncomeStreams,
-    adjustableIncomeStreams
+    adjustableIncomeStreams,
+    additionalTaxableIncome = 0
   ) {
     const taxableNonSsIncome =
       adjustableIncomeStreams.combined401kGrossWithdrawals +
-      fixedIncomeStreams.combinedPensionGross +
-      fixedIncomeStreams.interestEarnedOnSavings;
+      adjustableIncomeStreams.combinedRothConversions +
+      fixedIncomeStreams.combinedPensionTaxable +
+      fixedIncomeStreams.interestEarnedOnSavings +
+      fixedIncomeStreams.brokerageDividends +
+      adjustableIncomeStreams.combinedCapitalGains +
+      adjustableIncomeStreams.hsaNonQualifiedWithdrawals +
+      additionalTaxableIncome;
 
     const ssBreakdown = new SocialSecurityBreakdown(
       fixedIncomeStreams.subjectSsGross,
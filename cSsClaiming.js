@@ -0,0 +1,343 @@
+/**
+ * Social Security claiming-age adjustments. A benefit claimed before full
+ * retirement age (FRA) is permanently reduced; one claimed after it earns
+ * delayed retirement credits until 70. Spousal and survivor benefits are
+ * based on the other spouse's PIA. Ages are handled in months.
+ */
+
+import { SS_EARNINGS_TEST_2025 } from "./consts.js";
+
+const EARLIEST_CLAIM_MONTHS = 62 * 12;
+const LATEST_CREDIT_MONTHS = 70 * 12;
+
+// Reduction per month claimed early: 5/9 of 1% for the first 36 months,
+// 5/12 of 1% for each month beyond
+const FIRST_REDUCTION_MONTHS = 36;
+const FIRST_REDUCTION_RATE = 5 / 9 / 100;
+const LATER_REDUCTION_RATE = 5 / 12 / 100;
+
+// Spousal benefits are half the worker's PIA, reduced 25/36 of 1% a month for
+// the first 36 months before FRA (5/12 of 1% beyond) with no delayed credits
+const SPOUSAL_SHARE = 0.5;
+const SPOUSAL_FIRST_REDUCTION_RATE = 25 / 36 / 100;
+
+// Survivor benefits can start at 60, reduced 28.5% there and rising evenly to
+// the full amount at FRA. The retirement FRA stands in for the survivor FRA,
+// which runs up to two years behind it for those born 1957–1961.
+const SURVIVOR_EARLIEST_MONTHS = 60 * 12;
+const SURVIVOR_MAX_REDUCTION = 0.285;
+
+// A survivor of someone who claimed early still gets 82.5% of their PIA
+const SURVIVOR_MINIMUM_OF_PIA = 0.825;
+
+// Full retirement age in months for the birth years it was phased in over;
+// it is 65 through 1937, 66 for 1943–1954 and 67 from 1960
+const FRA_MONTHS_BY_BIRTH_YEAR = Object.freeze({
+  1938: 65 * 12 + 2,
+  1939: 65 * 12 + 4,
+  1940: 65 * 12 + 6,
+  1941: 65 * 12 + 8,
+  1942: 65 * 12 + 10,
+  1955: 66 * 12 + 2,
+  1956: 66 * 12 + 4,
+  1957: 66 * 12 + 6,
+  1958: 66 * 12 + 8,
+  1959: 66 * 12 + 10,
+});
+
+// Yearly delayed retirement credit by year of birth (from that year on)
+const DELAYED_CREDIT_BY_BIRTH_YEAR = Object.freeze([
+  { from: 1943, rate: 0.08 },
+  { from: 1941, rate: 0.075 },
+  { from: 1939, rate: 0.07 },
+  { from: 1937, rate: 0.065 },
+  { from: 1935, rate: 0.06 },
+  { from: 1933, rate: 0.055 },
+  { from: 1931, rate: 0.05 },
+]);
+
+/**
+ * @typedef {object} SsClaim
+ * @property {number} monthly - Benefit entered for the first year
+ * @property {number} pia - Primary insurance amount at FRA, in today's dollars
+ * @property {number} birthYear
+ * @property {number} startAge
+ * @property {number} startMonth - Months past startAge (0–11)
+ * @property {number} withheldMonths - Months of benefits withheld under the earnings test in earlier years
+ */
+
+class SsClaiming {
+  /**
+   * @param {number} birthYear
+   * @returns {number} Full retirement age in months
+   */
+  static fullRetirementAgeMonths(birthYear) {
+    if (birthYear <= 1937) return 65 * 12;
+    if (birthYear >= 1960) return 67 * 12;
+    if (birthYear >= 1943 && birthYear <= 1954) return 66 * 12;
+    return /** @type {Record<number, number>} */ (FRA_MONTHS_BY_BIRTH_YEAR)[
+      birthYear
+    ];
+  }
+
+  /**
+   * Share of the PIA paid when claiming at the given age. Claims before 62
+   * are treated as 62 and credits stop accruing at 70.
+   * @param {number} birthYear
+   * @param {number} claimAgeMonths
+   */
+  static benefitFactor(birthYear, claimAgeMonths) {
+    const claim = Math.min(
+      Math.max(claimAgeMonths, EARLIEST_CLAIM_MONTHS),
+      LATEST_CREDIT_MONTHS
+    );
+    const fra = this.fullRetirementAgeMonths(birthYear);
+
+    if (claim < fra) {
+      const early = fra - claim;
+      const first = Math.min(early, FIRST_REDUCTION_MONTHS);
+      const later = early - first;
+      return 1 - first * FIRST_REDUCTION_RATE - later * LATER_REDUCTION_RATE;
+    }
+
+    const credit =
+      DELAYED_CREDIT_BY_BIRTH_YEAR.find((c) => birthYear >= c.from)?.rate ??
+      0.045;
+    return 1 + ((claim - fra) * credit) / 12;
+  }
+
+  /**
+   * Share of the full spousal benefit paid when it is claimed at the given
+   * age
+   * @param {number} birthYear - Of the spouse claiming it
+   * @param {number} claimAgeMonths
+   */
+  static spousalFactor(birthYear, claimAgeMonths) {
+    const claim = Math.max(claimAgeMonths, EARLIEST_CLAIM_MONTHS);
+    const early = Math.max(0, this.fullRetirementAgeMonths(birthYear) - claim);
+    const first = Math.min(early, FIRST_REDUCTION_MONTHS);
+    const later = early - first;
+
+    return (
+      1 - first * SPOUSAL_FIRST_REDUCTION_RATE - later * LATER_REDUCTION_RATE
+    );
+  }
+
+  /**
+   * Share of the deceased's benefit a survivor gets when claiming it at the
+   * given age
+   * @param {number} birthYear - Of the survivor
+   * @param {number} claimAgeMonths
+   */
+  static survivorFactor(birthYear, claimAgeMonths) {
+    const fra = this.fullRetirementAgeMonths(birthYear);
+    const claim = Math.max(claimAgeMonths, SURVIVOR_EARLIEST_MONTHS);
+    if (claim >= fra) return 1;
+
+    return (
+      1 -
+      (SURVIVOR_MAX_REDUCTION * (fra - claim)) /
+        (fra - SURVIVOR_EARLIEST_MONTHS)
+    );
+  }
+
+  /**
+   * Share of the PIA a survivor's benefit is based on. Someone who died
+   * before claiming counts as claiming at death, but never below the PIA;
+   * someone who claimed early leaves at least 82.5% of it.
+   * @param {SsClaim} deceased
+   * @param {number} deathAgeMonths
+   */
+  static deceasedBenefitFactor(deceased, deathAgeMonths) {
+    const claimAgeMonths = deceased.startAge * 12 + deceased.startMonth;
+
+    if (deathAgeMonths < claimAgeMonths) {
+      return Math.max(
+        1,
+        this.benefitFactor(deceased.birthYear, deathAgeMonths)
+      );
+    }
+
+    return Math.max(
+      this.benefitFactor(deceased.birthYear, claimAgeMonths),
+      SURVIVOR_MINIMUM_OF_PIA
+    );
+  }
+
+  /**
+   * Spousal benefit paid on top of someone's own benefit in the year they
+   * are the given age: half the worker's PIA less their own PIA, reduced for
+   * claiming before FRA. It starts once both spouses have claimed and needs
+   * a PIA for the worker and either a PIA or no benefit for the spouse.
+   * @param {SsClaim} own
+   * @param {SsClaim} worker
+   * @param {number} age
+   * @param {number} workerAge
+   * @param {number} yearIndex
+   * @param {number} cola
+   */
+  static spousalTopUp(own, worker, age, workerAge, yearIndex, cola) {
+    if (worker.pia <= 0 || (own.pia <= 0 && own.monthly > 0)) return 0;
+
+    const excess = worker.pia * SPOUSAL_SHARE - own.pia;
+    if (excess <= 0) return 0;
+
+    // Own age when the worker claims
+    const workerClaimMonths =
+      worker.startAge * 12 + worker.startMonth + (age - workerAge) * 12;
+    const startMonths = Math.max(
+      own.startAge * 12 + own.startMonth,
+      workerClaimMonths
+    );
+    const months = Math.min(12, (age + 1) * 12 - startMonths);
+    if (months <= 0) return 0;
+
+    const factor = this.spousalFactor(own.birthYear, startMonths);
+    return (excess * factor * months).adjustedForInflation(cola, yearIndex);
+  }
+
+  /**
+   * Survivor benefit in the year the survivor is the given age. It is
+   * claimed at the survivor's own claiming age, or on being widowed if that
+   * is later.
+   * @param {SsClaim} survivor
+   * @param {SsClaim} deceased
+   * @param {number} age - Of the survivor
+   * @param {number} widowedAtAge - Survivor's age in the first year widowed
+   * @param {number} deathAge - Deceased's age in the year they died
+   * @param {number} yearIndex
+   * @param {number} cola
+   */
+  static survivorBenefit(
+    survivor,
+    deceased,
+    age,
+    widowedAtAge,
+    deathAge,
+    yearIndex,
+    cola
+  ) {
+    if (deceased.pia <= 0) return 0;
+
+    const startMonths = Math.max(
+      survivor.startAge * 12 + survivor.startMonth,
+      widowedAtAge * 12,
+      SURVIVOR_EARLIEST_MONTHS
+    );
+    const months = Math.min(12, (age + 1) * 12 - startMonths);
+    if (months <= 0) return 0;
+
+    const factor =
+      this.deceasedBenefitFactor(deceased, (deathAge + 1) * 12) *
+      this.survivorFactor(survivor.birthYear, startMonths);
+    return (deceased.pia * factor * months).adjustedForInflation(
+      cola,
+      yearIndex
+    );
+  }
+
+  /**
+   * Benefit paid in the year someone is the given age. With a PIA the
+   * monthly benefit is the PIA adjusted for the claiming age; without one
+   * the monthly amount entered for the first year is used as is. Benefits
+   * start in the claiming month and grow with the COLA.
+   * @param {SsClaim} claim
+   * @param {number} age
+   * @param {number} yearIndex - Years since the plan started (PIA is in today's dollars)
+   * @param {number} cola
+   */
+  static annualBenefit(claim, age, yearIndex, cola) {
+    if (age < claim.startAge) return 0;
+
+    const months = age === claim.startAge ? 12 - claim.startMonth : 12;
+    const claimAgeMonths = claim.startAge * 12 + claim.startMonth;
+    const factor = this.benefitFactor(
+      claim.birthYear,
+      this.effectiveClaimAgeMonths(claim, age)
+    );
+
+    if (claim.pia > 0) {
+      return (claim.pia * factor * months).adjustedForInflation(
+        cola,
+        yearIndex
+      );
+    }
+
+    const recomputed =
+      factor / this.benefitFactor(claim.birthYear, claimAgeMonths);
+    return (claim.monthly * recomputed * months).adjustedForInflation(
+      cola,
+      age - claim.startAge
+    );
+  }
+
+  /**
+   * Claiming age the benefit is based on in the year someone is the given
+   * age. From the first year they start at FRA, months withheld under the
+   * earnings test count as though the claim had started that much later.
+   * @param {SsClaim} claim
+   * @param {number} age
+   */
+  static effectiveClaimAgeMonths(claim, age) {
+    const claimAgeMonths = claim.startAge * 12 + claim.startMonth;
+    const fra = this.fullRetirementAgeMonths(claim.birthYear);
+    if (age * 12 < fra || claim.withheldMonths <= 0) return claimAgeMonths;
+
+    return Math.min(
+      claimAgeMonths + claim.withheldMonths,
+      Math.max(claimAgeMonths, fra)
+    );
+  }
+
+  /**
+   * Benefits withheld under the earnings test in the year someone is the
+   * given age. Whole months of benefits are withheld until the excess
+   * earnings are covered; nothing is withheld from FRA on.
+   * @param {SsClaim} claim
+   * @param {number} age
+   * @param {number} benefit - Benefits payable this year before the test
+   * @param {number} earnings - The beneficiary's own wages this year
+   * @param {number} indexFactor - Growth in the exempt amounts since 2025
+   * @returns {{ amount: number, months: number }}
+   */
+  static earningsTestWithholding(claim, age, benefit, earnings, indexFactor) {
+    const yearStart = age * 12;
+    const fra = this.fullRetirementAgeMonths(claim.birthYear);
+    if (benefit <= 0 || earnings <= 0 || yearStart >= fra) {
+      return { amount: 0, months: 0 };
+    }
+
+    const paidFrom = Math.max(
+      yearStart,
+      claim.startAge * 12 + claim.startMonth
+    );
+    const monthly = benefit / (yearStart + 12 - paidFrom);
+    const paidBeforeFra = Math.min(fra, yearStart + 12) - paidFrom;
+
+    const test = SS_EARNINGS_TEST_2025;
+    const reachesFra = yearStart + 12 > fra;
+    const excess = reachesFra
+      ? (earnings * (fra - yearStart)) / 12 - test.exemptInFraYear * indexFactor
+      : earnings - test.exemptBeforeFraYear * indexFactor;
+    if (excess <= 0 || paidBeforeFra <= 0) return { amount: 0, months: 0 };
+
+    const rate = reachesFra
+      ? test.withholdingRateInFraYear
+      : test.withholdingRateBeforeFraYear;
+    const months = Math.min(
+      paidBeforeFra,
+      Math.ceil((excess * rate) / monthly)
+    );
+    return { amount: monthly * months, months };
+  }
+
+  /**
+   * @param {number} months
+   * @returns {string} e.g. "66y 10m"
+   */
+  static formatAge(months) {
+    return `${Math.floor(months / 12)}y ${months % 12}m`;
+  }
+}
+
+export { SsClaiming };
@@ -0,0 +1,552 @@
+import { Demographics } from "./cDemographics.js";
+import { FiscalData } from "./cFiscalData.js";
+import { constsJS_FILING_STATUS } from "./consts.js";
+
+/**
+ * @typedef {import("./cTaxLawRegistry.js").TaxBracket} TaxBracket
+ */
+
+/**
+ * @typedef {object} RetirementExclusion
+ * @property {number} minAge - Youngest filer age that qualifies
+ * @property {number} [perFiler] - Excluded for each filer who qualifies
+ * @property {{single: number, mfj: number}} [perReturn] - Excluded once when any filer qualifies
+ * @property {number} [incomeLimit] - No exclusion once state income before it exceeds this
+ */
+
+/**
+ * @typedef {object} StateAgeDeduction
+ * @property {number} minAge
+ * @property {number} perFiler
+ * @property {{single: number, mfj: number}} phaseOutStart - Reduced dollar for dollar above this income
+ */
+
+/**
+ * @typedef {object} StateTaxTable
+ * @property {string} name
+ * @property {number} year - Tax year the figures are from
+ * @property {boolean} indexed - Thresholds and deductions grow with inflation after `year`
+ * @property {{single: TaxBracket[], mfj: TaxBracket[]}} brackets - Empty for states without an income tax
+ * @property {{single: number, mfj: number}} [standardDeduction]
+ * @property {number} [personalExemption] - Per filer
+ * @property {{single: number, mfj: number}} [ageAdditional] - Extra deduction per filer aged 65 or older
+ * @property {StateAgeDeduction} [ageDeduction] - Income-tested deduction for older filers
+ * @property {boolean} exemptSocialSecurity - Federally taxable Social Security is excluded
+ * @property {boolean} [exemptPensions]
+ * @property {boolean} [exemptRetirementDistributions] - 401k/IRA withdrawals and Roth conversions
+ * @property {RetirementExclusion[]} [retirementExclusions] - Partial exclusions for pensions and distributions; each filer gets the best tier they qualify for
+ */
+
+/**
+ * @typedef {object} StateTaxableIncome
+ * @property {number} federalAgi
+ * @property {number} taxableSocialSecurity - Federally taxable portion
+ * @property {number} pensions
+ * @property {number} retirementDistributions - 401k/IRA withdrawals and Roth conversions
+ */
+
+/**
+ * @typedef {object} StateTax
+ * @property {string} state - Postal code ("" when no state applies)
+ * @property {number} excludedIncome - Retirement income the state does not tax
+ * @property {number} deductions - Standard deduction, exemptions and age deductions
+ * @property {number} taxableIncome
+ * @property {number} tax
+ */
+
+/** @param {number} rate @returns {{single: TaxBracket[], mfj: TaxBracket[]}} */
+const flatRate = (rate) => ({
+  single: [{ rate, upTo: Infinity }],
+  mfj: [{ rate, upTo: Infinity }],
+});
+
+/** @param {string} name @returns {StateTaxTable} */
+const noIncomeTax = (name) => ({
+  name,
+  year: 2025,
+  indexed: false,
+  brackets: { single: [], mfj: [] },
+  exemptSocialSecurity: true,
+});
+
+// Bundled 2025 tables (California's are 2024, the latest published). Credits
+// (personal exemption credits, retirement income credits) are not modeled.
+/** @type {Map<string, StateTaxTable>} */
+const STATE_TAX_TABLES = new Map([
+  ["AK", noIncomeTax("Alaska")],
+  ["FL", noIncomeTax("Florida")],
+  ["NV", noIncomeTax("Nevada")],
+  ["NH", noIncomeTax("New Hampshire")],
+  ["SD", noIncomeTax("South Dakota")],
+  ["TN", noIncomeTax("Tennessee")],
+  ["TX", noIncomeTax("Texas")],
+  ["WA", noIncomeTax("Washington")],
+  ["WY", noIncomeTax("Wyoming")],
+  [
+    "AZ",
+    {
+      name: "Arizona",
+      year: 2025,
+      indexed: true,
+      brackets: flatRate(0.025),
+      standardDeduction: { single: 15750, mfj: 31500 },
+      ageAdditional: { single: 2100, mfj: 2100 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "CO",
+    {
+      name: "Colorado",
+      year: 2025,
+      indexed: true,
+      brackets: flatRate(0.044),
+      standardDeduction: { single: 15750, mfj: 31500 },
+      exemptSocialSecurity: true,
+      retirementExclusions: [
+        { minAge: 55, perFiler: 20000 },
+        { minAge: 65, perFiler: 24000 },
+      ],
+    },
+  ],
+  [
+    "GA",
+    {
+      name: "Georgia",
+      year: 2025,
+      indexed: false,
+      brackets: flatRate(0.0519),
+      standardDeduction: { single: 12000, mfj: 24000 },
+      exemptSocialSecurity: true,
+      retirementExclusions: [
+        { minAge: 62, perFiler: 35000 },
+        { minAge: 65, perFiler: 65000 },
+      ],
+    },
+  ],
+  [
+    "IL",
+    {
+      name: "Illinois",
+      year: 2025,
+      indexed: false,
+      brackets: flatRate(0.0495),
+      personalExemption: 2850,
+      ageAdditional: { single: 1000, mfj: 1000 },
+      exemptSocialSecurity: true,
+      exemptPensions: true,
+      exemptRetirementDistributions: true,
+    },
+  ],
+  [
+    "IN",
+    {
+      name: "Indiana",
+      year: 2025,
+      indexed: false,
+      brackets: flatRate(0.03),
+      personalExemption: 1000,
+      ageAdditional: { single: 1000, mfj: 1000 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "KY",
+    {
+      name: "Kentucky",
+      year: 2025,
+      indexed: true,
+      brackets: flatRate(0.04),
+      standardDeduction: { single: 3270, mfj: 6540 },
+      exemptSocialSecurity: true,
+      retirementExclusions: [{ minAge: 0, perFiler: 31110 }],
+    },
+  ],
+  [
+    "MA",
+    {
+      name: "Massachusetts",
+      year: 2025,
+      indexed: false,
+      // 4% surtax on income over the millionaire threshold
+      brackets: {
+        single: [
+          { rate: 0.05, upTo: 1083150 },
+          { rate: 0.09, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.05, upTo: 1083150 },
+          { rate: 0.09, upTo: Infinity },
+        ],
+      },
+      personalExemption: 4400,
+      ageAdditional: { single: 700, mfj: 700 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "NC",
+    {
+      name: "North Carolina",
+      year: 2025,
+      indexed: false,
+      brackets: flatRate(0.0425),
+      standardDeduction: { single: 12750, mfj: 25500 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "PA",
+    {
+      name: "Pennsylvania",
+      year: 2025,
+      indexed: false,
+      brackets: flatRate(0.0307),
+      exemptSocialSecurity: true,
+      exemptPensions: true,
+      exemptRetirementDistributions: true,
+    },
+  ],
+  [
+    "CA",
+    {
+      name: "California",
+      year: 2024,
+      indexed: true,
+      // Includes the 1% mental health services tax over $1 million
+      brackets: {
+        single: [
+          { rate: 0.01, upTo: 10756 },
+          { rate: 0.02, upTo: 25499 },
+          { rate: 0.04, upTo: 40245 },
+          { rate: 0.06, upTo: 55866 },
+          { rate: 0.08, upTo: 70606 },
+          { rate: 0.093, upTo: 360659 },
+          { rate: 0.103, upTo: 432787 },
+          { rate: 0.113, upTo: 721314 },
+          { rate: 0.123, upTo: 1000000 },
+          { rate: 0.133, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.01, upTo: 21512 },
+          { rate: 0.02, upTo: 50998 },
+          { rate: 0.04, upTo: 80490 },
+          { rate: 0.06, upTo: 111732 },
+          { rate: 0.08, upTo: 141212 },
+          { rate: 0.093, upTo: 721318 },
+          { rate: 0.103, upTo: 865574 },
+          { rate: 0.113, upTo: 1000000 },
+          { rate: 0.123, upTo: 1442628 },
+          { rate: 0.133, upTo: Infinity },
+        ],
+      },
+      standardDeduction: { single: 5540, mfj: 11080 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "NJ",
+    {
+      name: "New Jersey",
+      year: 2025,
+      indexed: false,
+      brackets: {
+        single: [
+          { rate: 0.014, upTo: 20000 },
+          { rate: 0.0175, upTo: 35000 },
+          { rate: 0.035, upTo: 40000 },
+          { rate: 0.05525, upTo: 75000 },
+          { rate: 0.0637, upTo: 500000 },
+          { rate: 0.0897, upTo: 1000000 },
+          { rate: 0.1075, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.014, upTo: 20000 },
+          { rate: 0.0175, upTo: 50000 },
+          { rate: 0.0245, upTo: 70000 },
+          { rate: 0.035, upTo: 80000 },
+          { rate: 0.05525, upTo: 150000 },
+          { rate: 0.0637, upTo: 500000 },
+          { rate: 0.0897, upTo: 1000000 },
+          { rate: 0.1075, upTo: Infinity },
+        ],
+      },
+      personalExemption: 1000,
+      ageAdditional: { single: 1000, mfj: 1000 },
+      exemptSocialSecurity: true,
+      // The partial exclusion between $100,000 and $150,000 is not modeled
+      retirementExclusions: [
+        {
+          minAge: 62,
+          perReturn: { single: 75000, mfj: 100000 },
+          incomeLimit: 100000,
+        },
+      ],
+    },
+  ],
+  [
+    "NY",
+    {
+      name: "New York",
+      year: 2025,
+      indexed: false,
+      brackets: {
+        single: [
+          { rate: 0.04, upTo: 8500 },
+          { rate: 0.045, upTo: 11700 },
+          { rate: 0.0525, upTo: 13900 },
+          { rate: 0.055, upTo: 80650 },
+          { rate: 0.06, upTo: 215400 },
+          { rate: 0.0685, upTo: 1077550 },
+          { rate: 0.0965, upTo: 5000000 },
+          { rate: 0.103, upTo: 25000000 },
+          { rate: 0.109, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.04, upTo: 17150 },
+          { rate: 0.045, upTo: 23600 },
+          { rate: 0.0525, upTo: 27900 },
+          { rate: 0.055, upTo: 161550 },
+          { rate: 0.06, upTo: 323200 },
+          { rate: 0.0685, upTo: 2155350 },
+          { rate: 0.0965, upTo: 5000000 },
+          { rate: 0.103, upTo: 25000000 },
+          { rate: 0.109, upTo: Infinity },
+        ],
+      },
+      standardDeduction: { single: 8000, mfj: 16050 },
+      exemptSocialSecurity: true,
+      // Pension and annuity exclusion from age 59½
+      retirementExclusions: [{ minAge: 59.5, perFiler: 20000 }],
+    },
+  ],
+  [
+    "OR",
+    {
+      name: "Oregon",
+      year: 2025,
+      indexed: true,
+      brackets: {
+        single: [
+          { rate: 0.0475, upTo: 4400 },
+          { rate: 0.0675, upTo: 11050 },
+          { rate: 0.0875, upTo: 125000 },
+          { rate: 0.099, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.0475, upTo: 8800 },
+          { rate: 0.0675, upTo: 22100 },
+          { rate: 0.0875, upTo: 250000 },
+          { rate: 0.099, upTo: Infinity },
+        ],
+      },
+      standardDeduction: { single: 2835, mfj: 5670 },
+      ageAdditional: { single: 1200, mfj: 1000 },
+      exemptSocialSecurity: true,
+    },
+  ],
+  [
+    "VA",
+    {
+      name: "Virginia",
+      year: 2025,
+      indexed: false,
+      brackets: {
+        single: [
+          { rate: 0.02, upTo: 3000 },
+          { rate: 0.03, upTo: 5000 },
+          { rate: 0.05, upTo: 17000 },
+          { rate: 0.0575, upTo: Infinity },
+        ],
+        mfj: [
+          { rate: 0.02, upTo: 3000 },
+          { rate: 0.03, upTo: 5000 },
+          { rate: 0.05, upTo: 17000 },
+          { rate: 0.0575, upTo: Infinity },
+        ],
+      },
+      standardDeduction: { single: 8500, mfj: 17000 },
+      personalExemption: 930,
+      ageAdditional: { single: 800, mfj: 800 },
+      ageDeduction: {
+        minAge: 65,
+        perFiler: 12000,
+        phaseOutStart: { single: 50000, mfj: 75000 },
+      },
+      exemptSocialSecurity: true,
+    },
+  ],
+]);
+
+/**
+ * State income tax for the state of residence. States are looked up by postal
+ * code; more can be plugged in with `registerState`.
+ */
+class StateTaxCalculator {
+  /**
+   * Adds or replaces a state's table.
+   *
+   * @param {string} code - Postal code
+   * @param {StateTaxTable} table
+   */
+  static registerState(code, table) {
+    STATE_TAX_TABLES.set(code.toUpperCase(), table);
+  }
+
+  /**
+   * @returns {{code: string, name: string}[]} Bundled and registered states, by name
+   */
+  static get states() {
+    return [...STATE_TAX_TABLES.entries()]
+      .map(([code, table]) => ({ code, name: table.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} code
+   * @returns {StateTaxTable | undefined}
+   */
+  static getTable(code) {
+    return STATE_TAX_TABLES.get((code ?? "").toUpperCase());
+  }
+
+  /**
+   * @param {string} stateCode - Postal code; blank for no state tax
+   * @param {FiscalData} fiscalData
+   * @param {Demographics} demographics
+   * @param {StateTaxableIncome} income
+   * @returns {StateTax}
+   */
+  static calculate(stateCode, fiscalData, demographics, income) {
+    const none = {
+      state: stateCode ?? "",
+      excludedIncome: 0,
+      deductions: 0,
+      taxableIncome: 0,
+      tax: 0,
+    };
+    if (!stateCode) return none;
+
+    const table = this.getTable(stateCode);
+    if (!table) {
+      throw new Error(`No state tax table for '${stateCode}'`);
+    }
+    if (table.brackets.single.length === 0) return none;
+
+    const isJoint = [
+      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+      constsJS_FILING_STATUS.QUALIFYING_SURVIVING_SPOUSE,
+    ].includes(demographics.filingStatus);
+    const status = isJoint ? "mfj" : "single";
+    const filerAges = demographics.filerAges;
+    const seniors = filerAges.filter((age) => age >= 65).length;
+
+    const factor = table.indexed
+      ? (1 + fiscalData.inflationRate) ** (fiscalData.taxYear - table.year)
+      : 1;
+
+    // Retirement income the state leaves out of its base
+    let excludedIncome = 0;
+    if (table.exemptSocialSecurity) {
+      excludedIncome += income.taxableSocialSecurity;
+    }
+    let partlyExcludable = 0;
+    if (table.exemptPensions) {
+      excludedIncome += income.pensions;
+    } else {
+      partlyExcludable += income.pensions;
+    }
+    if (table.exemptRetirementDistributions) {
+      excludedIncome += income.retirementDistributions;
+    } else {
+      partlyExcludable += income.retirementDistributions;
+    }
+
+    const incomeBeforeExclusions = Math.max(
+      0,
+      income.federalAgi - excludedIncome
+    );
+    excludedIncome += Math.min(
+      partlyExcludable,
+      this.#retirementExclusion(
+        table.retirementExclusions ?? [],
+        filerAges,
+        status,
+        incomeBeforeExclusions
+      )
+    );
+
+    const stateAgi = Math.max(0, income.federalAgi - excludedIncome);
+
+    let deductions =
+      (table.standardDeduction?.[status] ?? 0) * factor +
+      (table.personalExemption ?? 0) * filerAges.length * factor +
+      (table.ageAdditional?.[status] ?? 0) * seniors * factor;
+
+    if (table.ageDeduction) {
+      const { minAge, perFiler, phaseOutStart } = table.ageDeduction;
+      const eligible = filerAges.filter((age) => age >= minAge).length;
+      deductions += Math.max(
+        0,
+        perFiler * eligible - Math.max(0, stateAgi - phaseOutStart[status])
+      );
+    }
+
+    const taxableIncome = Math.max(0, stateAgi - deductions);
+
+    let tax = 0;
+    let prev = 0;
+    for (const { rate, upTo } of table.brackets[status]) {
+      const top = Number.isFinite(upTo) ? upTo * factor : Infinity;
+      const slice = Math.min(taxableIncome, top) - prev;
+      if (slice > 0) tax += slice * rate;
+      if (taxableIncome <= top) break;
+      prev = top;
+    }
+
+    return {
+      state: stateCode,
+      excludedIncome: excludedIncome.asCurrency(),
+      deductions: deductions.asCurrency(),
+      taxableIncome: taxableIncome.asCurrency(),
+      tax: tax.asCurrency(),
+    };
+  }
+
+  /**
+   * @param {RetirementExclusion[]} exclusions
+   * @param {number[]} filerAges
+   * @param {"single" | "mfj"} status
+   * @param {number} stateIncome - State income before the exclusion
+   */
+  static #retirementExclusion(exclusions, filerAges, status, stateIncome) {
+    const available = exclusions.filter(
+      (exclusion) =>
+        exclusion.incomeLimit === undefined ||
+        stateIncome <= exclusion.incomeLimit
+    );
+
+    const perFiler = filerAges.reduce(
+      (total, age) =>
+        total +
+        Math.max(
+          0,
+          ...available
+            .filter((exclusion) => age >= exclusion.minAge)
+            .map((exclusion) => exclusion.perFiler ?? 0)
+        ),
+      0
+    );
+
+    const perReturn = Math.max(
+      0,
+      ...available
+        .filter((exclusion) => filerAges.some((age) => age >= exclusion.minAge))
+        .map((exclusion) => exclusion.perReturn?.[status] ?? 0)
+    );
+
+    return perFiler + perReturn;
+  }
+}
+
+export { StateTaxCalculator };
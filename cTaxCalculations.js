@@ -1,98 +1,149 @@
 import { Demographics } from "./cDemographics.js";
 import { FiscalData } from "./cFiscalData.js";
-import {
-  constsJS_FILING_STATUS,
-  constsJS_TAX_TABLES_2025,
-  constsJS_STANDARD_DEDUCTION_2025,
-} from "./consts.js";
+import { constsJS_FILING_STATUS } from "./consts.js";
+import { TaxLawRegistry } from "./cTaxLawRegistry.js";
 import { log } from "./debugUtils.js";
 
+/**
+ * @typedef {import("./cTaxLawRegistry.js").TaxBracket} TaxBracket
+ */
+
+// Bracket searches stop once they are this close (in dollars) to the bracket top
+const BRACKET_FILL_PRECISION = 1;
+
 class TaxCalculations {
   /**
+   * Federal brackets for the tax year, resolved through the tax law registry
+   * @param {FiscalData} fiscalData
    * @param {Demographics} demographics
    */
-  static determineStandardDeduction(demographics) {
-    // Logic to determine standard deduction based on demographics
-    if (demographics.filingStatus === "single") {
-      return 13850; // Example value for single filers in 2024
-    } else if (demographics.filingStatus === "married_filing_jointly") {
-      return 27700; // Example value for married filing jointly in 2024
-    }
-    // Add more filing statuses as needed
-    return 0;
+  static getTaxBrackets(fiscalData, demographics) {
+    const law = TaxLawRegistry.resolve(
+      fiscalData.taxYear,
+      fiscalData.taxLaw,
+      fiscalData.inflationRate
+    );
+
+    return this.#forFilingStatus(law.brackets, demographics);
   }
 
   /**
+   * 0/15/20% thresholds for qualified dividends and long-term gains
    * @param {FiscalData} fiscalData
    * @param {Demographics} demographics
    */
-  static getTaxBrackets(fiscalData, demographics) {
-    // The year passed is the actual tax year (e.g., 2025, 2026, 2052, etc.)
-    // The adjustedForInflation expects years from the base (2025)
+  static getCapitalGainsBrackets(fiscalData, demographics) {
+    const law = TaxLawRegistry.resolve(
+      fiscalData.taxYear,
+      fiscalData.taxLaw,
+      fiscalData.inflationRate
+    );
 
-    const yearsFromBase = fiscalData.taxYear - fiscalData.startingYear;
-    if (
-      demographics.filingStatus ===
-        constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY &&
-      !demographics.isWidowed
-    ) {
-      return constsJS_TAX_TABLES_2025.mfj.map((bracket) => ({
-        rate: bracket.rate,
-        upTo: bracket.upTo.adjustedForInflation(
-          fiscalData.inflationRate,
-          yearsFromBase
-        ),
-      }));
-    } else {
-      return constsJS_TAX_TABLES_2025.single.map((bracket) => ({
-        rate: bracket.rate,
-        upTo: bracket.upTo.adjustedForInflation(
-          fiscalData.inflationRate,
-          yearsFromBase
-        ),
-      }));
+    return this.#forFilingStatus(
+      /** @type {NonNullable<typeof law.capitalGainsBrackets>} */ (
+        law.capitalGainsBrackets
+      ),
+      demographics
+    );
+  }
+
+  /**
+   * @param {{single: TaxBracket[], mfj: TaxBracket[], hoh?: TaxBracket[]}} schedule
+   * @param {Demographics} demographics
+   * @returns {TaxBracket[]}
+   */
+  static #forFilingStatus(schedule, demographics) {
+    switch (demographics.filingStatus) {
+      case constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY:
+      case constsJS_FILING_STATUS.QUALIFYING_SURVIVING_SPOUSE:
+        return schedule.mfj;
+      case constsJS_FILING_STATUS.HEAD_OF_HOUSEHOLD:
+        return schedule.hoh ?? schedule.single;
+      default:
+        return schedule.single;
     }
   }
 
   /**
+   * Standard deduction for the filing status, the additional amount for each
+   * filer aged 65 or older, and personal exemptions under regimes that still
+   * have them
    * @param {FiscalData} fiscalData
    * @param {Demographics} demographics
    */
   static getStandardDeduction(fiscalData, demographics) {
-    // The year passed should be the actual tax year (e.g., 2025, 2026, 2052, etc.)
-    // The adjustedForInflation expects years from the base (2025)
-    const yearsFromBase = fiscalData.taxYear - fiscalData.startingYear;
+    const law = TaxLawRegistry.resolve(
+      fiscalData.taxYear,
+      fiscalData.taxLaw,
+      fiscalData.inflationRate
+    );
 
-    if (
-      demographics.filingStatus ===
-      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY
-    ) {
-      const baseAmount = constsJS_STANDARD_DEDUCTION_2025.mfj;
-      const adjusted = baseAmount.adjustedForInflation(
-        fiscalData.inflationRate,
-        yearsFromBase
-      );
-      if (isNaN(adjusted)) {
-        log.error(
-          `Standard deduction calculation resulted in NaN: base=${baseAmount}, yearsFromBase=${yearsFromBase}, inflationRate=${fiscalData.inflationRate}`
-        );
-        return 0;
-      }
-      return adjusted.asCurrency();
-    } else {
-      const baseAmount = constsJS_STANDARD_DEDUCTION_2025.single;
-      const adjusted = baseAmount.adjustedForInflation(
-        fiscalData.inflationRate,
-        yearsFromBase
+    let baseDeduction = law.standardDeduction.single;
+    let additionalDeduction = law.additionalDeduction?.unmarried ?? 0;
+    let exemptions = 1;
+
+    switch (demographics.filingStatus) {
+      case constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY:
+        baseDeduction = law.standardDeduction.mfj;
+        additionalDeduction = law.additionalDeduction?.married ?? 0;
+        exemptions = 2;
+        break;
+      case constsJS_FILING_STATUS.QUALIFYING_SURVIVING_SPOUSE:
+        baseDeduction = law.standardDeduction.mfj;
+        additionalDeduction = law.additionalDeduction?.married ?? 0;
+        break;
+      case constsJS_FILING_STATUS.HEAD_OF_HOUSEHOLD:
+        baseDeduction =
+          law.standardDeduction.hoh ?? law.standardDeduction.single;
+        break;
+    }
+
+    if (demographics.hasQualifyingDependent) exemptions++;
+
+    const deduction =
+      baseDeduction +
+      additionalDeduction * demographics.filersAge65OrOlder +
+      (law.personalExemption ?? 0) * exemptions;
+
+    if (isNaN(deduction)) {
+      log.error(
+        `Standard deduction calculation resulted in NaN: taxYear=${fiscalData.taxYear}, inflationRate=${fiscalData.inflationRate}`
       );
-      if (isNaN(adjusted)) {
-        log.error(
-          `Standard deduction calculation resulted in NaN: base=${baseAmount}, yearsFromBase=${yearsFromBase}, inflationRate=${fiscalData.inflationRate}`
-        );
-        return 0;
-      }
-      return adjusted.asCurrency();
+      return 0;
     }
+    return deduction.asCurrency();
+  }
+
+  /**
+   * Temporary senior bonus deduction: a fixed amount per filer aged 65 or
+   * older, reduced by a share of modified AGI above the phase-out start
+   * (the joint threshold applies only to joint returns)
+   * @param {FiscalData} fiscalData
+   * @param {Demographics} demographics
+   * @param {number} modifiedAgi
+   */
+  static getSeniorDeduction(fiscalData, demographics, modifiedAgi) {
+    const { seniorDeduction } = TaxLawRegistry.resolve(
+      fiscalData.taxYear,
+      fiscalData.taxLaw,
+      fiscalData.inflationRate
+    );
+
+    const filers = demographics.filersAge65OrOlder;
+    if (!seniorDeduction || filers === 0) return 0;
+
+    const phaseOutStart =
+      demographics.filingStatus ===
+      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY
+        ? seniorDeduction.phaseOutStart.mfj
+        : seniorDeduction.phaseOutStart.single;
+    const perFiler = Math.max(
+      0,
+      seniorDeduction.amount -
+        Math.max(0, modifiedAgi - phaseOutStart) * seniorDeduction.phaseOutRate
+    );
+
+    return (perFiler * filers).asCurrency();
   }
 
   /**
@@ -140,6 +191,119 @@ class TaxCalculations {
     return tax.asCurrency();
   }
 
+  /**
+   * Tax on qualified dividends and long-term gains. They are the top slice of
+   * taxable income: ordinary income fills the 0% and 15% thresholds first.
+   *
+   * @param {number} preferentialIncome - Qualified dividends and long-term gains
+   * @param {number} taxableIncome - All taxable income, including the preferential part
+   * @param {FiscalData} fiscalData
+   * @param {Demographics} demographics
+   */
+  static determineCapitalGainsTax(
+    preferentialIncome,
+    taxableIncome,
+    fiscalData,
+    demographics
+  ) {
+    const taxedAtGainsRates = Math.min(
+      Math.max(preferentialIncome, 0),
+      taxableIncome
+    );
+    if (taxedAtGainsRates <= 0) return 0;
+
+    const ordinaryIncome = taxableIncome - taxedAtGainsRates;
+
+    let tax = 0;
+    let prev = 0;
+    for (const { upTo, rate } of this.getCapitalGainsBrackets(
+      fiscalData,
+      demographics
+    )) {
+      const slice =
+        Math.min(taxableIncome, upTo) - Math.max(ordinaryIncome, prev);
+      if (slice > 0) tax += slice * rate;
+      if (taxableIncome <= upTo) break;
+      prev = upTo;
+    }
+
+    return tax.asCurrency();
+  }
+
+  /**
+   * Largest amount of additional ordinary income that keeps taxable income
+   * inside the bracket taxed at `bracketRate`. Searched rather than
+   * subtracted because the deductions shelter part of it and extra income
+   * can also make more Social Security taxable.
+   *
+   * The rate is matched against the year's own schedule: when a pre-TCJA or
+   * custom regime has no bracket at that rate, the nearest one with a top is
+   * filled instead (the lower one on a tie).
+   *
+   * @param {number} bracketRate - Marginal rate of the bracket to fill (e.g. 0.22)
+   * @param {FiscalData} fiscalData
+   * @param {Demographics} demographics
+   * @param {(additionalTaxableIncome: number) => number} taxableIncomeWith -
+   * Taxable income for the year if this much more ordinary income were recognized
+   * @returns {number}
+   */
+  static incomeToFillBracket(
+    bracketRate,
+    fiscalData,
+    demographics,
+    taxableIncomeWith
+  ) {
+    const bracket = this.#nearestBracket(
+      bracketRate,
+      this.getTaxBrackets(fiscalData, demographics)
+    );
+
+    if (!bracket) {
+      throw new Error(
+        `Cannot fill to the top of the ${(bracketRate * 100).toFixed(0)}% bracket`
+      );
+    }
+
+    if (taxableIncomeWith(0) >= bracket.upTo) return 0;
+
+    // Income below the deductions is untaxed, so filling can take up to the
+    // bracket top plus the deductions; search the whole span
+    let high =
+      bracket.upTo +
+      this.getStandardDeduction(fiscalData, demographics) +
+      this.getSeniorDeduction(fiscalData, demographics, 0);
+
+    let low = 0;
+    while (high - low > BRACKET_FILL_PRECISION) {
+      const mid = (low + high) / 2;
+      if (taxableIncomeWith(mid) <= bracket.upTo) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return Math.floor(low);
+  }
+
+  /**
+   * @param {number} rate
+   * @param {TaxBracket[]} brackets
+   * @returns {TaxBracket | undefined}
+   */
+  static #nearestBracket(rate, brackets) {
+    return brackets
+      .filter((b) => Number.isFinite(b.upTo))
+      .reduce(
+        (/** @type {TaxBracket | undefined} */ nearest, b) =>
+          !nearest ||
+          Math.abs(b.rate - rate) < Math.abs(nearest.rate - rate) - 1e-9
+            ? b
+            : nearest,
+        undefined
+      );
+  }
+
   /**
    * Validates that the tax calculations are internally consistent.
    * @returns {boolean} True if tax calculations appear valid
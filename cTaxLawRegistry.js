@@ -0,0 +1,534 @@
+import { TAX_BRACKET_INDEXING, TAX_REGIME } from "./consts.js";
+
+/**
+ * @typedef {object} TaxBracket
+ * @property {number} rate
+ * @property {number} upTo - Top of the bracket (Infinity for the last one)
+ */
+
+/**
+ * @typedef {object} SeniorDeduction
+ * @property {number} amount - Per filer aged 65 or older; not indexed
+ * @property {{single: number, mfj: number}} phaseOutStart - Modified AGI where the phase-out begins
+ * @property {number} phaseOutRate - Reduction per dollar of modified AGI over the start
+ * @property {number} lastYear - Last tax year the deduction is allowed
+ */
+
+/**
+ * @typedef {object} TaxLaw
+ * @property {number} year - Year the dollar amounts are stated in
+ * @property {{single: TaxBracket[], mfj: TaxBracket[], hoh?: TaxBracket[]}} brackets
+ * @property {{single: TaxBracket[], mfj: TaxBracket[], hoh?: TaxBracket[]}} [capitalGainsBrackets] - 0/15/20% thresholds on taxable income for qualified dividends and long-term gains
+ * @property {{single: number, mfj: number, hoh?: number}} standardDeduction
+ * @property {{unmarried: number, married: number}} [additionalDeduction] - Per filer aged 65 or older
+ * @property {number} [personalExemption] - Per person; zero since TCJA
+ * @property {SeniorDeduction | null} [seniorDeduction] - Temporary senior bonus deduction
+ */
+
+/**
+ * @typedef {object} TaxLawSettings
+ * @property {string} [regime] - One of TAX_REGIME; replaces current law from changeYear on
+ * @property {number} [changeYear] - First tax year the regime applies (0 = every year)
+ * @property {string} [indexing] - One of TAX_BRACKET_INDEXING; applies past the last published year
+ * @property {number} [indexingRate] - Annual indexing rate when indexing is FIXED_RATE
+ * @property {TaxLaw | null} [customSchedule] - Schedule used by the CUSTOM regime
+ */
+
+// Senior bonus deduction from the 2025 reconciliation act (tax years 2025-2028)
+/** @type {SeniorDeduction} */
+const SENIOR_BONUS_DEDUCTION = {
+  amount: 6000,
+  phaseOutStart: { single: 75000, mfj: 150000 },
+  phaseOutRate: 0.06,
+  lastYear: 2028,
+};
+
+// Federal brackets and standard deductions as published by the IRS.
+/** @type {Record<number, TaxLaw>} */
+const PUBLISHED_TAX_LAW = {
+  // Last year before TCJA (Rev. Proc. 2016-55)
+  2017: {
+    year: 2017,
+    brackets: {
+      single: [
+        { rate: 0.1, upTo: 9325 },
+        { rate: 0.15, upTo: 37950 },
+        { rate: 0.25, upTo: 91900 },
+        { rate: 0.28, upTo: 191650 },
+        { rate: 0.33, upTo: 416700 },
+        { rate: 0.35, upTo: 418400 },
+        { rate: 0.396, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0.1, upTo: 18650 },
+        { rate: 0.15, upTo: 75900 },
+        { rate: 0.25, upTo: 153100 },
+        { rate: 0.28, upTo: 233350 },
+        { rate: 0.33, upTo: 416700 },
+        { rate: 0.35, upTo: 470700 },
+        { rate: 0.396, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0.1, upTo: 13350 },
+        { rate: 0.15, upTo: 50800 },
+        { rate: 0.25, upTo: 131200 },
+        { rate: 0.28, upTo: 212500 },
+        { rate: 0.33, upTo: 416700 },
+        { rate: 0.35, upTo: 444550 },
+        { rate: 0.396, upTo: Infinity },
+      ],
+    },
+    // 0% through the 15% bracket, 20% in the 39.6% bracket
+    capitalGainsBrackets: {
+      single: [
+        { rate: 0, upTo: 37950 },
+        { rate: 0.15, upTo: 418400 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0, upTo: 75900 },
+        { rate: 0.15, upTo: 470700 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0, upTo: 50800 },
+        { rate: 0.15, upTo: 444550 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+    },
+    standardDeduction: { single: 6350, mfj: 12700, hoh: 9350 },
+    additionalDeduction: { unmarried: 1550, married: 1250 },
+    personalExemption: 4050,
+  },
+  // Rev. Proc. 2023-34
+  2024: {
+    year: 2024,
+    brackets: {
+      single: [
+        { rate: 0.1, upTo: 11600 },
+        { rate: 0.12, upTo: 47150 },
+        { rate: 0.22, upTo: 100525 },
+        { rate: 0.24, upTo: 191950 },
+        { rate: 0.32, upTo: 243725 },
+        { rate: 0.35, upTo: 609350 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0.1, upTo: 23200 },
+        { rate: 0.12, upTo: 94300 },
+        { rate: 0.22, upTo: 201050 },
+        { rate: 0.24, upTo: 383900 },
+        { rate: 0.32, upTo: 487450 },
+        { rate: 0.35, upTo: 731200 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0.1, upTo: 16550 },
+        { rate: 0.12, upTo: 63100 },
+        { rate: 0.22, upTo: 100500 },
+        { rate: 0.24, upTo: 191950 },
+        { rate: 0.32, upTo: 243700 },
+        { rate: 0.35, upTo: 609350 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+    },
+    capitalGainsBrackets: {
+      single: [
+        { rate: 0, upTo: 47025 },
+        { rate: 0.15, upTo: 518900 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0, upTo: 94050 },
+        { rate: 0.15, upTo: 583750 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0, upTo: 63000 },
+        { rate: 0.15, upTo: 551350 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+    },
+    standardDeduction: { single: 14600, mfj: 29200, hoh: 21900 },
+    additionalDeduction: { unmarried: 1950, married: 1550 },
+  },
+  // Rev. Proc. 2024-40, standard deduction as raised by the 2025 reconciliation act
+  2025: {
+    year: 2025,
+    brackets: {
+      single: [
+        { rate: 0.1, upTo: 11925 },
+        { rate: 0.12, upTo: 48475 },
+        { rate: 0.22, upTo: 103350 },
+        { rate: 0.24, upTo: 197300 },
+        { rate: 0.32, upTo: 250525 },
+        { rate: 0.35, upTo: 626350 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0.1, upTo: 23850 },
+        { rate: 0.12, upTo: 96950 },
+        { rate: 0.22, upTo: 206700 },
+        { rate: 0.24, upTo: 394600 },
+        { rate: 0.32, upTo: 501050 },
+        { rate: 0.35, upTo: 751600 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0.1, upTo: 17000 },
+        { rate: 0.12, upTo: 64850 },
+        { rate: 0.22, upTo: 103350 },
+        { rate: 0.24, upTo: 197300 },
+        { rate: 0.32, upTo: 250500 },
+        { rate: 0.35, upTo: 626350 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+    },
+    capitalGainsBrackets: {
+      single: [
+        { rate: 0, upTo: 48350 },
+        { rate: 0.15, upTo: 533400 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0, upTo: 96700 },
+        { rate: 0.15, upTo: 600050 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0, upTo: 64750 },
+        { rate: 0.15, upTo: 566700 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+    },
+    standardDeduction: { single: 15750, mfj: 31500, hoh: 23625 },
+    additionalDeduction: { unmarried: 2000, married: 1600 },
+    seniorDeduction: SENIOR_BONUS_DEDUCTION,
+  },
+  // Rev. Proc. 2025-32
+  2026: {
+    year: 2026,
+    brackets: {
+      single: [
+        { rate: 0.1, upTo: 12400 },
+        { rate: 0.12, upTo: 50400 },
+        { rate: 0.22, upTo: 105700 },
+        { rate: 0.24, upTo: 201775 },
+        { rate: 0.32, upTo: 256225 },
+        { rate: 0.35, upTo: 640600 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0.1, upTo: 24800 },
+        { rate: 0.12, upTo: 100800 },
+        { rate: 0.22, upTo: 211400 },
+        { rate: 0.24, upTo: 403550 },
+        { rate: 0.32, upTo: 512450 },
+        { rate: 0.35, upTo: 768700 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0.1, upTo: 17700 },
+        { rate: 0.12, upTo: 67450 },
+        { rate: 0.22, upTo: 105700 },
+        { rate: 0.24, upTo: 201750 },
+        { rate: 0.32, upTo: 256200 },
+        { rate: 0.35, upTo: 640600 },
+        { rate: 0.37, upTo: Infinity },
+      ],
+    },
+    capitalGainsBrackets: {
+      single: [
+        { rate: 0, upTo: 49450 },
+        { rate: 0.15, upTo: 545500 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      mfj: [
+        { rate: 0, upTo: 98900 },
+        { rate: 0.15, upTo: 613700 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+      hoh: [
+        { rate: 0, upTo: 66200 },
+        { rate: 0.15, upTo: 579600 },
+        { rate: 0.2, upTo: Infinity },
+      ],
+    },
+    standardDeduction: { single: 16100, mfj: 32200, hoh: 24150 },
+    additionalDeduction: { unmarried: 2050, married: 1650 },
+    seniorDeduction: SENIOR_BONUS_DEDUCTION,
+  },
+};
+
+const PUBLISHED_YEARS = Object.keys(PUBLISHED_TAX_LAW)
+  .map(Number)
+  .sort((a, b) => a - b);
+
+// Year of the latest law in force (the pre-TCJA table only backs a regime)
+const CURRENT_LAW_YEARS = PUBLISHED_YEARS.filter((year) => year > 2017);
+const LAST_PUBLISHED_YEAR = PUBLISHED_YEARS[PUBLISHED_YEARS.length - 1];
+
+// Ceiling of the MFJ 10% bracket, which the IRS has indexed continuously
+// since 2017 (TCJA kept it). Ratios between years give the IRS's own
+// cumulative inflation adjustment, used to carry amounts between years that
+// have already been published.
+/** @type {Record<number, number>} */
+const MFJ_TEN_PERCENT_CEILING = {
+  2017: 18650,
+  2018: 19050,
+  2019: 19400,
+  2020: 19750,
+  2021: 19900,
+  2022: 20550,
+  2023: 22000,
+  2024: 23200,
+  2025: 23850,
+  2026: 24800,
+};
+
+/**
+ * Resolves the federal tax law in force for a tax year, in that year's
+ * dollars.
+ */
+class TaxLawRegistry {
+  /**
+   * @param {number} taxYear
+   * @param {TaxLawSettings | null | undefined} settings
+   * @param {number} inflationRate - General inflation assumption
+   * @returns {TaxLaw}
+   */
+  static resolve(taxYear, settings, inflationRate) {
+    const law = this.#lawInForce(taxYear, settings ?? {});
+    /** @param {TaxLaw} source */
+    const factorFor = (source) =>
+      this.#indexLevel(taxYear, settings ?? {}, inflationRate) /
+      this.#indexLevel(source.year, settings ?? {}, inflationRate);
+    const factor = factorFor(law);
+
+    /**
+     * @param {TaxBracket[]} brackets
+     * @param {number} [bracketFactor]
+     */
+    const index = (brackets, bracketFactor = factor) =>
+      brackets.map((bracket) => ({
+        rate: bracket.rate,
+        upTo: Number.isFinite(bracket.upTo)
+          ? (bracket.upTo * bracketFactor).asCurrency()
+          : Infinity,
+      }));
+
+    // Custom schedules without capital gains thresholds keep current law's
+    const gainsLaw = law.capitalGainsBrackets
+      ? law
+      : this.#lawInForce(taxYear, {});
+    const gains = /** @type {NonNullable<TaxLaw["capitalGainsBrackets"]>} */ (
+      gainsLaw.capitalGainsBrackets
+    );
+    const gainsFactor = factorFor(gainsLaw);
+
+    // Head-of-household amounts fall back to single ones when a schedule
+    // leaves them out
+    return {
+      year: taxYear,
+      brackets: {
+        single: index(law.brackets.single),
+        mfj: index(law.brackets.mfj),
+        hoh: index(law.brackets.hoh ?? law.brackets.single),
+      },
+      capitalGainsBrackets: {
+        single: index(gains.single, gainsFactor),
+        mfj: index(gains.mfj, gainsFactor),
+        hoh: index(gains.hoh ?? gains.single, gainsFactor),
+      },
+      standardDeduction: {
+        single: (law.standardDeduction.single * factor).asCurrency(),
+        mfj: (law.standardDeduction.mfj * factor).asCurrency(),
+        hoh: (
+          (law.standardDeduction.hoh ?? law.standardDeduction.single) * factor
+        ).asCurrency(),
+      },
+      additionalDeduction: {
+        unmarried: (
+          (law.additionalDeduction?.unmarried ?? 0) * factor
+        ).asCurrency(),
+        married: (
+          (law.additionalDeduction?.married ?? 0) * factor
+        ).asCurrency(),
+      },
+      personalExemption: ((law.personalExemption ?? 0) * factor).asCurrency(),
+      seniorDeduction:
+        law.seniorDeduction && taxYear <= law.seniorDeduction.lastYear
+          ? law.seniorDeduction
+          : null,
+    };
+  }
+
+  /**
+   * Reads a user-defined schedule from scenario JSON. A missing `upTo` on the
+   * last bracket means "no ceiling", since JSON has no Infinity.
+   *
+   * @param {string | object | null | undefined} source
+   * @returns {TaxLaw | null}
+   */
+  static parseCustomSchedule(source) {
+    if (source === null || source === undefined || source === "") return null;
+
+    const raw = typeof source === "string" ? JSON.parse(source) : source;
+    const year = Number(raw?.year);
+    if (!Number.isInteger(year)) {
+      throw new Error("Custom tax schedule needs the year its amounts are in");
+    }
+
+    /**
+     * @param {unknown} list
+     * @param {string} status
+     * @returns {TaxBracket[]}
+     */
+    const readBrackets = (list, status) => {
+      if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Custom tax schedule has no ${status} brackets`);
+      }
+
+      return list.map((item, i) => {
+        const rate = Number(item?.rate);
+        const isLast = i === list.length - 1;
+        const upTo =
+          isLast && (item?.upTo === undefined || item?.upTo === null)
+            ? Infinity
+            : Number(item?.upTo);
+
+        if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+          throw new Error(
+            `Custom ${status} bracket ${i + 1} needs a rate between 0 and 1`
+          );
+        }
+        if (Number.isNaN(upTo) || (!isLast && !Number.isFinite(upTo))) {
+          throw new Error(`Custom ${status} bracket ${i + 1} needs an upTo`);
+        }
+        return { rate, upTo };
+      });
+    };
+
+    /** @type {TaxLaw["brackets"]} */
+    const brackets = {
+      single: readBrackets(raw.brackets?.single, "single"),
+      mfj: readBrackets(raw.brackets?.mfj, "mfj"),
+    };
+    if (raw.brackets?.hoh !== undefined) {
+      brackets.hoh = readBrackets(raw.brackets.hoh, "hoh");
+    }
+
+    /** @type {TaxLaw["capitalGainsBrackets"]} */
+    let capitalGainsBrackets;
+    if (raw.capitalGainsBrackets !== undefined) {
+      capitalGainsBrackets = {
+        single: readBrackets(raw.capitalGainsBrackets?.single, "single gains"),
+        mfj: readBrackets(raw.capitalGainsBrackets?.mfj, "mfj gains"),
+      };
+      if (raw.capitalGainsBrackets.hoh !== undefined) {
+        capitalGainsBrackets.hoh = readBrackets(
+          raw.capitalGainsBrackets.hoh,
+          "hoh gains"
+        );
+      }
+    }
+
+    /** @type {[string, TaxBracket[]][]} */
+    const schedules = [
+      ...Object.entries(brackets),
+      ...Object.entries(capitalGainsBrackets ?? {}).map(
+        ([status, list]) =>
+          /** @type {[string, TaxBracket[]]} */ ([`${status} gains`, list])
+      ),
+    ];
+    for (const [status, list] of schedules) {
+      if (list.some((b, i) => i > 0 && b.upTo <= list[i - 1].upTo)) {
+        throw new Error(`Custom ${status} brackets must rise in order`);
+      }
+    }
+
+    const single = Number(raw.standardDeduction?.single) || 0;
+    return {
+      year,
+      brackets,
+      capitalGainsBrackets,
+      standardDeduction: {
+        single,
+        mfj: Number(raw.standardDeduction?.mfj) || 0,
+        hoh: Number(raw.standardDeduction?.hoh) || single,
+      },
+      additionalDeduction: {
+        unmarried: Number(raw.additionalDeduction?.unmarried) || 0,
+        married: Number(raw.additionalDeduction?.married) || 0,
+      },
+      personalExemption: Number(raw.personalExemption) || 0,
+    };
+  }
+
+  /**
+   * @param {number} taxYear
+   * @param {TaxLawSettings} settings
+   * @returns {TaxLaw}
+   */
+  static #lawInForce(taxYear, settings) {
+    const regime = settings.regime ?? TAX_REGIME.CURRENT;
+    if (
+      regime !== TAX_REGIME.CURRENT &&
+      taxYear >= (settings.changeYear ?? 0)
+    ) {
+      switch (regime) {
+        case TAX_REGIME.PRE_TCJA:
+          return PUBLISHED_TAX_LAW[2017];
+        case TAX_REGIME.CUSTOM:
+          if (!settings.customSchedule) {
+            throw new Error("Custom tax regime selected without a schedule");
+          }
+          return settings.customSchedule;
+        default:
+          throw new Error(`Unknown tax regime: ${regime}`);
+      }
+    }
+
+    const year =
+      [...CURRENT_LAW_YEARS].reverse().find((y) => y <= taxYear) ??
+      CURRENT_LAW_YEARS[0];
+    return PUBLISHED_TAX_LAW[year];
+  }
+
+  /**
+   * Cumulative indexing level for a year. Published years use the IRS's
+   * actual adjustments; later years grow from the last one by the chosen
+   * indexing assumption; earlier years are discounted by general inflation.
+   *
+   * @param {number} year
+   * @param {TaxLawSettings} settings
+   * @param {number} inflationRate
+   * @returns {number}
+   */
+  static #indexLevel(year, settings, inflationRate) {
+    const published = MFJ_TEN_PERCENT_CEILING[year];
+    if (published !== undefined) return published;
+
+    if (year < 2017) {
+      return (
+        MFJ_TEN_PERCENT_CEILING[2017] / (1 + inflationRate) ** (2017 - year)
+      );
+    }
+
+    const yearsPastPublished = year - LAST_PUBLISHED_YEAR;
+    const lastLevel = MFJ_TEN_PERCENT_CEILING[LAST_PUBLISHED_YEAR];
+
+    switch (settings.indexing ?? TAX_BRACKET_INDEXING.INFLATION) {
+      case TAX_BRACKET_INDEXING.NONE:
+        return lastLevel;
+      case TAX_BRACKET_INDEXING.FIXED_RATE:
+        return (
+          lastLevel * (1 + (settings.indexingRate ?? 0)) ** yearsPastPublished
+        );
+      default:
+        return lastLevel * (1 + inflationRate) ** yearsPastPublished;
+    }
+  }
+}
+
+export { TaxLawRegistry };
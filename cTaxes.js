@@ -25,6 +25,9 @@ class Taxes {
    * @param {number} federalTaxesOwed - Federal tax liability based on taxable income
    * @param {number} otherTaxes - Additional taxes (state, local, FICA, etc.)
    * @param {string} [description="Taxes"] - Descriptive label for this tax calculation
+   * @param {number} [seniorDeduction=0] - Senior bonus deduction taken alongside the standard deduction
+   * @param {number} [preferentialIncome=0] - Qualified dividends and long-term gains within taxable income
+   * @param {number} [capitalGainsTax=0] - Part of federalTaxesOwed charged at capital gains rates
    */
   constructor(
     totalTaxableIncome,
@@ -34,14 +37,20 @@ class Taxes {
     nonTaxableIncome,
     federalTaxesOwed,
     otherTaxes,
-    description = "Taxes"
+    description = "Taxes",
+    seniorDeduction = 0,
+    preferentialIncome = 0,
+    capitalGainsTax = 0
   ) {
     this._description = description;
     this.nonTaxableIncome = nonTaxableIncome;
     this.totalTaxableIncome = totalTaxableIncome;
     this.adjustedGrossIncome = adjustedGrossIncome; // Placeholder for future adjustments
     this.standardDeduction = standardDeduction;
+    this.seniorDeduction = seniorDeduction;
     this.taxableIncome = taxableIncome;
+    this.preferentialIncome = preferentialIncome;
+    this.capitalGainsTax = capitalGainsTax;
     this.federalTaxesOwed = federalTaxesOwed;
     this.otherTaxes = otherTaxes;
   }
@@ -55,6 +64,15 @@ class Taxes {
     this._description = newDescription;
   }
 
+  /**
+   * Taxable income charged at the ordinary brackets
+   *
+   * @returns {number}
+   */
+  get ordinaryTaxableIncome() {
+    return Math.max(0, this.taxableIncome - this.preferentialIncome);
+  }
+
   /**
    * Calculates the effective tax rate as a percentage of gross income.
    *
@@ -87,27 +105,51 @@ class Taxes {
    * @param {Number} nonTaxableIncome
    * @param {FiscalData} fiscalData
    * @param {Demographics} demographics
+   * @param {Number} [preferentialIncome=0] - Qualified dividends and long-term gains included in adjustedGrossIncome
    */
   static CreateFromTaxableIncome(
     grossIncome,
     adjustedGrossIncome,
     nonTaxableIncome,
     fiscalData,
-    demographics
+    demographics,
+    preferentialIncome = 0
   ) {
     const standardDeduction = TaxCalculations.getStandardDeduction(
       fiscalData,
       demographics
     );
 
-    const taxableIncome = Math.max(0, adjustedGrossIncome - standardDeduction);
+    const seniorDeduction = TaxCalculations.getSeniorDeduction(
+      fiscalData,
+      demographics,
+      adjustedGrossIncome
+    );
+
+    const taxableIncome = Math.max(
+      0,
+      adjustedGrossIncome - standardDeduction - seniorDeduction
+    );
+
+    const taxedAtGainsRates = Math.min(
+      Math.max(preferentialIncome, 0),
+      taxableIncome
+    );
 
-    const federalIncomeTaxOwed = TaxCalculations.determineFederalIncomeTax(
+    const capitalGainsTax = TaxCalculations.determineCapitalGainsTax(
+      taxedAtGainsRates,
       taxableIncome,
       fiscalData,
       demographics
     );
 
+    const federalIncomeTaxOwed =
+      TaxCalculations.determineFederalIncomeTax(
+        taxableIncome - taxedAtGainsRates,
+        fiscalData,
+        demographics
+      ) + capitalGainsTax;
+
     return new Taxes(
       grossIncome,
       adjustedGrossIncome,
@@ -116,7 +158,10 @@ class Taxes {
       nonTaxableIncome,
       federalIncomeTaxOwed, // federalTaxesOwed
       0, // otherTaxes - for future development
-      "Taxes"
+      "Taxes",
+      seniorDeduction,
+      taxedAtGainsRates,
+      capitalGainsTax
     );
   }
 }
@@ -4,6 +4,11 @@ import { Common } from "./cCommon.js";
 import { Demographics } from "./cDemographics.js";
 import { FiscalData } from "./cFiscalData.js";
 import { Inputs } from "./cInputs.js";
+import { RmdCalculator } from "./cRmdCalculator.js";
+
+/**
+ * @typedef {import("./cRmdCalculator.js").RequiredDistribution} RequiredDistribution
+ */
 
 class Trad401kAvailabilityManager {
   /** @type {FiscalData} */
@@ -114,12 +119,26 @@ class Trad401kAvailabilityManager {
     ).asCurrency();
   }
 
-  get subject401kRMDGross() {
-    return Common.calculateRMD(
+  /**
+   * Measured against the 401k balance at the end of the prior year
+   * @returns {RequiredDistribution}
+   */
+  get subjectRequiredDistribution() {
+    return RmdCalculator.calculate(
       this.#fiscalData.useRmd,
       this.#demographics.currentAge,
-      this.#subject401kBalance
-    ).asCurrency();
+      this.#demographics.subjectBirthYear,
+      this.#subject401kBalance,
+      this.#inputs.spouseIsSole401kBeneficiary &&
+        this.#demographics.hasPartner &&
+        this.#demographics.partnerIsLiving
+        ? this.#demographics.currentAgeOfPartner
+        : null
+    );
+  }
+
+  get subject401kRMDGross() {
+    return this.subjectRequiredDistribution.amount;
   }
 
   get subject401kRMDActualized() {
@@ -129,12 +148,25 @@ class Trad401kAvailabilityManager {
     ).asCurrency();
   }
 
-  get partner401kRMDGross() {
-    return Common.calculateRMD(
+  /**
+   * Measured against the 401k balance at the end of the prior year
+   * @returns {RequiredDistribution}
+   */
+  get partnerRequiredDistribution() {
+    return RmdCalculator.calculate(
       this.#fiscalData.useRmd,
       this.#demographics.currentAgeOfPartner,
-      this.#partner401kBalance
-    ).asCurrency();
+      this.#demographics.partnerBirthYear,
+      this.#partner401kBalance,
+      this.#inputs.spouseIsSole401kBeneficiary &&
+        this.#demographics.subjectIsLiving
+        ? this.#demographics.currentAge
+        : null
+    );
+  }
+
+  get partner401kRMDGross() {
+    return this.partnerRequiredDistribution.amount;
   }
 
   get partner401kRMDActualized() {
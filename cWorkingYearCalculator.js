@@ -4,11 +4,13 @@ import { Demographics } from "./cDemographics.js";
 import { FiscalData } from "./cFiscalData.js";
 import { FixedIncomeStreams } from "./cFixedIncomeStreams.js";
 import { Inputs } from "./cInputs.js";
-import { PERIODIC_FREQUENCY, constsJS_FILING_STATUS } from "./consts.js";
+import { PERIODIC_FREQUENCY, constsJS_FILING_STATUS_LABELS } from "./consts.js";
 import { ReportingYear } from "./cReporting.js";
+import { StateTaxCalculator } from "./cStateTaxCalculator.js";
 import { Taxes } from "./cTaxes.js";
 import { TransactionCategory } from "./cTransaction.js";
 import { WorkingYearData } from "./cWorkingYearData.js";
+import { YearActivity } from "./cYearActivity.js";
 import { TransactionRoutes } from "./tTransactionRoute.js";
 
 /**
@@ -78,28 +80,46 @@ class WorkingYearCalculator {
       : "-";
 
     this.#reportingYear.ReportData.demographics_filingStatus =
-      this.#demographics.filingStatus ===
-      constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY
-        ? "Married Filing Jointly"
-        : "Single";
+      constsJS_FILING_STATUS_LABELS[this.#demographics.filingStatus];
   }
 
   processWorkingYearData() {
     // **************
     // Calculations
     // **************
+    YearActivity.processAnnuityPurchases(
+      this.#accountYear,
+      this.#fixedIncomeStreams,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
     this.#processWagesAndCompensation();
     this.#processMiscIncome();
     this.#processTaxFreeIncome();
+    this.#processSocialSecurityIncome();
+    this.#processPensionIncome();
     this.#processRothIraContributions();
     // this.#processSavingsContributions();
 
+    YearActivity.payHealthcareFromHsa(
+      this.#accountYear,
+      this.#fiscalData,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
     this.#processMonthlySpending();
 
     // Now calculate interest earned on accounts
     this.#applySavingsInterest();
     this.#apply401kInterest();
     this.#applyRothInterest();
+    YearActivity.applyBrokerageReturns(
+      this.#accountYear,
+      this.#fiscalData,
+      this.#inputs,
+      this.#reportingYear.ReportData
+    );
+    this.#applyHsaInterest();
 
     this.#processIncomeTaxes();
 
@@ -121,7 +141,6 @@ class WorkingYearCalculator {
     return workingYearData;
   }
 
-
   #dumpAccountReports() {
     return;
 
@@ -171,7 +190,9 @@ class WorkingYearCalculator {
     this.#reportingYear.ReportData.account_subject401kOpenBalance =
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.SUBJECT_401K);
     this.#reportingYear.ReportData.account_subject401kWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.SUBJECT_401K).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SUBJECT_401K)
+        .asCurrency();
     this.#reportingYear.ReportData.account_subject401kDeposits =
       this.#accountYear.getDeposits(ACCOUNT_TYPES.SUBJECT_401K).asCurrency();
     this.#reportingYear.ReportData.account_subject401kBalance =
@@ -180,7 +201,9 @@ class WorkingYearCalculator {
     this.#reportingYear.ReportData.account_partner401kOpenBalance =
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.PARTNER_401K);
     this.#reportingYear.ReportData.account_partner401kWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.PARTNER_401K).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.PARTNER_401K)
+        .asCurrency();
     this.#reportingYear.ReportData.account_partner401kDeposits =
       this.#accountYear.getDeposits(ACCOUNT_TYPES.PARTNER_401K).asCurrency();
     this.#reportingYear.ReportData.account_partner401kBalance =
@@ -190,7 +213,7 @@ class WorkingYearCalculator {
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.SUBJECT_ROTH_IRA);
     this.#reportingYear.ReportData.account_subjectRothWithdrawals =
       this.#accountYear
-        .getWithdrawals(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_subjectRothDeposits =
       this.#accountYear
@@ -203,7 +226,7 @@ class WorkingYearCalculator {
       this.#accountYear.getStartingBalance(ACCOUNT_TYPES.PARTNER_ROTH_IRA);
     this.#reportingYear.ReportData.account_partnerRothWithdrawals =
       this.#accountYear
-        .getWithdrawals(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_partnerRothDeposits =
       this.#accountYear
@@ -218,9 +241,29 @@ class WorkingYearCalculator {
       .getDeposits(ACCOUNT_TYPES.SAVINGS)
       .asCurrency();
     this.#reportingYear.ReportData.account_savingsWithdrawals =
-      this.#accountYear.getWithdrawals(ACCOUNT_TYPES.SAVINGS).asCurrency();
+      this.#accountYear
+        .getWithdrawalsExcludingLosses(ACCOUNT_TYPES.SAVINGS)
+        .asCurrency();
     this.#reportingYear.ReportData.account_savingsYearEndBalance =
       this.#accountYear.getEndingBalance(ACCOUNT_TYPES.SAVINGS);
+
+    this.#reportingYear.ReportData.account_brokerageYearBeginBalance =
+      this.#accountYear.getStartingBalance(ACCOUNT_TYPES.BROKERAGE);
+    this.#reportingYear.ReportData.account_brokerageYearEndBalance =
+      this.#accountYear.getEndingBalance(ACCOUNT_TYPES.BROKERAGE);
+    this.#reportingYear.ReportData.account_brokerageCostBasis =
+      this.#accountYear.brokerageCostBasis.basis.asCurrency();
+
+    this.#reportingYear.ReportData.account_hsaYearBeginBalance =
+      this.#accountYear.getStartingBalance(ACCOUNT_TYPES.HSA);
+    this.#reportingYear.ReportData.account_hsaContributions = this.#accountYear
+      .getDeposits(
+        ACCOUNT_TYPES.HSA,
+        TransactionCategory.RetirementContribution
+      )
+      .asCurrency();
+    this.#reportingYear.ReportData.account_hsaYearEndBalance =
+      this.#accountYear.getEndingBalance(ACCOUNT_TYPES.HSA);
   }
 
   #processMiscIncome() {
@@ -280,6 +323,151 @@ class WorkingYearCalculator {
     this.#reportingYear.ReportData.income_miscTaxFreeIncome = taxFreeIncome;
   }
 
+  /**
+   * Benefits claimed while still working, after the earnings test
+   */
+  #processSocialSecurityIncome() {
+    const streams = this.#fixedIncomeStreams;
+
+    if (streams.subjectSsGross > 0) {
+      this.#accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.SUBJECT_SOCIAL_SECURITY,
+        TransactionCategory.IncomeGross,
+        TransactionRoutes.External,
+        streams.subjectSsGross,
+        PERIODIC_FREQUENCY.MONTHLY
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.SUBJECT_SOCIAL_SECURITY,
+        ACCOUNT_TYPES.CASH,
+        streams.subjectSsActualIncome,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.IncomeNet
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.SUBJECT_SOCIAL_SECURITY,
+        ACCOUNT_TYPES.TAXES,
+        streams.subjectSsWithholdings,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.Withholdings
+      );
+    }
+
+    if (streams.partnerSsGross > 0) {
+      this.#accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.PARTNER_SOCIAL_SECURITY,
+        TransactionCategory.IncomeGross,
+        TransactionRoutes.External,
+        streams.partnerSsGross,
+        PERIODIC_FREQUENCY.MONTHLY
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.PARTNER_SOCIAL_SECURITY,
+        ACCOUNT_TYPES.CASH,
+        streams.partnerSsActualIncome,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.IncomeNet
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.PARTNER_SOCIAL_SECURITY,
+        ACCOUNT_TYPES.TAXES,
+        streams.partnerSsWithholdings,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.Withholdings
+      );
+    }
+
+    const data = this.#reportingYear.ReportData;
+    data.income_subjectSsGross = streams.subjectSsGross;
+    data.withholdings_subjectSs = streams.subjectSsWithholdings;
+    data.income_subjectSsTakehome = streams.subjectSsActualIncome;
+    data.income_partnerSsGross = streams.partnerSsGross;
+    data.withholdings_partnerSs = streams.partnerSsWithholdings;
+    data.income_partnerSsTakehome = streams.partnerSsActualIncome;
+
+    data.ss_trustFundCut =
+      streams.subjectSsTrustFundCut + streams.partnerSsTrustFundCut;
+    data.ss_trustFundCutRate =
+      this.#inputs.ssBenefitCutFactor < 1 ? this.#inputs.ssBenefitCut : 0;
+
+    data.ss_subjectEarningsTestWithheld = streams.subjectSsEarningsTestWithheld;
+    data.ss_subjectEarningsTestMonths = streams.subjectSsEarningsTestMonths;
+    data.ss_partnerEarningsTestWithheld = streams.partnerSsEarningsTestWithheld;
+    data.ss_partnerEarningsTestMonths = streams.partnerSsEarningsTestMonths;
+  }
+
+  /**
+   * Pensions that start before retirement, and lump sums elected instead
+   * of an annuity rolled into the owner's 401k
+   */
+  #processPensionIncome() {
+    const streams = this.#fixedIncomeStreams;
+
+    if (streams.subjectPensionGross > 0) {
+      this.#accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.SUBJECT_PENSION,
+        TransactionCategory.IncomeGross,
+        TransactionRoutes.External,
+        streams.subjectPensionGross,
+        PERIODIC_FREQUENCY.MONTHLY
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.SUBJECT_PENSION,
+        ACCOUNT_TYPES.CASH,
+        streams.subjectPensionActualIncome,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.IncomeNet
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.SUBJECT_PENSION,
+        ACCOUNT_TYPES.TAXES,
+        streams.subjectPensionWithholdings,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.Withholdings
+      );
+    }
+
+    if (streams.partnerPensionGross > 0) {
+      this.#accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.PARTNER_PENSION,
+        TransactionCategory.IncomeGross,
+        TransactionRoutes.External,
+        streams.partnerPensionGross,
+        PERIODIC_FREQUENCY.MONTHLY
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.PARTNER_PENSION,
+        ACCOUNT_TYPES.CASH,
+        streams.partnerPensionActualIncome,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.IncomeNet
+      );
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.PARTNER_PENSION,
+        ACCOUNT_TYPES.TAXES,
+        streams.partnerPensionWithholdings,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.Withholdings
+      );
+    }
+
+    YearActivity.processPensionLumpSumRollovers(
+      this.#accountYear,
+      this.#fixedIncomeStreams,
+      this.#reportingYear.ReportData
+    );
+
+    const data = this.#reportingYear.ReportData;
+    data.income_subjectPensionGross = streams.subjectPensionGross;
+    data.withholdings_subjectPension = streams.subjectPensionWithholdings;
+    data.income_subjectPensionTakehome = streams.subjectPensionActualIncome;
+    data.income_partnerPensionGross = streams.partnerPensionGross;
+    data.withholdings_partnerPension = streams.partnerPensionWithholdings;
+    data.income_partnerPensionTakehome = streams.partnerPensionActualIncome;
+    data.income_pensionBreakdowns = streams.pensionAnnunityBreakdowns;
+    data.taxes_annuityExclusion = streams.combinedPensionTaxExclusion;
+  }
+
   #processWagesAndCompensation() {
     // Subject wages and compensation
     this.#accountYear.processAsPeriodicDeposits(
@@ -311,6 +499,17 @@ class WorkingYearCalculator {
       this.#reportingYear.ReportData.income_subject401kContribution =
         this.#fixedIncomeStreams.career.subjectAllowed401kContribution;
 
+      this.#accountYear.processAsPeriodicTransfers(
+        ACCOUNT_TYPES.SUBJECT_WAGES,
+        ACCOUNT_TYPES.HSA,
+        this.#fixedIncomeStreams.career.subjectAllowedHsaContribution,
+        PERIODIC_FREQUENCY.MONTHLY,
+        TransactionCategory.RetirementContribution
+      );
+
+      this.#reportingYear.ReportData.income_subjectHsaContribution =
+        this.#fixedIncomeStreams.career.subjectAllowedHsaContribution;
+
       this.#accountYear.processAsPeriodicTransfers(
         ACCOUNT_TYPES.SUBJECT_WAGES,
         ACCOUNT_TYPES.TAXES,
@@ -444,9 +643,12 @@ class WorkingYearCalculator {
       spend *= 0.75;
     }
 
+    // Healthcare the HSA did not pay is its own line on top of base spending
+    this.#reportingYear.ReportData.projectedSpend = spend;
+    spend += this.#fiscalData.healthcareOutOfPocket;
+
     const actualSpend = Math.min(cash, spend);
 
-    this.#reportingYear.ReportData.projectedSpend = spend;
     this.#reportingYear.ReportData.spending_overriding =
       this.#fiscalData.overridingSpend;
     this.#reportingYear.ReportData.actualSpend = actualSpend;
@@ -516,23 +718,31 @@ class WorkingYearCalculator {
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.SAVINGS);
 
     this.#reportingYear.ReportData.account_savingsInterest = this.#accountYear
-      .getDeposits(ACCOUNT_TYPES.SAVINGS, TransactionCategory.Interest)
+      .getInterestEarnedForYear(ACCOUNT_TYPES.SAVINGS)
       .asCurrency();
 
     // debugger;
   }
 
+  #applyHsaInterest() {
+    this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.HSA);
+
+    this.#reportingYear.ReportData.account_hsaInterest = this.#accountYear
+      .getInterestEarnedForYear(ACCOUNT_TYPES.HSA)
+      .asCurrency();
+  }
+
   #apply401kInterest() {
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_401K);
     this.#accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_401K);
 
     this.#reportingYear.ReportData.account_subject401kInterest =
       this.#accountYear
-        .getDeposits(ACCOUNT_TYPES.SUBJECT_401K, TransactionCategory.Interest)
+        .getInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_401K)
         .asCurrency();
     this.#reportingYear.ReportData.account_partner401kInterest =
       this.#accountYear
-        .getDeposits(ACCOUNT_TYPES.PARTNER_401K, TransactionCategory.Interest)
+        .getInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_401K)
         .asCurrency();
 
     // debugger;
@@ -548,17 +758,11 @@ class WorkingYearCalculator {
 
     this.#reportingYear.ReportData.account_subjectRothInterest =
       this.#accountYear
-        .getDeposits(
-          ACCOUNT_TYPES.SUBJECT_ROTH_IRA,
-          TransactionCategory.Interest
-        )
+        .getInterestEarnedForYear(ACCOUNT_TYPES.SUBJECT_ROTH_IRA)
         .asCurrency();
     this.#reportingYear.ReportData.account_partnerRothInterest =
       this.#accountYear
-        .getDeposits(
-          ACCOUNT_TYPES.PARTNER_ROTH_IRA,
-          TransactionCategory.Interest
-        )
+        .getInterestEarnedForYear(ACCOUNT_TYPES.PARTNER_ROTH_IRA)
         .asCurrency();
 
     // debugger;
@@ -570,13 +774,37 @@ class WorkingYearCalculator {
       this.#fixedIncomeStreams.taxableIncome,
       this.#fixedIncomeStreams.nonTaxableIncome,
       this.#fiscalData,
-      this.#demographics
+      this.#demographics,
+      this.#fixedIncomeStreams.qualifiedDividends
     );
 
     const federalIncomeTaxOwed = actualTaxes.federalTaxesOwed.asCurrency();
 
+    const stateTax = StateTaxCalculator.calculate(
+      this.#inputs.stateOfResidenceThisYear,
+      this.#fiscalData,
+      this.#demographics,
+      {
+        federalAgi: actualTaxes.adjustedGrossIncome,
+        // Working-year AGI carries the whole benefit
+        taxableSocialSecurity: this.#fixedIncomeStreams.combinedSsGross,
+        pensions: this.#fixedIncomeStreams.combinedPensionTaxable,
+        // 401k money only leaves for annuity premiums while working, which
+        // are not distributions
+        retirementDistributions: 0,
+      }
+    );
+    const totalTaxesOwed = federalIncomeTaxOwed + stateTax.tax;
+
     this.#reportingYear.ReportData.taxes_federalIncomeTaxOwed =
       federalIncomeTaxOwed;
+    this.#reportingYear.ReportData.taxes_stateOfResidence = stateTax.state;
+    this.#reportingYear.ReportData.taxes_stateExcludedIncome =
+      stateTax.excludedIncome;
+    this.#reportingYear.ReportData.taxes_stateDeductions = stateTax.deductions;
+    this.#reportingYear.ReportData.taxes_stateTaxableIncome =
+      stateTax.taxableIncome;
+    this.#reportingYear.ReportData.taxes_stateIncomeTaxOwed = stateTax.tax;
 
     this.#reportingYear.ReportData.taxes_grossIncome =
       actualTaxes.totalTaxableIncome.asCurrency();
@@ -584,8 +812,14 @@ class WorkingYearCalculator {
       actualTaxes.adjustedGrossIncome.asCurrency();
     this.#reportingYear.ReportData.taxes_standardDeduction =
       actualTaxes.standardDeduction.asCurrency();
+    this.#reportingYear.ReportData.taxes_seniorDeduction =
+      actualTaxes.seniorDeduction.asCurrency();
     this.#reportingYear.ReportData.taxes_taxableIncome =
       actualTaxes.taxableIncome.asCurrency();
+    this.#reportingYear.ReportData.taxes_qualifiedDividends =
+      this.#fixedIncomeStreams.qualifiedDividends;
+    this.#reportingYear.ReportData.taxes_capitalGainsTax =
+      actualTaxes.capitalGainsTax.asCurrency();
     this.#reportingYear.ReportData.taxes_nonTaxableIncome =
       actualTaxes.nonTaxableIncome.asCurrency();
 
@@ -599,13 +833,13 @@ class WorkingYearCalculator {
 
     this.#reportingYear.ReportData.withholdings_total = withholdingsTotal;
 
-    const taxesOwed = federalIncomeTaxOwed - withholdingsTotal;
+    const taxesOwed = totalTaxesOwed - withholdingsTotal;
 
     this.#accountYear.processAsPeriodicWithdrawals(
       ACCOUNT_TYPES.TAXES,
       TransactionCategory.TaxPayment,
       TransactionRoutes.External,
-      Math.min(federalIncomeTaxOwed, withholdingsTotal),
+      Math.min(totalTaxesOwed, withholdingsTotal),
       PERIODIC_FREQUENCY.ANNUAL_TRAILING
     );
 
@@ -0,0 +1,190 @@
+import { ACCOUNT_TYPES } from "./cAccount.js";
+import { AccountingYear } from "./cAccountingYear.js";
+import { AnnuityPurchase } from "./cAnnuityPurchase.js";
+import { FiscalData } from "./cFiscalData.js";
+import { FixedIncomeStreams } from "./cFixedIncomeStreams.js";
+import { HealthcareCosts } from "./cHealthcareCosts.js";
+import { Inputs } from "./cInputs.js";
+import { PERIODIC_FREQUENCY } from "./consts.js";
+import { TransactionCategory } from "./cTransaction.js";
+import { ReportData } from "./rReportData.js";
+import { TransactionRoutes } from "./tTransactionRoute.js";
+
+/**
+ * Account activity that runs the same way in working and retirement years.
+ * Each step posts its transactions to the year's accounts and fills in the
+ * matching report fields.
+ */
+class YearActivity {
+  /**
+   * Books the brokerage account's growth, then reinvests its dividends at
+   * year end as a new tax lot.
+   *
+   * @param {AccountingYear} accountYear
+   * @param {FiscalData} fiscalData
+   * @param {Inputs} inputs
+   * @param {ReportData} reportData
+   */
+  static applyBrokerageReturns(accountYear, fiscalData, inputs, reportData) {
+    const costBasis = accountYear.brokerageCostBasis;
+
+    accountYear.recordInterestEarnedForYear(ACCOUNT_TYPES.BROKERAGE);
+    costBasis.revalue(accountYear.getEndingBalance(ACCOUNT_TYPES.BROKERAGE));
+
+    const dividends = (
+      accountYear.getEndingBalance(ACCOUNT_TYPES.BROKERAGE) *
+      inputs.brokerageDividendYield
+    ).asCurrency();
+
+    if (dividends > 0) {
+      accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.BROKERAGE,
+        TransactionCategory.Dividend,
+        TransactionRoutes.External,
+        dividends,
+        PERIODIC_FREQUENCY.ANNUAL_TRAILING
+      );
+      costBasis.buy(fiscalData.taxYear, dividends);
+    }
+
+    reportData.account_brokerageGrowth = accountYear
+      .getInterestEarnedForYear(ACCOUNT_TYPES.BROKERAGE)
+      .asCurrency();
+    reportData.account_brokerageDividends = dividends;
+  }
+
+  /**
+   * Pays as much of the year's healthcare expense as the HSA balance allows as
+   * a qualified, tax-free withdrawal. The rest is funded with other spending.
+   *
+   * @param {AccountingYear} accountYear
+   * @param {FiscalData} fiscalData - Receives the amount paid from the HSA
+   * @param {Inputs} inputs
+   * @param {ReportData} reportData
+   */
+  static payHealthcareFromHsa(accountYear, fiscalData, inputs, reportData) {
+    const paidFromHsa = Math.min(
+      fiscalData.healthcareExpense,
+      accountYear.getEndingBalance(ACCOUNT_TYPES.HSA)
+    ).asCurrency();
+
+    if (paidFromHsa > 0) {
+      accountYear.processAsPeriodicWithdrawals(
+        ACCOUNT_TYPES.HSA,
+        TransactionCategory.Healthcare,
+        TransactionRoutes.External,
+        paidFromHsa,
+        PERIODIC_FREQUENCY.MONTHLY
+      );
+    }
+
+    fiscalData.healthcarePaidFromHsa = Math.max(paidFromHsa, 0);
+    reportData.spending_healthcare = fiscalData.healthcareExpense;
+    reportData.spending_healthcareSource =
+      HealthcareCosts.CreateUsing(inputs).source;
+    reportData.spending_healthcareInflationRate =
+      inputs.healthcareInflationRate;
+    reportData.account_hsaMedicalWithdrawals = fiscalData.healthcarePaidFromHsa;
+  }
+
+  /**
+   * Deposits the pension lump sums elected this year into each owner's 401k.
+   *
+   * @param {AccountingYear} accountYear
+   * @param {FixedIncomeStreams} fixedIncomeStreams
+   * @param {ReportData} reportData
+   */
+  static processPensionLumpSumRollovers(
+    accountYear,
+    fixedIncomeStreams,
+    reportData
+  ) {
+    const subjectRollover = fixedIncomeStreams.subjectPensionLumpSumRollover;
+    const partnerRollover = fixedIncomeStreams.partnerPensionLumpSumRollover;
+
+    if (subjectRollover > 0) {
+      accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.SUBJECT_401K,
+        TransactionCategory.PensionRollover,
+        TransactionRoutes.External,
+        subjectRollover,
+        PERIODIC_FREQUENCY.ANNUAL_LEADING
+      );
+    }
+
+    if (partnerRollover > 0) {
+      accountYear.processAsPeriodicDeposits(
+        ACCOUNT_TYPES.PARTNER_401K,
+        TransactionCategory.PensionRollover,
+        TransactionRoutes.External,
+        partnerRollover,
+        PERIODIC_FREQUENCY.ANNUAL_LEADING
+      );
+    }
+
+    reportData.transfer_subjectPensionRollover = subjectRollover;
+    reportData.transfer_partnerPensionRollover = partnerRollover;
+  }
+
+  /**
+   * Buys the annuities scheduled for this year with a lump sum from the
+   * owner's 401k (qualified) or from savings (non-qualified), capped at
+   * what the account holds. Payments are priced from the premium paid.
+   *
+   * @param {AccountingYear} accountYear
+   * @param {FixedIncomeStreams} fixedIncomeStreams
+   * @param {Inputs} inputs - Receives the premiums paid
+   * @param {ReportData} reportData
+   */
+  static processAnnuityPurchases(
+    accountYear,
+    fixedIncomeStreams,
+    inputs,
+    reportData
+  ) {
+    /** @type {import("./cAnnuityPurchase.js").AnnuityPurchaseRecord[]} */
+    const records = [];
+    /** @type {Record<string, number>} */
+    const premiumsPaid = { ...inputs.annuityPremiumsPaid };
+
+    for (const pension of fixedIncomeStreams.annuityPurchasesDue) {
+      const purchase =
+        /** @type {import("./cAnnuityPurchase.js").AnnuityPurchaseTerms} */ (
+          pension.purchase
+        );
+      const account = AnnuityPurchase.isQualified(purchase)
+        ? pension.owner === "partner"
+          ? ACCOUNT_TYPES.PARTNER_401K
+          : ACCOUNT_TYPES.SUBJECT_401K
+        : ACCOUNT_TYPES.SAVINGS;
+      const premium = Math.max(
+        0,
+        Math.min(purchase.premium, accountYear.getEndingBalance(account))
+      ).asCurrency();
+
+      if (premium > 0) {
+        accountYear.processAsPeriodicWithdrawals(
+          account,
+          TransactionCategory.AnnuityPurchase,
+          TransactionRoutes.External,
+          premium,
+          PERIODIC_FREQUENCY.ANNUAL_LEADING
+        );
+      }
+
+      premiumsPaid[pension.id] = premium;
+      records.push({
+        id: pension.id,
+        name: pension.name,
+        owner: pension.owner,
+        sourceAccount: purchase.sourceAccount,
+        premium,
+      });
+    }
+
+    inputs.annuityPremiumsPaid = premiumsPaid;
+    reportData.annuity_purchases = records;
+  }
+}
+
+export { YearActivity };
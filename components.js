@@ -20,7 +20,7 @@ class LabeledInput extends HTMLElement {
     const step = this.getAttribute("step");
     const value = this.getAttribute("value");
 
-    /** @type {HTMLInputElement | HTMLSelectElement} */
+    /** @type {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} */
     let control;
 
     if (type === "select") {
@@ -35,6 +35,13 @@ class LabeledInput extends HTMLElement {
       if (value !== null) {
         control.value = value;
       }
+    } else if (type === "textarea") {
+      // Multi-line text commits on change (fired when it loses focus)
+      control = document.createElement("textarea");
+      control.id = id;
+      control.rows = Number(this.getAttribute("rows") ?? 4);
+      control.placeholder = this.getAttribute("placeholder") ?? "";
+      if (value !== null) control.value = value;
     } else {
       control = document.createElement("input");
       control.id = id;
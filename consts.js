@@ -1,41 +1,134 @@
 // consts.js
-// Constants for tax brackets and standard deductions
-
-const constsJS_TAX_TABLES_2025 = {
-  single: [
-    { rate: 0.1, upTo: 11925 },
-    { rate: 0.12, upTo: 48475 },
-    { rate: 0.22, upTo: 103350 },
-    { rate: 0.24, upTo: 197300 },
-    { rate: 0.32, upTo: 250525 },
-    { rate: 0.35, upTo: 626350 },
-    { rate: 0.37, upTo: Infinity },
-  ],
-  mfj: [
-    { rate: 0.1, upTo: 23850 },
-    { rate: 0.12, upTo: 96950 },
-    { rate: 0.22, upTo: 206700 },
-    { rate: 0.24, upTo: 394600 },
-    { rate: 0.32, upTo: 501050 },
-    { rate: 0.35, upTo: 751600 },
-    { rate: 0.37, upTo: Infinity },
-  ],
-};
-
-const constsJS_STANDARD_DEDUCTION_2025 = {
-  single: 14600,
-  mfj: 29200,
-};
+// Shared constants (published tax tables live in cTaxLawRegistry.js)
 
 const constsJS_FILING_STATUS = {
   SINGLE: "single",
   MARRIED_FILING_JOINTLY: "married",
+  HEAD_OF_HOUSEHOLD: "headOfHousehold",
+  QUALIFYING_SURVIVING_SPOUSE: "qualifyingSurvivingSpouse",
+};
+
+/** @type {Record<string, string>} */
+const constsJS_FILING_STATUS_LABELS = {
+  single: "Single",
+  married: "Married Filing Jointly",
+  headOfHousehold: "Head of Household",
+  qualifyingSurvivingSpouse: "Qualifying Surviving Spouse",
 };
 
 // --- Added by patch: 2025 elective deferral limits (401k/Roth 401k) ---
 const EMPLOYEE_401K_LIMIT_2025 = 23000; // elective deferral
 const EMPLOYEE_401K_CATCHUP_50 = 7500; // catch-up age 50+
 
+// 2025 HSA contribution limits; the limits are indexed with inflation, the
+// catch-up is not
+const HSA_LIMIT_SELF_2025 = 4300;
+const HSA_LIMIT_FAMILY_2025 = 8550;
+const HSA_CATCHUP_55 = 1000; // catch-up age 55+
+const HSA_MEDICARE_AGE = 65; // contributions stop at Medicare enrollment; penalty ends
+const HSA_NONQUALIFIED_PENALTY = 0.2; // on non-medical withdrawals before 65
+
+class HSA_COVERAGE {}
+HSA_COVERAGE.NONE = "none"; // no HDHP coverage, so no contributions
+HSA_COVERAGE.SELF = "self";
+HSA_COVERAGE.FAMILY = "family";
+
+// Typical annual out-of-pocket healthcare spending per person (premiums,
+// deductibles, copays and prescriptions) in 2025 dollars, by starting age.
+// Costs climb into the early 60s, ease when Medicare starts at 65 and rise
+// again late in life.
+const HEALTHCARE_COST_CURVE_2025 = Object.freeze([
+  { fromAge: 0, annualCost: 3500 },
+  { fromAge: 45, annualCost: 5000 },
+  { fromAge: 55, annualCost: 7000 },
+  { fromAge: 65, annualCost: 6500 },
+  { fromAge: 75, annualCost: 7500 },
+  { fromAge: 85, annualCost: 9500 },
+]);
+const HEALTHCARE_INFLATION_DEFAULT = 0.05; // medical costs outpace general inflation
+
+class HEALTHCARE_COST_SOURCE {}
+HEALTHCARE_COST_SOURCE.NONE = "none";
+HEALTHCARE_COST_SOURCE.ENTERED = "entered"; // per-age amounts entered by the user
+HEALTHCARE_COST_SOURCE.AGE_CURVE = "ageCurve"; // estimated from HEALTHCARE_COST_CURVE_2025
+
+// 2025 Medicare premiums, monthly per enrollee. Income-related monthly
+// adjustment amounts (IRMAA) are added to both parts once modified AGI from
+// two years earlier is above a tier's threshold; "single" thresholds also
+// apply to head of household and surviving spouse filers.
+const MEDICARE_ELIGIBILITY_AGE = 65;
+const MEDICARE_IRMAA_LOOKBACK_YEARS = 2;
+const MEDICARE_PART_B_PREMIUM_2025 = 185.0; // standard premium
+const MEDICARE_PART_D_PREMIUM_2025 = 36.78; // national base beneficiary premium
+const MEDICARE_IRMAA_TIERS_2025 = Object.freeze([
+  { singleAbove: 106000, mfjAbove: 212000, partB: 74.0, partD: 13.7 },
+  { singleAbove: 133000, mfjAbove: 266000, partB: 185.0, partD: 35.3 },
+  { singleAbove: 167000, mfjAbove: 334000, partB: 295.9, partD: 57.0 },
+  { singleAbove: 200000, mfjAbove: 400000, partB: 406.9, partD: 78.6 },
+  { singleAbove: 500000, mfjAbove: 750000, partB: 443.9, partD: 85.8 },
+]);
+
+// 2025 federal poverty guidelines (48 contiguous states), which set premium
+// tax credits for 2026 marketplace coverage
+const ACA_POVERTY_LINE_2025 = Object.freeze({
+  firstPerson: 15650,
+  perAdditionalPerson: 5500,
+});
+
+class ACA_SUBSIDY_RULE {}
+ACA_SUBSIDY_RULE.CLIFF = "cliff"; // original ACA: no credit above 400% of the poverty line
+ACA_SUBSIDY_RULE.ENHANCED = "enhanced"; // 2021–2025 rules: no cliff, contribution capped at 8.5%
+
+const ACA_SUBSIDY_CLIFF = 4.0; // multiple of the poverty line
+
+// Share of MAGI a household is expected to pay toward the benchmark (second
+// lowest cost silver) plan, by MAGI as a multiple of the poverty line. The
+// rate rises linearly from startRate to endRate across each band.
+const ACA_APPLICABLE_PERCENTAGES = Object.freeze({
+  [ACA_SUBSIDY_RULE.CLIFF]: Object.freeze([
+    { upTo: 1.33, startRate: 0.021, endRate: 0.021 },
+    { upTo: 1.5, startRate: 0.0314, endRate: 0.0419 },
+    { upTo: 2.0, startRate: 0.0419, endRate: 0.066 },
+    { upTo: 2.5, startRate: 0.066, endRate: 0.0844 },
+    { upTo: 3.0, startRate: 0.0844, endRate: 0.0996 },
+    { upTo: ACA_SUBSIDY_CLIFF, startRate: 0.0996, endRate: 0.0996 },
+  ]),
+  [ACA_SUBSIDY_RULE.ENHANCED]: Object.freeze([
+    { upTo: 1.5, startRate: 0, endRate: 0 },
+    { upTo: 2.0, startRate: 0, endRate: 0.02 },
+    { upTo: 2.5, startRate: 0.02, endRate: 0.04 },
+    { upTo: 3.0, startRate: 0.04, endRate: 0.06 },
+    { upTo: 4.0, startRate: 0.06, endRate: 0.085 },
+    { upTo: Infinity, startRate: 0.085, endRate: 0.085 },
+  ]),
+});
+
+// 2025 Social Security earnings test. Below full retirement age, $1 of
+// benefits is withheld for every $2 of earnings over the lower exempt amount;
+// in the year FRA is reached it is $1 for every $3 over the higher amount,
+// counting only earnings before the FRA month.
+const SS_EARNINGS_TEST_2025 = Object.freeze({
+  exemptBeforeFraYear: 23400,
+  exemptInFraYear: 62160,
+  withholdingRateBeforeFraYear: 1 / 2,
+  withholdingRateInFraYear: 1 / 3,
+});
+
+class TAX_REGIME {}
+TAX_REGIME.CURRENT = "current"; // published law, carried forward by the indexing assumption
+TAX_REGIME.PRE_TCJA = "preTcja"; // 2017 rates, brackets and exemptions, indexed to the tax year
+TAX_REGIME.CUSTOM = "custom"; // user-defined schedule from the scenario
+
+class TAX_BRACKET_INDEXING {}
+TAX_BRACKET_INDEXING.INFLATION = "inflation"; // general inflation rate
+TAX_BRACKET_INDEXING.FIXED_RATE = "fixedRate"; // separate indexing rate
+TAX_BRACKET_INDEXING.NONE = "none"; // frozen at the last published amounts
+
+class RMD_TABLE {}
+RMD_TABLE.NONE = ""; // no RMD due
+RMD_TABLE.UNIFORM_LIFETIME = "Uniform Lifetime";
+RMD_TABLE.JOINT_AND_LAST_SURVIVOR = "Joint and Last Survivor"; // spouse is sole beneficiary and more than 10 years younger
+
 class INTEREST_CALCULATION_EPOCH {}
 INTEREST_CALCULATION_EPOCH.STARTING_BALANCE = "beginning"; // based on starting balance
 INTEREST_CALCULATION_EPOCH.IGNORE_DEPOSITS = "ignore_deposits"; // based on starting balance - withdrawals
@@ -54,12 +147,56 @@ PERIODIC_FREQUENCY.QUARTERLY_TRAILING = "quarterlyTrailing";
 PERIODIC_FREQUENCY.MONTHLY = "monthly";
 PERIODIC_FREQUENCY.DAILY = "daily";
 
+class ROTH_CONVERSION_STRATEGY {}
+ROTH_CONVERSION_STRATEGY.NONE = "none";
+ROTH_CONVERSION_STRATEGY.FIXED_AMOUNT = "fixedAmount"; // same amount (today's dollars) each year
+ROTH_CONVERSION_STRATEGY.FILL_BRACKET = "fillBracket"; // convert up to the top of a tax bracket
+ROTH_CONVERSION_STRATEGY.UNTIL_RMD_AGE = "untilRmdAge"; // spread the 401k balance over the years before RMDs
+
+class ROTH_CONVERSION_TAX_SOURCE {}
+ROTH_CONVERSION_TAX_SOURCE.SAVINGS = "savings"; // settled from savings with the annual tax bill
+ROTH_CONVERSION_TAX_SOURCE.WITHHELD = "withheld"; // withheld from the converted amount
+
+class COST_BASIS_METHOD {}
+COST_BASIS_METHOD.PROPORTIONAL = "proportional"; // every lot sold pro rata (average cost)
+COST_BASIS_METHOD.FIFO = "fifo"; // oldest lots first
+COST_BASIS_METHOD.HIFO = "hifo"; // highest cost lots first, realizing the least gain
+
+class SPENDING_POLICY {}
+SPENDING_POLICY.FIXED = "fixed"; // inflation-adjusted basis, optionally tapered
+SPENDING_POLICY.GUARDRAILS = "guardrails"; // Guyton-Klinger: cut or raise as the withdrawal rate drifts
+
 export {
-  constsJS_TAX_TABLES_2025,
-  constsJS_STANDARD_DEDUCTION_2025,
   constsJS_FILING_STATUS,
+  constsJS_FILING_STATUS_LABELS,
   EMPLOYEE_401K_LIMIT_2025,
   EMPLOYEE_401K_CATCHUP_50,
+  HSA_LIMIT_SELF_2025,
+  HSA_LIMIT_FAMILY_2025,
+  HSA_CATCHUP_55,
+  HSA_MEDICARE_AGE,
+  HSA_NONQUALIFIED_PENALTY,
+  HSA_COVERAGE,
+  HEALTHCARE_COST_CURVE_2025,
+  HEALTHCARE_INFLATION_DEFAULT,
+  HEALTHCARE_COST_SOURCE,
+  MEDICARE_ELIGIBILITY_AGE,
+  MEDICARE_IRMAA_LOOKBACK_YEARS,
+  MEDICARE_PART_B_PREMIUM_2025,
+  MEDICARE_PART_D_PREMIUM_2025,
+  MEDICARE_IRMAA_TIERS_2025,
+  ACA_POVERTY_LINE_2025,
+  ACA_SUBSIDY_RULE,
+  ACA_SUBSIDY_CLIFF,
+  ACA_APPLICABLE_PERCENTAGES,
+  SS_EARNINGS_TEST_2025,
+  RMD_TABLE,
+  TAX_REGIME,
+  TAX_BRACKET_INDEXING,
   INTEREST_CALCULATION_EPOCH,
   PERIODIC_FREQUENCY,
+  ROTH_CONVERSION_STRATEGY,
+  ROTH_CONVERSION_TAX_SOURCE,
+  COST_BASIS_METHOD,
+  SPENDING_POLICY,
 };
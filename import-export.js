@@ -482,6 +482,7 @@ export function generatePDFReport() {
     ["Funded to Year", readText("kpiYear")],
     ["Starting Balance", readText("kpiTax")],
     ["Ending Balance", readText("kpiEndBal")],
+    ["After-Tax Legacy", readText("kpiLegacy")],
   ];
 
   /** @type {[string, string][]} */
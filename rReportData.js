@@ -19,10 +19,37 @@ class ReportData extends BaseReports {
     "income_surplus",
     "spending_basis",
     "spending_taper_rate",
+    "spending_policySpend",
+    "spending_guardrailAction",
+    "spending_guardrailInflationSkipped",
+    "spending_withdrawalRate",
+    "spending_healthcare",
+    "spending_medicarePremiums",
+
+    // MEDICARE
+    "medicare_enrollees",
+    "medicare_partB",
+    "medicare_partD",
+    "medicare_lookbackYear",
+    "medicare_lookbackMagi",
+    "medicare_irmaaTier",
+    "medicare_irmaaSurcharge",
+
+    // MARKETPLACE COVERAGE
+    "spending_acaPremium",
+    "aca_covered",
+    "aca_magi",
+    "aca_povertyLine",
+    "aca_applicablePercentage",
+    "aca_subsidyCliffMagi",
+    "aca_overSubsidyCliff",
+    "aca_lostPremiumTaxCredit",
+    "taxes_premiumTaxCredit",
 
     // WAGES and COMPENSATION
     "income_subjectGrossWages",
     "income_subject401kContribution",
+    "income_subjectHsaContribution",
     "income_subjectPayrollDeductions",
     "withholdings_subjectWages",
     "income_subjectTakehomeWages",
@@ -51,16 +78,27 @@ class ReportData extends BaseReports {
     "income_subject401kTakehome",
     "income_subjectRMD",
     "income_subjectUsingRMD",
+    "income_subjectRmdDistributionPeriod",
+    "income_subjectRmdTable",
 
     "income_partner401kGross",
     "withholdings_partner401k",
     "income_partner401kTakehome",
     "income_partnerRMD",
     "income_partnerUsingRMD",
+    "income_partnerRmdDistributionPeriod",
+    "income_partnerRmdTable",
 
     "income_combined401kGross",
     "income_combined401kTakehome",
 
+    // ROTH CONVERSIONS
+    "income_subjectRothConversion",
+    "income_partnerRothConversion",
+    "income_combinedRothConversion",
+    "withholdings_rothConversion",
+    "taxes_rothConversionTax",
+
     // MISC INCOME
     "income_miscTaxableIncomeGross",
     "withholdings_miscTaxableIncome",
@@ -77,6 +115,9 @@ class ReportData extends BaseReports {
 
     "income_combinedPensionGross",
     "income_combinedPensionTakehome",
+    "transfer_subjectPensionRollover",
+    "transfer_partnerPensionRollover",
+    "taxes_annuityExclusion",
 
     "income_total_gross",
     "income_total_takehome",
@@ -86,9 +127,20 @@ class ReportData extends BaseReports {
     "taxes_grossIncome",
     "taxes_adjustedGrossIncome",
     "taxes_standardDeduction",
+    "taxes_seniorDeduction",
     "taxes_taxableIncome",
+    "taxes_qualifiedDividends",
+    "taxes_shortTermCapitalGains",
+    "taxes_longTermCapitalGains",
+    "taxes_capitalGainsTax",
+    "taxes_hsaPenalty",
     "withholdings_total",
     "taxes_federalIncomeTaxOwed",
+    "taxes_stateOfResidence",
+    "taxes_stateExcludedIncome",
+    "taxes_stateDeductions",
+    "taxes_stateTaxableIncome",
+    "taxes_stateIncomeTaxOwed",
     "taxes_overPayment",
     "taxes_underPayment",
 
@@ -110,6 +162,22 @@ class ReportData extends BaseReports {
     "ss_nonSocialSecurityTaxableIncome",
     "ss_tier1TaxableAmount",
     "ss_tier2TaxableAmount",
+    "ss_subjectClaimAgeMonths",
+    "ss_subjectFraMonths",
+    "ss_subjectClaimFactor",
+    "ss_partnerClaimAgeMonths",
+    "ss_partnerFraMonths",
+    "ss_partnerClaimFactor",
+    "ss_subjectSpousalTopUp",
+    "ss_subjectSurvivorStepUp",
+    "ss_partnerSpousalTopUp",
+    "ss_partnerSurvivorStepUp",
+    "ss_trustFundCutRate",
+    "ss_trustFundCut",
+    "ss_subjectEarningsTestWithheld",
+    "ss_subjectEarningsTestMonths",
+    "ss_partnerEarningsTestWithheld",
+    "ss_partnerEarningsTestMonths",
 
     // RETIREMENT ACCOUNT ACTIVITY
     "account_savingsYearBeginBalance",
@@ -117,6 +185,20 @@ class ReportData extends BaseReports {
     "account_savingsDeposits",
     "account_savingsYearEndBalance",
 
+    "account_brokerageYearBeginBalance",
+    "account_brokerageWithdrawals",
+    "account_brokerageGrowth",
+    "account_brokerageDividends",
+    "account_brokerageYearEndBalance",
+    "account_brokerageCostBasis",
+
+    "account_hsaYearBeginBalance",
+    "account_hsaContributions",
+    "account_hsaMedicalWithdrawals",
+    "account_hsaWithdrawals",
+    "account_hsaInterest",
+    "account_hsaYearEndBalance",
+
     "account_subject401kOpenBalance",
     "account_subject401kWithdrawals",
     "account_subject401kDeposits",
@@ -171,6 +253,7 @@ class ReportData extends BaseReports {
     this.income_subjectGrossWages = 0;
     this.income_wagesWithholdingRate = 0;
     this.income_subject401kContribution = 0;
+    this.income_subjectHsaContribution = 0;
     this.income_subjectPayrollDeductions = 0;
     this.income_subjectTakehomeWages = 0;
 
@@ -198,10 +281,26 @@ class ReportData extends BaseReports {
     this.income_partner401kTakehome = 0;
     this.income_partnerRMD = 0;
 
+    this.income_subjectRmdDistributionPeriod = 0;
+    this.income_subjectRmdTable = "";
+    this.income_partnerRmdDistributionPeriod = 0;
+    this.income_partnerRmdTable = "";
+
+    this.income_subjectRothConversion = 0;
+    this.income_partnerRothConversion = 0;
+    this.withholdings_rothConversion = 0;
+    // Federal tax attributable to the year's conversions
+    this.taxes_rothConversionTax = 0;
+
     this.income_subjectPensionGross = 0;
     this.income_subjectPensionTakehome = 0;
     this.income_partnerPensionGross = 0;
     this.income_partnerPensionTakehome = 0;
+    // Pension lump sums rolled into the owner's 401k
+    this.transfer_subjectPensionRollover = 0;
+    this.transfer_partnerPensionRollover = 0;
+    // Return of premium on non-qualified annuities, excluded from income
+    this.taxes_annuityExclusion = 0;
 
     this.income_subjectSsGross = 0;
     this.income_partnerSsGross = 0;
@@ -214,20 +313,65 @@ class ReportData extends BaseReports {
     this.spending_overriding = false;
     this.takeHome = 0;
     this.transfer_savingsToCash = 0;
+    this.transfer_brokerageToCash = 0;
+    this.transfer_hsaToCash = 0;
     this.transfer_cashToSavings = 0;
+    this.spending_healthcare = 0;
+    this.spending_healthcareSource = "";
+    this.spending_healthcareInflationRate = 0;
+    this.spending_medicarePremiums = 0;
     this.spending_basis = 0;
     this.spending_taper_rate = 0;
+    // Spending set by the spending policy, before the survivor reduction
+    this.spending_policySpend = 0;
+    /** @type {import("./cGuardrailSpending.js").GuardrailAction} */
+    this.spending_guardrailAction = "";
+    this.spending_guardrailInflationSkipped = false;
+    this.spending_withdrawalRate = 0;
+
+    // MEDICARE
+    this.medicare_enrollees = 0;
+    this.medicare_partB = 0;
+    this.medicare_partD = 0;
+    this.medicare_lookbackYear = 0;
+    this.medicare_lookbackMagi = 0;
+    this.medicare_irmaaTier = 0;
+    this.medicare_irmaaSurcharge = 0;
+    /** @type {import("./cMedicarePremiums.js").IrmaaCliff[]} */
+    this.medicare_irmaaCliffs = [];
+
+    // MARKETPLACE COVERAGE
+    this.spending_acaPremium = 0;
+    this.aca_covered = 0;
+    this.aca_magi = 0;
+    this.aca_povertyLine = 0;
+    this.aca_applicablePercentage = 0;
+    this.aca_subsidyCliffMagi = 0;
+    this.aca_overSubsidyCliff = false;
+    this.aca_lostPremiumTaxCredit = 0;
+    this.taxes_premiumTaxCredit = 0;
 
     // TAXES
     this.taxes_grossIncome = 0;
     this.taxes_adjustedGrossIncome = 0;
     this.taxes_standardDeduction = 0;
+    this.taxes_seniorDeduction = 0;
     this.taxes_taxableIncome = 0;
+    this.taxes_qualifiedDividends = 0;
+    this.taxes_shortTermCapitalGains = 0;
+    this.taxes_longTermCapitalGains = 0;
+    this.taxes_capitalGainsTax = 0;
+    this.taxes_hsaPenalty = 0;
     this.taxes_nonTaxableIncome = 0;
 
     this.transfer_taxesToSavings = 0;
     this.transfer_savingsToTaxes = 0;
     this.taxes_federalIncomeTaxOwed = 0;
+    this.taxes_stateOfResidence = "";
+    this.taxes_stateExcludedIncome = 0;
+    this.taxes_stateDeductions = 0;
+    this.taxes_stateTaxableIncome = 0;
+    this.taxes_stateIncomeTaxOwed = 0;
 
     this.withholdings_subjectWages = 0;
     this.withholdings_partnerWages = 0;
@@ -256,6 +400,33 @@ class ReportData extends BaseReports {
     this.ss_tier1TaxableAmount = 0;
     this.ss_tier2TaxableAmount = 0;
 
+    // Claiming ages in months; the factor is the share of the PIA paid and
+    // stays 0 when the benefit was entered as a monthly amount
+    this.ss_subjectClaimAgeMonths = 0;
+    this.ss_subjectFraMonths = 0;
+    this.ss_subjectClaimFactor = 0;
+    this.ss_partnerClaimAgeMonths = 0;
+    this.ss_partnerFraMonths = 0;
+    this.ss_partnerClaimFactor = 0;
+
+    // Included in each gross benefit: spousal benefits on top of a lower
+    // PIA, and the gain from switching to a survivor benefit once widowed
+    this.ss_subjectSpousalTopUp = 0;
+    this.ss_subjectSurvivorStepUp = 0;
+    this.ss_partnerSpousalTopUp = 0;
+    this.ss_partnerSurvivorStepUp = 0;
+
+    // Trust fund shortfall cut in effect this year and the benefits it
+    // removed, already left out of gross
+    this.ss_trustFundCutRate = 0;
+    this.ss_trustFundCut = 0;
+
+    // Benefits withheld under the earnings test, already left out of gross
+    this.ss_subjectEarningsTestWithheld = 0;
+    this.ss_subjectEarningsTestMonths = 0;
+    this.ss_partnerEarningsTestWithheld = 0;
+    this.ss_partnerEarningsTestMonths = 0;
+
     // RETIREMENT ACCOUNTS
 
     // this.account_subjectSavingsContributions = 0;
@@ -268,6 +439,20 @@ class ReportData extends BaseReports {
     this.account_savingsDeposits = 0;
     this.account_savingsYearEndBalance = 0;
 
+    this.account_brokerageYearBeginBalance = 0;
+    this.account_brokerageWithdrawals = 0;
+    this.account_brokerageGrowth = 0;
+    this.account_brokerageDividends = 0;
+    this.account_brokerageYearEndBalance = 0;
+    this.account_brokerageCostBasis = 0;
+
+    this.account_hsaYearBeginBalance = 0;
+    this.account_hsaContributions = 0;
+    this.account_hsaMedicalWithdrawals = 0;
+    this.account_hsaWithdrawals = 0;
+    this.account_hsaInterest = 0;
+    this.account_hsaYearEndBalance = 0;
+
     this.account_subject401kInterest = 0;
     this.account_partner401kInterest = 0;
     this.account_subjectRothInterest = 0;
@@ -297,6 +482,9 @@ class ReportData extends BaseReports {
 
     /** @type {import("./cPensionAnnuityStorage.js").PensionAnnuityBreakdown[]} */
     this.income_pensionBreakdowns = [];
+
+    /** @type {import("./cAnnuityPurchase.js").AnnuityPurchaseRecord[]} */
+    this.annuity_purchases = [];
   }
 
   // SOCIAL SECURITY
@@ -341,14 +529,20 @@ class ReportData extends BaseReports {
     return (
       this.income_subjectGrossWages -
       this.income_subject401kContribution -
+      this.income_subjectHsaContribution -
       this.income_subjectPayrollDeductions +
       this.income_partnerGrossWages -
       this.income_partner401kContribution -
       this.income_partnerPayrollDeductions +
       this.income_miscTaxableIncomeGross +
       this.account_savingsInterest +
+      this.account_brokerageDividends +
+      this.taxes_shortTermCapitalGains +
+      this.taxes_longTermCapitalGains +
+      this.account_hsaWithdrawals +
       this.income_subject401kGross +
       this.income_partner401kGross +
+      this.income_combinedRothConversion +
       this.income_subjectPensionGross +
       this.income_partnerPensionGross
     ).asCurrency();
@@ -426,6 +620,12 @@ class ReportData extends BaseReports {
     return this.income_subjectUsingRMD || this.income_partnerUsingRMD;
   }
 
+  get income_combinedRothConversion() {
+    return (
+      this.income_subjectRothConversion + this.income_partnerRothConversion
+    );
+  }
+
   get withholdings_combined401k() {
     return this.withholdings_subject401k + this.withholdings_partner401k;
   }
@@ -452,7 +652,34 @@ class ReportData extends BaseReports {
     return (
       this.balances_combined401k +
       this.balances_yearEndRothCombined +
-      this.account_savingsYearEndBalance
+      this.account_savingsYearEndBalance +
+      this.account_brokerageYearEndBalance +
+      this.account_hsaYearEndBalance
+    );
+  }
+
+  get balances_yearBeginTotal() {
+    return (
+      this.account_subject401kOpenBalance +
+      this.account_partner401kOpenBalance +
+      this.account_subjectRothOpenBalance +
+      this.account_partnerRothOpenBalance +
+      this.account_savingsYearBeginBalance +
+      this.account_brokerageYearBeginBalance +
+      this.account_hsaYearBeginBalance
+    );
+  }
+
+  // Interest and growth across all accounts, negative in a loss year
+  get account_totalInvestmentReturn() {
+    return (
+      this.account_savingsInterest +
+      this.account_subject401kInterest +
+      this.account_partner401kInterest +
+      this.account_subjectRothInterest +
+      this.account_partnerRothInterest +
+      this.account_brokerageGrowth +
+      this.account_hsaInterest
     );
   }
 
@@ -466,7 +693,10 @@ class ReportData extends BaseReports {
 
   get cash_total_inflows() {
     return (
-      this.transfer_savingsToCash + this.income_total_takehome
+      this.transfer_savingsToCash +
+      this.transfer_brokerageToCash +
+      this.transfer_hsaToCash +
+      this.income_total_takehome
     ).asCurrency();
   }
 
@@ -474,8 +704,51 @@ class ReportData extends BaseReports {
     return this.transfer_cashToSavings;
   }
 
+  // Healthcare the HSA did not pay, funded alongside base spending
+  get spending_healthcareOutOfPocket() {
+    return Math.max(
+      0,
+      this.spending_healthcare - this.account_hsaMedicalWithdrawals
+    ).asCurrency();
+  }
+
+  // Marketplace premiums less the premium tax credit returned with taxes
+  get spending_acaNetPremium() {
+    return Math.max(
+      0,
+      this.spending_acaPremium - this.taxes_premiumTaxCredit
+    ).asCurrency();
+  }
+
+  // Base spending plus out-of-pocket healthcare and insurance premiums: what
+  // cash inflows must cover. Marketplace premiums are paid in full; the
+  // credit comes back at tax time.
+  get spending_total() {
+    return (
+      this.projectedSpend +
+      this.spending_healthcareOutOfPocket +
+      this.spending_medicarePremiums +
+      this.spending_acaPremium
+    ).asCurrency();
+  }
+
   get spending_assetFunding() {
-    return this.transfer_savingsToCash;
+    return (
+      this.transfer_savingsToCash +
+      this.transfer_brokerageToCash +
+      this.transfer_hsaToCash
+    );
+  }
+
+  // Take-home income that does not come out of the portfolio
+  get income_fixedTakehome() {
+    return (
+      this.income_combinedTakehomeWages +
+      this.income_miscTaxableIncomeTakehome +
+      this.income_combinedPensionTakehome +
+      this.income_combinedSsTakehome +
+      this.income_miscTaxFreeIncome
+    ).asCurrency();
   }
 
   get income_total_takehome() {
@@ -500,7 +773,11 @@ class ReportData extends BaseReports {
       this.income_subjectPensionGross +
       this.income_partnerPensionGross +
       this.income_combinedSsGross +
-      this.account_savingsInterest;
+      this.account_savingsInterest +
+      this.account_brokerageDividends +
+      this.taxes_shortTermCapitalGains +
+      this.taxes_longTermCapitalGains +
+      this.account_hsaWithdrawals;
 
     return result.asCurrency();
   }
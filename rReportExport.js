@@ -0,0 +1,91 @@
+import { ReportData } from "./rReportData.js";
+
+/**
+ * @typedef {import("./cCalculation.js").Calculation} Calculation
+ */
+
+/**
+ * Reads a ReportData field, falling back to a getter of the same name
+ * defined anywhere on the prototype chain.
+ *
+ * @param {ReportData} reportData
+ * @param {string} field
+ * @returns {any}
+ */
+function readReportField(reportData, field) {
+  // @ts-ignore - Dynamic property access for export
+  let value = reportData[field];
+
+  if (value === undefined) {
+    let obj = reportData;
+    while (obj) {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, field);
+      if (descriptor && descriptor.get) {
+        value = descriptor.get.call(reportData);
+        break;
+      }
+      obj = Object.getPrototypeOf(obj);
+    }
+  }
+
+  return value === undefined ? null : value;
+}
+
+/**
+ * One plain object per calculated year, keyed in ReportData.dumpOrder.
+ *
+ * @param {Calculation[]} calculations
+ * @returns {Record<string, any>[]}
+ */
+function reportDataToRows(calculations) {
+  const fields = ReportData.dumpOrder;
+
+  return calculations.map((calc) => {
+    const row = /** @type {Record<string, any>} */ ({});
+    fields.forEach((field) => {
+      row[field] = readReportField(calc.reportData, field);
+    });
+    return row;
+  });
+}
+
+/**
+ * @param {Calculation[]} calculations
+ * @returns {string}
+ */
+function reportDataToJSON(calculations) {
+  return JSON.stringify(reportDataToRows(calculations), null, 2);
+}
+
+/**
+ * @param {Calculation[]} calculations
+ * @returns {string}
+ */
+function reportDataToCSV(calculations) {
+  const fields = ReportData.dumpOrder;
+
+  const rows = reportDataToRows(calculations).map((row) =>
+    fields
+      .map((field) => {
+        const value = row[field];
+        if (value === null) return "";
+
+        // If the value contains commas, quotes, or newlines, wrap in quotes and escape quotes
+        const stringValue = String(value);
+        if (
+          stringValue.includes(",") ||
+          stringValue.includes('"') ||
+          stringValue.includes("\n")
+        ) {
+          return '"' + stringValue.replace(/"/g, '""') + '"';
+        }
+
+        return stringValue;
+      })
+      .join(",")
+  );
+
+  return [fields.join(","), ...rows].join("\n");
+}
+
+export { reportDataToRows, reportDataToJSON, reportDataToCSV };
@@ -0,0 +1,64 @@
+/**
+ * @typedef {import("./cCalculation.js").Calculation} Calculation
+ */
+
+/**
+ * @typedef {object} RmdScheduleRow
+ * @property {number} year
+ * @property {number} age - Owner's age in that year
+ * @property {number} priorYearEndBalance - 401k balance the RMD is measured against
+ * @property {number} distributionPeriod - IRS life expectancy divisor
+ * @property {string} table - One of RMD_TABLE
+ * @property {number} rmd - Required gross distribution
+ * @property {number} withdrawn - Gross 401k withdrawals actually taken for spending
+ */
+
+/**
+ * @typedef {object} RmdSchedule
+ * @property {RmdScheduleRow[]} subject
+ * @property {RmdScheduleRow[]} partner
+ */
+
+/**
+ * Year-by-year required minimum distributions for each 401k owner, from the
+ * first year an RMD is due.
+ *
+ * @param {Calculation[]} calculations
+ * @returns {RmdSchedule}
+ */
+function buildRmdSchedule(calculations) {
+  /** @type {RmdSchedule} */
+  const schedule = { subject: [], partner: [] };
+
+  for (const calc of calculations) {
+    const data = calc.reportData;
+
+    if (data.income_subjectRmdDistributionPeriod > 0) {
+      schedule.subject.push({
+        year: calc.year,
+        age: Number(data.demographics_subjectAge),
+        priorYearEndBalance: data.account_subject401kOpenBalance,
+        distributionPeriod: data.income_subjectRmdDistributionPeriod,
+        table: data.income_subjectRmdTable,
+        rmd: data.income_subjectRMD,
+        withdrawn: data.income_subject401kGross,
+      });
+    }
+
+    if (data.income_partnerRmdDistributionPeriod > 0) {
+      schedule.partner.push({
+        year: calc.year,
+        age: Number(data.demographics_partnerAge),
+        priorYearEndBalance: data.account_partner401kOpenBalance,
+        distributionPeriod: data.income_partnerRmdDistributionPeriod,
+        table: data.income_partnerRmdTable,
+        rmd: data.income_partnerRMD,
+        withdrawn: data.income_partner401kGross,
+      });
+    }
+  }
+
+  return schedule;
+}
+
+export { buildRmdSchedule };
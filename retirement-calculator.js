@@ -1,7 +1,10 @@
+import { ACCOUNT_TYPES } from "./cAccount.js";
 import { AccountingYear } from "./cAccountingYear.js";
 import { AccountsManager } from "./cAccountsManager.js";
 import { Calculation, Calculations } from "./cCalculation.js";
+import { GuardrailSpending } from "./cGuardrailSpending.js";
 import { Inputs } from "./cInputs.js";
+import { MEDICARE_IRMAA_LOOKBACK_YEARS, SPENDING_POLICY } from "./consts.js";
 import { ReportsManager } from "./cReportsManager.js";
 import { RetirementYearCalculator } from "./cRetirementYearCalculator.js";
 import { TransactionManager } from "./cTransactionManager.js";
@@ -38,16 +41,25 @@ function calc(UI) {
   return { inputs, calculations };
 }
 
-/** 
+/**
+ * Optional per-year market assumptions used to replace the constant
+ * interest rates configured on each account (Monte Carlo, backtesting).
+ *
+ * @typedef {object} MarketConditions
+ * @property {(accountType: string, yearIndex: number, baseRate: number) => number} [interestRateFor]
+ * @property {(yearIndex: number, baseRate: number) => number} [inflationRateFor] - Constant rate that reproduces the price level reached by the year
+ * @property {(yearIndex: number, baseRate: number) => number} [annualInflationRateFor] - Inflation during the year alone
+ */
+
+/**
  * @param {Inputs | null} inputs
- * @returns {Calculations | null} 
+ * @param {MarketConditions | null} [marketConditions]
+ * @returns {Calculations | null}
  */
-function initializeCalculationsFromInputs(inputs){
+function initializeCalculationsFromInputs(inputs, marketConditions = null) {
   const calculations = new Calculations();
   if (!inputs) return null;
 
-  
-
   // Track previous ages to only regenerate spending fields when they change
   let lastRetireAge = null;
   let lastEndAge = null;
@@ -85,11 +97,26 @@ function initializeCalculationsFromInputs(inputs){
     transactionManager
   );
 
+  const baseRates = captureBaseInterestRates(accountsManager);
+
   const reportingManager = new ReportsManager();
 
   // Working years
   for (let yearIndex = 0; yearIndex < inputs.totalWorkingYears; yearIndex++) {
-    const workingYearInputs = initializeInputsForWorkingYear(inputs, yearIndex);
+    const workingYearInputs = initializeInputsForWorkingYear(
+      inputs,
+      yearIndex,
+      marketConditions
+    );
+    applySsEarningsTestHistory(workingYearInputs, reportingManager);
+    applyAnnuityPurchaseHistory(workingYearInputs, reportingManager);
+
+    applyMarketConditions(
+      accountsManager,
+      baseRates,
+      marketConditions,
+      yearIndex
+    );
 
     const accountYear = AccountingYear.Create(
       accountsManager,
@@ -127,6 +154,18 @@ function initializeCalculationsFromInputs(inputs){
   ) {
     const retirementYearInputs = initializeInputsForRetirementYear(
       inputs,
+      yearIndex,
+      marketConditions
+    );
+    applyIrmaaLookback(retirementYearInputs, reportingManager);
+    applySsEarningsTestHistory(retirementYearInputs, reportingManager);
+    applyAnnuityPurchaseHistory(retirementYearInputs, reportingManager);
+    applyGuardrailHistory(retirementYearInputs, reportingManager);
+
+    applyMarketConditions(
+      accountsManager,
+      baseRates,
+      marketConditions,
       yearIndex
     );
 
@@ -164,16 +203,59 @@ function initializeCalculationsFromInputs(inputs){
   return calculations;
 }
 
+/**
+ * @param {AccountsManager} accountsManager
+ * @returns {Map<string, number>}
+ */
+function captureBaseInterestRates(accountsManager) {
+  /** @type {Map<string, number>} */
+  const baseRates = new Map();
+
+  for (const accountType of Object.values(ACCOUNT_TYPES)) {
+    const account = accountsManager.getAccountByType(accountType);
+    if (account) baseRates.set(accountType, account.interestRate);
+  }
+
+  return baseRates;
+}
+
+/**
+ * Re-rates every account for the given year when market conditions are supplied.
+ *
+ * @param {AccountsManager} accountsManager
+ * @param {Map<string, number>} baseRates
+ * @param {MarketConditions | null} marketConditions
+ * @param {number} yearIndex
+ */
+function applyMarketConditions(
+  accountsManager,
+  baseRates,
+  marketConditions,
+  yearIndex
+) {
+  const interestRateFor = marketConditions?.interestRateFor;
+  if (!interestRateFor) return;
+
+  for (const [accountType, baseRate] of baseRates) {
+    const account = accountsManager.getAccountByType(accountType);
+    if (!account) continue;
+
+    account.interestRate = interestRateFor(accountType, yearIndex, baseRate);
+  }
+}
+
 // Helper to generate dynamic input values for a given year index
 /**
  * @param {Inputs} inputs
  * @param {number} yearIndex
+ * @param {MarketConditions | null} marketConditions
  * @return {Inputs}
  */
-function initializeInputsForWorkingYear(inputs, yearIndex) {
+function initializeInputsForWorkingYear(inputs, yearIndex, marketConditions) {
   const result = inputs.clone();
 
   result.yearIndex = yearIndex;
+  applyInflationRate(result, marketConditions);
 
   return result;
 }
@@ -181,13 +263,134 @@ function initializeInputsForWorkingYear(inputs, yearIndex) {
 /**
  * @param {Inputs} inputs
  * @param {number} yearIndex
+ * @param {MarketConditions | null} marketConditions
  * @return {Inputs}
  */
-function initializeInputsForRetirementYear(inputs, yearIndex) {
+function initializeInputsForRetirementYear(
+  inputs,
+  yearIndex,
+  marketConditions
+) {
   const result = inputs.clone();
 
   result.yearIndex = yearIndex;
+  applyInflationRate(result, marketConditions);
+
   return result;
 }
 
-export { calc };
+/**
+ * @param {Inputs} yearInputs
+ * @param {MarketConditions | null} marketConditions
+ */
+function applyInflationRate(yearInputs, marketConditions) {
+  const baseRate = yearInputs.inflationRate;
+
+  const annualInflationRateFor = marketConditions?.annualInflationRateFor;
+  if (annualInflationRateFor) {
+    yearInputs.annualInflationRates = Array.from(
+      { length: yearInputs.yearIndex },
+      (_, yearIndex) => annualInflationRateFor(yearIndex, baseRate)
+    );
+  }
+
+  const inflationRateFor = marketConditions?.inflationRateFor;
+  if (!inflationRateFor) return;
+
+  yearInputs.inflationRate = inflationRateFor(yearInputs.yearIndex, baseRate);
+}
+
+/**
+ * Medicare IRMAA tiers are set by modified AGI two years earlier; years
+ * before the plan starts use the entered prior-years MAGI.
+ *
+ * @param {Inputs} yearInputs
+ * @param {ReportsManager} reportingManager
+ */
+function applyIrmaaLookback(yearInputs, reportingManager) {
+  const lookbackYear = yearInputs.currentYear - MEDICARE_IRMAA_LOOKBACK_YEARS;
+
+  yearInputs.irmaaLookbackMagi =
+    reportingManager.getReportingYear(lookbackYear)?.ReportData
+      .taxes_adjustedGrossIncome ?? yearInputs.priorYearsMagi;
+}
+
+/**
+ * Benefits withheld under the earnings test are paid back by recomputing the
+ * benefit at full retirement age, so each year needs the months withheld in
+ * the years before it.
+ *
+ * @param {Inputs} yearInputs
+ * @param {ReportsManager} reportingManager
+ */
+function applySsEarningsTestHistory(yearInputs, reportingManager) {
+  let subjectMonths = 0;
+  let partnerMonths = 0;
+
+  for (const reportingYear of reportingManager.getAllReportingYears()) {
+    if (reportingYear.ReportData.year >= yearInputs.currentYear) continue;
+    subjectMonths += reportingYear.ReportData.ss_subjectEarningsTestMonths;
+    partnerMonths += reportingYear.ReportData.ss_partnerEarningsTestMonths;
+  }
+
+  yearInputs.subjectSsWithheldMonths = subjectMonths;
+  yearInputs.partnerSsWithheldMonths = partnerMonths;
+}
+
+/**
+ * Purchased annuities pay out on the premium actually paid, which can fall
+ * short of the scheduled premium when the source account runs low.
+ *
+ * @param {Inputs} yearInputs
+ * @param {ReportsManager} reportingManager
+ */
+function applyAnnuityPurchaseHistory(yearInputs, reportingManager) {
+  /** @type {Record<string, number>} */
+  const premiumsPaid = { ...yearInputs.annuityPremiumsPaid };
+
+  for (const reportingYear of reportingManager.getAllReportingYears()) {
+    if (reportingYear.ReportData.year >= yearInputs.currentYear) continue;
+    for (const record of reportingYear.ReportData.annuity_purchases) {
+      premiumsPaid[record.id] = record.premium;
+    }
+  }
+
+  yearInputs.annuityPremiumsPaid = premiumsPaid;
+}
+
+/**
+ * Under the guardrails policy each retirement year's spending follows from
+ * last year's spending, the portfolio it left behind and the withdrawal
+ * rate of the first retirement year. Overridden years keep their override.
+ *
+ * @param {Inputs} yearInputs
+ * @param {ReportsManager} reportingManager
+ */
+function applyGuardrailHistory(yearInputs, reportingManager) {
+  if (yearInputs.spendingPolicy !== SPENDING_POLICY.GUARDRAILS) return;
+  if (yearInputs.overridingSpend) return;
+
+  const retiredYears = reportingManager
+    .getAllReportingYears()
+    .map((reportingYear) => reportingYear.ReportData)
+    .filter(
+      (data) =>
+        data.demographics_isRetired && data.year < yearInputs.currentYear
+    );
+  if (retiredYears.length === 0) return;
+
+  const prior = retiredYears[retiredYears.length - 1];
+
+  yearInputs.guardrailDecision = GuardrailSpending.decide(yearInputs, {
+    priorSpend: prior.spending_policySpend,
+    priorYearLoss: prior.account_totalInvestmentReturn < 0,
+    fixedIncome:
+      prior.income_fixedTakehome * (1 + yearInputs.inflationSinceLastYear),
+    portfolio: prior.balances_yearEndtotal,
+    initialWithdrawalRate: GuardrailSpending.initialWithdrawalRate(
+      retiredYears[0]
+    ),
+  });
+}
+
+export { calc, initializeCalculationsFromInputs };
@@ -0,0 +1,130 @@
+// retirement-cli.js
+//
+// Runs a scenario exported by "Save Scenario" without the browser and writes
+// the per-year report data as JSON or CSV.
+//
+//   node retirement-cli.js <scenario.json> [--format=json|csv] [--output=<file>]
+
+/// <reference types="node" />
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { Inputs } from "./cInputs.js";
+import { ScenarioInputs } from "./cScenarioInputs.js";
+import { reportDataToCSV, reportDataToJSON } from "./rReportExport.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+
+const FORMATS = ["json", "csv"];
+
+// Parse the scenario path and named --key=value arguments
+function parseArgs() {
+  /** @type {Record<string, string>} */
+  const args = {};
+  /** @type {string[]} */
+  const positional = [];
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i];
+    if (arg.startsWith("--")) {
+      const [key, value] = arg.split("=");
+      args[key.substring(2)] = value ?? "true";
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { args, positional };
+}
+
+function showUsage() {
+  console.error(
+    "Usage: node retirement-cli.js <scenario.json> [--format=json|csv] [--output=<file>]"
+  );
+  console.error("");
+  console.error("Options:");
+  console.error("  --format=<json|csv>   Output format (default: json)");
+  console.error("  --output=<file>       Write to a file instead of stdout");
+  console.error(
+    "  --verbose             Keep the calculation's diagnostic logging"
+  );
+  console.error("");
+  console.error("Examples:");
+  console.error("  node retirement-cli.js client_a.json");
+  console.error(
+    "  node retirement-cli.js client_a.json --format=csv --output=client_a.csv"
+  );
+}
+
+/**
+ * The calculation pipeline logs diagnostics through console; keep stdout
+ * for the report by routing them to stderr (or dropping them).
+ *
+ * @param {boolean} verbose
+ */
+function redirectDiagnostics(verbose) {
+  /** @param {...any} messages */
+  const toStderr = (...messages) => {
+    if (verbose) console.error(...messages);
+  };
+
+  console.log = toStderr;
+  console.info = toStderr;
+  console.debug = toStderr;
+  console.warn = toStderr;
+}
+
+/**
+ * @param {string} path
+ * @returns {Inputs}
+ */
+function loadInputs(path) {
+  try {
+    const scenario = JSON.parse(readFileSync(path, "utf8"));
+    return ScenarioInputs.CreateFrom(scenario).toInputs();
+  } catch (error) {
+    console.error(
+      `Error: Could not load scenario '${path}': ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+    process.exit(1);
+  }
+}
+
+const { args, positional } = parseArgs();
+const scenarioPath = positional[0];
+const format = (args.format || "json").toLowerCase();
+
+if (!scenarioPath || args.help) {
+  showUsage();
+  process.exit(scenarioPath ? 0 : 1);
+}
+
+if (!FORMATS.includes(format)) {
+  console.error(`Error: Unknown format '${format}'.`);
+  console.error("");
+  showUsage();
+  process.exit(1);
+}
+
+const inputs = loadInputs(scenarioPath);
+
+if (!inputs.isValid()) {
+  console.error(
+    "Error: Invalid ages. Please ensure: current age < retirement age < plan age."
+  );
+  process.exit(1);
+}
+
+redirectDiagnostics(args.verbose === "true");
+
+const calculations = initializeCalculationsFromInputs(inputs);
+const rows = calculations?.getAllCalculations() ?? [];
+
+const output =
+  format === "csv" ? reportDataToCSV(rows) : reportDataToJSON(rows);
+
+if (args.output) {
+  writeFileSync(args.output, output + "\n");
+} else {
+  process.stdout.write(output + "\n");
+}
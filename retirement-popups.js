@@ -1,4 +1,7 @@
+import { GUARDRAIL_ACTIONS } from "./cGuardrailSpending.js";
+import { LegacyAnalysis } from "./cLegacyAnalysis.js";
 import { ReportTableBuilder } from "./cReportTableBuilder.js";
+import { SsClaiming } from "./cSsClaiming.js";
 import { Transaction, TransactionType } from "./cTransaction.js";
 import { ensurePopup } from "./popup-engine.js";
 import { ReportData } from "./rReportData.js";
@@ -43,6 +46,9 @@ export const popupActions = {
   show401kGrossBreakdown,
   showEffectiveTaxRateBreakdown,
   showAnnualSpendBreakdown,
+  showHealthcareBreakdown,
+  showMedicareBreakdown,
+  showAcaBreakdown,
   showCashFlowDiagram,
 };
 
@@ -222,10 +228,24 @@ function showSsGrossBreakdown(data) {
         <span class="ss-breakdown-label">Subject SS Gross:</span>
         <span class="ss-breakdown-value">${data.income_subjectSsGross.asWholeDollars()}</span>
     </div>
+    ${ssClaimLine(data.ss_subjectClaimFactor, data.ss_subjectClaimAgeMonths, data.ss_subjectFraMonths)}
+    ${ssAddOnLines(data.ss_subjectSpousalTopUp, data.ss_subjectSurvivorStepUp)}
+    ${ssEarningsTestLine(data.ss_subjectEarningsTestWithheld, data.ss_subjectEarningsTestMonths)}
     <div class="ss-breakdown-item">
         <span class="ss-breakdown-label">Partner SS Gross:</span>
         <span class="ss-breakdown-value">${data.income_partnerSsGross.asWholeDollars()}</span>
     </div>
+    ${ssClaimLine(data.ss_partnerClaimFactor, data.ss_partnerClaimAgeMonths, data.ss_partnerFraMonths)}
+    ${ssAddOnLines(data.ss_partnerSpousalTopUp, data.ss_partnerSurvivorStepUp)}
+    ${ssEarningsTestLine(data.ss_partnerEarningsTestWithheld, data.ss_partnerEarningsTestMonths)}
+    ${
+      data.ss_trustFundCutRate > 0
+        ? `<div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Trust fund cut (${(data.ss_trustFundCutRate * 100).round(1)}%):</span>
+        <span class="ss-breakdown-value">-${data.ss_trustFundCut.asWholeDollars()}</span>
+    </div>`
+        : ""
+    }
     <div class="ss-breakdown-item breakdown-accent">
         <span class="ss-breakdown-label">Total:</span>
         <span class="ss-breakdown-value">${combinedSsGross.asWholeDollars()}</span>
@@ -236,6 +256,56 @@ function showSsGrossBreakdown(data) {
   popup.show();
 }
 
+/**
+ * Claiming age against full retirement age for a benefit entered as a PIA
+ * @param {number} factor
+ * @param {number} claimAgeMonths
+ * @param {number} fraMonths
+ */
+function ssClaimLine(factor, claimAgeMonths, fraMonths) {
+  if (!factor) return "";
+
+  return `<div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">&nbsp;&nbsp;Claims at ${SsClaiming.formatAge(claimAgeMonths)} (FRA ${SsClaiming.formatAge(fraMonths)}):</span>
+        <span class="ss-breakdown-value">${(factor * 100).toFixed(2)}% of PIA</span>
+    </div>`;
+}
+
+/**
+ * Spousal and survivor amounts included in a gross benefit
+ * @param {number} spousalTopUp
+ * @param {number} survivorStepUp
+ */
+function ssAddOnLines(spousalTopUp, survivorStepUp) {
+  const line = (/** @type {string} */ label, /** @type {number} */ amount) =>
+    amount > 0
+      ? `<div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">&nbsp;&nbsp;${label}:</span>
+        <span class="ss-breakdown-value">${amount.asWholeDollars()}</span>
+    </div>`
+      : "";
+
+  return (
+    line("Includes spousal top-up", spousalTopUp) +
+    line("Includes survivor step-up", survivorStepUp)
+  );
+}
+
+/**
+ * Benefits withheld under the earnings test; they are paid back through a
+ * higher benefit from full retirement age
+ * @param {number} withheld
+ * @param {number} months
+ */
+function ssEarningsTestLine(withheld, months) {
+  if (!(withheld > 0)) return "";
+
+  return `<div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">&nbsp;&nbsp;Withheld by earnings test (${months} mo):</span>
+        <span class="ss-breakdown-value">-${withheld.asWholeDollars()}</span>
+    </div>`;
+}
+
 /**
  * @param {ReportData} data
  */
@@ -273,6 +343,14 @@ function showTaxesBreakdown(data) {
         <span class="ss-breakdown-label">Deductions (Standard/Itemized):</span>
         <span class="ss-breakdown-value">${data.taxes_standardDeduction.asWholeDollars()}</span>
     </div>
+    ${
+      data.taxes_seniorDeduction > 0
+        ? `<div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Senior deduction:</span>
+        <span class="ss-breakdown-value">${data.taxes_seniorDeduction.asWholeDollars()}</span>
+    </div>`
+        : ""
+    }
      <div class="ss-breakdown-item breakdown-accent">
         <span class="ss-breakdown-label">Taxable income:</span>
         <span class="ss-breakdown-value">${data.taxes_taxableIncome.asWholeDollars()}</span>
@@ -287,6 +365,83 @@ function showTaxesBreakdown(data) {
     </div>
     `;
 
+  if (data.taxes_capitalGainsTax > 0) {
+    breakdownHtml += `
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Qualified dividends:</span>
+          <span class="ss-breakdown-value">${data.taxes_qualifiedDividends.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Short-term capital gains:</span>
+          <span class="ss-breakdown-value">${data.taxes_shortTermCapitalGains.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Long-term capital gains:</span>
+          <span class="ss-breakdown-value">${data.taxes_longTermCapitalGains.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Tax at capital gains rates (in federal):</span>
+          <span class="ss-breakdown-value">${data.taxes_capitalGainsTax.asWholeDollars()}</span>
+      </div>
+    `;
+  }
+
+  if (data.taxes_hsaPenalty > 0) {
+    breakdownHtml += `
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Non-medical HSA withdrawals:</span>
+          <span class="ss-breakdown-value">${data.account_hsaWithdrawals.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">HSA penalty (20%, before 65):</span>
+          <span class="ss-breakdown-value">${data.taxes_hsaPenalty.asWholeDollars()}</span>
+      </div>
+    `;
+  }
+
+  if (data.taxes_premiumTaxCredit > 0) {
+    breakdownHtml += `
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Premium tax credit (refundable):</span>
+          <span class="ss-breakdown-value">-${data.taxes_premiumTaxCredit.asWholeDollars()}</span>
+      </div>
+    `;
+  }
+
+  if (data.taxes_stateOfResidence) {
+    breakdownHtml += `
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">State of residence:</span>
+          <span class="ss-breakdown-value">${data.taxes_stateOfResidence}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Retirement income excluded by state:</span>
+          <span class="ss-breakdown-value">${data.taxes_stateExcludedIncome.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">State deductions/exemptions:</span>
+          <span class="ss-breakdown-value">${data.taxes_stateDeductions.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">State taxable income:</span>
+          <span class="ss-breakdown-value">${data.taxes_stateTaxableIncome.asWholeDollars()}</span>
+      </div>
+      <div class="ss-breakdown-item breakdown-accent">
+          <span class="ss-breakdown-label">State Income Tax:</span>
+          <span class="ss-breakdown-value">${data.taxes_stateIncomeTaxOwed.asWholeDollars()}</span>
+      </div>
+    `;
+  }
+
+  if (data.income_combinedRothConversion > 0) {
+    breakdownHtml += `
+      <div class="ss-breakdown-item">
+          <span class="ss-breakdown-label">Roth conversions (${data.income_combinedRothConversion.asWholeDollars()}) added:</span>
+          <span class="ss-breakdown-value">${data.taxes_rothConversionTax.asWholeDollars()}</span>
+      </div>
+    `;
+  }
+
   if (data.transfer_savingsToTaxes > 0) {
     breakdownHtml += `
       <div class="ss-breakdown-item">
@@ -375,6 +530,14 @@ function showWithholdingsBreakdown(data) {
     </div>
     `;
   }
+  if (data.withholdings_rothConversion > 0) {
+    breakdownHtml += `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Roth Conversions:</span>
+      <span class="ss-breakdown-value">${data.withholdings_rothConversion.asWholeDollars()}</span>
+    </div>
+    `;
+  }
   breakdownHtml += `
     <div class="ss-breakdown-item">
       <span class="ss-breakdown-label">Misc Taxable Income:</span>
@@ -519,6 +682,35 @@ function showAnnualSpendBreakdown(data) {
     `;
   }
 
+  if (data.spending_withdrawalRate > 0) {
+    const guardrail =
+      data.spending_guardrailAction === GUARDRAIL_ACTIONS.CUT
+        ? "Cut (withdrawal rate above the upper guardrail)"
+        : data.spending_guardrailAction === GUARDRAIL_ACTIONS.RAISE
+          ? "Raise (withdrawal rate below the lower guardrail)"
+          : "Within the guardrails";
+
+    breakdownHtml += `
+     <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Withdrawal rate:</span>
+        <span class="ss-breakdown-value">${(data.spending_withdrawalRate * 100).toFixed(2)}%</span>
+    </div>
+     <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Guardrail:</span>
+        <span class="ss-breakdown-value">${guardrail}</span>
+    </div>
+    `;
+  }
+
+  if (data.spending_guardrailInflationSkipped) {
+    breakdownHtml += `
+     <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Inflation raise:</span>
+        <span class="ss-breakdown-value">Skipped after a loss year</span>
+    </div>
+    `;
+  }
+
   breakdownHtml += `
    <div class="ss-breakdown-item breakdown-accent">
         <span class="ss-breakdown-label">Spend:</span>
@@ -529,6 +721,189 @@ function showAnnualSpendBreakdown(data) {
   popup.show();
 }
 
+/**
+ * @param {ReportData} data
+ */
+function showHealthcareBreakdown(data) {
+  if (!data) {
+    return; // No data to show
+  }
+
+  const popup = ensurePopup("healthcare", "Healthcare Spending Breakdown");
+
+  /** @type {Record<string, string>} */
+  const sourceLabels = {
+    entered: "Entered for this age",
+    ageCurve: "Estimated from the age cost curve",
+  };
+
+  let breakdownHtml = `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Year:</span>
+        <span class="ss-breakdown-value">${data.year}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Source:</span>
+        <span class="ss-breakdown-value">${sourceLabels[data.spending_healthcareSource] ?? "None"}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Healthcare inflation rate:</span>
+        <span class="ss-breakdown-value">${(data.spending_healthcareInflationRate * 100).toFixed(2)}%</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Healthcare spending:</span>
+        <span class="ss-breakdown-value">${data.spending_healthcare.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Paid from HSA (tax-free):</span>
+        <span class="ss-breakdown-value">${data.account_hsaMedicalWithdrawals.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">Out of pocket (on top of Annual Spend):</span>
+        <span class="ss-breakdown-value">${data.spending_healthcareOutOfPocket.asWholeDollars()}</span>
+    </div>
+    `;
+
+  popup.setContent(breakdownHtml);
+  popup.show();
+}
+
+/**
+ * @param {ReportData} data
+ */
+function showMedicareBreakdown(data) {
+  if (!data) {
+    return; // No data to show
+  }
+
+  const popup = ensurePopup("medicare", "Medicare Premiums Breakdown");
+
+  let breakdownHtml = `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Year:</span>
+        <span class="ss-breakdown-value">${data.year}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Enrolled (65+):</span>
+        <span class="ss-breakdown-value">${data.medicare_enrollees}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">${data.medicare_lookbackYear} MAGI (sets the tier):</span>
+        <span class="ss-breakdown-value">${data.medicare_lookbackMagi.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">IRMAA tier:</span>
+        <span class="ss-breakdown-value">${data.medicare_irmaaTier > 0 ? data.medicare_irmaaTier : "Standard"}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Part B:</span>
+        <span class="ss-breakdown-value">${data.medicare_partB.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Part D:</span>
+        <span class="ss-breakdown-value">${data.medicare_partD.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Of which IRMAA surcharges:</span>
+        <span class="ss-breakdown-value">${data.medicare_irmaaSurcharge.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">Premiums (on top of Annual Spend):</span>
+        <span class="ss-breakdown-value">${data.spending_medicarePremiums.asWholeDollars()}</span>
+    </div>
+    `;
+
+  // This year's MAGI sets the tier two years from now
+  if (data.medicare_irmaaCliffs.length > 0) {
+    const magi = data.taxes_adjustedGrossIncome;
+    breakdownHtml += `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">${data.year} MAGI (sets ${data.year + 2} premiums):</span>
+        <span class="ss-breakdown-value">${magi.asWholeDollars()}</span>
+    </div>`;
+
+    for (const cliff of data.medicare_irmaaCliffs) {
+      const reached = magi > cliff.magi;
+      const headroom = reached
+        ? "reached"
+        : `${(cliff.magi - magi).asWholeDollars()} away`;
+      breakdownHtml += `
+    <div class="ss-breakdown-item${reached ? " breakdown-accent" : ""}">
+        <span class="ss-breakdown-label">$1 over ${cliff.magi.asWholeDollars()} (tier ${cliff.tier}, ${headroom}):</span>
+        <span class="ss-breakdown-value">+${cliff.annualCost.asWholeDollars()}</span>
+    </div>`;
+    }
+  }
+
+  popup.setContent(breakdownHtml);
+  popup.show();
+}
+
+/**
+ * @param {ReportData} data
+ */
+function showAcaBreakdown(data) {
+  if (!data) {
+    return; // No data to show
+  }
+
+  const popup = ensurePopup("aca", "Marketplace Coverage Breakdown");
+
+  const cliff = Number.isFinite(data.aca_subsidyCliffMagi)
+    ? data.aca_subsidyCliffMagi.asWholeDollars()
+    : "None";
+
+  let breakdownHtml = `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Year:</span>
+        <span class="ss-breakdown-value">${data.year}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Covered (under 65):</span>
+        <span class="ss-breakdown-value">${data.aca_covered}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Benchmark premium:</span>
+        <span class="ss-breakdown-value">${data.spending_acaPremium.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">MAGI:</span>
+        <span class="ss-breakdown-value">${data.aca_magi.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Poverty line:</span>
+        <span class="ss-breakdown-value">${data.aca_povertyLine.asWholeDollars()} (MAGI at ${data.aca_povertyLine > 0 ? ((data.aca_magi / data.aca_povertyLine) * 100).toFixed(0) : 0}%)</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Expected contribution (share of MAGI):</span>
+        <span class="ss-breakdown-value">${(data.aca_applicablePercentage * 100).toFixed(2)}%</span>
+    </div>
+    <div class="ss-breakdown-item${data.aca_overSubsidyCliff ? " breakdown-accent" : ""}">
+        <span class="ss-breakdown-label">Subsidy cliff (MAGI):</span>
+        <span class="ss-breakdown-value">${cliff}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Premium tax credit (with taxes):</span>
+        <span class="ss-breakdown-value">${data.taxes_premiumTaxCredit.asWholeDollars()}</span>
+    </div>
+    ${
+      data.aca_lostPremiumTaxCredit > 0
+        ? `<div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">Credit lost to 401k draws for spending:</span>
+        <span class="ss-breakdown-value">${data.aca_lostPremiumTaxCredit.asWholeDollars()}</span>
+    </div>`
+        : ""
+    }
+    <div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">Net premium:</span>
+        <span class="ss-breakdown-value">${data.spending_acaNetPremium.asWholeDollars()}</span>
+    </div>
+    `;
+
+  popup.setContent(breakdownHtml);
+  popup.show();
+}
+
 /**
  * @param {ReportData} data
  */
@@ -662,10 +1037,22 @@ function showPensionGrossBreakdown(data) {
     acc += `
     <div style="margin: 16px 0; padding: 12px; background: rgba(110, 168, 254, 0.1); border-radius: 8px;">
         <strong style="color: var(--accent);">${d.name}</strong>
+      <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Election:</span>
+        <span class="ss-breakdown-value">${d.election}</span>
+      </div>
       <div class="ss-breakdown-item">
         <span class="ss-breakdown-label">Gross:</span>
         <span class="ss-breakdown-value">${d.grossAmount.asWholeDollars()}</span>
-      </div>
+      </div>${
+        d.taxableAmount < d.grossAmount
+          ? `
+      <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Taxable (exclusion ratio):</span>
+        <span class="ss-breakdown-value">${d.taxableAmount.asWholeDollars()}</span>
+      </div>`
+          : ""
+      }
     </div>
     `;
     return acc;
@@ -862,6 +1249,14 @@ function showAccountBalances(data) {
       <span class="ss-breakdown-label">Savings:</span>
       <span class="ss-breakdown-value">${data.account_savingsYearEndBalance.asWholeDollars()}</span>
     </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Brokerage:</span>
+      <span class="ss-breakdown-value">${data.account_brokerageYearEndBalance.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">HSA:</span>
+      <span class="ss-breakdown-value">${data.account_hsaYearEndBalance.asWholeDollars()}</span>
+    </div>
     <div class="ss-breakdown-item">
         <span class="ss-breakdown-label">Subject Roth IRA:</span>
         <span class="ss-breakdown-value">${data.account_subjectRothBalance.asWholeDollars()}</span>
@@ -1127,6 +1522,7 @@ function showCashFlowDiagram(data) {
     const SAVINGS_INTEREST = "Savings Interest";
     const TAXES_DUE = "Taxes";
     const FEDERAL_TAXES_PAID = "Federal Taxes Paid";
+    const STATE_TAXES_PAID = "State Taxes Paid";
     const TAX_REFUND = "Tax Refund";
 
     // debugger;
@@ -1250,6 +1646,14 @@ function showCashFlowDiagram(data) {
       3,
       "Federal income taxes paid to IRS"
     );
+    addLink(
+      STATE_TAXES_PAID,
+      TAXES_DUE,
+      data.taxes_stateIncomeTaxOwed,
+      2,
+      3,
+      "State income taxes paid"
+    );
 
     if (data.transfer_savingsToTaxes > 0) {
       addLink(
@@ -1536,4 +1940,79 @@ export function dumpCategorySummaries(data, summaries) {
   popup.show();
 }
 
-export { showSsBreakdown };
+/**
+ * @param {LegacyAnalysis | null} legacy
+ */
+function showLegacyBreakdown(legacy) {
+  if (!legacy) {
+    return; // No data to show
+  }
+
+  const popup = ensurePopup("legacy", "After-Tax Legacy");
+  const balances = legacy.balances;
+
+  let breakdownHtml = `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Year:</span>
+        <span class="ss-breakdown-value">${legacy.year}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Roth IRAs (tax-free):</span>
+        <span class="ss-breakdown-value">${balances.roth.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Savings:</span>
+        <span class="ss-breakdown-value">${balances.savings.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Brokerage (${legacy.brokerageStepUp.asWholeDollars()} gain stepped up):</span>
+        <span class="ss-breakdown-value">${balances.brokerage.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">401k (inherited IRA):</span>
+        <span class="ss-breakdown-value">${balances.trad401k.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">HSA:</span>
+        <span class="ss-breakdown-value">${balances.hsa.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">Gross estate:</span>
+        <span class="ss-breakdown-value">${legacy.grossEstate.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Heirs' tax on the inherited IRA (${(legacy.heirTaxRate * 100).round(1)}%):</span>
+        <span class="ss-breakdown-value">-${legacy.inheritedIraTax.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">Heirs' tax on the HSA:</span>
+        <span class="ss-breakdown-value">-${legacy.hsaTax.asWholeDollars()}</span>
+    </div>`;
+
+  if (legacy.estateTaxExemption > 0) {
+    breakdownHtml += `
+    <div class="ss-breakdown-item${legacy.exceedsEstateTaxExemption ? " breakdown-accent" : ""}">
+        <span class="ss-breakdown-label">Estate tax (exemption ${legacy.estateTaxExemption.asWholeDollars()}):</span>
+        <span class="ss-breakdown-value">-${legacy.estateTax.asWholeDollars()}</span>
+    </div>`;
+  }
+
+  breakdownHtml += `
+    <div class="ss-breakdown-item breakdown-accent">
+        <span class="ss-breakdown-label">After-tax legacy:</span>
+        <span class="ss-breakdown-value">${legacy.afterTaxLegacy.asWholeDollars()}</span>
+    </div>`;
+
+  for (const distribution of legacy.inheritedIraSchedule) {
+    breakdownHtml += `
+    <div class="ss-breakdown-item">
+        <span class="ss-breakdown-label">${distribution.year} ${distribution.route} distribution (${distribution.tax.asWholeDollars()} tax):</span>
+        <span class="ss-breakdown-value">${distribution.net.asWholeDollars()}</span>
+    </div>`;
+  }
+
+  popup.setContent(breakdownHtml);
+  popup.show();
+}
+
+export { showLegacyBreakdown, showSsBreakdown };
@@ -5,10 +5,17 @@
 import { Calculation, Calculations } from "./cCalculation.js";
 import { drawChart } from "./retirement-ui-chart.js";
 import { Inputs } from "./cInputs.js";
-import { dumpCategorySummaries, popupActions } from "./retirement-popups.js";
-import { ReportData } from "./rReportData.js";
+import {
+  dumpCategorySummaries,
+  popupActions,
+  showLegacyBreakdown,
+} from "./retirement-popups.js";
+import { reportDataToCSV, reportDataToJSON } from "./rReportExport.js";
 import { ACCOUNT_TYPES } from "./cAccount.js";
 import { AccountAnalyzer } from "./cAccountAnalyzer.js";
+import { RothConversionImpact } from "./cRothConversionImpact.js";
+import { LegacyAnalysis } from "./cLegacyAnalysis.js";
+import { GUARDRAIL_ACTIONS } from "./cGuardrailSpending.js";
 
 /** @type {string | null} */
 let draggedGroupId = null;
@@ -516,9 +523,17 @@ function loadColumnLayout() {
 let currentInputs;
 /** @type {Calculations | null} */
 let currentCalculations;
+/** @type {RothConversionImpact | null} */
+let currentRothConversionImpact = null;
+/** @type {LegacyAnalysis | null} */
+let currentLegacyAnalysis = null;
 
 function regenerateTable() {
-  generateOutputAndSummary(currentInputs, currentCalculations);
+  generateOutputAndSummary(
+    currentInputs,
+    currentCalculations,
+    currentRothConversionImpact
+  );
 }
 
 ///////////////////////////////////////////////////////////////
@@ -529,6 +544,7 @@ function regenerateTable() {
  * @typedef {object} ColumnDefinition
  * @property {string} label
  * @property {(calc: Calculation, index: number) => HTMLTableCellElement} render
+ * @property {(impact: RothConversionImpact) => HTMLTableCellElement} [renderLifetime] - Cell for the lifetime row shown when a Roth conversion plan is active
  */
 
 /**
@@ -554,20 +570,79 @@ const columnGroups = [
       {
         label: "Annual Spend",
         render: (calc, index) => {
+          const data = calc.reportData;
           const warnings = [];
-          if (calc.reportData.spending_overriding) {
+          let emoji = "⚠️";
+          if (data.spending_overriding) {
             warnings.push(`⚠️ Overriding spending`);
           }
-          return money("outgoing", calc.reportData.projectedSpend, {
+          if (data.spending_guardrailAction === GUARDRAIL_ACTIONS.CUT) {
+            if (warnings.length === 0) emoji = "✂️";
+            warnings.push(`✂️ Guardrail cut: withdrawal rate too high`);
+          } else if (
+            data.spending_guardrailAction === GUARDRAIL_ACTIONS.RAISE
+          ) {
+            if (warnings.length === 0) emoji = "📈";
+            warnings.push(`📈 Guardrail raise: withdrawal rate too low`);
+          }
+          if (data.spending_guardrailInflationSkipped) {
+            if (warnings.length === 0) emoji = "⏸️";
+            warnings.push(`⏸️ No inflation raise after a loss year`);
+          }
+          return money("outgoing", data.projectedSpend, {
             action: "showAnnualSpendBreakdown",
             index,
             badge:
               warnings.length > 0
-                ? { emoji: "⚠️", tooltip: warnings.join("\n") }
+                ? { emoji, tooltip: warnings.join("\n") }
                 : undefined,
           });
         },
       },
+      {
+        label: "Healthcare",
+        render: (calc, index) =>
+          money("outgoing", calc.reportData.spending_healthcare, {
+            index,
+            action: "showHealthcareBreakdown",
+          }),
+      },
+      {
+        label: "Medicare",
+        render: (calc, index) => {
+          const data = calc.reportData;
+          return money("outgoing", data.spending_medicarePremiums, {
+            index,
+            action: "showMedicareBreakdown",
+            badge:
+              data.medicare_irmaaTier > 0
+                ? {
+                    emoji: "⚠️",
+                    tooltip: `IRMAA tier ${data.medicare_irmaaTier} from ${data.medicare_lookbackYear} MAGI: +${data.medicare_irmaaSurcharge.asWholeDollars()}`,
+                  }
+                : undefined,
+          });
+        },
+      },
+      {
+        label: "ACA (Net)",
+        render: (calc, index) => {
+          const data = calc.reportData;
+          return money("outgoing", data.spending_acaNetPremium, {
+            index,
+            action: "showAcaBreakdown",
+            badge: data.aca_overSubsidyCliff
+              ? {
+                  emoji: "⚠️",
+                  tooltip:
+                    data.aca_lostPremiumTaxCredit > 0
+                      ? `401k draws for spending took MAGI ${data.aca_magi.asWholeDollars()} over the subsidy cliff (${data.aca_subsidyCliffMagi.asWholeDollars()}): ${data.aca_lostPremiumTaxCredit.asWholeDollars()} premium tax credit lost`
+                      : `MAGI ${data.aca_magi.asWholeDollars()} is over the subsidy cliff (${data.aca_subsidyCliffMagi.asWholeDollars()}): no premium tax credit`,
+                }
+              : undefined,
+          });
+        },
+      },
     ],
   },
   // Cash sources group (NEW)
@@ -690,6 +765,13 @@ const columnGroups = [
           money("income", calc.reportData.ss_combinedGross, {
             index,
             action: "showSsGrossBreakdown",
+            badge:
+              calc.reportData.ss_trustFundCutRate > 0
+                ? {
+                    emoji: "✂️",
+                    tooltip: `Trust fund shortfall: benefits cut ${(calc.reportData.ss_trustFundCutRate * 100).round(1)}% (-${calc.reportData.ss_trustFundCut.asWholeDollars()})`,
+                  }
+                : undefined,
           }),
       },
       // {
@@ -757,6 +839,14 @@ const columnGroups = [
             action: "showTaxesBreakdown",
           }),
       },
+      {
+        label: "State Tax",
+        render: (calc, index) =>
+          money("outgoing", calc.reportData.taxes_stateIncomeTaxOwed, {
+            index,
+            action: "showTaxesBreakdown",
+          }),
+      },
       {
         label: "Shortfall",
         render: (calc, _) =>
@@ -778,6 +868,43 @@ const columnGroups = [
       },
     ],
   },
+  {
+    id: "rothConversions",
+    label: "Roth Conversions",
+    className: "conversion-header",
+    visible: true,
+    order: 35,
+    columns: [
+      {
+        label: "Converted",
+        render: (calc) =>
+          money("neutral", calc.reportData.income_combinedRothConversion),
+        renderLifetime: (impact) => money("neutral", impact.totalConverted),
+      },
+      {
+        label: "Added Tax",
+        render: (calc) =>
+          money("outgoing", calc.reportData.taxes_rothConversionTax),
+        renderLifetime: (impact) => money("outgoing", impact.totalAddedTax),
+      },
+      {
+        label: "RMD Change",
+        render: (calc) =>
+          money(
+            "neutral",
+            currentRothConversionImpact?.rmdChangeFor(calc.year)
+          ),
+        renderLifetime: (impact) =>
+          td(
+            "neutral",
+            withOptionalBadge(impact.rmdChange.asWholeDollars(), {
+              emoji: "ℹ️",
+              tooltip: `Lifetime RMDs ${impact.lifetimeRmds.asWholeDollars()} vs ${impact.baselineLifetimeRmds.asWholeDollars()} without conversions`,
+            })
+          ),
+      },
+    ],
+  },
   // Account balances group (NEW)
   {
     id: "balances",
@@ -858,6 +985,29 @@ function buildSummaryRow(calculation, index) {
   return tr(...cells);
 }
 
+/**
+ * Totals row for the Roth conversion columns
+ * @param {RothConversionImpact} impact
+ * @returns {HTMLTableRowElement}
+ */
+function buildLifetimeRow(impact) {
+  const cells = [td("neutral", "Lifetime"), textTd("neutral", "")];
+
+  for (const group of getOrderedGroups()) {
+    if (!group.visible) continue;
+
+    for (const column of group.columns) {
+      cells.push(
+        column.renderLifetime
+          ? column.renderLifetime(impact)
+          : textTd("neutral", "")
+      );
+    }
+  }
+
+  return tr(...cells);
+}
+
 function generateTestCategorySummaryDump() {
   const calculations = currentCalculations?.getAllCalculations();
   if (!calculations || calculations.length === 0) return;
@@ -919,65 +1069,7 @@ function generateCSV() {
   const calculations = currentCalculations?.getAllCalculations();
   if (!calculations || calculations.length === 0) return;
 
-  // Get all the field names from ReportData.dumpOrder
-  const fields = ReportData.dumpOrder;
-
-  // Create CSV headers
-  const headers = fields.join(",");
-
-  // Create CSV rows for each calculation
-  const rows = calculations.map((calc) => {
-    return fields
-      .map((field) => {
-        // Get the value from reportData for this field
-        // @ts-ignore - Dynamic property access for CSV export
-        let value = calc.reportData[field];
-
-        // If undefined, try to find a getter with the same name
-        if (value === undefined) {
-          // Check if there's a getter on the object or its prototype chain
-          let obj = calc.reportData;
-          while (obj) {
-            const descriptor = Object.getOwnPropertyDescriptor(obj, field);
-            if (descriptor && descriptor.get) {
-              value = descriptor.get.call(calc.reportData);
-              break;
-            }
-            obj = Object.getPrototypeOf(obj);
-          }
-        }
-
-        // Handle different value types
-        if (value === null || value === undefined) {
-          return "";
-        }
-
-        // // If it's a number with currency formatting, extract the numeric value
-        // if (typeof value === "object" && value.asCurrency) {
-        //   value = value.asCurrency();
-        // } else if (typeof value === "object" && value.asWholeDollars) {
-        //   value = value.asWholeDollars();
-        // }
-
-        // Convert to string and escape CSV special characters
-        let stringValue = String(value);
-
-        // If the value contains commas, quotes, or newlines, wrap in quotes and escape quotes
-        if (
-          stringValue.includes(",") ||
-          stringValue.includes('"') ||
-          stringValue.includes("\n")
-        ) {
-          stringValue = '"' + stringValue.replace(/"/g, '""') + '"';
-        }
-
-        return stringValue;
-      })
-      .join(",");
-  });
-
-  // Combine headers and rows
-  const csv = [headers, ...rows].join("\n");
+  const csv = reportDataToCSV(calculations);
 
   const blob = new Blob([csv], { type: "text/csv" });
   const url = URL.createObjectURL(blob);
@@ -994,45 +1086,7 @@ function generateJSON() {
   const calculations = currentCalculations?.getAllCalculations();
   if (!calculations || calculations.length === 0) return;
 
-  // Get all the field names from ReportData.dumpOrder
-  const fields = ReportData.dumpOrder;
-
-  // Create JSON array with each calculation as an object
-  const jsonData = calculations.map((calc) => {
-    const row = /** @type {Record<string, any>} */ ({});
-
-    fields.forEach((field) => {
-      // Get the value from reportData for this field
-      // @ts-ignore - Dynamic property access for JSON export
-      let value = calc.reportData[field];
-
-      // If undefined, try to find a getter with the same name
-      if (value === undefined) {
-        // Check if there's a getter on the object or its prototype chain
-        let obj = calc.reportData;
-        while (obj) {
-          const descriptor = Object.getOwnPropertyDescriptor(obj, field);
-          if (descriptor && descriptor.get) {
-            value = descriptor.get.call(calc.reportData);
-            break;
-          }
-          obj = Object.getPrototypeOf(obj);
-        }
-      }
-
-      // Handle different value types
-      if (value === null || value === undefined) {
-        row[field] = null;
-      } else {
-        // Keep primitive values as is
-        row[field] = value;
-      }
-    });
-
-    return row;
-  });
-
-  const json = JSON.stringify(jsonData, null, 2);
+  const json = reportDataToJSON(calculations);
 
   const blob = new Blob([json], { type: "application/json" });
   const url = URL.createObjectURL(blob);
@@ -1058,10 +1112,16 @@ function generateJSON() {
  * Generate final summary, write table, and update KPIs
  * @param {Inputs | undefined} inputs
  * @param {Calculations | null} calculations
+ * @param {RothConversionImpact | null} [rothConversionImpact]
  */
-function generateOutputAndSummary(inputs, calculations) {
+function generateOutputAndSummary(
+  inputs,
+  calculations,
+  rothConversionImpact = null
+) {
   currentInputs = inputs;
   currentCalculations = calculations;
+  currentRothConversionImpact = rothConversionImpact;
 
   buildTableHead();
 
@@ -1091,6 +1151,10 @@ function generateOutputAndSummary(inputs, calculations) {
 
   tbody.replaceChildren(...allCalcs.map(buildSummaryRow));
 
+  if (rothConversionImpact) {
+    tbody.appendChild(buildLifetimeRow(rothConversionImpact));
+  }
+
   /////////////////////////////////////////////////////////////
   // CLICK HANDLING (EVENT DELEGATION)
   /////////////////////////////////////////////////////////////
@@ -1135,7 +1199,7 @@ function generateOutputAndSummary(inputs, calculations) {
 
   for (const calc of allCalcs) {
     const totalCash = calc.reportData.cash_total_inflows;
-    const ask = calc.reportData.projectedSpend;
+    const ask = calc.reportData.spending_total;
 
     if (totalCash < ask) {
       // debugger;
@@ -1170,6 +1234,40 @@ function generateOutputAndSummary(inputs, calculations) {
     ).asWholeDollars();
   }
 
+  currentLegacyAnalysis = LegacyAnalysis.CreateFrom(inputs, calculations);
+  const kpiLegacy = divById("kpiLegacy");
+
+  if (kpiLegacy && currentLegacyAnalysis) {
+    kpiLegacy.replaceChildren(
+      currentLegacyAnalysis.afterTaxLegacy.asWholeDollars()
+    );
+
+    if (currentLegacyAnalysis.exceedsEstateTaxExemption) {
+      kpiLegacy.append(el("span", { className: "pill alert" }, "Estate tax"));
+    }
+
+    if (currentRothConversionImpact) {
+      const change = currentRothConversionImpact.legacyChange;
+      kpiLegacy.append(
+        el(
+          "span",
+          {
+            className: "pill " + (change >= 0 ? "ok" : "alert"),
+            title: `${currentRothConversionImpact.baselineAfterTaxLegacy.asWholeDollars()} without Roth conversions`,
+          },
+          `${change >= 0 ? "+" : ""}${change.asWholeDollars()} vs no conversions`
+        )
+      );
+    }
+
+    if (!kpiLegacy.dataset.legacyHandlerAttached) {
+      kpiLegacy.addEventListener("click", () =>
+        showLegacyBreakdown(currentLegacyAnalysis)
+      );
+      kpiLegacy.dataset.legacyHandlerAttached = "true";
+    }
+  }
+
   const kpiDraw = divById("kpiDraw");
 
   if (kpiDraw) {
@@ -0,0 +1,179 @@
+// retirement-ui-backtest.js
+
+import { ASSET_CLASSES } from "./cAccount.js";
+import { HistoricalBacktester } from "./cHistoricalBacktester.js";
+import { HistoricalMarketData } from "./cHistoricalMarketData.js";
+import { ensurePopup } from "./popup-engine.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cHistoricalBacktester.js").BacktestResults} BacktestResults
+ */
+
+/**
+ * @typedef BacktestPopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+const pct = (/** @type {number} */ n) => `${(n * 100).toFixed(1)}%`;
+
+/**
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readPercent(root, selector, fallback) {
+  const input = root.querySelector(selector);
+  if (!(input instanceof HTMLInputElement)) return fallback;
+
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value / 100 : fallback;
+}
+
+/**
+ * @param {BacktestResults} results
+ * @returns {string}
+ */
+function renderResults(results) {
+  const failing =
+    results.failingStartYears.length > 0
+      ? results.failingStartYears.join(", ")
+      : "None";
+
+  const worst = results.worstCase;
+  const worstSequenceRows = (worst?.sequence ?? [])
+    .slice(0, 10)
+    .map(
+      (y) => `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">${y.year}</span>
+      <span class="ss-breakdown-value">Stocks ${pct(y.stocks)} · Bonds ${pct(y.bonds)} · CPI ${pct(y.inflation)}</span>
+    </div>`
+    )
+    .join("");
+
+  return `
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">Historical success rate</span>
+      <span class="ss-breakdown-value">${pct(results.probabilityOfSuccess)} of ${results.runs.length} start years</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Failing start years</span>
+      <span class="ss-breakdown-value">${failing}</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Minimum ending balance</span>
+      <span class="ss-breakdown-value">${results.endingBalance.min.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Median ending balance</span>
+      <span class="ss-breakdown-value">${results.endingBalance.median.asWholeDollars()}</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Maximum ending balance</span>
+      <span class="ss-breakdown-value">${results.endingBalance.max.asWholeDollars()}</span>
+    </div>
+    ${
+      worst
+        ? `<h4>Worst case: starting ${worst.run.startYear}${
+            worst.run.depletionAge !== null
+              ? ` (depleted at age ${worst.run.depletionAge})`
+              : ""
+          }</h4>
+    ${worstSequenceRows}`
+        : ""
+    }
+  `;
+}
+
+/**
+ * @param {BacktestPopupDeps} deps
+ */
+export function openBacktestPopup(deps) {
+  const popup = ensurePopup("backtest", "Historical Backtest");
+
+  popup.setContent(`
+    <div style="display:grid; gap:12px;">
+      <div class="grid-2">
+        <label>401k stocks (%) <input id="btTrad401kStocks" type="number" min="0" max="100" step="5" value="60"></label>
+        <label>Roth stocks (%) <input id="btRothStocks" type="number" min="0" max="100" step="5" value="80"></label>
+      </div>
+      <div style="display:flex; align-items:center; gap:5px;">
+        <input type="checkbox" id="btUseHistoricalInflation" style="width:auto;" checked />
+        <label for="btUseHistoricalInflation">Use historical inflation (CPI)</label>
+      </div>
+      <div class="hint">
+        The remainder of each retirement account is held in 10-year Treasuries;
+        savings earn T-bill returns. Data covers ${HistoricalMarketData.firstYear}-${HistoricalMarketData.lastYear}.
+      </div>
+      <div>
+        <button id="runBacktestBtn" type="button">Run Backtest</button>
+      </div>
+      <div id="backtestResults"></div>
+    </div>
+  `);
+
+  const runButton = popup.root.querySelector("#runBacktestBtn");
+  const resultsHost = popup.root.querySelector("#backtestResults");
+
+  if (
+    !(runButton instanceof HTMLButtonElement) ||
+    !(resultsHost instanceof HTMLElement)
+  ) {
+    return;
+  }
+
+  runButton.addEventListener("click", () => {
+    const inputs = deps.parseInputParameters();
+    if (!inputs || !inputs.isValid()) return;
+
+    const trad401kStocks = readPercent(popup.root, "#btTrad401kStocks", 0.6);
+    const rothStocks = readPercent(popup.root, "#btRothStocks", 0.8);
+    const inflationCheckbox = popup.root.querySelector(
+      "#btUseHistoricalInflation"
+    );
+
+    const options = {
+      allocations: {
+        [ASSET_CLASSES.TRAD_401K]: {
+          stocks: trad401kStocks,
+          bonds: 1 - trad401kStocks,
+          cash: 0,
+        },
+        [ASSET_CLASSES.ROTH]: {
+          stocks: rothStocks,
+          bonds: 1 - rothStocks,
+          cash: 0,
+        },
+      },
+      useHistoricalInflation:
+        inflationCheckbox instanceof HTMLInputElement
+          ? inflationCheckbox.checked
+          : true,
+    };
+
+    runButton.disabled = true;
+    resultsHost.textContent = "Running backtest…";
+
+    // Yield so the status text paints before the (synchronous) backtest
+    setTimeout(() => {
+      try {
+        const results = HistoricalBacktester.CreateUsing(inputs, options).run();
+        resultsHost.innerHTML = renderResults(results);
+      } catch (error) {
+        resultsHost.textContent = "";
+        deps.showToast(
+          "Backtest Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        runButton.disabled = false;
+      }
+    }, 0);
+  });
+
+  popup.show();
+}
@@ -30,6 +30,22 @@ const helpTexts = {
     title: "Annual Spending Decline",
     body: "The percentage by which your spending decreases each year in retirement. Many retirees spend less as they age due to reduced activity and travel.",
   },
+  spendingPolicy: {
+    title: "Spending Policy",
+    body: "Fixed spending grows with inflation every year regardless of markets. Guardrails (Guyton-Klinger) starts from the same first-year spending, then each year compares the withdrawal rate (spending not covered by Social Security, pensions and other income, divided by the portfolio) to the first year's rate: spending is cut when it rises past the upper guardrail, raised when it falls below the lower one, and gets no inflation raise after a year the portfolio lost money. Spending overrides still apply in their years.",
+  },
+  guardrailUpperLimit: {
+    title: "Upper Guardrail",
+    body: "How far the withdrawal rate may rise above the first retirement year's rate before spending is cut. At 20% a 5% initial rate allows up to 6%.",
+  },
+  guardrailLowerLimit: {
+    title: "Lower Guardrail",
+    body: "How far the withdrawal rate may fall below the first retirement year's rate before spending is raised. At 20% a 5% initial rate raises spending below 4%.",
+  },
+  guardrailAdjustment: {
+    title: "Guardrail Cut / Raise",
+    body: "Share of spending cut when the upper guardrail is crossed, or added when the lower one is. Guyton and Klinger used 10%.",
+  },
   partnerAge: {
     title: "Spouse Current Age",
     body: "Your partner's current age in years. Set to 0 if you don't have a partner. This affects Social Security and pension benefit calculations.",
@@ -76,7 +92,79 @@ const helpTexts = {
   },
   startingSavingsBalance: {
     title: "Savings Balance",
-    body: "Total savings starting balance for regular taxable investment accounts like brokerage accounts, savings, or CDs.",
+    body: "Total starting balance for savings accounts, money market funds and CDs. Enter taxable investments separately as the brokerage balance.",
+  },
+  brokerageBalance: {
+    title: "Brokerage Balance",
+    body: "Current market value of taxable brokerage accounts. Dividends are reinvested and taxed each year; withdrawals sell shares and realize capital gains.",
+  },
+  brokerageCostBasis: {
+    title: "Brokerage Cost Basis",
+    body: "What you paid for the brokerage holdings you own today. The difference between the balance and the cost basis is the unrealized gain that sales will tax.",
+  },
+  brokerageGrowthRate: {
+    title: "Brokerage Price Growth",
+    body: "Expected annual price growth of brokerage holdings, not counting dividends. Growth is taxed only when shares are sold.",
+  },
+  brokerageDividendYield: {
+    title: "Brokerage Dividend Yield",
+    body: "Dividends paid each year as a percentage of the brokerage balance. They are reinvested and taxed in the year they are paid.",
+  },
+  brokerageQualifiedDividends: {
+    title: "Qualified Dividends",
+    body: "Share of dividends that are qualified and taxed at the 0/15/20% capital gains rates. The rest is taxed as ordinary income.",
+  },
+  costBasisMethod: {
+    title: "Cost Basis Method",
+    body: "How shares are chosen when brokerage money is withdrawn. Average cost sells every lot pro rata, FIFO sells the oldest lots first, and HIFO sells the highest cost lots first to realize the least gain.",
+  },
+  hsaBalance: {
+    title: "HSA Balance",
+    body: "Current balance of your Health Savings Account. Healthcare expenses are paid from the HSA first, tax-free. Other withdrawals are taxed as income and, before 65, carry a 20% penalty, so the HSA is only tapped for spending once everything else is exhausted.",
+  },
+  hsaReturnRate: {
+    title: "HSA Return Rate",
+    body: "Expected annual return on the HSA balance. Growth is never taxed.",
+  },
+  hsaCoverage: {
+    title: "HSA Coverage",
+    body: "The high-deductible health plan you are enrolled in while working. It sets the annual contribution limit: self-only or family, plus a $1,000 catch-up from age 55. Contributions stop at retirement and at Medicare enrollment (65).",
+  },
+  hsaAnnualContribution: {
+    title: "HSA Annual Contribution",
+    body: "How much you contribute to the HSA each working year through payroll, including any employer contribution. Contributions are pre-tax and are capped at the limit for your coverage.",
+  },
+  healthcareInflationRate: {
+    title: "Healthcare Inflation",
+    body: "Annual growth rate of healthcare costs, which usually outpaces general inflation. It inflates the age cost curve and any healthcare amounts entered in current year values.",
+  },
+  useHealthcareCostCurve: {
+    title: "Estimate Healthcare Costs by Age",
+    body: "On by default. When no healthcare amounts are entered, estimate out-of-pocket costs for each living household member from a typical age curve: about $3,500 a year before 45, rising to $7,000 at 55–64, easing to $6,500 once Medicare starts at 65 and climbing to $9,500 from 85 (2025 dollars, grown at the healthcare inflation rate).",
+  },
+  includeMedicarePremiums: {
+    title: "Medicare Premiums",
+    body: "Pay Medicare Part B and Part D premiums for each living household member from age 65 ($185.00 and $36.78 a month in 2025, grown at the healthcare inflation rate). Above certain incomes IRMAA surcharges are added, based on modified AGI from two years earlier. Leave the age cost curve off or lower your entered amounts to avoid counting premiums twice.",
+  },
+  priorYearsMagi: {
+    title: "Recent MAGI",
+    body: "Modified adjusted gross income on your last tax returns. Medicare uses it to set IRMAA surcharges in the plan's first two years; later years use the plan's own projected income.",
+  },
+  irmaaIndexing: {
+    title: "IRMAA Threshold Indexing",
+    body: "How the IRMAA income thresholds grow from their 2025 values: with the plan's inflation rate, at a fixed rate you choose, or frozen, which pushes more households over them over time.",
+  },
+  acaBenchmarkPremium: {
+    title: "Marketplace Benchmark Premium",
+    body: "Annual premium of the second lowest cost silver plan for the household, in today's dollars (healthcare.gov shows it). From retirement until 65 the household buys this plan; each spouse drops off at 65 and the premium grows at the healthcare inflation rate. The premium tax credit covers the amount above a share of MAGI and comes back with your taxes.",
+  },
+  acaSubsidyRule: {
+    title: "Subsidy Cliff Rule",
+    body: "Original ACA rules end the premium tax credit entirely once MAGI is above 400% of the poverty line. The enhanced rules in effect for 2021–2025 have no cliff and cap the expected contribution at 8.5% of MAGI.",
+  },
+  acaKeepMagiUnderCliff: {
+    title: "Keep MAGI Under the Cliff",
+    body: "Limit 401k withdrawals while anyone is on marketplace coverage so MAGI stays a dollar under the subsidy cliff. Savings, brokerage and Roth money cover the rest of the year's spending; once they run out the 401k covers it anyway and the credit lost over the cliff is reported. Roth conversions are not limited.",
   },
   workingYearsSpending: {
     title: "Working Years Spending",
@@ -106,10 +194,30 @@ const helpTexts = {
     title: "Social Security Start Age",
     body: "The age at which you plan to start claiming Social Security benefits. You can claim as early as 62 or delay until 70 for larger benefits.",
   },
+  ssStartMonth: {
+    title: "Social Security Start Month",
+    body: "Months past the start age that benefits begin, from 0 to 11. Benefits are paid only for the months remaining in that first year, and a PIA is adjusted for the exact claiming age in months.",
+  },
+  ssPia: {
+    title: "Primary Insurance Amount (PIA)",
+    body: "Your monthly benefit at full retirement age in today's dollars, from your Social Security statement. When set, it replaces the first-year amount: claiming before full retirement age reduces it by 5/9 of 1% a month for up to 36 months and 5/12 of 1% for each month beyond, and each month of delay past it up to 70 adds 2/3 of 1%. With a PIA for each spouse, the lower earner is topped up to half the other's PIA once both have claimed, and a survivor steps up to the larger of their own benefit and the deceased's. Leave a spouse's PIA and monthly benefit at 0 if they have no work record of their own.",
+  },
+  birthYear: {
+    title: "Birth Year",
+    body: "Sets full retirement age for a PIA: 66 for those born 1943-1954, rising two months a year to 67 for those born 1960 or later. Leave at 0 to use the starting year less the current age.",
+  },
   ssCola: {
     title: "Social Security COLA",
     body: "The annual cost-of-living adjustment for Social Security, typically around 2-3% per year to keep pace with inflation.",
   },
+  ssBenefitCut: {
+    title: "Trust Fund Shortfall Cut",
+    body: "Percentage cut to all Social Security benefits, including spousal and survivor benefits, if the trust fund runs short. Projections suggest about 20% from 2034 if Congress does not act. Taxes on benefits are figured on the reduced amount.",
+  },
+  ssBenefitCutYear: {
+    title: "Cut Start Year",
+    body: "First calendar year benefits are cut. Earlier years are paid in full. Leave at 0 for no cut.",
+  },
   penMonthly: {
     title: "Pension Benefit",
     body: "Your estimated monthly pension benefit in the first year you receive it. Set to 0 if you don't have a pension.",
@@ -148,11 +256,79 @@ const helpTexts = {
   },
   filingStatus: {
     title: "Tax Filing Status",
-    body: "Your tax filing status affects Social Security taxation thresholds and Taxable Income-based tax calculations. Single filers have lower thresholds for SS taxation than married filing jointly.",
+    body: "Your tax filing status affects Social Security taxation thresholds and Taxable Income-based tax calculations. Single filers have lower thresholds for SS taxation than married filing jointly. After a spouse dies the survivor files as single, or with a qualifying dependent as a qualifying surviving spouse for two years and head of household after that. Each filer aged 65 or older adds the extra standard deduction and, for 2025-2028, the senior deduction (phased out above $75,000 of MAGI, $150,000 joint).",
+  },
+  stateOfResidence: {
+    title: "State of Residence",
+    body: "State income tax is figured on federal AGI, minus the Social Security, pension and retirement account income the state exempts, minus the state's deductions and exemptions, using bundled tables for each state. States without an income tax owe nothing. Not modeled skips state tax entirely.",
+  },
+  relocationState: {
+    title: "Relocation",
+    body: "Switch to another state's tax from the starting tax year on, for example a planned move in retirement. Part-year residency is not modeled; the new state applies to the whole starting year.",
+  },
+  heirTaxRate: {
+    title: "Heirs' Tax Rate",
+    body: "Income tax rate your heirs pay on what they inherit from pre-tax accounts. An inherited 401k must be emptied within 10 years, so it is drawn in ten equal distributions taxed at this rate; an inherited HSA is taxed in full. Roth balances pass tax-free and brokerage holdings get a step-up in basis.",
+  },
+  estateTaxExemption: {
+    title: "Estate Tax Exemption",
+    body: "Estate size, in today's dollars, that passes free of federal estate tax. It grows with inflation to the last year of the plan, and anything above it is taxed at 40%. Leave at 0 to skip the check.",
+  },
+  hasQualifyingDependent: {
+    title: "Qualifying Dependent",
+    body: "Check if a dependent child or relative lives with you. Unmarried filers then use head of household brackets and standard deduction, and a widowed filer uses the joint brackets as a qualifying surviving spouse for the two years after the spouse's death.",
   },
   useRMD: {
     title: "Required Minimum Distribution Rules",
-    body: "When enabled, enforces mandatory withdrawals from pre-tax retirement accounts (401k, traditional IRA) starting at age 73. RMD amounts are calculated based on IRS life expectancy tables and account balances. These withdrawals are required by law and failure to take them results in significant penalties.",
+    body: "When enabled, enforces mandatory withdrawals from pre-tax retirement accounts (401k, traditional IRA) starting at age 73, or 75 for anyone born in 1960 or later (SECURE 2.0). Each year's RMD is the prior year-end balance divided by the IRS Uniform Lifetime Table factor for the owner's age. These withdrawals are required by law and failure to take them results in significant penalties.",
+  },
+  lifeTableSex: {
+    title: "Life Table",
+    body: "Which bundled SSA period life table sets this person's survival odds in the Longevity Analysis: male, female, or unisex (the average of the two). The projection itself still uses the estimated lifespan.",
+  },
+  spouseSoleBeneficiary: {
+    title: "Spouse Is Sole Beneficiary",
+    body: "When each spouse is the only beneficiary of the other's 401k and is more than 10 years younger than the owner, the IRS Joint and Last Survivor Table is used instead of the Uniform Lifetime Table. Its longer life expectancy lowers the required distribution.",
+  },
+  rothConversionStrategy: {
+    title: "Roth Conversion Strategy",
+    body: "Moves money from each 401k to the same person's Roth IRA during retirement. The converted amount is taxed as ordinary income that year, but later growth and withdrawals are tax-free and it no longer counts toward RMDs. Fixed amount converts the same amount (in today's dollars) each year. Fill bracket converts just enough to reach the top of the chosen federal bracket. Until RMD age spreads each 401k balance evenly over the years left before RMDs begin (73, or 75 for anyone born in 1960 or later).",
+  },
+  rothConversionAmount: {
+    title: "Annual Conversion Amount",
+    body: "Combined amount converted each year under the fixed amount strategy, in today's dollars. It is split between the subject's and partner's 401k in proportion to their balances.",
+  },
+  rothConversionBracket: {
+    title: "Bracket to Fill",
+    body: "Under the fill bracket strategy, conversions stop once taxable income reaches the top of this federal bracket, taking the extra Social Security that becomes taxable into account. Under a future tax law without this rate, the nearest bracket is filled.",
+  },
+  rothConversionTaxSource: {
+    title: "Pay Conversion Taxes From",
+    body: "Savings pays the added tax with the year's tax bill, so the full amount lands in the Roth. Withheld sends the estimated added tax straight from the 401k to taxes, so less reaches the Roth.",
+  },
+  withdrawalStrategy: {
+    title: "Withdrawal Strategy",
+    body: "Proportional draws from savings, Roth and 401k in proportion to their balances. Fill bracket draws 401k money only until taxable income reaches the top of the chosen federal bracket, then covers the rest of the year's spending from savings and Roth. RMDs are always taken in full.",
+  },
+  withdrawalBracket: {
+    title: "Bracket to Fill",
+    body: "Under the fill bracket strategy, 401k withdrawals stop once taxable income reaches the top of this federal bracket (adjusted for inflation each year), taking the extra Social Security that becomes taxable into account. Under a future tax law without this rate, the nearest bracket is filled.",
+  },
+  taxLawRegime: {
+    title: "Future Tax Law",
+    body: "Current law uses the published IRS brackets and standard deduction for each year through 2026 and indexes them afterwards. Pre-TCJA brings back the 2017 brackets, standard deduction and personal exemptions, indexed to the year they apply. Custom uses the schedule entered below.",
+  },
+  taxLawChangeYear: {
+    title: "Starting Tax Year",
+    body: "First tax year the chosen law applies. Earlier years use current law. Leave blank to apply it to every year of the plan.",
+  },
+  taxBracketIndexing: {
+    title: "Bracket Indexing",
+    body: "How bracket thresholds and deductions grow after the last published year: with the plan's inflation rate, at a fixed rate you choose, or frozen at their last published values (bracket creep).",
+  },
+  customTaxSchedule: {
+    title: "Custom Tax Schedule",
+    body: "JSON with the year its dollar amounts are stated in, single and mfj brackets as {rate, upTo} in rising order (leave upTo off the last bracket), and an optional standardDeduction and personalExemption. Amounts are indexed from that year like the published tables.",
   },
 };
 
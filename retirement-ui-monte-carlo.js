@@ -0,0 +1,226 @@
+// retirement-ui-monte-carlo.js
+
+import { ASSET_CLASSES } from "./cAccount.js";
+import { MonteCarloSimulator } from "./cMonteCarloSimulator.js";
+import { ensurePopup } from "./popup-engine.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cMonteCarloSimulator.js").MonteCarloResults} MonteCarloResults
+ */
+
+/**
+ * @typedef MonteCarloPopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+/**
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumber(root, selector, fallback) {
+  const input = root.querySelector(selector);
+  if (!(input instanceof HTMLInputElement)) return fallback;
+
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @returns {number | null} null when the field is left blank
+ */
+function readOptionalNumber(root, selector) {
+  const input = root.querySelector(selector);
+  if (!(input instanceof HTMLInputElement)) return null;
+
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @returns {number | null}
+ */
+function readOptionalPercent(root, selector) {
+  const value = readOptionalNumber(root, selector);
+  return value === null ? null : value / 100;
+}
+
+/**
+ * @param {MonteCarloResults} results
+ * @returns {string}
+ */
+function renderResults(results) {
+  const percentileRows = results.endingBalancePercentiles
+    .map(
+      (p) => `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">${p.percentile}th percentile</span>
+      <span class="ss-breakdown-value">${p.endingBalance.asWholeDollars()}</span>
+    </div>`
+    )
+    .join("");
+
+  const depletionRows =
+    results.depletionAges.length === 0
+      ? `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">No trial ran out of money</span>
+      <span class="ss-breakdown-value"></span>
+    </div>`
+      : results.depletionAges
+          .map(
+            (d) => `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Age ${d.age}</span>
+      <span class="ss-breakdown-value">${d.count} (${(d.probability * 100).toFixed(1)}%)</span>
+    </div>`
+          )
+          .join("");
+
+  return `
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">Probability of success</span>
+      <span class="ss-breakdown-value">${(results.probabilityOfSuccess * 100).toFixed(1)}%</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Successful trials</span>
+      <span class="ss-breakdown-value">${results.successCount} of ${results.trials}</span>
+    </div>
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">Median depletion age</span>
+      <span class="ss-breakdown-value">${results.medianDepletionAge ?? "—"}</span>
+    </div>
+    <h4>Ending balance</h4>
+    ${percentileRows}
+    <h4>Depletion age distribution</h4>
+    ${depletionRows}
+  `;
+}
+
+/**
+ * @param {MonteCarloPopupDeps} deps
+ */
+export function openMonteCarloPopup(deps) {
+  const popup = ensurePopup("monteCarlo", "Monte Carlo Analysis");
+
+  popup.setContent(`
+    <div style="display:grid; gap:12px;">
+      <div class="grid-2">
+        <label>Trials <input id="mcTrials" type="number" min="1" step="100" value="500"></label>
+        <label>Seed <input id="mcSeed" type="number" step="1" value="12345"></label>
+      </div>
+      <div class="grid-2">
+        <label>401k mean return (%) <input id="mcTrad401kMean" type="number" step="0.5" placeholder="Account rate"></label>
+        <label>401k volatility (%) <input id="mcTrad401kVolatility" type="number" step="0.5" value="12"></label>
+      </div>
+      <div class="grid-2">
+        <label>Roth mean return (%) <input id="mcRothMean" type="number" step="0.5" placeholder="Account rate"></label>
+        <label>Roth volatility (%) <input id="mcRothVolatility" type="number" step="0.5" value="15"></label>
+      </div>
+      <div class="grid-2">
+        <label>Savings mean return (%) <input id="mcSavingsMean" type="number" step="0.5" placeholder="Account rate"></label>
+        <label>Savings volatility (%) <input id="mcSavingsVolatility" type="number" step="0.5" value="1"></label>
+      </div>
+      <div class="hint">
+        Leave a mean return blank to use the return rate entered for that account.
+      </div>
+      <div class="grid-2">
+        <label>401k / Roth correlation <input id="mcTrad401kRothCorrelation" type="number" min="-1" max="1" step="0.05" value="0.85"></label>
+        <label>401k / Savings correlation <input id="mcTrad401kSavingsCorrelation" type="number" min="-1" max="1" step="0.05" value="0.1"></label>
+      </div>
+      <div class="grid-2">
+        <label>Roth / Savings correlation <input id="mcRothSavingsCorrelation" type="number" min="-1" max="1" step="0.05" value="0.1"></label>
+      </div>
+      <div>
+        <button id="runMonteCarloBtn" type="button">Run Simulation</button>
+      </div>
+      <div id="monteCarloResults"></div>
+    </div>
+  `);
+
+  const runButton = popup.root.querySelector("#runMonteCarloBtn");
+  const resultsHost = popup.root.querySelector("#monteCarloResults");
+
+  if (
+    !(runButton instanceof HTMLButtonElement) ||
+    !(resultsHost instanceof HTMLElement)
+  ) {
+    return;
+  }
+
+  runButton.addEventListener("click", () => {
+    const inputs = deps.parseInputParameters();
+    if (!inputs || !inputs.isValid()) return;
+
+    const trad401kRoth = readNumber(
+      popup.root,
+      "#mcTrad401kRothCorrelation",
+      0.85
+    );
+    const trad401kSavings = readNumber(
+      popup.root,
+      "#mcTrad401kSavingsCorrelation",
+      0.1
+    );
+    const rothSavings = readNumber(
+      popup.root,
+      "#mcRothSavingsCorrelation",
+      0.1
+    );
+
+    /** @type {import("./cMonteCarloSimulator.js").MonteCarloOptions} */
+    const options = {
+      trials: Math.round(readNumber(popup.root, "#mcTrials", 500)),
+      seed: Math.round(readNumber(popup.root, "#mcSeed", 12345)),
+      assetClasses: {
+        [ASSET_CLASSES.TRAD_401K]: {
+          mean: readOptionalPercent(popup.root, "#mcTrad401kMean"),
+          volatility: readNumber(popup.root, "#mcTrad401kVolatility", 12) / 100,
+        },
+        [ASSET_CLASSES.ROTH]: {
+          mean: readOptionalPercent(popup.root, "#mcRothMean"),
+          volatility: readNumber(popup.root, "#mcRothVolatility", 15) / 100,
+        },
+        [ASSET_CLASSES.SAVINGS]: {
+          mean: readOptionalPercent(popup.root, "#mcSavingsMean"),
+          volatility: readNumber(popup.root, "#mcSavingsVolatility", 1) / 100,
+        },
+      },
+      // Ordered trad401k, roth, savings
+      correlations: [
+        [1, trad401kRoth, trad401kSavings],
+        [trad401kRoth, 1, rothSavings],
+        [trad401kSavings, rothSavings, 1],
+      ],
+    };
+
+    runButton.disabled = true;
+    resultsHost.textContent = `Running ${options.trials} trials…`;
+
+    // Yield so the status text paints before the (synchronous) simulation
+    setTimeout(() => {
+      try {
+        const results = MonteCarloSimulator.CreateUsing(inputs, options).run();
+        resultsHost.innerHTML = renderResults(results);
+      } catch (error) {
+        resultsHost.textContent = "";
+        deps.showToast(
+          "Monte Carlo Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        runButton.disabled = false;
+      }
+    }, 0);
+  });
+
+  popup.show();
+}
@@ -0,0 +1,185 @@
+// retirement-ui-mortality.js
+
+import { MortalityAnalyzer } from "./cMortalityAnalyzer.js";
+import { ensurePopup } from "./popup-engine.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cMortalityAnalyzer.js").MortalityResults} MortalityResults
+ */
+
+/**
+ * @typedef MortalityPopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+// Survival table rows are shown every few years of the subject's age
+const SURVIVAL_TABLE_STEP = 5;
+
+/**
+ * @param {number} probability
+ * @returns {string}
+ */
+function percent(probability) {
+  return `${(probability * 100).round(1)}%`;
+}
+
+/**
+ * Reads "50, 25, 10" as survival chances 0.5, 0.25 and 0.1
+ *
+ * @param {HTMLElement} root
+ * @returns {number[]}
+ */
+function readSurvivalChances(root) {
+  const input = root.querySelector("#moPercentiles");
+  if (!(input instanceof HTMLInputElement)) return [];
+
+  return input.value
+    .split(",")
+    .map((part) => parseFloat(part) / 100)
+    .filter((chance) => Number.isFinite(chance));
+}
+
+/**
+ * @param {MortalityResults} results
+ * @param {boolean} showPartner
+ * @returns {string}
+ */
+function renderResults(results, showPartner) {
+  const percentileRows = results.percentiles
+    .map(
+      (row) => `
+      <tr>
+        <td>${percent(row.survivalChance)}</td>
+        <td>${row.subjectLifeSpan}</td>
+        ${showPartner ? `<td>${row.partnerLifeSpan}</td>` : ""}
+        <td>${row.endingBalance.asWholeDollars()}</td>
+        <td><span class="pill ${row.funded ? "ok" : "alert"}">${
+          row.funded ? "Funded" : `Shortfall ${(row.fundedToYear ?? 0) + 1}`
+        }</span></td>
+      </tr>`
+    )
+    .join("");
+
+  const survivalRows = results.years
+    .filter(
+      (row, index) =>
+        index % SURVIVAL_TABLE_STEP === 0 || row.year === results.depletionYear
+    )
+    .map(
+      (row) => `
+      <tr${row.year === results.depletionYear ? ' class="breakdown-accent"' : ""}>
+        <td>${row.year}</td>
+        <td>${row.subjectAge}</td>
+        ${showPartner ? `<td>${row.partnerAge}</td>` : ""}
+        <td>${percent(row.eitherSurvivalPastAge)}</td>
+        <td>${percent(row.coverage)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">Survival-weighted spending coverage</span>
+      <span class="ss-breakdown-value">${percent(results.survivalWeightedCoverage)}</span>
+    </div>
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">Chance of outliving the money${
+        results.depletionYear ? ` (runs out in ${results.depletionYear})` : ""
+      }</span>
+      <span class="ss-breakdown-value">${percent(results.probabilityOfOutlivingMoney)}</span>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Survival chance</th>
+          <th>Subject lifespan</th>
+          ${showPartner ? "<th>Partner lifespan</th>" : ""}
+          <th>Ending balance</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${percentileRows}</tbody>
+    </table>
+    <table>
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Subject age</th>
+          ${showPartner ? "<th>Partner age</th>" : ""}
+          <th>Someone alive past this age</th>
+          <th>Spending covered</th>
+        </tr>
+      </thead>
+      <tbody>${survivalRows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * @param {MortalityPopupDeps} deps
+ */
+export function openMortalityPopup(deps) {
+  const popup = ensurePopup("mortality", "Longevity Analysis");
+
+  popup.setContent(`
+    <div style="display:grid; gap:12px;">
+      <label>Longevity percentiles (% chance of survival)
+        <input id="moPercentiles" type="text" value="50, 25, 10">
+      </label>
+      <div class="hint">
+        Survival odds come from the bundled period life tables picked in each
+        person's details. Coverage and the chance of outliving the money use a
+        projection with both spouses living to the tables' 1% survival age;
+        each percentile reruns the plan with both lifespans set to the age
+        with that chance of survival.
+      </div>
+      <div>
+        <button id="runMortalityBtn" type="button">Analyze Longevity</button>
+      </div>
+      <div id="mortalityResults"></div>
+    </div>
+  `);
+
+  const runButton = popup.root.querySelector("#runMortalityBtn");
+  const resultsHost = popup.root.querySelector("#mortalityResults");
+
+  if (
+    !(runButton instanceof HTMLButtonElement) ||
+    !(resultsHost instanceof HTMLElement)
+  ) {
+    return;
+  }
+
+  runButton.addEventListener("click", () => {
+    const inputs = deps.parseInputParameters();
+    if (!inputs || !inputs.isValid()) return;
+
+    const survivalChances = readSurvivalChances(popup.root);
+
+    runButton.disabled = true;
+    resultsHost.textContent = "Running…";
+
+    // Yield so the status text paints before the (synchronous) runs
+    setTimeout(() => {
+      try {
+        const results = MortalityAnalyzer.CreateUsing(inputs, {
+          survivalChances,
+        }).analyze();
+        resultsHost.innerHTML = renderResults(results, inputs.hasPartner);
+      } catch (error) {
+        resultsHost.textContent = "";
+        deps.showToast(
+          "Longevity Analysis Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        runButton.disabled = false;
+      }
+    }, 0);
+  });
+
+  popup.show();
+}
@@ -0,0 +1,152 @@
+// retirement-ui-pension-elections.js
+
+import { PensionElectionAnalyzer } from "./cPensionElectionAnalyzer.js";
+import { ensurePopup } from "./popup-engine.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cPensionElectionAnalyzer.js").PensionElectionResults} PensionElectionResults
+ */
+
+/**
+ * @typedef PensionElectionPopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+/**
+ * @param {string} value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+/**
+ * @param {PensionElectionResults} results
+ * @returns {string}
+ */
+function renderResults(results) {
+  const rows = results.rows
+    .map(
+      (row) => `
+      <tr${row.key === results.bestKey ? ' class="breakdown-accent"' : ""}>
+        <td>${escapeHtml(row.label)}${row.key === results.currentKey ? " (current)" : ""}</td>
+        <td>${
+          row.lumpSumAmount > 0
+            ? row.lumpSumAmount.asWholeDollars()
+            : `${row.monthlyAmount.asWholeDollars()}/mo`
+        }</td>
+        <td>${row.lifetimePensionIncome.asWholeDollars()}</td>
+        <td>${row.lifetimeHouseholdIncome.asWholeDollars()}</td>
+        <td>${row.endingBalance.asWholeDollars()}</td>
+        <td><span class="pill ${row.funded ? "ok" : "alert"}">${
+          row.funded ? "Funded" : `Shortfall ${(row.fundedToYear ?? 0) + 1}`
+        }</span></td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>Election</th>
+          <th>Payout</th>
+          <th>Lifetime pension</th>
+          <th>Lifetime household income</th>
+          <th>Ending balance</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * @param {PensionElectionPopupDeps} deps
+ */
+export function openPensionElectionPopup(deps) {
+  const inputs = deps.parseInputParameters();
+  if (!inputs) return;
+
+  if (inputs.pensionAnnuities.length === 0) {
+    deps.showToast(
+      "Pension Elections",
+      "Add a pension/annuity before comparing its elections",
+      "info"
+    );
+    return;
+  }
+
+  const popup = ensurePopup("pensionElections", "Pension Election Analyzer");
+
+  const pensionOptions = inputs.pensionAnnuities
+    .map(
+      (p) =>
+        `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)} (${p.owner})</option>`
+    )
+    .join("");
+
+  popup.setContent(`
+    <div style="display:grid; gap:12px;">
+      <label>Pension <select id="peSelect">${pensionOptions}</select></label>
+      <div class="hint">
+        Each election the pension offers is run through the full projection
+        with all other inputs held at their current values. Lump sums are
+        rolled into the owner's 401k at the pension start age.
+      </div>
+      <div>
+        <button id="runPensionElectionsBtn" type="button">Compare Elections</button>
+      </div>
+      <div id="pensionElectionResults"></div>
+    </div>
+  `);
+
+  const runButton = popup.root.querySelector("#runPensionElectionsBtn");
+  const resultsHost = popup.root.querySelector("#pensionElectionResults");
+  const pensionSelect = popup.root.querySelector("#peSelect");
+
+  if (
+    !(runButton instanceof HTMLButtonElement) ||
+    !(resultsHost instanceof HTMLElement) ||
+    !(pensionSelect instanceof HTMLSelectElement)
+  ) {
+    return;
+  }
+
+  runButton.addEventListener("click", () => {
+    const runInputs = deps.parseInputParameters();
+    if (!runInputs || !runInputs.isValid()) return;
+
+    runButton.disabled = true;
+    resultsHost.textContent = "Running…";
+
+    // Yield so the status text paints before the (synchronous) runs
+    setTimeout(() => {
+      try {
+        const results = PensionElectionAnalyzer.CreateUsing(
+          runInputs,
+          pensionSelect.value
+        ).analyze();
+        resultsHost.innerHTML = renderResults(results);
+      } catch (error) {
+        resultsHost.textContent = "";
+        deps.showToast(
+          "Pension Election Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        runButton.disabled = false;
+      }
+    }, 0);
+  });
+
+  popup.show();
+}
@@ -1,13 +1,27 @@
 // retirement-ui-pension-modal.js
 
 import { WithdrawalLimitManager } from "./cWithdrawalLimitsManager.js";
+import {
+  AnnuityPurchase,
+  ANNUITY_SOURCE_ACCOUNTS,
+} from "./cAnnuityPurchase.js";
+import {
+  ANNUITY_ELECTION,
+  LUMP_SUM_ELECTION,
+  PENSION_COLA_TYPES,
+} from "./cPensionElections.js";
 
 /**
  * @typedef {import("./cPensionAnnuityManager.js").PensionAnnuityManager} PensionAnnuityManager
  * @typedef {import("./cPensionAnnuityStorage.js").PensionAnnuityCreate} PensionAnnuityCreate
  * @typedef {import("./cPensionAnnuityStorage.js").PensionAnnuity} PensionAnnuity
+ * @typedef {import("./cPensionAnnuityStorage.js").PensionJointSurvivorOption} PensionJointSurvivorOption
  */
 
+// Joint-and-survivor rows shown in the form; blank rows are not offered
+const JOINT_SURVIVOR_ROWS = 3;
+const DEFAULT_JOINT_SURVIVOR_PERCENTS = [0.5, 0.75, 1];
+
 /**
  * @typedef PensionModalDeps
  * @property {() => void} renderPensionList
@@ -25,6 +39,13 @@ import { WithdrawalLimitManager } from "./cWithdrawalLimitsManager.js";
  * @property {number} monthlyAmount
  * @property {number} withholdingRate   // 0..1
  * @property {number} survivorshipPercent // 0..1
+ * @property {"none"|"fixed"|"cpi"} [colaType]
+ * @property {number} [colaRate]        // 0..1
+ * @property {number} [colaCap]         // 0..1, 0 = uncapped
+ * @property {number} [lumpSumAmount]
+ * @property {PensionJointSurvivorOption[]} [jointSurvivorOptions]
+ * @property {string} [election]
+ * @property {import("./cAnnuityPurchase.js").AnnuityPurchaseTerms} [purchase]
  */
 
 /** @type {HTMLElement|null} */
@@ -63,6 +84,13 @@ export function openPensionCreateModal(pensionManager, defaults, deps) {
     monthlyAmount: defaults.monthlyAmount ?? 0,
     withholdingRate: defaults.withholdingRate ?? 0.15,
     survivorshipPercent: defaults.survivorshipPercent ?? 0,
+    colaType: defaults.colaType ?? PENSION_COLA_TYPES.NONE,
+    colaRate: defaults.colaRate ?? 0,
+    colaCap: defaults.colaCap ?? 0,
+    lumpSumAmount: defaults.lumpSumAmount ?? 0,
+    jointSurvivorOptions: defaults.jointSurvivorOptions ?? [],
+    election: defaults.election ?? ANNUITY_ELECTION,
+    purchase: defaults.purchase,
   };
 
   const overlay = buildModalDom({
@@ -110,6 +138,13 @@ export function openPensionEditModal(pensionManager, id, deps) {
       monthlyAmount: pension.monthlyAmount,
       withholdingRate: pension.withholdingRate,
       survivorshipPercent: pension.survivorshipPercent,
+      colaType: pension.colaType,
+      colaRate: pension.colaRate,
+      colaCap: pension.colaCap,
+      lumpSumAmount: pension.lumpSumAmount,
+      jointSurvivorOptions: pension.jointSurvivorOptions,
+      election: pension.election,
+      purchase: pension.purchase,
     },
   });
 
@@ -246,6 +281,92 @@ function buildModalDom(args) {
                 placeholder="0"
               >
             </div>
+
+            <div class="pension-form-field">
+              <label for="pension-cola-type-${inputKey}">Cost-of-Living Adjustment</label>
+              <select id="pension-cola-type-${inputKey}">
+                ${colaTypeOptionsHtml(values.colaType)}
+              </select>
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-cola-rate-${inputKey}">Fixed COLA (%)</label>
+              <input
+                id="pension-cola-rate-${inputKey}"
+                type="number"
+                step="0.1"
+                min="0"
+                max="10"
+                value="${((Number(values.colaRate) || 0) * 100).toFixed(1)}"
+                placeholder="0.0"
+              >
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-cola-cap-${inputKey}">CPI COLA Cap (%, 0 = none)</label>
+              <input
+                id="pension-cola-cap-${inputKey}"
+                type="number"
+                step="0.1"
+                min="0"
+                max="10"
+                value="${((Number(values.colaCap) || 0) * 100).toFixed(1)}"
+                placeholder="0.0"
+              >
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-lump-sum-${inputKey}">Lump-Sum Offer</label>
+              <input
+                id="pension-lump-sum-${inputKey}"
+                type="number"
+                step="1000"
+                min="0"
+                value="${Number(values.lumpSumAmount) || 0}"
+                placeholder="0"
+              >
+            </div>
+
+            ${jointSurvivorRowsHtml(inputKey, values.jointSurvivorOptions ?? [])}
+
+            <div class="pension-form-field full-width">
+              <label for="pension-election-${inputKey}">Election</label>
+              <select id="pension-election-${inputKey}">
+                ${electionOptionsHtml(values.election)}
+              </select>
+            </div>
+
+            <div class="pension-form-field full-width">
+              <label for="pension-purchase-source-${inputKey}">Annuity Purchase at Start Age</label>
+              <select id="pension-purchase-source-${inputKey}">
+                ${purchaseSourceOptionsHtml(values.purchase?.sourceAccount)}
+              </select>
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-purchase-premium-${inputKey}">Premium</label>
+              <input
+                id="pension-purchase-premium-${inputKey}"
+                type="number"
+                step="1000"
+                min="0"
+                value="${Number(values.purchase?.premium) || 0}"
+                placeholder="0"
+              >
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-purchase-rate-${inputKey}">Payout Rate (%/yr)</label>
+              <input
+                id="pension-purchase-rate-${inputKey}"
+                type="number"
+                step="0.1"
+                min="0"
+                max="30"
+                value="${((Number(values.purchase?.payoutRate) || 0) * 100).toFixed(1)}"
+                placeholder="6.5"
+              >
+            </div>
           </div>
         </form>
       </div>
@@ -260,6 +381,102 @@ function buildModalDom(args) {
   return overlay;
 }
 
+/**
+ * @param {string | undefined} selected
+ */
+function colaTypeOptionsHtml(selected) {
+  const choices = [
+    [PENSION_COLA_TYPES.NONE, "None"],
+    [PENSION_COLA_TYPES.FIXED, "Fixed %"],
+    [PENSION_COLA_TYPES.CPI, "CPI-linked"],
+  ];
+
+  return choices
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${value === (selected ?? PENSION_COLA_TYPES.NONE) ? "selected" : ""}>${label}</option>`
+    )
+    .join("");
+}
+
+/**
+ * @param {string} inputKey
+ * @param {PensionJointSurvivorOption[]} options
+ */
+function jointSurvivorRowsHtml(inputKey, options) {
+  let html = "";
+
+  for (let i = 0; i < JOINT_SURVIVOR_ROWS; i++) {
+    const option = options[i];
+    const percent = option
+      ? option.survivorshipPercent
+      : DEFAULT_JOINT_SURVIVOR_PERCENTS[i];
+
+    html += `
+            <div class="pension-form-field">
+              <label for="pension-js-percent-${inputKey}-${i}">J&amp;S Option ${i + 1} Survivor (%)</label>
+              <input
+                id="pension-js-percent-${inputKey}-${i}"
+                type="number"
+                step="5"
+                min="0"
+                max="100"
+                value="${((Number(percent) || 0) * 100).toFixed(0)}"
+              >
+            </div>
+
+            <div class="pension-form-field">
+              <label for="pension-js-monthly-${inputKey}-${i}">J&amp;S Option ${i + 1} Monthly</label>
+              <input
+                id="pension-js-monthly-${inputKey}-${i}"
+                type="number"
+                step="100"
+                min="0"
+                value="${option ? Number(option.monthlyAmount) || 0 : ""}"
+                placeholder="Not offered"
+              >
+            </div>`;
+  }
+
+  return html;
+}
+
+/**
+ * @param {string | undefined} selected
+ */
+function electionOptionsHtml(selected) {
+  const choices = [[ANNUITY_ELECTION, "Annuity as entered above"]];
+  for (let i = 0; i < JOINT_SURVIVOR_ROWS; i++) {
+    choices.push([`js${i + 1}`, `Joint & survivor option ${i + 1}`]);
+  }
+  choices.push([LUMP_SUM_ELECTION, "Lump sum rolled into 401k"]);
+
+  return choices
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${value === (selected ?? ANNUITY_ELECTION) ? "selected" : ""}>${escapeHtml(label)}</option>`
+    )
+    .join("");
+}
+
+/**
+ * @param {string | undefined} selected
+ */
+function purchaseSourceOptionsHtml(selected) {
+  const choices = [
+    ["", "None (existing pension/annuity)"],
+    [ANNUITY_SOURCE_ACCOUNTS.TRAD_401K, "From 401k (qualified)"],
+    [ANNUITY_SOURCE_ACCOUNTS.SAVINGS, "From savings (non-qualified)"],
+  ];
+
+  return choices
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${value === (selected ?? "") ? "selected" : ""}>${label}</option>`
+    )
+    .join("");
+}
+
 /**
  * @param {{ overlay: HTMLElement, onSave: () => void, deps: PensionModalDeps }} args
  */
@@ -420,12 +637,28 @@ function readFormValues(inputKey, fallback, deps) {
     `pension-withholding-${inputKey}`
   );
   const survivorInput = document.getElementById(`pension-survivor-${inputKey}`);
+  const colaTypeInput = document.getElementById(
+    `pension-cola-type-${inputKey}`
+  );
+  const colaRateInput = document.getElementById(
+    `pension-cola-rate-${inputKey}`
+  );
+  const colaCapInput = document.getElementById(`pension-cola-cap-${inputKey}`);
+  const lumpSumInput = document.getElementById(`pension-lump-sum-${inputKey}`);
+  const electionInput = document.getElementById(`pension-election-${inputKey}`);
 
   if (!(nameInput instanceof HTMLInputElement)) return null;
   if (!(monthlyInput instanceof HTMLInputElement)) return null;
   if (!(ageInput instanceof HTMLInputElement)) return null;
   if (!(withholdingInput instanceof HTMLInputElement)) return null;
   if (!(survivorInput instanceof HTMLInputElement)) return null;
+  if (!(colaTypeInput instanceof HTMLSelectElement)) return null;
+  if (!(colaRateInput instanceof HTMLInputElement)) return null;
+  if (!(colaCapInput instanceof HTMLInputElement)) return null;
+  if (!(lumpSumInput instanceof HTMLInputElement)) return null;
+  if (!(electionInput instanceof HTMLSelectElement)) return null;
+
+  const purchase = readPurchaseValues(inputKey);
 
   const name = nameInput.value.trim();
   if (!name) {
@@ -458,6 +691,55 @@ function readFormValues(inputKey, fallback, deps) {
       ? fallback.survivorshipPercent
       : clampNumber(parseFloat(survivorPctRaw) || 0, 0, 100) / 100;
 
+  const colaType =
+    colaTypeInput.value === PENSION_COLA_TYPES.FIXED ||
+    colaTypeInput.value === PENSION_COLA_TYPES.CPI
+      ? colaTypeInput.value
+      : PENSION_COLA_TYPES.NONE;
+  const colaRate =
+    clampNumber(parseFloat(colaRateInput.value) || 0, 0, 10) / 100;
+  const colaCap = clampNumber(parseFloat(colaCapInput.value) || 0, 0, 10) / 100;
+  const lumpSumAmount = clampNumber(
+    parseFloat(lumpSumInput.value) || 0,
+    0,
+    1e9
+  );
+
+  // Rows left blank are dropped, so renumber the elected row to match
+  /** @type {PensionJointSurvivorOption[]} */
+  const jointSurvivorOptions = [];
+  let election = electionInput.value.startsWith("js")
+    ? ANNUITY_ELECTION
+    : electionInput.value;
+
+  for (let i = 0; i < JOINT_SURVIVOR_ROWS; i++) {
+    const percentInput = document.getElementById(
+      `pension-js-percent-${inputKey}-${i}`
+    );
+    const monthlyJsInput = document.getElementById(
+      `pension-js-monthly-${inputKey}-${i}`
+    );
+    if (!(percentInput instanceof HTMLInputElement)) continue;
+    if (!(monthlyJsInput instanceof HTMLInputElement)) continue;
+
+    const jsMonthly = clampNumber(
+      parseFloat(monthlyJsInput.value) || 0,
+      0,
+      1e9
+    );
+    if (jsMonthly <= 0) continue;
+
+    jointSurvivorOptions.push({
+      survivorshipPercent:
+        clampNumber(parseFloat(percentInput.value) || 0, 0, 100) / 100,
+      monthlyAmount: jsMonthly,
+    });
+
+    if (electionInput.value === `js${i + 1}`) {
+      election = `js${jointSurvivorOptions.length}`;
+    }
+  }
+
   const activeOwnerBtn = activeOverlay?.querySelector(".owner-option.active");
 
   let owner = fallback.owner;
@@ -466,6 +748,28 @@ function readFormValues(inputKey, fallback, deps) {
     owner = activeOwnerBtn.dataset.owner === "partner" ? "partner" : "subject";
   }
 
+  // A purchased annuity is priced from its premium and has no elections
+  if (purchase) {
+    return {
+      owner,
+      name,
+      startAge,
+      monthlyAmount: AnnuityPurchase.monthlyPayment(
+        purchase.premium,
+        purchase.payoutRate
+      ).asCurrency(),
+      withholdingRate,
+      survivorshipPercent,
+      colaType,
+      colaRate,
+      colaCap,
+      lumpSumAmount: 0,
+      jointSurvivorOptions: [],
+      election: ANNUITY_ELECTION,
+      purchase,
+    };
+  }
+
   return {
     owner,
     name,
@@ -473,6 +777,46 @@ function readFormValues(inputKey, fallback, deps) {
     monthlyAmount,
     withholdingRate,
     survivorshipPercent,
+    colaType,
+    colaRate,
+    colaCap,
+    lumpSumAmount,
+    jointSurvivorOptions,
+    election,
+    purchase: undefined,
+  };
+}
+
+/**
+ * @param {string} inputKey
+ * @returns {import("./cAnnuityPurchase.js").AnnuityPurchaseTerms | undefined}
+ */
+function readPurchaseValues(inputKey) {
+  const sourceInput = document.getElementById(
+    `pension-purchase-source-${inputKey}`
+  );
+  const premiumInput = document.getElementById(
+    `pension-purchase-premium-${inputKey}`
+  );
+  const rateInput = document.getElementById(
+    `pension-purchase-rate-${inputKey}`
+  );
+
+  if (!(sourceInput instanceof HTMLSelectElement)) return undefined;
+  if (!(premiumInput instanceof HTMLInputElement)) return undefined;
+  if (!(rateInput instanceof HTMLInputElement)) return undefined;
+
+  if (
+    sourceInput.value !== ANNUITY_SOURCE_ACCOUNTS.TRAD_401K &&
+    sourceInput.value !== ANNUITY_SOURCE_ACCOUNTS.SAVINGS
+  ) {
+    return undefined;
+  }
+
+  return {
+    sourceAccount: sourceInput.value,
+    premium: clampNumber(parseFloat(premiumInput.value) || 0, 0, 1e9),
+    payoutRate: clampNumber(parseFloat(rateInput.value) || 0, 0, 30) / 100,
   };
 }
 
@@ -0,0 +1,150 @@
+// retirement-ui-retirement-age.js
+
+import { RetirementAgeSolver } from "./cRetirementAgeSolver.js";
+import { ensurePopup } from "./popup-engine.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./cRetirementAgeSolver.js").RetirementAgeResults} RetirementAgeResults
+ */
+
+/**
+ * @typedef RetirementAgePopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+/**
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumber(root, selector, fallback) {
+  const input = root.querySelector(selector);
+  if (!(input instanceof HTMLInputElement)) return fallback;
+
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * @param {RetirementAgeResults} results
+ * @param {boolean} showPartner
+ * @returns {string}
+ */
+function renderResults(results, showPartner) {
+  const rows = results.rows
+    .map(
+      (row) => `
+      <tr${row.subjectRetireAge === results.recommendedAge ? ' class="breakdown-accent"' : ""}>
+        <td>${row.subjectRetireAge}</td>
+        ${showPartner ? `<td>${row.partnerRetireAge}</td>` : ""}
+        <td>${row.endingBalance.asWholeDollars()}</td>
+        <td><span class="pill ${row.funded ? "ok" : "alert"}">${
+          row.funded ? "Funded" : `Shortfall ${(row.fundedToYear ?? 0) + 1}`
+        }</span></td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">Recommended retirement age</span>
+      <span class="ss-breakdown-value">${results.recommendedAge ?? "Not funded in range"}</span>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Retire age</th>
+          ${showPartner ? "<th>Partner age</th>" : ""}
+          <th>Ending balance</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * @param {RetirementAgePopupDeps} deps
+ */
+export function openRetirementAgePopup(deps) {
+  const popup = ensurePopup("retirementAge", "Earliest Retirement Age");
+
+  popup.setContent(`
+    <div style="display:grid; gap:12px;">
+      <div class="grid-2">
+        <label>From age <input id="raMinAge" type="number" min="0" step="1" placeholder="Current age"></label>
+        <label>To age <input id="raMaxAge" type="number" min="0" step="1" value="75"></label>
+      </div>
+      <div style="display:flex; align-items:center; gap:5px;">
+        <input type="checkbox" id="raRetireTogether" style="width:auto;" />
+        <label for="raRetireTogether">Partner retires in the same year</label>
+      </div>
+      <div class="hint">
+        Spending and all other inputs are held at their current values.
+      </div>
+      <div>
+        <button id="runRetirementAgeBtn" type="button">Find Earliest Age</button>
+      </div>
+      <div id="retirementAgeResults"></div>
+    </div>
+  `);
+
+  const runButton = popup.root.querySelector("#runRetirementAgeBtn");
+  const resultsHost = popup.root.querySelector("#retirementAgeResults");
+
+  if (
+    !(runButton instanceof HTMLButtonElement) ||
+    !(resultsHost instanceof HTMLElement)
+  ) {
+    return;
+  }
+
+  runButton.addEventListener("click", () => {
+    const inputs = deps.parseInputParameters();
+    if (!inputs || !inputs.isValid()) return;
+
+    const retireTogetherCheckbox =
+      popup.root.querySelector("#raRetireTogether");
+    const retireTogether =
+      retireTogetherCheckbox instanceof HTMLInputElement &&
+      retireTogetherCheckbox.checked &&
+      inputs.hasPartner;
+
+    const options = {
+      minAge: Math.round(
+        readNumber(popup.root, "#raMinAge", inputs.initialAgeSubject)
+      ),
+      maxAge: Math.round(readNumber(popup.root, "#raMaxAge", 75)),
+      retireTogether,
+    };
+
+    runButton.disabled = true;
+    resultsHost.textContent = "Searching…";
+
+    // Yield so the status text paints before the (synchronous) search
+    setTimeout(() => {
+      try {
+        const results = RetirementAgeSolver.CreateUsing(
+          inputs,
+          options
+        ).solve();
+        resultsHost.innerHTML = renderResults(results, retireTogether);
+      } catch (error) {
+        resultsHost.textContent = "";
+        deps.showToast(
+          "Retirement Age Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        runButton.disabled = false;
+      }
+    }, 0);
+  });
+
+  popup.show();
+}
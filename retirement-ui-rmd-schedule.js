@@ -0,0 +1,97 @@
+// retirement-ui-rmd-schedule.js
+
+import { ensurePopup } from "./popup-engine.js";
+import { initializeCalculationsFromInputs } from "./retirement-calculator.js";
+import { buildRmdSchedule } from "./rRmdSchedule.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ * @typedef {import("./rRmdSchedule.js").RmdScheduleRow} RmdScheduleRow
+ */
+
+/**
+ * @typedef RmdSchedulePopupDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+/**
+ * @param {string} owner
+ * @param {RmdScheduleRow[]} rows
+ * @returns {string}
+ */
+function renderOwnerSchedule(owner, rows) {
+  if (rows.length === 0) {
+    return `
+    <div class="ss-breakdown-item">
+      <span class="ss-breakdown-label">${owner}</span>
+      <span class="ss-breakdown-value">No RMDs during the plan</span>
+    </div>`;
+  }
+
+  const body = rows
+    .map(
+      (row) => `
+      <tr>
+        <td>${row.year}</td>
+        <td>${row.age}</td>
+        <td>${row.priorYearEndBalance.asWholeDollars()}</td>
+        <td title="${row.table}">${row.distributionPeriod.toFixed(1)}</td>
+        <td>${row.rmd.asWholeDollars()}</td>
+        <td>${row.withdrawn.asWholeDollars()}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <div class="ss-breakdown-item breakdown-accent">
+      <span class="ss-breakdown-label">${owner}</span>
+      <span class="ss-breakdown-value">${rows[0].table} table from age ${rows[0].age}</span>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Age</th>
+          <th>Prior year-end balance</th>
+          <th>Divisor</th>
+          <th>RMD</th>
+          <th>Withdrawn</th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * @param {RmdSchedulePopupDeps} deps
+ */
+export function openRmdSchedulePopup(deps) {
+  const inputs = deps.parseInputParameters();
+  if (!inputs || !inputs.isValid()) return;
+
+  try {
+    const schedule = buildRmdSchedule(
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    );
+
+    const popup = ensurePopup("rmdSchedule", "RMD Schedule");
+    popup.setContent(`
+      <div style="display:grid; gap:12px;">
+        ${renderOwnerSchedule("Subject", schedule.subject)}
+        ${inputs.hasPartner ? renderOwnerSchedule("Partner", schedule.partner) : ""}
+        <div class="hint">
+          Withdrawn is the gross 401k withdrawal for spending; it is never less than the RMD.
+        </div>
+      </div>
+    `);
+    popup.show();
+  } catch (error) {
+    deps.showToast(
+      "RMD Schedule Error",
+      error instanceof Error ? error.message : String(error),
+      "error"
+    );
+  }
+}
@@ -0,0 +1,80 @@
+// retirement-ui-spending-solver.js
+
+import { MaxSpendingSolver } from "./cSpendingSolver.js";
+
+/**
+ * @typedef {import("./cInputs.js").Inputs} Inputs
+ */
+
+/**
+ * @typedef SpendingSolverDeps
+ * @property {() => Inputs | null} parseInputParameters
+ * @property {(title:string, message:string, kind:"success"|"error"|"info") => void} showToast
+ */
+
+/**
+ * The solved figure only holds for the inputs it was solved with, so clear
+ * it whenever the projection is recalculated.
+ */
+export function resetSpendingSolverKpi() {
+  const kpi = document.getElementById("kpiMaxSpend");
+  if (kpi) {
+    kpi.textContent = "—";
+  }
+}
+
+/**
+ * @param {SpendingSolverDeps} deps
+ */
+export function setupSpendingSolver(deps) {
+  const solveButton = document.getElementById("solveMaxSpendBtn");
+  const floorInput = document.getElementById("maxSpendFloor");
+  const kpi = document.getElementById("kpiMaxSpend");
+
+  if (
+    !(solveButton instanceof HTMLButtonElement) ||
+    !(floorInput instanceof HTMLInputElement) ||
+    !kpi
+  ) {
+    return;
+  }
+
+  solveButton.addEventListener("click", () => {
+    const inputs = deps.parseInputParameters();
+    if (!inputs || !inputs.isValid()) return;
+
+    const floor = Math.max(0, Number(floorInput.value) || 0);
+
+    solveButton.disabled = true;
+    kpi.textContent = "Solving…";
+
+    // Yield so the status text paints before the (synchronous) search
+    setTimeout(() => {
+      try {
+        const result = MaxSpendingSolver.CreateUsing(inputs, { floor }).solve();
+
+        if (!result.feasible) {
+          kpi.textContent = "—";
+          deps.showToast(
+            "No Sustainable Spending",
+            `Balances fall below ${floor.asWholeDollars()} even with no retirement spending.`,
+            "info"
+          );
+          return;
+        }
+
+        kpi.textContent = `${result.maxSpending.asWholeDollars()}/yr`;
+        kpi.title = `Today's dollars; keeps total balances at or above ${floor.asWholeDollars()} (${result.runs} projections)`;
+      } catch (error) {
+        kpi.textContent = "—";
+        deps.showToast(
+          "Solver Error",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+      } finally {
+        solveButton.disabled = false;
+      }
+    }, 0);
+  });
+}
@@ -76,7 +76,7 @@ function showHelpToast(event, fieldId) {
   }, 10);
 
   // Auto-hide after 10 seconds
-  toastTimer = setTimeout(() => hideToast(), 10000);
+  toastTimer = window.setTimeout(() => hideToast(), 10000);
 }
 
 function hideToast(immediate = false) {
@@ -151,7 +151,7 @@ function showToast(title, message, type = "info", duration = 5000) {
   }, 10);
 
   // Auto-hide after specified duration
-  toastTimer = setTimeout(() => hideToast(), duration);
+  toastTimer = window.setTimeout(() => hideToast(), duration);
 }
 
 // Event listeners for dismissing toast
@@ -1,8 +1,9 @@
 // @ts-ignore
 
-import { ACCOUNT_TYPES } from "./cAccount.js";
 import { Calculation, Calculations } from "./cCalculation.js";
 import { Inputs } from "./cInputs.js";
+import { inputsOptionsFrom } from "./cScenarioInputs.js";
+import { TaxLawRegistry } from "./cTaxLawRegistry.js";
 import { constsJS_FILING_STATUS } from "./consts.js";
 import { calc } from "./retirement-calculator.js";
 import * as DefaultUI from "./retirement-ui.js";
@@ -41,6 +42,22 @@ import {
 import { WithdrawalLimitStorage } from "./cWithdrawalLimitsStorage.js";
 import { ensurePopup } from "./popup-engine.js";
 import { ReportTableBuilder } from "./cReportTableBuilder.js";
+import { openMonteCarloPopup } from "./retirement-ui-monte-carlo.js";
+import { openBacktestPopup } from "./retirement-ui-backtest.js";
+import { openRetirementAgePopup } from "./retirement-ui-retirement-age.js";
+import { openPensionElectionPopup } from "./retirement-ui-pension-elections.js";
+import { PensionElections } from "./cPensionElections.js";
+import { openRmdSchedulePopup } from "./retirement-ui-rmd-schedule.js";
+import { openMortalityPopup } from "./retirement-ui-mortality.js";
+import {
+  resetSpendingSolverKpi,
+  setupSpendingSolver,
+} from "./retirement-ui-spending-solver.js";
+import {
+  normalizePensionAnnuities,
+  normalizeWithdrawalLimits,
+} from "./cScenarioInputs.js";
+import { RothConversionImpact } from "./cRothConversionImpact.js";
 
 const STORAGE_KEY = "retirement-calculator-inputs";
 
@@ -145,6 +162,24 @@ function checkbox(id) {
   return el;
 }
 
+/**
+ * @param {string} id
+ * @returns {HTMLTextAreaElement | null}
+ * @throws {Error} if element is not a <textarea>
+ */
+function textArea(id) {
+  const el = $(id);
+
+  // let the caller handle missing element
+  if (!el) return el;
+
+  if (!(el instanceof HTMLTextAreaElement)) {
+    throw new Error(`Element '${id}' is not a <textarea>`);
+  }
+
+  return el;
+}
+
 /**
  * @param {string} id
  * @returns {HTMLDivElement | null}
@@ -801,6 +836,25 @@ function setupEventListeners() {
   $("csvBtn")?.addEventListener("click", exportCSV);
   $("testReport")?.addEventListener("click", genSummaryDumpPopup);
   $("reportsBtn")?.addEventListener("click", openReportsPopup);
+  $("monteCarloBtn")?.addEventListener("click", () =>
+    openMonteCarloPopup({ parseInputParameters, showToast })
+  );
+  $("backtestBtn")?.addEventListener("click", () =>
+    openBacktestPopup({ parseInputParameters, showToast })
+  );
+  $("retirementAgeBtn")?.addEventListener("click", () =>
+    openRetirementAgePopup({ parseInputParameters, showToast })
+  );
+  $("pensionElectionsBtn")?.addEventListener("click", () =>
+    openPensionElectionPopup({ parseInputParameters, showToast })
+  );
+  $("rmdScheduleBtn")?.addEventListener("click", () =>
+    openRmdSchedulePopup({ parseInputParameters, showToast })
+  );
+  $("mortalityBtn")?.addEventListener("click", () =>
+    openMortalityPopup({ parseInputParameters, showToast })
+  );
+  setupSpendingSolver({ parseInputParameters, showToast });
   $("loadScenario")?.addEventListener("click", loadScenario);
   $("saveScenario")?.addEventListener("click", saveScenario);
 
@@ -1202,6 +1256,63 @@ function harvestAgeOverrides(
   return result;
 }
 
+/**
+ * Reads the form for inputsOptionsFrom(), the mapping saved scenarios share
+ *
+ * @returns {import("./cScenarioInputs.js").InputFieldReader}
+ */
+function formFieldReader() {
+  const subjectCurrentAge = num(UIField.SUBJECT_CURRENT_AGE);
+  const lastLivingSubjectAgeEquivalent = getLastLivingSubjectAgeEquivalent();
+
+  return {
+    // Bracket rates are picked from a <select>
+    num: (id) =>
+      $(id) instanceof HTMLSelectElement
+        ? Number(select(id)?.value || 0)
+        : num(id),
+    pct: (id, fallback = 0) => {
+      if (!$(id)) return fallback;
+      return pct(
+        $(id) instanceof HTMLSelectElement
+          ? Number(select(id)?.value || 0)
+          : num(id)
+      );
+    },
+    text: (id) => select(id)?.value ?? "",
+    checked: (id, fallback = false) => checkbox(id)?.checked ?? fallback,
+    ageOverrides: (prefix, currentYearToggleId) =>
+      harvestAgeOverrides(
+        prefix,
+        subjectCurrentAge,
+        lastLivingSubjectAgeEquivalent,
+        currentYearToggleId
+          ? (checkbox(currentYearToggleId)?.checked ?? false)
+          : false,
+        prefix === "spending"
+          ? applyInflationToSpendingValue
+          : applyInflationToIncomeValue
+      ),
+    pensionAnnuities: () => (pensionManager ? pensionManager.getAll() : []),
+    withdrawalLimits: () =>
+      withdrawalLimitManager ? withdrawalLimitManager.getAll() : [],
+    customTaxSchedule: () => {
+      try {
+        return TaxLawRegistry.parseCustomSchedule(
+          textArea(UIField.CUSTOM_TAX_SCHEDULE)?.value
+        );
+      } catch (error) {
+        showToast(
+          "Invalid Tax Schedule",
+          error instanceof Error ? error.message : String(error),
+          "error"
+        );
+        return null;
+      }
+    },
+  };
+}
+
 /**
  * Parse and validate input parameters for the retirement calculation
  */
@@ -1236,194 +1347,7 @@ function harvestAgeOverrides(
  * @since 1.0.0
  */
 function parseInputParameters() {
-  // Basic parameters
-  // Parse withdrawal order
-  // debugger;
-  let withdrawalOrder = select("order")
-    ?.value.split(",")
-    .map((/** @type {string} */ s) => s.trim())
-    .filter((/** @type {string | any[]} */ s) => s.length > 0);
-  if (withdrawalOrder?.length === 0) {
-    withdrawalOrder = [
-      ACCOUNT_TYPES.SAVINGS,
-      ACCOUNT_TYPES.SUBJECT_401K,
-      ACCOUNT_TYPES.SUBJECT_ROTH_IRA,
-    ];
-  }
-
-  // Subject information
-  const subjectCurrentAge = num(UIField.SUBJECT_CURRENT_AGE);
-  const subjectRetireAge = num(UIField.SUBJECT_RETIRE_AGE);
-  const subjectLifeSpan = num(UIField.SUBJECT_TERMINAL_AGE);
-  const subject401kStartAge = num(UIField.SUBJECT_401K_START_AGE);
-  // const subjectPensionStartAge = num(UIField.SUBJECT_PENSION_START_AGE);
-  const subjectSsStartAge = num(UIField.SUBJECT_SS_START_AGE);
-  const subjectStartingSalary = num(UIField.SUBJECT_SALARY);
-  const subjectMonthlyPayrollDeductions = num(
-    UIField.SUBJECT_PAYROLL_DEDUCTIONS
-  );
-  const subjectSalaryGrowthRate = pct(num(UIField.SUBJECT_SALARY_GROWTH));
-  const subjectSavingsMonthly = num(UIField.SUBJECT_SAVINGS_MONTHLY);
-  const subjectRothMonthly = num(UIField.SUBJECT_ROTH_MONTHLY);
-  const subject401kContributionRate = pct(
-    num(UIField.SUBJECT_401K_CONTRIBUTION)
-  );
-  const subjectEmp401kMatchRate = pct(num(UIField.SUBJECT_EMP_MATCH_RATE));
-  const subjectEmpMatchCap = pct(num(UIField.SUBJECT_EMP_MATCH_CAP));
-
-  // Partner information
-  const partnerCurrentAge = num(UIField.PARTNER_CURRENT_AGE);
-  const partnerRetireAge = num(UIField.PARTNER_RETIRE_AGE);
-  const partnerLifeSpan = num(UIField.PARTNER_TERMINAL_AGE);
-  const partner401kStartAge = num(UIField.PARTNER_401K_START_AGE);
-  // const partnerPenStartAge = num(UIField.PARTNER_PENSION_START_AGE);
-  const partnerSsStartAge = num(UIField.PARTNER_SS_START_AGE);
-  const lastLivingSubjectAgeEquivalent = getLastLivingSubjectAgeEquivalent();
-
-  const partnerStartingSalary = num(UIField.PARTNER_SALARY);
-  const partnerSalaryGrowthRate = pct(num(UIField.PARTNER_SALARY_GROWTH));
-  const partnerRothMonthly = num(UIField.PARTNER_ROTH_MONTHLY);
-  const partner401kContributionRate = pct(
-    num(UIField.PARTNER_401K_CONTRIBUTION)
-  );
-  const partnerEmpMatchRate = pct(num(UIField.PARTNER_EMP_MATCH_RATE));
-  const partnerEmpMatchCap = pct(num(UIField.PARTNER_EMP_MATCH_CAP));
-
-  // Annual spending and growth rates
-  const workingYearsSpending = num(UIField.WORKING_YEARS_SPENDING);
-  const retirementSpending = num(UIField.RETIREMENT_YEARS_SPENDING);
-  const currentYear = num(UIField.STARTING_YEAR);
-  const inflationRate = pct(num(UIField.INFLATION));
-  const spendingDecline = pct(num(UIField.SPENDING_DECLINE));
-  // Balances and Returns
-
-  const savings = num(UIField.SAVINGS_BALANCE);
-  const savingsReturnRate = pct(num(UIField.SAVINGS_RETURN));
-  const subject401kStartingBalance = num(UIField.SUBJECT_401K_BALANCE);
-  const subject401kReturnRate = pct(num(UIField.SUBJECT_401K_RETURN));
-  const partner401kStartingBalance = num(UIField.PARTNER_401K_BALANCE);
-  const partner401kReturnRate = pct(num(UIField.PARTNER_401K_RETURN));
-  const subjectRothBalance = num(UIField.SUBJECT_ROTH_BALANCE);
-  const subjectRothReturnRate = pct(num(UIField.SUBJECT_ROTH_RETURN));
-  const partnerRothBalance = num(UIField.PARTNER_ROTH_BALANCE);
-  const partnerRothReturnRate = pct(num(UIField.PARTNER_ROTH_RETURN));
-
-  // Social Security
-  const subjectSsMonthly = num(UIField.SUBJECT_SS_MONTHLY);
-  const partnerSsMonthly = num(UIField.PARTNER_SS_MONTHLY);
-  const flatSsWithholdingRate = pct(num(UIField.SS_WITHHOLDING));
-  const ssCola = pct(num(UIField.SS_COLA));
-
-  // Witholdings/Taxes
-  const filingStatus = select(UIField.FILING_STATUS)?.value || "single";
-  const withholdingsDefaultRate = pct(num(UIField.WITHHOLDINGS_DEFAULT));
-  const flatWageWithholdingRate = pct(num(UIField.WITHHOLDINGS_WAGES)); // pct(num("flatWageWithholdingRate"));
-  const withholdings401k = pct(num(UIField.WITHHOLDINGS_401K));
-  const useRMD = checkbox(UIField.USE_RMD)?.checked ?? false;
-  // const order = withdrawalOrder;
-
-  /** @type {import("./cInputs.js").RetirementYearSpendingOverride[]} */
-  const retirementYearSpendingOverrides = harvestAgeOverrides(
-    "spending",
-    subjectCurrentAge,
-    lastLivingSubjectAgeEquivalent,
-    checkbox("useCurrentYearValues")?.checked ?? false,
-    applyInflationToSpendingValue
-  ).map((o) => ({
-    year: o.year - subjectRetireAge + 1,
-    amount: o.amount,
-  }));
-
-  const taxableIncomeOverrides = harvestAgeOverrides(
-    "taxableIncome",
-    subjectCurrentAge,
-    lastLivingSubjectAgeEquivalent,
-    checkbox("useTaxableCurrentYearValues")?.checked ?? false,
-    applyInflationToIncomeValue
-  );
-
-  const taxFreeIncomeOverrides = harvestAgeOverrides(
-    "taxFreeIncome",
-    subjectCurrentAge,
-    lastLivingSubjectAgeEquivalent,
-    checkbox("useTaxFreeCurrentYearValues")?.checked ?? false,
-    applyInflationToIncomeValue
-  );
-
-  const pensionAnnuities = pensionManager ? pensionManager.getAll() : [];
-
-  const withdrawalLimits = withdrawalLimitManager
-    ? withdrawalLimitManager.getAll()
-    : [];
-
-  /** @type {import("./cInputs.js").InputsOptions} */
-  const inputArgs = {
-    // Ages / timeline
-    startingYear: currentYear,
-    initialAgeSubject: subjectCurrentAge,
-    initialAgePartner: partnerCurrentAge,
-    subjectRetireAge: subjectRetireAge,
-    subjectSsStartAge: subjectSsStartAge,
-    subject401kStartAge: subject401kStartAge,
-    subjectLifeSpan: subjectLifeSpan,
-
-    retirementYearSpendingOverrides: retirementYearSpendingOverrides,
-    taxableIncomeOverrides: taxableIncomeOverrides,
-    taxFreeIncomeOverrides: taxFreeIncomeOverrides,
-
-    // Spending
-    inflationRate: inflationRate,
-    spendingToday: workingYearsSpending,
-    spendingRetirement: retirementSpending,
-    spendingDecline: spendingDecline,
-
-    // Partner information
-    partnerRetireAge: partnerRetireAge,
-    partnerSsMonthly: partnerSsMonthly,
-    partnerSsStartAge: partnerSsStartAge,
-    partner401kStartAge: partner401kStartAge,
-    partnerLifeSpan: partnerLifeSpan,
-
-    pensionAnnuities: pensionAnnuities,
-    withdrawalLimits: withdrawalLimits,
-
-    // Employment and contributions
-    subjectStartingSalary: subjectStartingSalary,
-    subjectCareerMonthlyPayrollDeductions: subjectMonthlyPayrollDeductions,
-    partnerStartingSalary: partnerStartingSalary,
-    subjectSalaryGrowthRate: subjectSalaryGrowthRate,
-    partnerSalaryGrowthRate: partnerSalaryGrowthRate,
-    subjectCareer401kContributionRate: subject401kContributionRate,
-    subjectRothContributionRate: subjectRothMonthly,
-    subjectEmp401kMatchRate: subjectEmp401kMatchRate,
-    subject401kContributionRate: subject401kContributionRate,
-
-    // Account balances and returns
-    subject401kStartingBalance: subject401kStartingBalance,
-    subjectRothStartingBalance: subjectRothBalance,
-    partner401kStartingBalance: partner401kStartingBalance,
-    partnerRothStartingBalance: partnerRothBalance,
-    savingsStartingBalance: savings,
-
-    subject401kInterestRate: subject401kReturnRate,
-    subjectRothInterestRate: subjectRothReturnRate,
-    partner401kInterestRate: partner401kReturnRate,
-    partnerRothInterestRate: partnerRothReturnRate,
-    savingsInterestRate: savingsReturnRate,
-
-    // Income sources
-    subjectSsMonthly: subjectSsMonthly,
-    ssCola: ssCola,
-
-    // Tax rates and settings
-    filingStatus: filingStatus,
-    useRMD: useRMD,
-    flatSsWithholdingRate: flatSsWithholdingRate,
-    flatCareerTrad401kWithholdingRate: withholdings401k,
-    flatWageWithholdingRate: flatWageWithholdingRate,
-  };
-
-  const inputs = new Inputs(inputArgs);
+  const inputs = new Inputs(inputsOptionsFrom(formFieldReader()));
 
   if (!inputs.isValid()) {
     showToast(
@@ -1482,7 +1406,12 @@ function doCalculations() {
   );
 
   clearDirty();
-  generateOutputAndSummary(result.inputs, result.calculations);
+  generateOutputAndSummary(
+    result.inputs,
+    result.calculations,
+    RothConversionImpact.CreateFrom(result.inputs, result.calculations)
+  );
+  resetSpendingSolverKpi();
 }
 
 function updateTaxFreeIncomeFieldsDisplayMode(shouldRecalculate = true) {
@@ -1743,59 +1672,6 @@ function collectCurrentYearBaseValues() {
   return values;
 }
 
-/**
- * @param {unknown[]} list
- * @returns {import("./cPensionAnnuityStorage.js").PensionAnnuity[]}
- */
-function normalizePensionAnnuities(list) {
-  if (!Array.isArray(list)) {
-    return [];
-  }
-
-  return list
-    .filter((item) => item && typeof item === "object")
-    .map((item) => {
-      const typed = /** @type {Record<string, unknown>} */ (item);
-      return {
-        id:
-          typeof typed.id === "string" && typed.id.length > 0
-            ? typed.id
-            : crypto.randomUUID(),
-        owner: typed.owner === "partner" ? "partner" : "subject",
-        name: String(typed.name ?? "Pension"),
-        startAge: Number(typed.startAge) || 0,
-        monthlyAmount: Number(typed.monthlyAmount) || 0,
-        withholdingRate: Number(typed.withholdingRate) || 0,
-        survivorshipPercent: Number(typed.survivorshipPercent) || 0,
-      };
-    });
-}
-
-/**
- * @param {unknown[]} list
- * @returns {import("./cWithdrawalLimitsStorage.js").WithdrawalLimit[]}
- */
-function normalizeWithdrawalLimits(list) {
-  if (!Array.isArray(list)) {
-    return [];
-  }
-
-  return list
-    .filter((item) => item && typeof item === "object")
-    .map((item) => {
-      const typed = /** @type {Record<string, unknown>} */ (item);
-      return {
-        id:
-          typeof typed.id === "string" && typed.id.length > 0
-            ? typed.id
-            : crypto.randomUUID(),
-        name: String(typed.name ?? "Withdrawal Limit"),
-        year: Number(typed.year) || 0,
-        amount: Number(typed.amount) || 0,
-      };
-    });
-}
-
 /**
  * @param {Record<string, unknown>} values
  */
@@ -2545,7 +2421,7 @@ function renderPensionList() {
     row.innerHTML = `
       <div class="pension-info">
         <strong>${item.name}</strong>
-        <div class="pension-details">$${item.monthlyAmount.asCurrency()}/mo starting age ${item.startAge}
+        <div class="pension-details">${pensionDetailsText(item)}
         </div>
       </div>
 
@@ -2563,6 +2439,25 @@ function renderPensionList() {
   });
 }
 
+/**
+ * @param {import("./cPensionAnnuityStorage.js").PensionAnnuity} item
+ */
+function pensionDetailsText(item) {
+  if (item.purchase) {
+    const source =
+      item.purchase.sourceAccount === "savings" ? "savings" : "401k";
+    return `$${item.monthlyAmount.asCurrency()}/mo annuity bought at age ${item.startAge} for $${item.purchase.premium.asCurrency()} from ${source}`;
+  }
+
+  const elected = PensionElections.elected(item);
+
+  if (elected.lumpSumAmount > 0) {
+    return `$${elected.lumpSumAmount.asCurrency()} lump sum to 401k at age ${item.startAge}`;
+  }
+
+  return `$${elected.monthlyAmount.asCurrency()}/mo ${elected.label.toLowerCase()} starting age ${item.startAge}`;
+}
+
 function renderWithdrawalLimitList() {
   const container = $("withdrawalLimitList");
   if (!container) return;
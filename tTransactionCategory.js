@@ -34,6 +34,12 @@ const TransactionCategoryNames = /** @type {const} */ ({
   Pension: "Pension",
   TaxRefund: "Tax Refund",
   TaxPayment: "Tax Payment",
+  RothConversion: "Roth Conversion",
+  Dividend: "Dividend",
+  Healthcare: "Healthcare",
+  PremiumTaxCredit: "Premium Tax Credit",
+  PensionRollover: "Pension Rollover",
+  AnnuityPurchase: "Annuity Purchase",
 });
 
 /**
@@ -156,6 +162,30 @@ class TransactionCategoryEnum extends EnumBase {
     return this.map[TransactionCategoryNames.Withholdings];
   }
 
+  get Dividend() {
+    return this.map[TransactionCategoryNames.Dividend];
+  }
+
+  get Healthcare() {
+    return this.map[TransactionCategoryNames.Healthcare];
+  }
+
+  get PremiumTaxCredit() {
+    return this.map[TransactionCategoryNames.PremiumTaxCredit];
+  }
+
+  get PensionRollover() {
+    return this.map[TransactionCategoryNames.PensionRollover];
+  }
+
+  get AnnuityPurchase() {
+    return this.map[TransactionCategoryNames.AnnuityPurchase];
+  }
+
+  get RothConversion() {
+    return this.map[TransactionCategoryNames.RothConversion];
+  }
+
   // (others optional — same as GaapAccountType)
 
   /**
@@ -205,6 +235,12 @@ const TransactionCategory = new TransactionCategoryEnum();
  *         | typeof TransactionCategory.TaxPayment
  *         | typeof TransactionCategory.Withholdings
  *         | typeof TransactionCategory.CashTransfer
+ *         | typeof TransactionCategory.RothConversion
+ *         | typeof TransactionCategory.Dividend
+ *         | typeof TransactionCategory.Healthcare
+ *         | typeof TransactionCategory.PremiumTaxCredit
+ *         | typeof TransactionCategory.PensionRollover
+ *         | typeof TransactionCategory.AnnuityPurchase
  *         } TransactionCategorySymbol
  */
 
@@ -0,0 +1,176 @@
+// @ts-check
+
+import { AcaPremiums } from "../cAcaPremiums.js";
+import { Demographics } from "../cDemographics.js";
+import { Inputs } from "../cInputs.js";
+import { ACA_SUBSIDY_RULE, constsJS_FILING_STATUS } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("ACA Premiums and Premium Tax Credit");
+console.log("==========================================");
+
+const testTracker = new TestTracker("ACA Premiums and Premium Tax Credit");
+
+/**
+ * A single early retiree buying marketplace coverage in 2026
+ * @param {Record<string, any>} overrides
+ */
+function earlyRetiree2026(overrides) {
+  return new Inputs({
+    startingYear: 2026,
+    initialAgeSubject: 60,
+    subjectRetireAge: 60,
+    subjectLifeSpan: 90,
+    inflationRate: 0.025,
+    healthcareInflationRate: 0.05,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+    useAcaPremiums: true,
+    acaBenchmarkPremium: 12000,
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function premiumsFor(inputs) {
+  return AcaPremiums.CreateUsing(
+    inputs,
+    Demographics.CreateUsing(inputs, true, false)
+  );
+}
+
+runTest(
+  "The credit covers the benchmark above a share of MAGI",
+  () => {
+    const aca = premiumsFor(earlyRetiree2026({}));
+
+    assertEqual(aca.povertyLine, 15650, "One person in 2026");
+    assertEqual(aca.applicablePercentage(31300), 0.066, "6.60% at 200%");
+    assertEqual(
+      aca.premiumTaxCredit(31300),
+      (12000 - 0.066 * 31300).asCurrency(),
+      "Benchmark less the expected contribution"
+    );
+    assertEqual(aca.premiumTaxCredit(200000), 0, "Contribution exceeds it");
+  },
+  testTracker
+);
+
+runTest(
+  "The subsidy cliff rule decides what happens above 400% of poverty",
+  () => {
+    const cliff = premiumsFor(earlyRetiree2026({}));
+    const enhanced = premiumsFor(
+      earlyRetiree2026({ acaSubsidyRule: ACA_SUBSIDY_RULE.ENHANCED })
+    );
+
+    assertEqual(cliff.subsidyCliffMagi, 62600, "4 x $15,650");
+    assert(cliff.premiumTaxCredit(62600) > 0, "Credit at the cliff");
+    assertEqual(cliff.premiumTaxCredit(62601), 0, "One dollar over loses it");
+    assertEqual(
+      enhanced.premiumTaxCredit(62601),
+      (12000 - 0.085 * 62601).asCurrency(),
+      "Capped at 8.5% of MAGI instead"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Coverage ends at Medicare age for each spouse",
+  () => {
+    const inputs = earlyRetiree2026({
+      initialAgePartner: 64,
+      partnerLifeSpan: 90,
+      filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    });
+
+    assertEqual(premiumsFor(inputs).covered, 2, "Both under 65");
+    assertEqual(premiumsFor(inputs).benchmarkPremium, 12000, "Household");
+
+    inputs.yearIndex = 1;
+    assertEqual(premiumsFor(inputs).covered, 1, "Partner is on Medicare");
+    assertEqual(
+      premiumsFor(inputs).benchmarkPremium,
+      (6000 * 1.05).asCurrency(),
+      "Half the household premium, grown at healthcare inflation"
+    );
+
+    inputs.useAcaPremiums = false;
+    assertEqual(premiumsFor(inputs).benchmarkPremium, 0, "Opt-in");
+  },
+  testTracker
+);
+
+runTest(
+  "401k draws can be held under the cliff to keep the credit",
+  () => {
+    /**
+     * @param {boolean} acaKeepMagiUnderCliff
+     */
+    const firstYear = (acaKeepMagiUnderCliff) => {
+      const [data] = (
+        initializeCalculationsFromInputs(
+          earlyRetiree2026({
+            spendingRetirement: 80000,
+            subject401kStartingBalance: 2000000,
+            savingsStartingBalance: 500000,
+            acaKeepMagiUnderCliff,
+          })
+        )?.getAllCalculations() ?? []
+      ).map((calc) => calc.reportData);
+      return data;
+    };
+
+    const uncapped = firstYear(false);
+    const capped = firstYear(true);
+
+    assertEqual(uncapped.spending_acaPremium, 12000, "Premium is spent");
+    assert(uncapped.aca_overSubsidyCliff, "401k draws push MAGI over");
+    assertEqual(uncapped.taxes_premiumTaxCredit, 0, "No credit");
+
+    assert(!capped.aca_overSubsidyCliff, "MAGI held under the cliff");
+    assert(capped.taxes_premiumTaxCredit > 0, "Credit kept");
+    assertEqual(capped.aca_lostPremiumTaxCredit, 0, "Nothing lost");
+    assert(
+      capped.account_savingsWithdrawals > uncapped.account_savingsWithdrawals,
+      "Savings cover the rest"
+    );
+    assertEqual(
+      capped.spending_acaNetPremium,
+      12000 - capped.taxes_premiumTaxCredit,
+      "Net premium"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Spending goes past the cliff once only the 401k is left",
+  () => {
+    const [first] = (
+      initializeCalculationsFromInputs(
+        earlyRetiree2026({
+          spendingRetirement: 62600,
+          useHealthcareCostCurve: false,
+          subject401kStartingBalance: 1500000,
+          acaKeepMagiUnderCliff: true,
+        })
+      )?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+
+    assertEqual(first.actualSpend, first.spending_total, "Spending is met");
+    assert(first.aca_overSubsidyCliff, "401k draws push MAGI over");
+    assertEqual(first.taxes_premiumTaxCredit, 0, "No credit");
+    assert(
+      first.aca_lostPremiumTaxCredit > 0,
+      `Expected the lost credit to be reported, got ${first.aca_lostPremiumTaxCredit}`
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,167 @@
+// @ts-check
+
+import { AnnuityPurchase } from "../cAnnuityPurchase.js";
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Annuity Purchase");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Annuity Purchase");
+
+/**
+ * A retired 65-year-old who buys an annuity at 66
+ * @param {Record<string, any>} purchase
+ * @param {Record<string, any>} [overrides]
+ */
+function retiree(purchase, overrides = {}) {
+  return new Inputs({
+    startingYear: 2030,
+    initialAgeSubject: 65,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 90,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+    spendingRetirement: 30000,
+    savingsStartingBalance: 400000,
+    subject401kStartingBalance: 400000,
+    pensionAnnuities: [
+      {
+        id: "spia",
+        owner: "subject",
+        name: "SPIA",
+        startAge: 66,
+        monthlyAmount: 0,
+        withholdingRate: 0,
+        survivorshipPercent: 0,
+        purchase: {
+          sourceAccount: "401k",
+          premium: 200000,
+          payoutRate: 0.07,
+          ...purchase,
+        },
+      },
+    ],
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function projection(inputs) {
+  return (
+    initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+  ).map((calc) => calc.reportData);
+}
+
+runTest(
+  "The exclusion ratio returns the premium tax-free over life expectancy",
+  () => {
+    const purchase = {
+      sourceAccount: /** @type {"savings"} */ ("savings"),
+      premium: 200000,
+      payoutRate: 0.07,
+    };
+
+    // $14,000 a year against a Table V multiple of 20.0 at 65
+    assertEqual(
+      AnnuityPurchase.exclusionRatio(200000, 14000, 65).round(4),
+      0.7143,
+      "Ratio"
+    );
+    assertEqual(
+      AnnuityPurchase.excludedAmount(purchase, 200000, 65, 0, 14000).round(2),
+      10000,
+      "Excluded each year"
+    );
+    assertEqual(
+      AnnuityPurchase.excludedAmount(purchase, 200000, 65, 20, 14000),
+      0,
+      "Fully taxable once the premium is recovered"
+    );
+    assertEqual(
+      AnnuityPurchase.excludedAmount(
+        { ...purchase, sourceAccount: "401k" },
+        200000,
+        65,
+        0,
+        14000
+      ),
+      0,
+      "Qualified annuities have no exclusion"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A qualified purchase moves the premium out of the 401k into a taxable income stream",
+  () => {
+    const years = projection(retiree({}));
+
+    assertEqual(years[0].annuity_purchases.length, 0, "Not before 66");
+    assertEqual(years[1].annuity_purchases[0].premium, 200000, "Bought at 66");
+    assertEqual(years[0].income_subjectPensionGross, 0, "No payments yet");
+    assertEqual(years[1].income_subjectPensionGross, 14000, "Priced at 7%");
+    assertEqual(years[2].income_subjectPensionGross, 14000, "Level payments");
+    assertEqual(years[1].taxes_annuityExclusion, 0, "All taxable");
+    assertEqual(
+      years[1].income_pensionBreakdowns[0].taxableAmount,
+      14000,
+      "Breakdown shows it fully taxable"
+    );
+    assert(
+      years[1].account_subject401kWithdrawals >= 200000,
+      "Premium leaves the 401k"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A non-qualified purchase from savings is only partly taxable",
+  () => {
+    const years = projection(retiree({ sourceAccount: "savings" }));
+
+    assertEqual(years[1].income_subjectPensionGross, 14000, "Payments");
+    assertEqual(
+      years[1].taxes_annuityExclusion,
+      (14000 * (200000 / (14000 * 19.2))).asCurrency(),
+      "Excluded under the Table V multiple at 66"
+    );
+    assertEqual(
+      years[1].income_pensionBreakdowns[0].taxableAmount.asCurrency(),
+      (14000 - years[1].taxes_annuityExclusion).asCurrency(),
+      "Rest is taxable"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A short source account buys a smaller annuity",
+  () => {
+    const years = projection(
+      retiree({ sourceAccount: "savings" }, { savingsStartingBalance: 50000 })
+    );
+    const paid = years[1].annuity_purchases[0].premium;
+
+    assert(paid < 200000 && paid > 0, "Premium capped at the balance");
+    assertEqual(
+      years[1].income_subjectPensionGross,
+      (paid * 0.07).asCurrency(),
+      "Purchase year priced on the premium paid"
+    );
+    assertEqual(
+      years[5].income_subjectPensionGross,
+      (paid * 0.07).asCurrency(),
+      "Later years too"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
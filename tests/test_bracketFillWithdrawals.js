@@ -0,0 +1,139 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { TAX_REGIME } from "../consts.js";
+import { TaxLawRegistry } from "../cTaxLawRegistry.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Bracket-Fill Withdrawals");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Bracket-Fill Withdrawals");
+
+/**
+ * @param {import("../cAccountPortioner.js").ProportionStrategyName} withdrawalStrategy
+ * @param {number} withdrawalBracketRate
+ * @param {Record<string, any>} [overrides]
+ */
+function retirementYears(
+  withdrawalStrategy,
+  withdrawalBracketRate,
+  overrides = {}
+) {
+  const inputs = new Inputs({
+    startingYear: 2025,
+    initialAgeSubject: 64,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 85,
+    subjectSsStartAge: 65,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 60000,
+    spendingRetirement: 60000,
+    inflationRate: 0.025,
+    savingsStartingBalance: 300000,
+    subject401kStartingBalance: 800000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectRothInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+    useRMD: true,
+    withdrawalStrategy,
+    withdrawalBracketRate,
+    ...overrides,
+  });
+
+  return (initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? [])
+    .map((calc) => calc.reportData)
+    .filter((data) => data.demographics_isRetired);
+}
+
+runTest(
+  "401k withdrawals stop at the top of the chosen bracket",
+  () => {
+    const [first] = retirementYears("bracketFill", 0.12);
+    const bracketTop = TaxLawRegistry.resolve(first.year, null, 0.025).brackets
+      .single[1].upTo;
+
+    assert(
+      first.taxes_taxableIncome <= bracketTop,
+      `Expected taxable income ${first.taxes_taxableIncome} within ${bracketTop}`
+    );
+    assert(
+      bracketTop - first.taxes_taxableIncome < 500,
+      `Expected taxable income ${first.taxes_taxableIncome} near ${bracketTop}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A lower bracket shifts withdrawals from the 401k to savings",
+  () => {
+    const [proportional] = retirementYears("equalShares", 0.12);
+    const [bracketFill] = retirementYears("bracketFill", 0.1);
+
+    assert(
+      bracketFill.income_subject401kGross <
+        proportional.income_subject401kGross,
+      "Expected a smaller 401k withdrawal"
+    );
+    assert(
+      bracketFill.account_savingsWithdrawals >
+        proportional.account_savingsWithdrawals,
+      "Expected a larger savings withdrawal"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Spending is met from the 401k past the bracket once it is the only account",
+  () => {
+    const years = retirementYears("bracketFill", 0.1, {
+      savingsStartingBalance: 0,
+      subjectSsStartAge: 70,
+      spendingRetirement: 50000,
+    });
+
+    for (const data of years.slice(0, 5)) {
+      assert(
+        Math.abs(data.actualSpend - data.spending_total) < 1,
+        `Expected ${data.year} spending ${data.actualSpend} to meet ${data.spending_total}`
+      );
+    }
+    assert(
+      years[0].taxes_taxableIncome >
+        TaxLawRegistry.resolve(years[0].year, null, 0.025).brackets.single[0]
+          .upTo,
+      "Expected the 401k draw to run past the 10% bracket"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A rate missing from the tax regime fills the nearest bracket",
+  () => {
+    const taxLaw = { regime: TAX_REGIME.PRE_TCJA, changeYear: 2026 };
+    const years = retirementYears("bracketFill", 0.12, { taxLaw });
+
+    assertEqual(years.length, 21, "Every retirement year is projected");
+
+    const [first] = years;
+    const tenPercentTop = TaxLawRegistry.resolve(first.year, taxLaw, 0.025)
+      .brackets.single[0].upTo;
+
+    assert(
+      first.taxes_taxableIncome <= tenPercentTop,
+      `Expected taxable income ${first.taxes_taxableIncome} within the 10% bracket (${tenPercentTop})`
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
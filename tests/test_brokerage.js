@@ -0,0 +1,174 @@
+// @ts-check
+
+import { CostBasisTracker } from "../cCostBasisTracker.js";
+import { Demographics } from "../cDemographics.js";
+import { FiscalData } from "../cFiscalData.js";
+import { Inputs } from "../cInputs.js";
+import { COST_BASIS_METHOD, constsJS_FILING_STATUS } from "../consts.js";
+import { TaxCalculations } from "../cTaxCalculations.js";
+import { Taxes } from "../cTaxes.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Taxable Brokerage Account");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Taxable Brokerage Account");
+
+/**
+ * Two lots: an old one with a large gain and a new one with none.
+ * @param {string} method
+ */
+function trackerWithTwoLots(method) {
+  const tracker = new CostBasisTracker(method);
+  tracker.buy(2020, 10000, 4000);
+  tracker.buy(2025, 10000, 10000);
+  return tracker;
+}
+
+/**
+ * Demographics and fiscal data for a single 67-year-old in 2025.
+ */
+function singleRetiree2025() {
+  const inputs = new Inputs({
+    startingYear: 2025,
+    initialAgeSubject: 67,
+    subjectLifeSpan: 95,
+    inflationRate: 0.025,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+  });
+
+  return {
+    fiscalData: FiscalData.CreateUsing(inputs),
+    demographics: Demographics.CreateUsing(inputs, true, false),
+  };
+}
+
+runTest(
+  "Each cost basis method picks the lots it sells",
+  () => {
+    const proportional = trackerWithTwoLots(COST_BASIS_METHOD.PROPORTIONAL);
+    const fifo = trackerWithTwoLots(COST_BASIS_METHOD.FIFO);
+    const hifo = trackerWithTwoLots(COST_BASIS_METHOD.HIFO);
+
+    const averageCost = proportional.sell(2025, 10000);
+    const oldestFirst = fifo.sell(2025, 10000);
+    const highestCostFirst = hifo.sell(2025, 10000);
+
+    assertEqual(averageCost.longTerm, 3000, "Half of the old lot's gain");
+    assertEqual(averageCost.shortTerm, 0, "No gain on the new lot");
+    assertEqual(oldestFirst.longTerm, 6000, "All of the old lot's gain");
+    assertEqual(highestCostFirst.longTerm, 0, "Old lot kept");
+    assertEqual(highestCostFirst.shortTerm, 0, "New lot sold at cost");
+    assertEqual(fifo.basis, 10000, "Only the new lot's basis is left");
+  },
+  testTracker
+);
+
+runTest(
+  "Lots keep their share of market value as the account grows",
+  () => {
+    const tracker = trackerWithTwoLots(COST_BASIS_METHOD.FIFO);
+    tracker.revalue(30000);
+
+    const sale = tracker.sell(2026, 15000);
+
+    assertEqual(sale.longTerm, 11000, "Old lot sold at its grown value");
+    assertEqual(sale.shortTerm, 0, "Nothing bought in 2026");
+    assertEqual(tracker.realizedGains(2026).proceeds, 15000, "Sale recorded");
+  },
+  testTracker
+);
+
+runTest(
+  "Long-term gains stack on top of ordinary income",
+  () => {
+    const { fiscalData, demographics } = singleRetiree2025();
+
+    // 2025 single: 0% through $48,350 of taxable income, then 15%
+    const tax = TaxCalculations.determineCapitalGainsTax(
+      20000,
+      60000,
+      fiscalData,
+      demographics
+    );
+
+    assertEqual(tax, 1748, "15% on the $11,650 above the 0% threshold");
+  },
+  testTracker
+);
+
+runTest(
+  "Preferential income is taken out of the ordinary brackets",
+  () => {
+    const { fiscalData, demographics } = singleRetiree2025();
+
+    const allOrdinary = Taxes.CreateFromTaxableIncome(
+      90000,
+      90000,
+      0,
+      fiscalData,
+      demographics
+    );
+    const withGains = Taxes.CreateFromTaxableIncome(
+      90000,
+      90000,
+      0,
+      fiscalData,
+      demographics,
+      30000
+    );
+
+    assertEqual(
+      withGains.ordinaryTaxableIncome,
+      withGains.taxableIncome - 30000,
+      "Gains are the top slice of taxable income"
+    );
+    assert(withGains.capitalGainsTax > 0, "Expected tax at 15%");
+    assert(
+      withGains.federalTaxesOwed < allOrdinary.federalTaxesOwed,
+      "Expected less tax than on ordinary income"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Brokerage withdrawals realize gains and dividends are taxed",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2025,
+      initialAgeSubject: 64,
+      subjectRetireAge: 65,
+      subjectLifeSpan: 80,
+      spendingToday: 80000,
+      spendingRetirement: 80000,
+      inflationRate: 0.025,
+      brokerageStartingBalance: 2000000,
+      brokerageCostBasis: 500000,
+      brokerageGrowthRate: 0.05,
+      brokerageDividendYield: 0.02,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+    });
+
+    const retired = (
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    )
+      .map((calc) => calc.reportData)
+      .filter((data) => data.demographics_isRetired);
+
+    const [first] = retired;
+    assert(first.account_brokerageWithdrawals > 0, "Expected a withdrawal");
+    assert(first.taxes_longTermCapitalGains > 0, "Expected long-term gains");
+    assert(first.taxes_qualifiedDividends > 0, "Expected dividends");
+    assert(first.taxes_capitalGainsTax > 0, "Expected tax at 15%");
+    assert(
+      first.account_brokerageCostBasis < first.account_brokerageYearEndBalance,
+      "Expected an unrealized gain to remain"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
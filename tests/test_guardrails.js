@@ -0,0 +1,209 @@
+// @ts-check
+
+import { GuardrailSpending, GUARDRAIL_ACTIONS } from "../cGuardrailSpending.js";
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS, SPENDING_POLICY } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Guardrails Spending");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Guardrails Spending");
+
+/**
+ * A retiree at 65 in 2030 spending 6% of savings in the first year
+ * @param {Record<string, any>} [overrides]
+ */
+function retiree(overrides = {}) {
+  return new Inputs({
+    startingYear: 2030,
+    initialAgeSubject: 65,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 80,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+    spendingRetirement: 60000,
+    useHealthcareCostCurve: false,
+    inflationRate: 0.03,
+    savingsStartingBalance: 1000000,
+    savingsInterestRate: 0.04,
+    spendingPolicy: SPENDING_POLICY.GUARDRAILS,
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ * @param {import("../retirement-calculator.js").MarketConditions} [marketConditions]
+ */
+function project(inputs, marketConditions) {
+  return (
+    initializeCalculationsFromInputs(inputs, marketConditions)
+      ?.getAllCalculations()
+      .map((calc) => calc.reportData) ?? []
+  );
+}
+
+runTest(
+  "Decisions follow the withdrawal rate",
+  () => {
+    const inputs = retiree();
+    const history = {
+      priorSpend: 50000,
+      priorYearLoss: false,
+      fixedIncome: 0,
+      portfolio: 1000000,
+      initialWithdrawalRate: 0.05,
+    };
+
+    const within = GuardrailSpending.decide(inputs, history);
+    assertEqual(within.spend, 51500, "Raised for inflation");
+    assertEqual(within.action, GUARDRAIL_ACTIONS.NONE, "Within guardrails");
+    assertEqual(within.withdrawalRate, 0.0515, "Rate after inflation");
+
+    const cut = GuardrailSpending.decide(inputs, {
+      ...history,
+      portfolio: 800000,
+    });
+    assertEqual(cut.action, GUARDRAIL_ACTIONS.CUT, "6.4% is over 6%");
+    assertEqual(cut.spend, 46350, "10% cut");
+
+    const raise = GuardrailSpending.decide(inputs, {
+      ...history,
+      portfolio: 1400000,
+    });
+    assertEqual(raise.action, GUARDRAIL_ACTIONS.RAISE, "3.7% is under 4%");
+    assertEqual(raise.spend, 56650, "10% raise");
+
+    const covered = GuardrailSpending.decide(inputs, {
+      ...history,
+      fixedIncome: 20000,
+      portfolio: 400000,
+    });
+    assertEqual(
+      covered.withdrawalRate,
+      (51500 - 20000) / 400000,
+      "Fixed income is not withdrawn"
+    );
+
+    const loss = GuardrailSpending.decide(inputs, {
+      ...history,
+      priorYearLoss: true,
+    });
+    assert(loss.inflationSkipped, "No raise after a loss");
+    assertEqual(loss.spend, 50000, "Held flat");
+  },
+  testTracker
+);
+
+runTest(
+  "Fixed spending makes no guardrail decisions",
+  () => {
+    const fixed = project(
+      retiree({ spendingPolicy: SPENDING_POLICY.FIXED, savingsInterestRate: 0 })
+    );
+
+    assertEqual(fixed[1].projectedSpend, 61800, "Inflation only");
+    assert(
+      fixed.every(
+        (data) =>
+          data.spending_guardrailAction === GUARDRAIL_ACTIONS.NONE &&
+          data.spending_withdrawalRate === 0
+      ),
+      "No guardrail decisions"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Spending is cut as a flat portfolio drains and raised as it grows",
+  () => {
+    const draining = project(retiree({ savingsInterestRate: 0 }));
+    const firstCut = draining.findIndex(
+      (data) => data.spending_guardrailAction === GUARDRAIL_ACTIONS.CUT
+    );
+
+    assert(firstCut > 0, `A cut in year ${firstCut}`);
+    assertEqual(draining[0].spending_policySpend, 60000, "First year as set");
+    assertEqual(
+      draining[firstCut].projectedSpend,
+      (draining[firstCut - 1].projectedSpend * 1.03 * 0.9).asCurrency(),
+      "Inflation raise less 10%"
+    );
+
+    const growing = project(retiree({ savingsInterestRate: 0.12 }));
+    const firstRaise = growing.find(
+      (data) => data.spending_guardrailAction === GUARDRAIL_ACTIONS.RAISE
+    );
+
+    assert(firstRaise !== undefined, "Spending raised");
+    assert(
+      growing.every(
+        (data) => data.spending_guardrailAction !== GUARDRAIL_ACTIONS.CUT
+      ),
+      "Never cut"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Inflation raises are skipped after a loss year",
+  () => {
+    const losing = project(
+      retiree({ savingsInterestRate: -0.02, guardrailUpperLimit: 10 })
+    );
+
+    assert(!losing[0].spending_guardrailInflationSkipped, "First year as set");
+    assert(losing[1].spending_guardrailInflationSkipped, "Skipped after loss");
+    assertEqual(losing[1].projectedSpend, 60000, "Held at last year's");
+    assertEqual(
+      losing[1].spending_guardrailAction,
+      GUARDRAIL_ACTIONS.NONE,
+      "Wide upper guardrail never cuts"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Each raise follows that year's own inflation in a backtest",
+  () => {
+    const yearlyInflation = [0.03, 0.2, ...Array(14).fill(0.03)];
+    const years = project(
+      retiree({ guardrailUpperLimit: 10, guardrailLowerLimit: 1 }),
+      {
+        annualInflationRateFor: (yearIndex) => yearlyInflation[yearIndex],
+        inflationRateFor: (yearIndex) =>
+          yearIndex === 0
+            ? yearlyInflation[0]
+            : yearlyInflation
+                .slice(0, yearIndex)
+                .reduce((level, rate) => level * (1 + rate), 1) **
+                (1 / yearIndex) -
+              1,
+      }
+    );
+
+    assertEqual(
+      years[1].projectedSpend,
+      (60000 * 1.03).asCurrency(),
+      "3% into the second year"
+    );
+    assertEqual(
+      years[2].projectedSpend,
+      (years[1].projectedSpend * 1.2).asCurrency(),
+      "The 20% year, not the average since the start"
+    );
+    assertEqual(
+      years[2].spending_guardrailAction,
+      GUARDRAIL_ACTIONS.NONE,
+      "Guardrails wide enough to hold"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
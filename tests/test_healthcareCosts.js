@@ -0,0 +1,106 @@
+// @ts-check
+
+import { HealthcareCosts } from "../cHealthcareCosts.js";
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS, HEALTHCARE_COST_SOURCE } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Healthcare Spending");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Healthcare Spending");
+
+/**
+ * @param {Record<string, any>} overrides
+ */
+function couple2025(overrides) {
+  return new Inputs({
+    startingYear: 2025,
+    initialAgeSubject: 62,
+    initialAgePartner: 58,
+    subjectRetireAge: 62,
+    subjectLifeSpan: 90,
+    partnerLifeSpan: 90,
+    inflationRate: 0.025,
+    healthcareInflationRate: 0.05,
+    filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    ...overrides,
+  });
+}
+
+runTest(
+  "The age curve covers each living household member by default",
+  () => {
+    const inputs = couple2025({});
+    const costs = HealthcareCosts.CreateUsing(inputs);
+
+    assertEqual(costs.source, HEALTHCARE_COST_SOURCE.AGE_CURVE, "No entries");
+    assertEqual(costs.total, 14000, "Two people at $7,000 (55–64)");
+
+    const optedOut = HealthcareCosts.CreateUsing(
+      couple2025({ useHealthcareCostCurve: false })
+    );
+    assertEqual(optedOut.source, HEALTHCARE_COST_SOURCE.NONE, "Turned off");
+    assertEqual(optedOut.total, 0, "Nothing spent");
+
+    inputs.yearIndex = 3;
+    assertEqual(
+      HealthcareCosts.CreateUsing(inputs).subjectCost,
+      (6500 * Math.pow(1.05, 3)).asCurrency(),
+      "Medicare-age band grown at healthcare inflation"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Entered amounts replace the curve",
+  () => {
+    const inputs = couple2025({
+      healthcareExpenses: [{ year: 64, amount: 10000 }],
+    });
+
+    assertEqual(
+      HealthcareCosts.CreateUsing(inputs).total,
+      0,
+      "Nothing entered for 62"
+    );
+
+    inputs.yearIndex = 2;
+    const costs = HealthcareCosts.CreateUsing(inputs);
+    assertEqual(costs.source, HEALTHCARE_COST_SOURCE.ENTERED, "Entered");
+    assertEqual(costs.total, 10000, "Entered in that year's dollars");
+
+    inputs.healthcareExpensesInTodaysDollars = true;
+    assertEqual(
+      HealthcareCosts.CreateUsing(inputs).total,
+      (10000 * Math.pow(1.05, 2)).asCurrency(),
+      "Today's dollars grow at healthcare inflation"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Healthcare is spent on top of base spending",
+  () => {
+    const inputs = couple2025({
+      spendingRetirement: 60000,
+      savingsStartingBalance: 1000000,
+    });
+
+    const [first] = (
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+
+    assertEqual(first.projectedSpend, 60000, "Base spending unchanged");
+    assertEqual(first.spending_healthcare, 14000, "Own line");
+    assertEqual(first.spending_total, 74000, "Both are funded");
+    assert(first.actualSpend >= 74000, "Cash covers both");
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,98 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { HistoricalBacktester } from "../cHistoricalBacktester.js";
+import { HistoricalMarketData } from "../cHistoricalMarketData.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Historical Backtester");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Historical Backtester");
+
+function createInputs() {
+  /** @type {import("../cInputs.js").InputsOptions} */
+  const inputArgs = {
+    startingYear: 2025,
+    initialAgeSubject: 64,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 75,
+    subjectSsStartAge: 67,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 50000,
+    spendingRetirement: 50000,
+    inflationRate: 0.025,
+    savingsStartingBalance: 200000,
+    subject401kStartingBalance: 400000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+  };
+
+  return new Inputs(inputArgs);
+}
+
+runTest(
+  "Sequences are consecutive historical years",
+  () => {
+    const sequence = HistoricalMarketData.getSequence(1966, 3);
+
+    assertEqual(sequence.length, 3, "Sequence length");
+    assertEqual(sequence[0].year, 1966, "First year");
+    assertEqual(sequence[2].year, 1968, "Last year");
+    assertThrows(() =>
+      HistoricalMarketData.getYear(HistoricalMarketData.lastYear + 1)
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Runs one projection per start year",
+  () => {
+    const results = HistoricalBacktester.CreateUsing(createInputs(), {
+      firstStartYear: 1966,
+      lastStartYear: 1968,
+    }).run();
+
+    assertEqual(results.runs.length, 3, "Run count");
+    assertEqual(results.runs[0].startYear, 1966, "First start year");
+    assert(results.worstCase !== null, "Expected a worst case");
+    assert(
+      results.endingBalance.min <= results.endingBalance.median &&
+        results.endingBalance.median <= results.endingBalance.max,
+      "Ending balance summary should be ordered"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Start years without a complete sequence are excluded",
+  () => {
+    const inputs = createInputs();
+    const results = HistoricalBacktester.CreateUsing(inputs, {
+      firstStartYear: HistoricalMarketData.lastYear - 20,
+    }).run();
+
+    const lastRun = results.runs[results.runs.length - 1];
+    assertEqual(
+      lastRun.startYear + HistoricalBacktester.planLength(inputs) - 1,
+      HistoricalMarketData.lastYear,
+      "Last run ends with the data"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
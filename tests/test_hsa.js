@@ -0,0 +1,157 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS, HSA_COVERAGE } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Health Savings Account");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Health Savings Account");
+
+/**
+ * Report data for every year of a 2025 plan for a single subject
+ * @param {Record<string, any>} overrides
+ */
+function runPlan(overrides) {
+  const inputs = new Inputs({
+    startingYear: 2025,
+    inflationRate: 0.025,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+    ...overrides,
+  });
+
+  return (initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? [])
+    .map((calc) => calc.reportData)
+    .filter((data) => data.demographics_subjectAge !== "-");
+}
+
+/**
+ * @param {ReturnType<typeof runPlan>} years
+ * @param {number} age
+ */
+function atAge(years, age) {
+  const data = years.find((d) => d.demographics_subjectAge === String(age));
+  if (!data) throw new Error(`No report for age ${age}`);
+  return data;
+}
+
+runTest(
+  "Contributions are capped by coverage, catch-up and Medicare",
+  () => {
+    const years = runPlan({
+      initialAgeSubject: 54,
+      subjectRetireAge: 70,
+      subjectLifeSpan: 70,
+      subjectStartingSalary: 150000,
+      spendingToday: 60000,
+      hsaCoverage: HSA_COVERAGE.FAMILY,
+      hsaAnnualContribution: 20000,
+    });
+
+    assertEqual(
+      atAge(years, 54).income_subjectHsaContribution,
+      8550,
+      "2025 family limit"
+    );
+    assertEqual(
+      atAge(years, 55).income_subjectHsaContribution,
+      (8550 * 1.025 + 1000).asCurrency(),
+      "Indexed limit plus the catch-up"
+    );
+    assertEqual(
+      atAge(years, 65).income_subjectHsaContribution,
+      0,
+      "No contributions after Medicare enrollment"
+    );
+    assert(
+      atAge(years, 64).account_hsaYearEndBalance > 0,
+      "Contributions land in the HSA"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Contributions are pre-tax",
+  () => {
+    const base = {
+      initialAgeSubject: 40,
+      subjectRetireAge: 65,
+      subjectLifeSpan: 41,
+      subjectStartingSalary: 100000,
+      spendingToday: 50000,
+      hsaCoverage: HSA_COVERAGE.SELF,
+    };
+
+    const [without] = runPlan(base);
+    const [withHsa] = runPlan({ ...base, hsaAnnualContribution: 4300 });
+
+    assertEqual(
+      without.taxes_taxableIncome - withHsa.taxes_taxableIncome,
+      4300,
+      "Taxable income drops by the contribution"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Healthcare expenses are paid from the HSA before other sources",
+  () => {
+    const years = runPlan({
+      initialAgeSubject: 66,
+      subjectRetireAge: 66,
+      subjectLifeSpan: 68,
+      spendingRetirement: 40000,
+      savingsStartingBalance: 500000,
+      hsaStartingBalance: 10000,
+      healthcareExpenses: [
+        { year: 66, amount: 6000 },
+        { year: 67, amount: 9000 },
+      ],
+    });
+
+    const first = atAge(years, 66);
+    const second = atAge(years, 67);
+
+    assertEqual(first.account_hsaMedicalWithdrawals, 6000, "Paid in full");
+    assertEqual(second.account_hsaMedicalWithdrawals, 4000, "HSA emptied");
+    assertEqual(second.account_hsaWithdrawals, 0, "Nothing non-qualified");
+    assertEqual(
+      second.actualSpend,
+      40000 * Math.pow(1.025, 1) + 5000,
+      "The rest is spent out of pocket"
+    );
+    assertEqual(first.taxes_hsaPenalty, 0, "Medical withdrawals are free");
+  },
+  testTracker
+);
+
+runTest(
+  "Non-medical withdrawals are a taxed, penalized last resort",
+  () => {
+    const [retired] = runPlan({
+      initialAgeSubject: 60,
+      subjectRetireAge: 60,
+      subjectLifeSpan: 61,
+      spendingRetirement: 40000,
+      savingsStartingBalance: 10000,
+      hsaStartingBalance: 100000,
+    });
+
+    assert(retired.account_savingsWithdrawals > 0, "Savings are used first");
+    assert(retired.account_hsaWithdrawals > 0, "The HSA covers the rest");
+    assertEqual(
+      retired.taxes_hsaPenalty,
+      (retired.account_hsaWithdrawals * 0.2).asCurrency(),
+      "20% penalty before 65"
+    );
+    assert(retired.taxes_grossIncome > 0, "Withdrawal is taxable income");
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
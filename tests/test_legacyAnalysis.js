@@ -0,0 +1,185 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { LegacyAnalysis } from "../cLegacyAnalysis.js";
+import { RothConversionImpact } from "../cRothConversionImpact.js";
+import {
+  constsJS_FILING_STATUS,
+  ROTH_CONVERSION_STRATEGY,
+  ROTH_CONVERSION_TAX_SOURCE,
+} from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { TransactionRoutes } from "../tTransactionRoute.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("After-Tax Legacy");
+console.log("==========================================");
+
+const testTracker = new TestTracker("After-Tax Legacy");
+
+/**
+ * @param {Partial<import("../cLegacyAnalysis.js").LegacyBalances>} balances
+ * @param {number} [estateTaxExemption]
+ */
+function legacy(balances, estateTaxExemption = 0) {
+  return new LegacyAnalysis(
+    2050,
+    {
+      roth: 0,
+      savings: 0,
+      brokerage: 0,
+      brokerageCostBasis: 0,
+      trad401k: 0,
+      hsa: 0,
+      ...balances,
+    },
+    0.24,
+    estateTaxExemption
+  );
+}
+
+runTest(
+  "Roth, savings and brokerage pass untaxed",
+  () => {
+    const result = legacy({
+      roth: 300000,
+      savings: 100000,
+      brokerage: 200000,
+      brokerageCostBasis: 80000,
+    });
+
+    assertEqual(result.grossEstate, 600000, "Gross estate");
+    assertEqual(result.brokerageStepUp, 120000, "Gain stepped up");
+    assertEqual(result.afterTaxLegacy, 600000, "Nothing owed");
+  },
+  testTracker
+);
+
+runTest(
+  "A 401k is drawn over ten years at the heirs' tax rate",
+  () => {
+    const result = legacy({ trad401k: 500000, hsa: 10000 });
+    const schedule = result.inheritedIraSchedule;
+
+    assertEqual(schedule.length, 10, "Ten distributions");
+    assertEqual(schedule[0].year, 2051, "Starting the year after death");
+    assertEqual(schedule[9].year, 2060, "Emptied by the tenth year");
+    assertEqual(schedule[0].route, TransactionRoutes.InheritedIRA, "Route");
+    assertEqual(schedule[0].distribution, 50000, "Equal draws");
+    assertEqual(schedule[0].tax, 12000, "Taxed at 24%");
+    assertEqual(result.inheritedIraTax, 120000, "Total IRA tax");
+    assertEqual(result.hsaTax, 2400, "HSA taxed in full");
+    assertEqual(result.afterTaxLegacy, 387600, "After tax");
+  },
+  testTracker
+);
+
+runTest(
+  "Estate tax applies only above the exemption",
+  () => {
+    assertEqual(legacy({ roth: 5000000 }).estateTax, 0, "No check");
+    assertEqual(
+      legacy({ roth: 5000000 }, 6000000).estateTax,
+      0,
+      "Under the exemption"
+    );
+
+    const taxed = legacy({ roth: 5000000 }, 4000000);
+    assert(taxed.exceedsEstateTaxExemption, "Flagged");
+    assertEqual(taxed.estateTax, 400000, "40% of the excess");
+    assertEqual(taxed.afterTaxLegacy, 4600000, "After estate tax");
+  },
+  testTracker
+);
+
+runTest(
+  "The projection's last year sets the legacy and the exemption grows with inflation",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2030,
+      initialAgeSubject: 70,
+      subjectRetireAge: 70,
+      subjectLifeSpan: 80,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+      spendingRetirement: 20000,
+      savingsStartingBalance: 500000,
+      subject401kStartingBalance: 300000,
+      inflationRate: 0.03,
+      heirTaxRate: 0.3,
+      estateTaxExemption: 1000000,
+    });
+    const calculations = initializeCalculationsFromInputs(inputs);
+    const result = LegacyAnalysis.CreateFrom(inputs, calculations);
+    const last = calculations?.getLastCalculation().reportData;
+
+    assert(result !== null && last !== undefined, "Expected a legacy");
+    if (!result || !last) return;
+
+    assertEqual(result.year, 2040, "Year the lifespan ends");
+    assertEqual(
+      result.grossEstate,
+      last.balances_yearEndtotal.asCurrency(),
+      "Gross estate is the ending balance"
+    );
+    assertEqual(
+      result.estateTaxExemption.asCurrency(),
+      (1000000 * Math.pow(1.03, 10)).asCurrency(),
+      "Exemption in 2040 dollars"
+    );
+    assertEqual(
+      result.inheritedIraTax,
+      (last.balances_combined401k * 0.3).asCurrency(),
+      "401k taxed at the heirs' rate"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Roth conversions are compared on after-tax legacy",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2025,
+      initialAgeSubject: 64,
+      subjectRetireAge: 65,
+      subjectLifeSpan: 85,
+      subjectSsStartAge: 67,
+      subjectStartingSalary: 60000,
+      spendingRetirement: 50000,
+      inflationRate: 0.025,
+      savingsStartingBalance: 300000,
+      subject401kStartingBalance: 800000,
+      savingsInterestRate: 0.03,
+      subject401kInterestRate: 0.05,
+      subjectRothInterestRate: 0.05,
+      subjectSsMonthly: 2000,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+      heirTaxRate: 0.32,
+      rothConversionPlan: {
+        strategy: ROTH_CONVERSION_STRATEGY.UNTIL_RMD_AGE,
+        taxSource: ROTH_CONVERSION_TAX_SOURCE.SAVINGS,
+      },
+    });
+    const calculations = initializeCalculationsFromInputs(inputs);
+    const impact = RothConversionImpact.CreateFrom(inputs, calculations);
+
+    assert(impact !== null, "Expected an impact summary");
+    if (!impact) return;
+
+    assertEqual(
+      impact.afterTaxLegacy,
+      LegacyAnalysis.CreateFrom(inputs, calculations)?.afterTaxLegacy,
+      "Legacy of the plan as run"
+    );
+    assert(impact.baselineAfterTaxLegacy > 0, "Baseline legacy");
+    assertEqual(
+      impact.legacyChange,
+      (impact.afterTaxLegacy - impact.baselineAfterTaxLegacy).asCurrency(),
+      "Change against no conversions"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,143 @@
+// @ts-check
+
+import { Demographics } from "../cDemographics.js";
+import { Inputs } from "../cInputs.js";
+import { MedicarePremiums } from "../cMedicarePremiums.js";
+import { constsJS_FILING_STATUS, TAX_BRACKET_INDEXING } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Medicare Premiums and IRMAA");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Medicare Premiums and IRMAA");
+
+/**
+ * @param {Record<string, any>} overrides
+ */
+function couple2025(overrides) {
+  return new Inputs({
+    startingYear: 2025,
+    initialAgeSubject: 66,
+    initialAgePartner: 63,
+    subjectRetireAge: 66,
+    subjectLifeSpan: 90,
+    partnerLifeSpan: 90,
+    inflationRate: 0.025,
+    healthcareInflationRate: 0.05,
+    filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    includeMedicarePremiums: true,
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function premiumsFor(inputs) {
+  return MedicarePremiums.CreateUsing(
+    inputs,
+    Demographics.CreateUsing(inputs, true, false)
+  );
+}
+
+runTest(
+  "Each spouse is enrolled from 65 at the standard premium",
+  () => {
+    const inputs = couple2025({ priorYearsMagi: 150000 });
+    const premiums = premiumsFor(inputs);
+
+    assertEqual(premiums.enrollees, 1, "Only the subject is 65+");
+    assertEqual(premiums.irmaaTier, 0, "Below the joint threshold");
+    assertEqual(premiums.partB, 2220, "$185.00 a month");
+    assertEqual(premiums.total, (2220 + 36.78 * 12).asCurrency(), "B and D");
+
+    inputs.yearIndex = 2;
+    assertEqual(premiumsFor(inputs).enrollees, 2, "Partner turns 65");
+
+    inputs.includeMedicarePremiums = false;
+    assertEqual(premiumsFor(inputs).total, 0, "Premiums are opt-in");
+  },
+  testTracker
+);
+
+runTest(
+  "The lookback MAGI sets the IRMAA tier against indexed thresholds",
+  () => {
+    const inputs = couple2025({ priorYearsMagi: 270000 });
+    const premiums = premiumsFor(inputs);
+
+    assertEqual(premiums.irmaaTier, 2, "Over $266,000 joint");
+    assertEqual(
+      premiums.irmaaSurcharge,
+      ((185.0 + 35.3) * 12).asCurrency(),
+      "Tier 2 surcharges for one enrollee"
+    );
+
+    inputs.yearIndex = 2;
+    inputs.irmaaLookbackMagi = 270000;
+    assertEqual(
+      premiumsFor(inputs).irmaaTier,
+      1,
+      "$266,000 indexed two years is above $270,000"
+    );
+
+    inputs.irmaaIndexing = TAX_BRACKET_INDEXING.NONE;
+    assertEqual(premiumsFor(inputs).irmaaTier, 2, "Frozen thresholds");
+  },
+  testTracker
+);
+
+runTest(
+  "Cliffs price a dollar over each threshold two years out",
+  () => {
+    const cliffs = premiumsFor(couple2025({})).cliffs;
+
+    assertEqual(cliffs.length, 5, "One per tier");
+    assertEqual(
+      cliffs[0].magi,
+      (212000 * 1.025 ** 2).asCurrency(),
+      "Joint threshold for 2027"
+    );
+    assertEqual(
+      cliffs[0].annualCost,
+      ((74.0 + 13.7) * 12 * 2 * 1.05 ** 2).asCurrency(),
+      "Both spouses are enrolled by then"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Income two years earlier drives the premium in the projection",
+  () => {
+    const years = (
+      initializeCalculationsFromInputs(
+        couple2025({
+          spendingRetirement: 60000,
+          useHealthcareCostCurve: false,
+          savingsStartingBalance: 3000000,
+          savingsInterestRate: 0.04,
+        })
+      )?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+
+    const [first, , third] = years;
+    assertEqual(first.medicare_lookbackMagi, 0, "No income before the plan");
+    assertEqual(
+      third.medicare_lookbackMagi,
+      first.taxes_adjustedGrossIncome,
+      "2027 looks back to 2025"
+    );
+    assert(first.spending_medicarePremiums > 0, "Premiums are spent");
+    assertEqual(
+      first.spending_total,
+      (first.projectedSpend + first.spending_medicarePremiums).asCurrency(),
+      "On top of base spending"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
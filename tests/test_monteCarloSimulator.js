@@ -0,0 +1,119 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { MonteCarloSimulator } from "../cMonteCarloSimulator.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { SimulationOutcome } from "../cSimulationOutcome.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Monte Carlo Simulator");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Monte Carlo Simulator");
+
+function createInputs() {
+  /** @type {import("../cInputs.js").InputsOptions} */
+  const inputArgs = {
+    startingYear: 2025,
+    initialAgeSubject: 64,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 75,
+    subjectSsStartAge: 67,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 50000,
+    spendingRetirement: 50000,
+    useHealthcareCostCurve: false,
+    inflationRate: 0.025,
+    savingsStartingBalance: 200000,
+    subject401kStartingBalance: 400000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+  };
+
+  return new Inputs(inputArgs);
+}
+
+runTest(
+  "Same seed reproduces the same results",
+  () => {
+    const first = MonteCarloSimulator.CreateUsing(createInputs(), {
+      trials: 3,
+      seed: 42,
+    }).run();
+    const second = MonteCarloSimulator.CreateUsing(createInputs(), {
+      trials: 3,
+      seed: 42,
+    }).run();
+
+    assertEqual(first.trials, 3, "Trial count");
+    first.trialResults.forEach((trial, i) => {
+      assertEqual(
+        trial.endingBalance,
+        second.trialResults[i].endingBalance,
+        `Trial ${i + 1} ending balance`
+      );
+    });
+  },
+  testTracker
+);
+
+runTest(
+  "Zero volatility matches the deterministic projection",
+  () => {
+    const inputs = createInputs();
+    const deterministic = SimulationOutcome.CreateFrom(
+      inputs,
+      initializeCalculationsFromInputs(inputs.clone())
+    );
+
+    const results = MonteCarloSimulator.CreateUsing(createInputs(), {
+      trials: 1,
+      assetClasses: {
+        trad401k: { volatility: 0 },
+        roth: { volatility: 0 },
+        savings: { volatility: 0 },
+      },
+    }).run();
+
+    const difference = Math.abs(
+      results.trialResults[0].endingBalance - deterministic.endingBalance
+    );
+
+    // Annual returns are converted to monthly-compounded rates, so allow for
+    // the small difference from the deterministic rate / 12 crediting
+    assert(
+      difference < deterministic.endingBalance * 0.02,
+      `Expected ending balances to be close (difference ${difference})`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Invalid correlation matrix is rejected",
+  () => {
+    assertThrows(() =>
+      MonteCarloSimulator.CreateUsing(createInputs(), {
+        correlations: [
+          [1, 1.5, 0],
+          [1.5, 1, 0],
+          [0, 0, 1],
+        ],
+      })
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
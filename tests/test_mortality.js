@@ -0,0 +1,156 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { LifeTable } from "../cLifeTable.js";
+import { MortalityAnalyzer } from "../cMortalityAnalyzer.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Mortality-Weighted Projections");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Mortality-Weighted Projections");
+
+/**
+ * A retiree at 65 in 2030
+ * @param {Record<string, any>} [overrides]
+ */
+function retiree(overrides = {}) {
+  return new Inputs({
+    startingYear: 2030,
+    initialAgeSubject: 65,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 90,
+    subjectSex: "male",
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+    spendingRetirement: 20000,
+    useHealthcareCostCurve: false,
+    savingsStartingBalance: 1000000,
+    ...overrides,
+  });
+}
+
+runTest(
+  "The life table gives declining survival odds",
+  () => {
+    const male = LifeTable.survivalProbability("male", 65, 85);
+    const female = LifeTable.survivalProbability("female", 65, 85);
+    const unisex = LifeTable.survivalProbability("unisex", 65, 85);
+
+    assert(male > 0 && male < 1, `Male survival to 85 is ${male}`);
+    assert(female > male, "Women outlive men");
+    assert(unisex > male && unisex < female, "Unisex sits between them");
+    assertEqual(LifeTable.survivalProbability("male", 65, 65), 1, "Same age");
+    assertEqual(LifeTable.deathProbability("female", 119), 1, "Table ends");
+    assert(
+      LifeTable.deathProbability("male", 0) >
+        LifeTable.deathProbability("male", 10),
+      "Infant mortality is in the table"
+    );
+
+    const age = LifeTable.survivalAge("male", 65, 0.25);
+    assert(
+      LifeTable.survivalProbability("male", 65, age) >= 0.25 &&
+        LifeTable.survivalProbability("male", 65, age + 1) < 0.25,
+      `25% survival age ${age} is the last age with at least that chance`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A funded single retiree never outlives the money",
+  () => {
+    const results = MortalityAnalyzer.CreateUsing(retiree()).analyze();
+
+    assertEqual(results.depletionYear, null, "No depletion");
+    assertEqual(results.probabilityOfOutlivingMoney, 0, "No chance");
+    assertEqual(results.survivalWeightedCoverage, 1, "Fully covered");
+    assertEqual(results.years[0].eitherSurvival, 1, "Alive at the start");
+    assertEqual(results.years[0].partnerAge, null, "No partner");
+    assert(
+      results.years.every((row) => row.subjectAge === row.year - 2030 + 65),
+      "Each row is aged by its own year"
+    );
+    assertEqual(
+      results.years[20].eitherSurvival.round(6),
+      LifeTable.survivalProbability("male", 65, 85).round(6),
+      "Household survival is the subject's"
+    );
+    assertEqual(
+      results.years[20].eitherSurvivalPastAge,
+      results.years[21].eitherSurvival,
+      "Alive past 85 is alive at 86"
+    );
+    assertEqual(
+      results.horizonAge,
+      LifeTable.survivalAge("male", 65, 0.01),
+      "Projected to the 1% survival age"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Running out of money is weighted by the chance someone is alive",
+  () => {
+    const short = MortalityAnalyzer.CreateUsing(
+      retiree({
+        initialAgePartner: 65,
+        partnerSex: "female",
+        partnerLifeSpan: 90,
+        filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+        spendingRetirement: 50000,
+        savingsStartingBalance: 600000,
+      })
+    ).analyze();
+    const depletion = short.years.find((y) => y.year === short.depletionYear);
+
+    assert(depletion !== undefined, "Money runs out");
+    if (!depletion) return;
+
+    assertEqual(
+      short.probabilityOfOutlivingMoney,
+      depletion.eitherSurvival,
+      "Chance someone is alive when it does"
+    );
+    assertEqual(
+      depletion.eitherSurvival,
+      1 - (1 - depletion.subjectSurvival) * (1 - depletion.partnerSurvival),
+      "Either spouse"
+    );
+    assert(
+      short.survivalWeightedCoverage > 0 && short.survivalWeightedCoverage < 1,
+      `Partly covered: ${short.survivalWeightedCoverage}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "The deterministic engine runs at each longevity percentile",
+  () => {
+    const results = MortalityAnalyzer.CreateUsing(
+      retiree({ initialAgePartner: 60, partnerSex: "female" }),
+      { survivalChances: [0.5, 0.25] }
+    ).analyze();
+    const [median, long] = results.percentiles;
+
+    assertEqual(
+      median.subjectLifeSpan,
+      LifeTable.survivalAge("male", 65, 0.5),
+      "Subject's median age"
+    );
+    assertEqual(
+      long.partnerLifeSpan,
+      LifeTable.survivalAge("female", 60, 0.25),
+      "Partner's 25% age"
+    );
+    assert(long.subjectLifeSpan > median.subjectLifeSpan, "Longer life");
+    assert(median.funded && long.funded, "Funded either way");
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
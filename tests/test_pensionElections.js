@@ -0,0 +1,217 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { PensionElectionAnalyzer } from "../cPensionElectionAnalyzer.js";
+import { PensionElections } from "../cPensionElections.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Pension COLA and Elections");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Pension COLA and Elections");
+
+/**
+ * @param {Record<string, any>} overrides
+ * @returns {import("../cPensionAnnuityStorage.js").PensionAnnuity}
+ */
+function pension(overrides) {
+  return {
+    id: "p1",
+    owner: "subject",
+    name: "State Pension",
+    startAge: 65,
+    monthlyAmount: 2000,
+    withholdingRate: 0,
+    survivorshipPercent: 0,
+    colaType: "none",
+    colaRate: 0,
+    colaCap: 0,
+    lumpSumAmount: 300000,
+    jointSurvivorOptions: [{ survivorshipPercent: 1, monthlyAmount: 1800 }],
+    election: "annuity",
+    ...overrides,
+  };
+}
+
+/**
+ * A retired couple in 2030; the subject lives through 75
+ * @param {Record<string, any>} pensionOverrides
+ * @param {Record<string, any>} [overrides]
+ */
+function couple(pensionOverrides, overrides = {}) {
+  return new Inputs({
+    startingYear: 2030,
+    initialAgeSubject: 65,
+    initialAgePartner: 65,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 75,
+    partnerLifeSpan: 80,
+    filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    spendingRetirement: 40000,
+    savingsStartingBalance: 1000000,
+    inflationRate: 0.03,
+    pensionAnnuities: [pension(pensionOverrides)],
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function projection(inputs) {
+  return (
+    initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+  ).map((calc) => calc.reportData);
+}
+
+runTest(
+  "Fixed and CPI-linked COLAs grow the payment from the start age",
+  () => {
+    const fixed = projection(couple({ colaType: "fixed", colaRate: 0.02 }));
+    assertEqual(fixed[0].income_subjectPensionGross, 24000, "First year");
+    assertEqual(
+      fixed[2].income_subjectPensionGross,
+      (24000 * 1.02 * 1.02).asCurrency(),
+      "Two fixed increases"
+    );
+
+    const capped = pension({ colaType: "cpi", colaCap: 0.02 });
+    const uncapped = pension({ colaType: "cpi" });
+    assertEqual(
+      PensionElections.colaFactor(capped, 1, 0.03),
+      1.02,
+      "CPI held to the cap"
+    );
+    assertEqual(
+      PensionElections.colaFactor(uncapped, 1, 0.03),
+      1.03,
+      "Uncapped CPI follows inflation"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A capped CPI COLA follows each year's own inflation when it varies",
+  () => {
+    const yearlyInflation = [0.1, 0, 0.02, 0.02];
+    const years = (
+      initializeCalculationsFromInputs(
+        couple({ colaType: "cpi", colaCap: 0.03 }),
+        {
+          annualInflationRateFor: (yearIndex) => yearlyInflation[yearIndex],
+          inflationRateFor: (yearIndex) =>
+            yearIndex === 0
+              ? yearlyInflation[0]
+              : yearlyInflation
+                  .slice(0, yearIndex)
+                  .reduce((level, rate) => level * (1 + rate), 1) **
+                  (1 / yearIndex) -
+                1,
+        }
+      )?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+
+    assertEqual(
+      years[2].income_subjectPensionGross,
+      (24000 * 1.03 * 1).asCurrency(),
+      "Capped in the 10% year, nothing added in the flat one"
+    );
+    assertEqual(
+      PensionElections.colaFactor(
+        pension({ colaType: "cpi", colaCap: 0.03 }),
+        2,
+        [0.1, 0]
+      ),
+      1.03,
+      "Each year capped on its own"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A joint-and-survivor election pays less but continues after death",
+  () => {
+    const single = projection(couple({}));
+    const joint = projection(couple({ election: "js1" }));
+
+    assertEqual(joint[0].income_subjectPensionGross, 21600, "Reduced amount");
+    assertEqual(single[11].income_subjectPensionGross, 0, "Single life ends");
+    assertEqual(
+      joint[11].income_subjectPensionGross,
+      21600,
+      "Survivor keeps 100%"
+    );
+    assertEqual(
+      joint[0].income_pensionBreakdowns[0].election,
+      "100% joint & survivor",
+      "Breakdown names the election"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A lump-sum election rolls into the 401k at the start age instead of paying",
+  () => {
+    const years = projection(
+      couple(
+        { election: "lumpSum" },
+        { initialAgeSubject: 64, subjectRetireAge: 66 }
+      )
+    );
+
+    assertEqual(years[1].transfer_subjectPensionRollover, 300000, "At 65");
+    assertEqual(years[0].transfer_subjectPensionRollover, 0, "Not before");
+    assertEqual(years[2].transfer_subjectPensionRollover, 0, "Only once");
+    assert(
+      years.every((y) => y.income_subjectPensionGross === 0),
+      "No monthly payments"
+    );
+    assert(
+      years[1].account_subject401kBalance >= 300000,
+      "Rolled into the 401k while still working"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "The analyzer runs the plan once per election",
+  () => {
+    const results = PensionElectionAnalyzer.CreateUsing(
+      couple({}),
+      "p1"
+    ).analyze();
+
+    assertEqual(
+      results.rows.map((r) => r.key).join(","),
+      "annuity,js1,lumpSum",
+      "Every offered election"
+    );
+    assertEqual(results.currentKey, "annuity", "Current election");
+    assertEqual(
+      results.rows[0].lifetimePensionIncome,
+      24000 * 11,
+      "Single life pays until death"
+    );
+    assertEqual(
+      results.rows[1].lifetimePensionIncome,
+      21600 * 16,
+      "Joint pays through the survivor's lifespan"
+    );
+    assertEqual(results.rows[2].lifetimePensionIncome, 0, "Lump sum");
+    assert(
+      results.rows[2].endingBalance > results.rows[0].endingBalance,
+      "Unspent lump sum is left in the balance"
+    );
+    assert(results.bestKey !== null, "A funded election is recommended");
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,74 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { RetirementAgeSolver } from "../cRetirementAgeSolver.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Retirement Age Solver");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Retirement Age Solver");
+
+function createInputs() {
+  /** @type {import("../cInputs.js").InputsOptions} */
+  const inputArgs = {
+    startingYear: 2025,
+    initialAgeSubject: 60,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 75,
+    subjectSsStartAge: 67,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 50000,
+    spendingRetirement: 70000,
+    inflationRate: 0.025,
+    savingsStartingBalance: 200000,
+    subject401kStartingBalance: 400000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+  };
+
+  return new Inputs(inputArgs);
+}
+
+runTest(
+  "Tabulates every age in range and recommends the earliest funded one",
+  () => {
+    const results = RetirementAgeSolver.CreateUsing(createInputs(), {
+      minAge: 60,
+      maxAge: 66,
+    }).solve();
+
+    assertEqual(results.rows.length, 7, "Row count");
+    assertEqual(results.rows[0].subjectRetireAge, 60, "First age");
+    assert(results.recommendedAge !== null, "Expected a recommended age");
+
+    results.rows.forEach((row) => {
+      const expected = row.subjectRetireAge >= (results.recommendedAge ?? 0);
+      assertEqual(row.funded, expected, `Funded at ${row.subjectRetireAge}`);
+    });
+  },
+  testTracker
+);
+
+runTest(
+  "Ages at or beyond lifespan are rejected",
+  () => {
+    assertThrows(() =>
+      RetirementAgeSolver.CreateUsing(createInputs(), { minAge: 80 })
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,106 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { RMD_TABLE } from "../consts.js";
+import { RmdCalculator } from "../cRmdCalculator.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { buildRmdSchedule } from "../rRmdSchedule.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Required Minimum Distributions");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Required Minimum Distributions");
+
+runTest(
+  "Start age follows SECURE 2.0 by birth year",
+  () => {
+    assertEqual(RmdCalculator.startAge(1950), 72, "Born 1950");
+    assertEqual(RmdCalculator.startAge(1959), 73, "Born 1959");
+    assertEqual(RmdCalculator.startAge(1960), 75, "Born 1960");
+  },
+  testTracker
+);
+
+runTest(
+  "Uniform Lifetime Table runs through age 120",
+  () => {
+    assertEqual(RmdCalculator.uniformLifetimeFactor(73), 26.5, "Age 73");
+    assertEqual(RmdCalculator.uniformLifetimeFactor(105), 4.6, "Age 105");
+    assertEqual(RmdCalculator.uniformLifetimeFactor(120), 2.0, "Age 120");
+    assertEqual(RmdCalculator.uniformLifetimeFactor(124), 2.0, "Past 120");
+  },
+  testTracker
+);
+
+runTest(
+  "Joint life factor agrees with the Uniform table at a 10-year gap",
+  () => {
+    for (const age of [72, 80, 90, 100, 110]) {
+      const joint = RmdCalculator.jointLifeFactor(age, age - 10);
+      const uniform = RmdCalculator.uniformLifetimeFactor(age);
+      assert(
+        Math.abs(joint - uniform) <= 0.1,
+        `Age ${age}: joint ${joint} vs uniform ${uniform}`
+      );
+    }
+  },
+  testTracker
+);
+
+runTest(
+  "A much younger sole-beneficiary spouse lowers the RMD",
+  () => {
+    const uniform = RmdCalculator.calculate(true, 75, 1950, 500000);
+    const joint = RmdCalculator.calculate(true, 75, 1950, 500000, 60);
+    const closeInAge = RmdCalculator.calculate(true, 75, 1950, 500000, 68);
+
+    assertEqual(uniform.table, RMD_TABLE.UNIFORM_LIFETIME, "No spouse");
+    assertEqual(joint.table, RMD_TABLE.JOINT_AND_LAST_SURVIVOR, "15 years");
+    assertEqual(closeInAge.table, RMD_TABLE.UNIFORM_LIFETIME, "7 years");
+    assert(joint.amount < uniform.amount, "Expected a smaller RMD");
+  },
+  testTracker
+);
+
+runTest(
+  "Projected RMDs use the prior year-end balance",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2025,
+      initialAgeSubject: 70,
+      subjectRetireAge: 70,
+      subjectLifeSpan: 90,
+      subjectSsStartAge: 70,
+      subject401kStartAge: 65,
+      spendingToday: 20000,
+      spendingRetirement: 20000,
+      inflationRate: 0.025,
+      savingsStartingBalance: 200000,
+      subject401kStartingBalance: 800000,
+      savingsInterestRate: 0.03,
+      subject401kInterestRate: 0.05,
+      subjectSsMonthly: 3000,
+      ssCola: 0.02,
+      filingStatus: "single",
+      useRMD: true,
+    });
+
+    const { subject } = buildRmdSchedule(
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    );
+    const [first] = subject;
+
+    assertEqual(first.age, 73, "First RMD age for someone born in 1955");
+    assertEqual(
+      first.rmd,
+      (first.priorYearEndBalance / 26.5).asCurrency(),
+      "First RMD"
+    );
+    assert(first.withdrawn >= first.rmd, "Expected the RMD to be withdrawn");
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
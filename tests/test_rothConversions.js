@@ -0,0 +1,180 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import {
+  ROTH_CONVERSION_STRATEGY,
+  ROTH_CONVERSION_TAX_SOURCE,
+} from "../consts.js";
+import { RothConversionImpact } from "../cRothConversionImpact.js";
+import { TaxLawRegistry } from "../cTaxLawRegistry.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Roth Conversions");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Roth Conversions");
+
+/**
+ * @param {import("../cRothConversionPlanner.js").RothConversionPlan | null} rothConversionPlan
+ */
+function createInputs(rothConversionPlan) {
+  /** @type {import("../cInputs.js").InputsOptions} */
+  const inputArgs = {
+    startingYear: 2025,
+    initialAgeSubject: 64,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 85,
+    subjectSsStartAge: 67,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 50000,
+    spendingRetirement: 50000,
+    inflationRate: 0.025,
+    savingsStartingBalance: 300000,
+    subject401kStartingBalance: 800000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectRothInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+    useRMD: true,
+    rothConversionPlan,
+  };
+
+  return new Inputs(inputArgs);
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function retirementYears(inputs) {
+  return (initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? [])
+    .map((calc) => calc.reportData)
+    .filter((data) => data.demographics_isRetired);
+}
+
+runTest(
+  "Fill-bracket conversions stop at the top of the bracket",
+  () => {
+    const years = retirementYears(
+      createInputs({
+        strategy: ROTH_CONVERSION_STRATEGY.FILL_BRACKET,
+        bracketRate: 0.12,
+        taxSource: ROTH_CONVERSION_TAX_SOURCE.SAVINGS,
+      })
+    );
+
+    const first = years[0];
+    const bracketTop = TaxLawRegistry.resolve(first.year, null, 0.025).brackets
+      .single[1].upTo;
+
+    assert(first.income_combinedRothConversion > 0, "Expected a conversion");
+    assert(
+      Math.abs(first.taxes_taxableIncome - bracketTop) <= 2,
+      `Expected taxable income ${first.taxes_taxableIncome} at ${bracketTop}`
+    );
+    assert(first.taxes_rothConversionTax > 0, "Expected added tax");
+  },
+  testTracker
+);
+
+runTest(
+  "Fill-bracket conversions fill the bracket with no other income",
+  () => {
+    const [first] = retirementYears(
+      new Inputs({
+        startingYear: 2026,
+        initialAgeSubject: 65,
+        subjectRetireAge: 65,
+        subjectLifeSpan: 85,
+        subjectSsStartAge: 70,
+        // Nothing drawn and no Social Security yet: only the conversion
+        spendingRetirement: 0,
+        useHealthcareCostCurve: false,
+        savingsStartingBalance: 500000,
+        subject401kStartingBalance: 800000,
+        filingStatus: "single",
+        rothConversionPlan: {
+          strategy: ROTH_CONVERSION_STRATEGY.FILL_BRACKET,
+          bracketRate: 0.12,
+          taxSource: ROTH_CONVERSION_TAX_SOURCE.SAVINGS,
+        },
+      })
+    );
+
+    const bracketTop = TaxLawRegistry.resolve(first.year, null, 0).brackets
+      .single[1].upTo;
+
+    assertEqual(
+      first.taxes_adjustedGrossIncome,
+      first.income_combinedRothConversion,
+      "Conversion is the only income"
+    );
+    assert(
+      Math.abs(first.taxes_taxableIncome - bracketTop) <= 2,
+      `Expected taxable income ${first.taxes_taxableIncome} at ${bracketTop}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Withheld taxes reduce the amount that reaches the Roth",
+  () => {
+    const [first] = retirementYears(
+      createInputs({
+        strategy: ROTH_CONVERSION_STRATEGY.FIXED_AMOUNT,
+        annualAmount: 40000,
+        startAge: 65,
+        endAge: 65,
+        taxSource: ROTH_CONVERSION_TAX_SOURCE.WITHHELD,
+      })
+    );
+
+    const converted = (40000).adjustedForInflation(0.025, first.year - 2025);
+
+    assertEqual(
+      first.income_combinedRothConversion.asCurrency(),
+      converted.asCurrency(),
+      "Converted amount"
+    );
+    assert(first.withholdings_rothConversion > 0, "Expected withholding");
+    assertEqual(
+      first.account_subjectRothDeposits.asCurrency(),
+      (converted - first.withholdings_rothConversion).asCurrency(),
+      "Roth deposit"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Converting until RMD age lowers lifetime RMDs",
+  () => {
+    const inputs = createInputs({
+      strategy: ROTH_CONVERSION_STRATEGY.UNTIL_RMD_AGE,
+      taxSource: ROTH_CONVERSION_TAX_SOURCE.SAVINGS,
+    });
+
+    const impact = RothConversionImpact.CreateFrom(
+      inputs,
+      initializeCalculationsFromInputs(inputs)
+    );
+
+    assert(impact !== null, "Expected an impact summary");
+    if (!impact) return;
+
+    assert(impact.baselineLifetimeRmds > 0, "Baseline should take RMDs");
+    assertEqual(impact.lifetimeRmds, 0, "RMDs after converting");
+    assert(
+      impact.rmdChange < 0,
+      `Expected a reduction, got ${impact.rmdChange}`
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,297 @@
+// @ts-check
+
+import { readdirSync, readFileSync } from "node:fs";
+import { ScenarioInputs } from "../cScenarioInputs.js";
+import { HEALTHCARE_INFLATION_DEFAULT } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { UIField } from "../UIFields.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Scenario Inputs");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Scenario Inputs");
+
+function createScenarioFile() {
+  return {
+    version: "1.4",
+    exportDate: "2025-01-01T00:00:00.000Z",
+    description:
+      "Retirement Calculator Scenario with UI + pension/withdrawal state",
+    scenario: {
+      inputs: {
+        startingYear: "2025",
+        subjectCurrentAge: "60",
+        subjectRetireAge: "62",
+        subjectTerminalAge: "90",
+        retirementYearsSpending: "80000",
+        inflation: "3",
+        subject401kReturnRate: "5",
+        filingStatus: "married",
+        useRMD: false,
+        useCurrentYearValues: false,
+        spending: [{ year_2030: "120000" }, { year_2031: "" }],
+        pensionAnnuities: [
+          {
+            id: "p1",
+            owner: "partner",
+            name: "Teachers",
+            startAge: 65,
+            monthlyAmount: "2500",
+            withholdingRate: 0.1,
+            survivorshipPercent: 0.5,
+          },
+        ],
+        withdrawalLimits: [
+          { id: "w1", name: "Cap", year: 2032, amount: "40000" },
+        ],
+      },
+    },
+  };
+}
+
+/**
+ * Form fields added after schema 1.4, so missing from scenarios saved then
+ */
+const FIELDS_ADDED_SINCE_1_4 = [
+  UIField.HAS_QUALIFYING_DEPENDENT,
+  UIField.SUBJECT_SEX,
+  UIField.PARTNER_SEX,
+  UIField.SPENDING_POLICY,
+  UIField.GUARDRAIL_UPPER_LIMIT,
+  UIField.GUARDRAIL_LOWER_LIMIT,
+  UIField.GUARDRAIL_ADJUSTMENT,
+  UIField.BROKERAGE_BALANCE,
+  UIField.BROKERAGE_COST_BASIS,
+  UIField.BROKERAGE_GROWTH,
+  UIField.BROKERAGE_DIVIDEND_YIELD,
+  UIField.BROKERAGE_QUALIFIED_DIVIDENDS,
+  UIField.COST_BASIS_METHOD,
+  UIField.HSA_BALANCE,
+  UIField.HSA_RETURN,
+  UIField.HSA_COVERAGE,
+  UIField.HSA_ANNUAL_CONTRIBUTION,
+  UIField.HEALTHCARE_INFLATION,
+  UIField.USE_HEALTHCARE_CURRENT_YEAR_VALUES,
+  UIField.USE_HEALTHCARE_COST_CURVE,
+  UIField.INCLUDE_MEDICARE_PREMIUMS,
+  UIField.PRIOR_YEARS_MAGI,
+  UIField.IRMAA_INDEXING,
+  UIField.IRMAA_INDEXING_RATE,
+  UIField.USE_ACA_PREMIUMS,
+  UIField.ACA_BENCHMARK_PREMIUM,
+  UIField.ACA_SUBSIDY_RULE,
+  UIField.ACA_KEEP_MAGI_UNDER_CLIFF,
+  UIField.SUBJECT_SS_START_MONTH,
+  UIField.PARTNER_SS_START_MONTH,
+  UIField.SUBJECT_SS_PIA,
+  UIField.PARTNER_SS_PIA,
+  UIField.SUBJECT_BIRTH_YEAR,
+  UIField.PARTNER_BIRTH_YEAR,
+  UIField.SS_BENEFIT_CUT,
+  UIField.SS_BENEFIT_CUT_YEAR,
+  UIField.SPOUSE_SOLE_BENEFICIARY,
+  UIField.ROTH_CONVERSION_STRATEGY,
+  UIField.ROTH_CONVERSION_AMOUNT,
+  UIField.ROTH_CONVERSION_BRACKET,
+  UIField.ROTH_CONVERSION_START_AGE,
+  UIField.ROTH_CONVERSION_END_AGE,
+  UIField.ROTH_CONVERSION_TAX_SOURCE,
+  UIField.WITHDRAWAL_STRATEGY,
+  UIField.WITHDRAWAL_BRACKET,
+  UIField.TAX_LAW_REGIME,
+  UIField.TAX_LAW_CHANGE_YEAR,
+  UIField.TAX_BRACKET_INDEXING,
+  UIField.TAX_BRACKET_INDEXING_RATE,
+  UIField.CUSTOM_TAX_SCHEDULE,
+  UIField.STATE_OF_RESIDENCE,
+  UIField.RELOCATION_STATE,
+  UIField.RELOCATION_YEAR,
+  UIField.HEIR_TAX_RATE,
+  UIField.ESTATE_TAX_EXEMPTION,
+];
+
+/**
+ * The values a freshly loaded form holds, read from the partials' markup
+ * @returns {Record<string, unknown>}
+ */
+function formDefaults() {
+  const partials = new URL("../partials/", import.meta.url);
+  /** @type {Record<string, unknown>} */
+  const values = {};
+
+  for (const name of readdirSync(partials)) {
+    const html = readFileSync(new URL(name, partials), "utf8");
+
+    for (const [, attributes] of html.matchAll(/<labeled-input\b([^>]*)>/g)) {
+      const id = /input-id="([^"]*)"/.exec(attributes)?.[1];
+      if (id) values[id] = /\bvalue="([^"]*)"/.exec(attributes)?.[1] ?? "";
+    }
+
+    for (const [tag] of html.matchAll(/<input\b[^>]*type="checkbox"[^>]*>/g)) {
+      const id = /\bid="([^"]*)"/.exec(tag)?.[1];
+      if (id) values[id] = /\schecked\b/.test(tag);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * The scenario's inputs followed by each projected year, as JSON
+ * @param {Record<string, unknown>} values
+ */
+function projectionOf(values) {
+  const inputs = ScenarioInputs.CreateFrom({
+    version: "1.4",
+    scenario: { inputs: values },
+  }).toInputs();
+
+  return [
+    JSON.stringify(inputs),
+    ...(
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    ).map((calc) => JSON.stringify(calc.reportData)),
+  ];
+}
+
+runTest(
+  "Maps saved UI values onto Inputs",
+  () => {
+    const inputs = ScenarioInputs.CreateFrom(createScenarioFile()).toInputs();
+
+    assertEqual(inputs.startingYear, 2025, "Starting year");
+    assertEqual(inputs.initialAgeSubject, 60, "Subject age");
+    assertEqual(inputs.inflationRate, 0.03, "Inflation is a percentage");
+    assertEqual(inputs.useRMD, false, "RMD checkbox");
+    assertEqual(inputs.pensionAnnuities.length, 1, "Pension count");
+    assertEqual(
+      inputs.pensionAnnuities[0].monthlyAmount,
+      2500,
+      "Pension amount is numeric"
+    );
+    assertEqual(inputs.withdrawalLimits[0].amount, 40000, "Withdrawal limit");
+  },
+  testTracker
+);
+
+runTest(
+  "Healthcare costs are estimated by age unless turned off",
+  () => {
+    const file = createScenarioFile();
+    assertEqual(
+      ScenarioInputs.CreateFrom(file).toInputs().useHealthcareCostCurve,
+      true,
+      "Missing from older scenarios"
+    );
+
+    /** @type {Record<string, any>} */ (
+      file.scenario.inputs
+    ).useHealthcareCostCurve = false;
+    assertEqual(
+      ScenarioInputs.CreateFrom(file).toInputs().useHealthcareCostCurve,
+      false,
+      "Turned off"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Healthcare costs grow at the default rate when the scenario predates it",
+  () => {
+    const inputs = ScenarioInputs.CreateFrom(createScenarioFile()).toInputs();
+    assertEqual(
+      inputs.healthcareInflationRate,
+      HEALTHCARE_INFLATION_DEFAULT,
+      "Missing from older scenarios"
+    );
+
+    const years = (
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+    assert(
+      years[1].spending_healthcare > years[0].spending_healthcare,
+      `Healthcare spending grows: ${years[0].spending_healthcare} then ${years[1].spending_healthcare}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A 1.4 scenario projects the same headless as imported into the form",
+  () => {
+    const defaults = formDefaults();
+    /** @type {Record<string, unknown>} */
+    const saved = {
+      ...Object.fromEntries(
+        Object.entries(defaults).filter(
+          ([id]) => !FIELDS_ADDED_SINCE_1_4.includes(id)
+        )
+      ),
+      ...createScenarioFile().scenario.inputs,
+    };
+
+    const headless = projectionOf(saved);
+    const imported = projectionOf({ ...defaults, ...saved });
+
+    assert(headless.length > 1, "Projected");
+    assertEqual(headless.length, imported.length, "Same years");
+    assertEqual(headless[0], imported[0], "Same inputs");
+    headless.forEach((year, index) =>
+      assertEqual(year, imported[index], `Year ${index} matches`)
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Spending overrides are keyed by retirement year",
+  () => {
+    const inputs = ScenarioInputs.CreateFrom(createScenarioFile()).toInputs();
+
+    // 2030 is age 65, the fourth year of retirement at 62
+    const overrides = inputs.retirementYearSpendingOverrides;
+    assertEqual(overrides.length, 1, "Blank override is skipped");
+    assertEqual(overrides[0].year, 4, "Retirement year");
+    assertEqual(overrides[0].amount, 120000, "Override amount");
+  },
+  testTracker
+);
+
+runTest(
+  "Current-year overrides are inflated to the target year",
+  () => {
+    const file = createScenarioFile();
+    file.scenario.inputs.useCurrentYearValues = true;
+
+    const inputs = ScenarioInputs.CreateFrom(file).toInputs();
+    const amount = inputs.retirementYearSpendingOverrides[0].amount;
+
+    assert(
+      Math.abs(amount - 120000 * Math.pow(1.03, 5)) < 0.01,
+      `Expected inflated override, got ${amount}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Rejects non-object and newer scenario files",
+  () => {
+    assertThrows(() => ScenarioInputs.CreateFrom(null));
+    assertThrows(() =>
+      ScenarioInputs.CreateFrom({ ...createScenarioFile(), version: "2.0" })
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,85 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { MaxSpendingSolver } from "../cSpendingSolver.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Max Spending Solver");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Max Spending Solver");
+
+function createInputs() {
+  /** @type {import("../cInputs.js").InputsOptions} */
+  const inputArgs = {
+    startingYear: 2025,
+    initialAgeSubject: 64,
+    subjectRetireAge: 65,
+    subjectLifeSpan: 75,
+    subjectSsStartAge: 67,
+    subject401kStartAge: 65,
+    subjectStartingSalary: 60000,
+    spendingToday: 50000,
+    spendingRetirement: 50000,
+    inflationRate: 0.025,
+    savingsStartingBalance: 200000,
+    subject401kStartingBalance: 400000,
+    savingsInterestRate: 0.03,
+    subject401kInterestRate: 0.05,
+    subjectSsMonthly: 2000,
+    ssCola: 0.02,
+    filingStatus: "single",
+  };
+
+  return new Inputs(inputArgs);
+}
+
+runTest(
+  "A higher balance floor lowers sustainable spending",
+  () => {
+    const noFloor = MaxSpendingSolver.CreateUsing(createInputs()).solve();
+    const withFloor = MaxSpendingSolver.CreateUsing(createInputs(), {
+      floor: 200000,
+    }).solve();
+
+    assert(noFloor.feasible, "Expected a sustainable spend with no floor");
+    assert(noFloor.maxSpending > 0, "Expected a positive spend");
+    assert(
+      withFloor.maxSpending < noFloor.maxSpending,
+      `Expected ${withFloor.maxSpending} < ${noFloor.maxSpending}`
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "An unreachable floor is reported as infeasible",
+  () => {
+    const result = MaxSpendingSolver.CreateUsing(createInputs(), {
+      floor: 100_000_000,
+    }).solve();
+
+    assertEqual(result.feasible, false, "Feasible");
+    assertEqual(result.maxSpending, 0, "Max spending");
+  },
+  testTracker
+);
+
+runTest(
+  "Negative floor is rejected",
+  () => {
+    assertThrows(() =>
+      MaxSpendingSolver.CreateUsing(createInputs(), { floor: -1 })
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,117 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { SsClaiming } from "../cSsClaiming.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Social Security Claiming Age");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Social Security Claiming Age");
+
+/**
+ * A single retiree born in 1964 with a $2,000 PIA
+ * @param {Record<string, any>} overrides
+ */
+function retiree(overrides) {
+  return new Inputs({
+    startingYear: 2026,
+    initialAgeSubject: 62,
+    subjectRetireAge: 62,
+    subjectLifeSpan: 90,
+    subjectSsStartAge: 62,
+    subjectSsPia: 2000,
+    subjectBirthYear: 1964,
+    ssCola: 0.02,
+    ...overrides,
+  });
+}
+
+runTest(
+  "Full retirement age follows the birth year",
+  () => {
+    assertEqual(SsClaiming.fullRetirementAgeMonths(1937), 65 * 12, "65");
+    assertEqual(SsClaiming.fullRetirementAgeMonths(1940), 65 * 12 + 6, "65+6");
+    assertEqual(SsClaiming.fullRetirementAgeMonths(1950), 66 * 12, "66");
+    assertEqual(SsClaiming.fullRetirementAgeMonths(1957), 66 * 12 + 6, "66+6");
+    assertEqual(SsClaiming.fullRetirementAgeMonths(1960), 67 * 12, "67");
+  },
+  testTracker
+);
+
+runTest(
+  "Early claims are reduced and delayed claims earn credits",
+  () => {
+    const factor = (/** @type {number} */ birthYear, /** @type {number} */ m) =>
+      SsClaiming.benefitFactor(birthYear, m).round(4);
+
+    assertEqual(factor(1964, 62 * 12), 0.7, "60 months early with FRA 67");
+    assertEqual(factor(1950, 62 * 12), 0.75, "48 months early with FRA 66");
+    assertEqual(factor(1964, 64 * 12), 0.8, "36 months at 5/9%");
+    assertEqual(factor(1964, 67 * 12), 1, "PIA at FRA");
+    assertEqual(factor(1964, 70 * 12), 1.24, "Three years of 8% credits");
+    assertEqual(factor(1964, 72 * 12), 1.24, "No credits after 70");
+    assertEqual(factor(1964, 60 * 12), 0.7, "Claims before 62 count as 62");
+  },
+  testTracker
+);
+
+runTest(
+  "The benefit starts in the claiming month and grows with the COLA",
+  () => {
+    const inputs = retiree({ subjectSsStartMonth: 6 });
+
+    assertEqual(
+      inputs.subjectSs.round(0),
+      2000 * 0.725 * 6,
+      "Six months, 20% plus 18 x 5/12% early"
+    );
+    inputs.yearIndex = 1;
+    assertEqual(
+      inputs.subjectSs.round(0),
+      (2000 * 0.725 * 12 * 1.02).round(0),
+      "Full year with the COLA"
+    );
+
+    const legacy = retiree({ subjectSsPia: 0, subjectSsMonthly: 1500 });
+    assertEqual(legacy.subjectSs, 18000, "The monthly amount is used as is");
+  },
+  testTracker
+);
+
+runTest(
+  "Delaying the claim raises the benefit in the projection",
+  () => {
+    /**
+     * @param {number} subjectSsStartAge
+     */
+    const at70 = (subjectSsStartAge) => {
+      const years = (
+        initializeCalculationsFromInputs(
+          retiree({
+            subjectSsStartAge,
+            spendingRetirement: 40000,
+            savingsStartingBalance: 2000000,
+          })
+        )?.getAllCalculations() ?? []
+      ).map((calc) => calc.reportData);
+      return years[8];
+    };
+
+    const early = at70(62);
+    const late = at70(70);
+
+    assertEqual(early.ss_subjectClaimFactor, 0.7, "Reported factor");
+    assertEqual(early.ss_subjectFraMonths, 67 * 12, "Reported FRA");
+    assertEqual(late.ss_subjectClaimFactor, 1.24, "Delayed credits");
+    assert(
+      late.income_subjectSsGross > early.income_subjectSsGross * 1.7,
+      "24% over PIA instead of 30% under"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
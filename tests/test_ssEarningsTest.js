@@ -0,0 +1,114 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { SsClaiming } from "../cSsClaiming.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Social Security Earnings Test");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Social Security Earnings Test");
+
+/** Born 1964 (FRA 67), claiming at 62 */
+const claim = {
+  monthly: 0,
+  pia: 2000,
+  birthYear: 1964,
+  startAge: 62,
+  startMonth: 0,
+  withheldMonths: 0,
+};
+
+runTest(
+  "Whole months are withheld for earnings over the exempt amount",
+  () => {
+    const test = (/** @type {number} */ age, /** @type {number} */ wages) =>
+      SsClaiming.earningsTestWithholding(claim, age, 16800, wages, 1);
+
+    assertEqual(test(62, 20000).months, 0, "Under $23,400");
+    assertEqual(
+      test(62, 40000).months,
+      6,
+      "$8,300 withheld rounds up to six $1,400 months"
+    );
+    assertEqual(test(62, 40000).amount, 8400, "Six months of benefits");
+    assertEqual(test(62, 200000).months, 12, "No more than the year's");
+    assertEqual(test(66, 40000).months, 6, "FRA at 67 leaves 66 untouched");
+
+    // Born 1958, FRA is 66 and 8 months
+    const fraYear = (/** @type {number} */ wages) =>
+      SsClaiming.earningsTestWithholding(
+        { ...claim, birthYear: 1958 },
+        66,
+        16800,
+        wages,
+        1
+      ).months;
+    assertEqual(fraYear(90000), 0, "$60,000 before FRA is under $62,160");
+    assertEqual(fraYear(120000), 5, "$5,947 rounds up to five months");
+    assertEqual(test(67, 200000).months, 0, "No test from FRA on");
+  },
+  testTracker
+);
+
+runTest(
+  "Withheld months raise the benefit from FRA",
+  () => {
+    const withheld = { ...claim, withheldMonths: 18 };
+
+    assertEqual(
+      SsClaiming.effectiveClaimAgeMonths(withheld, 66),
+      62 * 12,
+      "Still reduced before FRA"
+    );
+    assertEqual(
+      SsClaiming.effectiveClaimAgeMonths(withheld, 67),
+      62 * 12 + 18,
+      "As if claimed 18 months later"
+    );
+    assertEqual(
+      SsClaiming.effectiveClaimAgeMonths({ ...claim, withheldMonths: 90 }, 67),
+      67 * 12,
+      "Never past FRA"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Claiming at 62 while working is withheld, then recomputed",
+  () => {
+    const years = (
+      initializeCalculationsFromInputs(
+        new Inputs({
+          startingYear: 2026,
+          initialAgeSubject: 62,
+          subjectRetireAge: 65,
+          subjectLifeSpan: 90,
+          subjectStartingSalary: 40000,
+          inflationRate: 0,
+          subjectSsStartAge: 62,
+          subjectSsPia: 2000,
+          subjectBirthYear: 1964,
+          spendingToday: 30000,
+          spendingRetirement: 30000,
+          savingsStartingBalance: 1000000,
+        })
+      )?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+
+    assertEqual(years[0].ss_subjectEarningsTestWithheld, 8400, "Withheld");
+    assertEqual(years[0].income_subjectSsGross, 8400, "Paid while working");
+    assertEqual(years[3].income_subjectSsGross, 16800, "70% of PIA retired");
+    assertEqual(
+      years[5].income_subjectSsGross,
+      (2000 * 0.775 * 12).asCurrency(),
+      "At 67, reduced for 42 months instead of 60"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,146 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { SsClaiming } from "../cSsClaiming.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Spousal and Survivor Social Security");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Spousal and Survivor Social Security");
+
+/**
+ * Both 62 and born in 1964; the subject is the higher earner and dies at 75
+ * @param {Record<string, any>} overrides
+ */
+function couple(overrides) {
+  return new Inputs({
+    startingYear: 2026,
+    initialAgeSubject: 62,
+    initialAgePartner: 62,
+    subjectRetireAge: 62,
+    subjectLifeSpan: 75,
+    partnerLifeSpan: 90,
+    filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    subjectSsStartAge: 67,
+    subjectSsPia: 3000,
+    subjectBirthYear: 1964,
+    partnerSsStartAge: 62,
+    partnerSsPia: 800,
+    partnerBirthYear: 1964,
+    ssCola: 0.02,
+    spendingRetirement: 40000,
+    savingsStartingBalance: 3000000,
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function projection(inputs) {
+  return (
+    initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+  ).map((calc) => calc.reportData);
+}
+
+runTest(
+  "Spousal and survivor factors",
+  () => {
+    assertEqual(
+      SsClaiming.spousalFactor(1964, 62 * 12).round(4),
+      0.65,
+      "36 months at 25/36% and 24 at 5/12%"
+    );
+    assertEqual(SsClaiming.spousalFactor(1964, 70 * 12), 1, "No credits");
+    assertEqual(
+      SsClaiming.survivorFactor(1964, 60 * 12).round(4),
+      0.715,
+      "At 60"
+    );
+    assertEqual(SsClaiming.survivorFactor(1964, 67 * 12), 1, "At FRA");
+
+    const claim = {
+      monthly: 0,
+      pia: 2000,
+      birthYear: 1964,
+      startAge: 62,
+      startMonth: 0,
+      withheldMonths: 0,
+    };
+    assertEqual(
+      SsClaiming.deceasedBenefitFactor(claim, 70 * 12),
+      0.825,
+      "Early claimers leave at least 82.5%"
+    );
+    assertEqual(
+      SsClaiming.deceasedBenefitFactor(
+        { ...claim, startAge: 70 },
+        69 * 12
+      ).round(4),
+      1.16,
+      "Credits earned before dying unclaimed"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "The lower earner is topped up to half the other's PIA",
+  () => {
+    const years = projection(couple({}));
+
+    assertEqual(years[4].ss_partnerSpousalTopUp, 0, "Subject has not claimed");
+    assertEqual(
+      years[5].ss_partnerSpousalTopUp,
+      (700 * 12 * 1.02 ** 5).asCurrency(),
+      "Claimed at the partner's FRA, so unreduced"
+    );
+    assertEqual(
+      years[5].income_partnerSsGross,
+      (
+        800 * 0.7 * 12 * 1.02 ** 5 +
+        years[5].ss_partnerSpousalTopUp
+      ).asCurrency(),
+      "On top of the reduced own benefit"
+    );
+    assertEqual(years[5].ss_subjectSpousalTopUp, 0, "Higher earner gets none");
+  },
+  testTracker
+);
+
+runTest(
+  "The survivor steps up to the deceased's benefit",
+  () => {
+    const years = projection(couple({}));
+    const widowed = years[14];
+
+    assertEqual(widowed.income_subjectSsGross, 0, "Subject died at 75");
+    assertEqual(widowed.ss_partnerSpousalTopUp, 0, "Spousal benefit ends");
+    assertEqual(
+      widowed.income_partnerSsGross,
+      (3000 * 12 * 1.02 ** 14).asCurrency(),
+      "The subject's full benefit replaces the partner's"
+    );
+
+    const legacy = projection(
+      couple({
+        subjectSsPia: 0,
+        subjectSsMonthly: 3000,
+        partnerSsPia: 0,
+        partnerSsMonthly: 560,
+      })
+    )[14];
+    assertEqual(
+      legacy.income_partnerSsGross,
+      (3000 * 12 * 1.02 ** 9).asCurrency(),
+      "Entered benefits still switch to the larger check"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,82 @@
+// @ts-check
+
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Social Security Trust Fund Shortfall");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Social Security Trust Fund Shortfall");
+
+/**
+ * A retired couple in 2030 on fixed benefits; the subject dies at 75
+ * @param {Record<string, any>} overrides
+ */
+function couple(overrides) {
+  return new Inputs({
+    startingYear: 2030,
+    initialAgeSubject: 70,
+    initialAgePartner: 70,
+    subjectRetireAge: 70,
+    subjectLifeSpan: 75,
+    partnerLifeSpan: 85,
+    filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    subjectSsStartAge: 67,
+    subjectSsMonthly: 3000,
+    partnerSsStartAge: 67,
+    partnerSsMonthly: 1000,
+    spendingRetirement: 60000,
+    savingsStartingBalance: 2000000,
+    savingsInterestRate: 0.03,
+    ssBenefitCut: 0.2,
+    ssBenefitCutYear: 2034,
+    ...overrides,
+  });
+}
+
+/**
+ * @param {Inputs} inputs
+ */
+function projection(inputs) {
+  return (
+    initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+  ).map((calc) => calc.reportData);
+}
+
+runTest(
+  "Benefits are cut from the chosen year only",
+  () => {
+    const years = projection(couple({}));
+
+    assertEqual(years[3].ss_combinedGross, 48000, "2033 is paid in full");
+    assertEqual(years[3].ss_trustFundCutRate, 0, "No cut yet");
+    assertEqual(years[4].ss_combinedGross, 38400, "20% less from 2034");
+    assertEqual(years[4].ss_trustFundCut, 9600, "Amount cut");
+    assertEqual(years[4].ss_trustFundCutRate, 0.2, "Drives the badge");
+  },
+  testTracker
+);
+
+runTest(
+  "The cut reaches survivor benefits and their taxation",
+  () => {
+    const years = projection(couple({}));
+    const uncut = projection(couple({ ssBenefitCut: 0 }));
+
+    assertEqual(
+      years[6].income_partnerSsGross,
+      36000 * 0.8,
+      "Survivor keeps the larger benefit, cut"
+    );
+    assert(
+      years[4].ss_totalSsTaxable < uncut[4].ss_totalSsTaxable,
+      "Less of the smaller benefit is taxable"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,128 @@
+// @ts-check
+
+import "../utils.js"; // For asCurrency() and other Number prototype methods
+import { Demographics } from "../cDemographics.js";
+import { FiscalData } from "../cFiscalData.js";
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { TaxCalculations } from "../cTaxCalculations.js";
+import { assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Standard Deduction");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Standard Deduction");
+
+/**
+ * Demographics and fiscal data for the 2026 tax year.
+ * @param {import("../cInputs.js").InputsOptions} options
+ */
+function taxYear2026(options) {
+  const inputs = new Inputs({
+    startingYear: 2026,
+    subjectLifeSpan: 95,
+    inflationRate: 0.025,
+    ...options,
+  });
+
+  return {
+    fiscalData: FiscalData.CreateUsing(inputs),
+    demographics: Demographics.CreateUsing(inputs, true, false),
+  };
+}
+
+runTest(
+  "Each joint filer aged 65 or older adds the married additional amount",
+  () => {
+    const { fiscalData, demographics } = taxYear2026({
+      initialAgeSubject: 67,
+      initialAgePartner: 63,
+      partnerLifeSpan: 95,
+      filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+    });
+
+    assertEqual(demographics.filersAge65OrOlder, 1, "One senior filer");
+    assertEqual(
+      TaxCalculations.getStandardDeduction(fiscalData, demographics),
+      32200 + 1650,
+      "MFJ deduction"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Senior deduction phases out above the MAGI threshold",
+  () => {
+    const { fiscalData, demographics } = taxYear2026({
+      initialAgeSubject: 70,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+    });
+
+    assertEqual(
+      TaxCalculations.getSeniorDeduction(fiscalData, demographics, 60000),
+      6000,
+      "Below the threshold"
+    );
+    assertEqual(
+      TaxCalculations.getSeniorDeduction(fiscalData, demographics, 100000),
+      4500,
+      "6% of the $25,000 excess"
+    );
+    assertEqual(
+      TaxCalculations.getSeniorDeduction(fiscalData, demographics, 200000),
+      0,
+      "Fully phased out"
+    );
+
+    fiscalData.taxYear = 2029;
+    assertEqual(
+      TaxCalculations.getSeniorDeduction(fiscalData, demographics, 60000),
+      0,
+      "Expired after 2028"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "A dependent makes a survivor a qualifying surviving spouse, then head of household",
+  () => {
+    const survivor = (/** @type {number} */ yearsAfterDeath) =>
+      taxYear2026({
+        initialAgeSubject: 60,
+        initialAgePartner: 62 + yearsAfterDeath,
+        partnerLifeSpan: 62,
+        filingStatus: constsJS_FILING_STATUS.MARRIED_FILING_JOINTLY,
+        hasQualifyingDependent: true,
+      });
+
+    const qss = survivor(2);
+    const hoh = survivor(3);
+
+    assertEqual(
+      qss.demographics.filingStatus,
+      constsJS_FILING_STATUS.QUALIFYING_SURVIVING_SPOUSE,
+      "Second year after death"
+    );
+    assertEqual(
+      TaxCalculations.getTaxBrackets(qss.fiscalData, qss.demographics)[1].upTo,
+      100800,
+      "Joint brackets"
+    );
+    assertEqual(
+      hoh.demographics.filingStatus,
+      constsJS_FILING_STATUS.HEAD_OF_HOUSEHOLD,
+      "Third year after death"
+    );
+    assertEqual(
+      TaxCalculations.getStandardDeduction(hoh.fiscalData, hoh.demographics),
+      24150,
+      "Head of household deduction"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,180 @@
+// @ts-check
+
+import { Demographics } from "../cDemographics.js";
+import { FiscalData } from "../cFiscalData.js";
+import { Inputs } from "../cInputs.js";
+import { constsJS_FILING_STATUS } from "../consts.js";
+import { StateTaxCalculator } from "../cStateTaxCalculator.js";
+import { initializeCalculationsFromInputs } from "../retirement-calculator.js";
+import { assert, assertEqual, runTest, TestTracker } from "./baseTest.js";
+
+console.log("==========================================");
+console.log("State Income Tax");
+console.log("==========================================");
+
+const testTracker = new TestTracker("State Income Tax");
+
+/**
+ * Demographics and fiscal data for a single 67-year-old in 2025.
+ */
+function singleRetiree2025() {
+  const inputs = new Inputs({
+    startingYear: 2025,
+    initialAgeSubject: 67,
+    subjectLifeSpan: 95,
+    inflationRate: 0.025,
+    filingStatus: constsJS_FILING_STATUS.SINGLE,
+  });
+
+  return {
+    fiscalData: FiscalData.CreateUsing(inputs),
+    demographics: Demographics.CreateUsing(inputs, true, false),
+  };
+}
+
+const retirementIncome = {
+  federalAgi: 80000,
+  taxableSocialSecurity: 20000,
+  pensions: 25000,
+  retirementDistributions: 25000,
+};
+
+runTest(
+  "Pennsylvania taxes only the income that is not retirement income",
+  () => {
+    const { fiscalData, demographics } = singleRetiree2025();
+
+    const texas = StateTaxCalculator.calculate(
+      "TX",
+      fiscalData,
+      demographics,
+      retirementIncome
+    );
+    const pennsylvania = StateTaxCalculator.calculate(
+      "PA",
+      fiscalData,
+      demographics,
+      retirementIncome
+    );
+
+    assertEqual(texas.tax, 0, "No income tax in Texas");
+    assertEqual(pennsylvania.excludedIncome, 70000, "Retirement income");
+    assertEqual(pennsylvania.taxableIncome, 10000, "Interest and the rest");
+    assertEqual(pennsylvania.tax, 307, "3.07% of $10,000");
+  },
+  testTracker
+);
+
+runTest(
+  "New York excludes $20,000 of pension income and applies its brackets",
+  () => {
+    const { fiscalData, demographics } = singleRetiree2025();
+
+    const newYork = StateTaxCalculator.calculate(
+      "NY",
+      fiscalData,
+      demographics,
+      retirementIncome
+    );
+    const expectedTax =
+      8500 * 0.04 +
+      (11700 - 8500) * 0.045 +
+      (13900 - 11700) * 0.0525 +
+      (32000 - 13900) * 0.055;
+
+    assertEqual(newYork.excludedIncome, 40000, "Social Security and $20,000");
+    assertEqual(newYork.taxableIncome, 32000, "After the standard deduction");
+    assertEqual(newYork.tax, expectedTax.asCurrency(), "Bracketed tax");
+  },
+  testTracker
+);
+
+runTest(
+  "Relocating switches the state from the relocation year on",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2025,
+      initialAgeSubject: 64,
+      subjectRetireAge: 65,
+      subjectLifeSpan: 75,
+      subjectSsStartAge: 67,
+      subject401kStartAge: 65,
+      subjectStartingSalary: 90000,
+      spendingToday: 50000,
+      spendingRetirement: 50000,
+      inflationRate: 0.025,
+      savingsStartingBalance: 300000,
+      subject401kStartingBalance: 600000,
+      savingsInterestRate: 0.03,
+      subject401kInterestRate: 0.05,
+      subjectSsMonthly: 2000,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+      stateOfResidence: "NY",
+      relocationState: "FL",
+      relocationYear: 2028,
+    });
+
+    const years = (
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    ).map((calc) => calc.reportData);
+    const beforeMove = years.filter((data) => data.year < 2028);
+    const afterMove = years.filter((data) => data.year >= 2028);
+
+    assert(beforeMove.length > 0 && afterMove.length > 0, "Expected years");
+    assert(
+      beforeMove.every((data) => data.taxes_stateOfResidence === "NY"),
+      "Expected New York before the move"
+    );
+    assert(beforeMove[0].taxes_stateIncomeTaxOwed > 0, "Expected NY tax");
+    assert(
+      afterMove.every(
+        (data) =>
+          data.taxes_stateOfResidence === "FL" &&
+          data.taxes_stateIncomeTaxOwed === 0
+      ),
+      "Expected no state tax in Florida"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Social Security claimed while working is excluded from state income",
+  () => {
+    const inputs = new Inputs({
+      startingYear: 2025,
+      initialAgeSubject: 66,
+      subjectRetireAge: 70,
+      subjectLifeSpan: 75,
+      subjectSsStartAge: 67,
+      subjectStartingSalary: 60000,
+      spendingToday: 50000,
+      spendingRetirement: 50000,
+      inflationRate: 0.025,
+      savingsStartingBalance: 100000,
+      subjectSsMonthly: 2000,
+      filingStatus: constsJS_FILING_STATUS.SINGLE,
+      stateOfResidence: "PA",
+    });
+
+    const working = (
+      initializeCalculationsFromInputs(inputs)?.getAllCalculations() ?? []
+    )
+      .map((calc) => calc.reportData)
+      .filter(
+        (data) => !data.demographics_isRetired && data.income_subjectSsGross > 0
+      );
+
+    assert(working.length > 0, "Expected working years with benefits");
+    for (const data of working) {
+      assertEqual(
+        data.taxes_stateExcludedIncome,
+        data.income_subjectSsGross,
+        `${data.year} benefits excluded`
+      );
+    }
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();
@@ -0,0 +1,124 @@
+// @ts-check
+
+import "../utils.js"; // For asCurrency() and other Number prototype methods
+import { TAX_BRACKET_INDEXING, TAX_REGIME } from "../consts.js";
+import { TaxLawRegistry } from "../cTaxLawRegistry.js";
+import {
+  assert,
+  assertEqual,
+  assertThrows,
+  runTest,
+  TestTracker,
+} from "./baseTest.js";
+
+console.log("==========================================");
+console.log("Tax Law Registry");
+console.log("==========================================");
+
+const testTracker = new TestTracker("Tax Law Registry");
+
+runTest(
+  "Published years resolve to the IRS figures",
+  () => {
+    const law2025 = TaxLawRegistry.resolve(2025, null, 0.03);
+    const law2026 = TaxLawRegistry.resolve(2026, null, 0.03);
+
+    assertEqual(law2025.brackets.single[1].upTo, 48475, "2025 single 12%");
+    assertEqual(law2026.brackets.mfj[1].upTo, 100800, "2026 MFJ 12%");
+    assertEqual(law2026.standardDeduction.mfj, 32200, "2026 MFJ deduction");
+    assertEqual(law2026.brackets.single[6].upTo, Infinity, "Top bracket");
+  },
+  testTracker
+);
+
+runTest(
+  "Brackets past the last published year follow the indexing assumption",
+  () => {
+    const byInflation = TaxLawRegistry.resolve(2028, null, 0.03);
+    const frozen = TaxLawRegistry.resolve(
+      2028,
+      { indexing: TAX_BRACKET_INDEXING.NONE },
+      0.03
+    );
+    const fixed = TaxLawRegistry.resolve(
+      2028,
+      { indexing: TAX_BRACKET_INDEXING.FIXED_RATE, indexingRate: 0.02 },
+      0.03
+    );
+
+    assertEqual(
+      byInflation.brackets.single[1].upTo,
+      (50400 * 1.03 ** 2).asCurrency(),
+      "Inflation indexed"
+    );
+    assertEqual(frozen.brackets.single[1].upTo, 50400, "Frozen");
+    assertEqual(
+      fixed.standardDeduction.single,
+      (16100 * 1.02 ** 2).asCurrency(),
+      "Fixed rate"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Pre-TCJA regime starts in the change year with personal exemptions",
+  () => {
+    const settings = { regime: TAX_REGIME.PRE_TCJA, changeYear: 2030 };
+    const before = TaxLawRegistry.resolve(2029, settings, 0.025);
+    const after = TaxLawRegistry.resolve(2030, settings, 0.025);
+
+    assertEqual(before.brackets.single[1].rate, 0.12, "Current law in 2029");
+    assertEqual(after.brackets.single[1].rate, 0.15, "15% bracket in 2030");
+    assert(
+      (after.personalExemption ?? 0) > 4050,
+      "Expected an indexed exemption"
+    );
+    assert(
+      after.standardDeduction.single < before.standardDeduction.single,
+      "Expected a smaller standard deduction"
+    );
+  },
+  testTracker
+);
+
+runTest(
+  "Custom schedules are parsed and validated",
+  () => {
+    const schedule = TaxLawRegistry.parseCustomSchedule(
+      JSON.stringify({
+        year: 2030,
+        brackets: {
+          single: [{ rate: 0.15, upTo: 50000 }, { rate: 0.3 }],
+          mfj: [{ rate: 0.15, upTo: 100000 }, { rate: 0.3 }],
+        },
+        standardDeduction: { single: 20000, mfj: 40000 },
+      })
+    );
+    const law = TaxLawRegistry.resolve(
+      2030,
+      { regime: TAX_REGIME.CUSTOM, customSchedule: schedule },
+      0.025
+    );
+
+    assertEqual(law.brackets.single[0].upTo, 50000, "Stated-year dollars");
+    assertEqual(law.brackets.mfj[1].upTo, Infinity, "Open top bracket");
+    assertThrows(
+      () =>
+        TaxLawRegistry.parseCustomSchedule({
+          year: 2030,
+          brackets: {
+            single: [
+              { rate: 0.2, upTo: 50000 },
+              { rate: 0.1, upTo: 40000 },
+            ],
+            mfj: [{ rate: 0.1 }],
+          },
+        }),
+      "Expected out-of-order brackets to be rejected"
+    );
+  },
+  testTracker
+);
+
+testTracker.generateTestReport();